@@ -14,6 +14,7 @@ import {
 } from '../core/state.js'
 import { setImageExpanded, isLandscape } from '../components/ExpandToggle.js'
 import { isBrowserSupported, showCompatibilityWarning, looksLikeMissingApiError } from '../core/browserCompatibility.js'
+import { findConfigElements } from '../core/configSource.js'
 
 /**
  * Whether the host page opted into the debug/test API surface.
@@ -99,12 +100,14 @@ export function createGramFrameAPI(GramFrame) {
     },
     
     /**
-     * Detect and replace all config tables with interactive GramFrame components
+     * Detect and replace all config tables with interactive GramFrame components.
+     * An `<img>` or `<figure>` with `data-gram-*` attributes, or an inline
+     * `<script type="application/json" class="gram-config">`, is replaced the same way.
      * @param {Document|HTMLElement} [container=document] - Container to search within
      * @returns {GramFrame[]} Array of GramFrame instances created
      */
     detectAndReplaceConfigTables(container = document) {
-      const configTables = container.querySelectorAll('table.gram-config')
+      const configElements = findConfigElements(container)
       /** @type {GramFrame[]} */
       const instances = []
       const errors = []
@@ -116,27 +119,27 @@ export function createGramFrameAPI(GramFrame) {
       // feature-detection based, so it runs without throwing on the very
       // browsers it is meant to catch.
       if (!isBrowserSupported()) {
-        configTables.forEach(table => {
-          showCompatibilityWarning(/** @type {HTMLElement} */ (table))
+        configElements.forEach(element => {
+          showCompatibilityWarning(element)
         })
         return instances
       }
 
-      configTables.forEach((table, index) => {
-        // Remember where the table sits so a failure part-way through
+      configElements.forEach((element, index) => {
+        // Remember where the element sits so a failure part-way through
         // construction can be reported in place. Construction replaces the
-        // table with the component container early on, so by the time a later
-        // step (e.g. mode construction — GF-04) throws, the table is detached
+        // element with the component container early on, so by the time a later
+        // step (e.g. mode construction — GF-04) throws, the element is detached
         // and there is a half-built container in its place.
-        const originalParent = table.parentNode
-        const originalNextSibling = table.nextSibling
+        const originalParent = element.parentNode
+        const originalNextSibling = element.nextSibling
 
         try {
           // Generate unique ID for each component instance
           const instanceId = `gramframe-${Date.now()}-${index}`
           
           // Create GramFrame instance - extractConfigData will handle validation
-          const instance = new GramFrame(/** @type {HTMLTableElement} */ (table))
+          const instance = new GramFrame(element)
           
           // Store instance ID for debugging and API access
           instance.instanceId = instanceId
@@ -145,13 +148,13 @@ export function createGramFrameAPI(GramFrame) {
           instances.push(instance)
           
         } catch (error) {
-          const errorMsg = `Failed to initialize GramFrame for table ${index + 1}: ${error instanceof Error ? error.message : String(error)}`
+          const errorMsg = `Failed to initialize GramFrame for config ${index + 1}: ${error instanceof Error ? error.message : String(error)}`
           console.error('GramFrame Error:', errorMsg, error)
-          errors.push({ table, error: errorMsg, index })
+          errors.push({ element, error: errorMsg, index })
 
           // Undo a partial replacement so the page is left in a truthful state:
-          // the config table back where it was, no dead component beside it.
-          this._restoreConfigTable(/** @type {HTMLTableElement} */ (table), originalParent, originalNextSibling)
+          // the config element back where it was, no dead component beside it.
+          this._restoreConfigElement(element, originalParent, originalNextSibling)
 
           // Reactive legacy-browser safety net. Explicit feature detection only
           // catches APIs we listed; an even-older browser might be missing a
@@ -161,10 +164,10 @@ export function createGramFrameAPI(GramFrame) {
           // place of the component instead of the technical error indicator, so
           // the analyst gets an actionable message and never a silent failure.
           if (looksLikeMissingApiError(error)) {
-            showCompatibilityWarning(/** @type {HTMLElement} */ (table))
+            showCompatibilityWarning(element)
           } else {
-            // Add error indicator to the table (don't replace it)
-            this._addErrorIndicator(/** @type {HTMLTableElement} */ (table), errorMsg)
+            // Add error indicator beside the element (don't replace it)
+            this._addErrorIndicator(element, errorMsg)
           }
         }
       })
@@ -301,25 +304,25 @@ export function createGramFrameAPI(GramFrame) {
     },
 
     /**
-     * Put a config table back where it started after a failed initialization,
+     * Put a config element back where it started after a failed initialization,
      * removing the half-built component container that replaced it.
      *
-     * Construction swaps the table for the component container before the mode
-     * system is built, so a failure after that point leaves a container that
-     * looks like a working component but cannot interact. Restoring the table
-     * gives both the compatibility warning and the error indicator a live
-     * anchor to attach to, and leaves nothing misleading on the page.
+     * Construction swaps the element for the component container before the
+     * mode system is built, so a failure after that point leaves a container
+     * that looks like a working component but cannot interact. Restoring the
+     * element gives both the compatibility warning and the error indicator a
+     * live anchor to attach to, and leaves nothing misleading on the page.
      * @private
-     * @param {HTMLTableElement} table - Table that failed to initialize
-     * @param {Node|null} originalParent - Parent the table had before construction
-     * @param {Node|null} originalNextSibling - Sibling the table sat before
+     * @param {HTMLElement} element - Config element that failed to initialize
+     * @param {Node|null} originalParent - Parent the element had before construction
+     * @param {Node|null} originalNextSibling - Sibling the element sat before
      */
-    _restoreConfigTable(table, originalParent, originalNextSibling) {
-      if (!originalParent || table.parentNode) {
+    _restoreConfigElement(element, originalParent, originalNextSibling) {
+      if (!originalParent || element.parentNode) {
         return // Never replaced, or already back in place — nothing to undo
       }
       try {
-        // Whatever now occupies the table's old slot is the partial component.
+        // Whatever now occupies the element's old slot is the partial component.
         const replacement = originalNextSibling
           ? originalNextSibling.previousSibling
           : originalParent.lastChild
@@ -330,23 +333,23 @@ export function createGramFrameAPI(GramFrame) {
         ) {
           replacement.remove()
         }
-        originalParent.insertBefore(table, originalNextSibling)
+        originalParent.insertBefore(element, originalNextSibling)
       } catch (e) {
-        console.error('GramFrame: Failed to restore the config table after an initialization error:', e)
+        console.error('GramFrame: Failed to restore the config element after an initialization error:', e)
       }
     },
 
     /**
-     * Add error indicator to a table that failed to initialize
+     * Add error indicator beside a config element that failed to initialize
      * @private
-     * @param {HTMLTableElement} table - Table that failed
+     * @param {HTMLElement} element - Config element that failed
      * @param {string} errorMsg - Error message to display
      */
-    _addErrorIndicator(table, errorMsg) {
+    _addErrorIndicator(element, errorMsg) {
       try {
-        // The table stays on the page next to the error, so drop the
+        // The element stays on the page next to the error, so drop the
         // pre-conversion placeholder styling and let its config show plainly
-        table.classList.add('gram-frame-config-error')
+        element.classList.add('gram-frame-config-error')
 
         // Create error overlay
         const errorDiv = document.createElement('div')
@@ -379,9 +382,9 @@ export function createGramFrameAPI(GramFrame) {
         errorDiv.appendChild(document.createElement('br'))
         errorDiv.appendChild(smallElement)
         
-        // Insert error indicator after the table
-        if (table.parentNode) {
-          table.parentNode.insertBefore(errorDiv, table.nextSibling)
+        // Insert error indicator after the element
+        if (element.parentNode) {
+          element.parentNode.insertBefore(errorDiv, element.nextSibling)
         }
         
       } catch (e) {
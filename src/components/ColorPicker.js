@@ -1,14 +1,16 @@
 /**
  * Style panel for GramFrame overlays.
  *
- * One panel, three bands, grouped by what each control actually affects:
+ * One panel, four bands, grouped by what each control actually affects:
  *
  * - **Colour** — the gradient slider, uncaptioned. The widest-reaching control
  *   there is: it styles analysis markers, harmonic sets AND doppler curves.
  * - **Symbol** — the symbol drop-down and the (temporary) large-symbol toggle.
- *   Both apply to markers and harmonic sets; neither applies to doppler.
+ *   Both apply to markers, harmonic sets and the f+/f- ends of doppler curves.
  * - **Harmonics** — the pin toggle, fenced off below a rule because it is the
  *   one control here that harmonic sets alone understand.
+ * - **Markers** — the snap-to-peak toggle. Not a style at all but a placement
+ *   preference for analysis and doppler markers, so it sits last, apart.
  *
  * The panel used to be headed "Symbol" with all four controls stacked
  * undifferentiated, which named the narrowest scope in the panel and left the
@@ -19,6 +21,7 @@
 
 import { createSymbolSelect, createLargeSymbolToggle } from './SymbolPicker.js'
 import { createPinToggle } from './PinToggle.js'
+import { createSnapToggle } from './SnapToggle.js'
 import { getActiveStyle } from '../core/keyboardControl.js'
 
 /**
@@ -109,7 +112,7 @@ export function createColorPicker(instance) {
   indicator.className = 'gram-frame-color-indicator'
   sliderContainer.appendChild(indicator)
 
-  // --- Symbol band: applies to markers and harmonic sets, not to doppler ---
+  // --- Symbol band: applies to markers, harmonic sets and doppler curves ---
   const symbolGroup = document.createElement('div')
   symbolGroup.className = 'gram-frame-style-group'
   container.appendChild(symbolGroup)
@@ -147,6 +150,22 @@ export function createColorPicker(instance) {
   harmonicsRow.appendChild(createGroupLabel('Harmonics'))
   harmonicsRow.appendChild(createPinToggle(instance))
 
+  // --- Markers band: where placed markers land, rather than how they look ---
+  const markersDivider = document.createElement('div')
+  markersDivider.className = 'gram-frame-style-divider'
+  container.appendChild(markersDivider)
+
+  const markersGroup = document.createElement('div')
+  markersGroup.className = 'gram-frame-style-group'
+  container.appendChild(markersGroup)
+
+  const markersRow = document.createElement('div')
+  markersRow.className = 'gram-frame-style-row'
+  markersGroup.appendChild(markersRow)
+
+  markersRow.appendChild(createGroupLabel('Markers'))
+  markersRow.appendChild(createSnapToggle(instance))
+
   // Add click handler for color selection
   canvas.addEventListener('click', (event) => {
     const rect = canvas.getBoundingClientRect()
@@ -18,6 +18,15 @@
 
 /// <reference path="../types.js" />
 
+/**
+ * A column's header text as things stand.
+ * @param {TableColumn} column - Column
+ * @returns {string} Header text
+ */
+function headerText(column) {
+  return typeof column.label === 'function' ? column.label() : column.label || ''
+}
+
 /**
  * Create a diffing table inside `container`.
  *
@@ -42,7 +51,7 @@ export function createDiffingTable(container, spec) {
   const headerRow = document.createElement('tr')
   spec.columns.forEach((column) => {
     const th = document.createElement('th')
-    th.textContent = column.label || ''
+    th.textContent = headerText(column)
     if (column.width) {
       th.style.width = column.width
     }
@@ -158,6 +167,20 @@ export function createDiffingTable(container, spec) {
     }
   }
 
+  /**
+   * Rewrite any header whose text has changed, as a heading carrying units
+   * does when they are switched.
+   */
+  function updateHeaders() {
+    spec.columns.forEach((column, index) => {
+      const th = headerRow.cells[index]
+      const text = headerText(column)
+      if (th && th.textContent !== text) {
+        th.textContent = text
+      }
+    })
+  }
+
   /**
    * Bring the rendered rows into line with `currentRows`.
    *
@@ -252,7 +275,7 @@ export function createDiffingTable(container, spec) {
     }
 
     if (spec.onSelect) {
-      spec.onSelect(key, row, index)
+      spec.onSelect(key, row, index, event)
     }
   }
 
@@ -263,7 +286,8 @@ export function createDiffingTable(container, spec) {
 
     /**
      * Diff `rows` against what is rendered, apply the difference, and keep any
-     * newly added row in view.
+     * newly added row in view. Headers given as functions are rewritten if
+     * their text has changed.
      *
      * Idempotent: calling it twice with equal input performs no DOM writes and
      * no scrolling.
@@ -273,6 +297,7 @@ export function createDiffingTable(container, spec) {
       currentRows = rows || []
 
       const keys = currentRows.map((row, index) => spec.rowKey(row, index))
+      updateHeaders()
       applyDiff()
 
       // Keep the last row that wasn't there before in view. Adding a marker
@@ -11,6 +11,10 @@
 
 import { createColorIndicator } from '../rendering/symbols.js'
 import { createDiffingTable } from './DiffingTable.js'
+import { formatRateMultiple, isRateSet } from '../utils/rate.js'
+import { driftReading, driftUnit, formatFrequency, frequencyUnit } from '../utils/units.js'
+import { isSidebandSet, formatSeries } from '../utils/harmonicSeries.js'
+import { isDriftingSet, spacingAt, spacingDriftRate } from '../utils/harmonicBounds.js'
 
 /**
  * The diffing table backing each panel element, so the existing
@@ -46,14 +50,61 @@ function createColorCellContent(harmonicSet) {
 }
 
 /**
- * The ratio of the cursor's frequency to a set's spacing, as displayed.
+ * The Spacing column, as displayed. A sideband family shows its carrier with
+ * the spacing either side of it (`1200.00 ± 12.50`), since the spacing alone
+ * does not place its lines. A drifting set shows its start and end spacings
+ * (`12.50 → 14.00`) over the rate the spacing changes at (`+0.150 Hz/s`),
+ * all in the gram's frequency units.
+ * @param {HarmonicSet} harmonicSet - The harmonic set data
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {string|HTMLDivElement} Formatted spacing
+ */
+function formatSpacing(harmonicSet, format) {
+  let spacing = formatFrequency(harmonicSet.spacing, format)
+  if (isDriftingSet(harmonicSet)) {
+    spacing += ` \u2192 ${formatFrequency(/** @type {number} */ (harmonicSet.spacingEnd), format)}`
+  }
+  if (isSidebandSet(harmonicSet)) {
+    spacing = `${formatFrequency(/** @type {number} */ (harmonicSet.carrier), format)} ± ${spacing}`
+  }
+  if (!isDriftingSet(harmonicSet)) {
+    return spacing
+  }
+
+  const rate = driftReading(spacingDriftRate(harmonicSet), format)
+  const content = document.createElement('div')
+  const spacingLine = document.createElement('div')
+  spacingLine.textContent = spacing
+  const rateLine = document.createElement('div')
+  rateLine.className = 'gram-frame-harmonic-drift'
+  rateLine.textContent = `${rate.value >= 0 ? '+' : ''}${rate.value.toFixed(rate.places)} ${driftUnit(format)}`
+  content.append(spacingLine, rateLine)
+  return content
+}
+
+/**
+ * The Ratio column, as displayed. With a rate set it is the set's spacing as a
+ * multiple of the rate (`×3.00`: the set steps in third shaft harmonics);
+ * otherwise the ratio of the cursor's frequency to the spacing — for a
+ * sideband family, of the cursor's offset from the carrier, which reads as the
+ * sideband order under the cursor. A drifting set is measured by its spacing
+ * at the cursor's time. The column's header says which it is showing.
  * @param {HarmonicSet} harmonicSet - The harmonic set data
  * @param {GramFrame} instance - GramFrame instance
  * @returns {string} Formatted ratio
  */
 function formatRatio(harmonicSet, instance) {
-  if (instance.state.cursorPosition && instance.state.cursorPosition.freq > 0) {
-    return (instance.state.cursorPosition.freq / harmonicSet.spacing).toFixed(3)
+  const { rate, cursorPosition } = instance.state
+  const spacing = cursorPosition ? spacingAt(harmonicSet, cursorPosition.time) : harmonicSet.spacing
+  const multiple = formatRateMultiple(spacing, rate)
+  if (multiple !== null) {
+    return multiple
+  }
+  if (cursorPosition && isSidebandSet(harmonicSet)) {
+    return ((cursorPosition.freq - /** @type {number} */ (harmonicSet.carrier)) / spacing).toFixed(3)
+  }
+  if (cursorPosition && cursorPosition.freq > 0) {
+    return (cursorPosition.freq / spacing).toFixed(3)
   }
   return '5.000' // Representative rate for 5th harmonic
 }
@@ -86,37 +137,48 @@ function createHarmonicDeleteButton(harmonicSet) {
  * @returns {HTMLElement} The created panel element
  */
 export function createHarmonicPanel(container, instance) {
+  const state = instance.state
+  const { config } = state
+
+  /**
+   * Whether a harmonic set is the selected feature.
+   * @param {string} harmonicSetId - Harmonic set id
+   * @returns {boolean} True if it is selected
+   */
+  const isSelected = (harmonicSetId) => {
+    const { selectedType, selectedId } = instance.state.selection
+    return selectedType === 'harmonicSet' && selectedId === harmonicSetId
+  }
+
   const table = createDiffingTable(container, {
     columns: [
-      { label: '', width: '15%' },
-      { label: 'Spacing (Hz)', width: '35%', cellClassName: 'gram-frame-harmonic-spacing' },
-      { label: 'Ratio', width: '35%', cellClassName: 'gram-frame-harmonic-rate' },
-      { label: '', width: '15%' }
+      { label: '', width: '12%' },
+      { label: `Spacing (${frequencyUnit(config)})`, width: '30%', cellClassName: 'gram-frame-harmonic-spacing' },
+      { label: 'Series', width: '18%', cellClassName: 'gram-frame-harmonic-series' },
+      { label: () => isRateSet(state.rate) ? 'Spacing ÷ Rate' : 'Cursor ÷ Spacing', width: '28%', cellClassName: 'gram-frame-harmonic-rate' },
+      { label: '', width: '12%' }
     ],
     rowAttribute: 'data-harmonic-id',
     rowClassName: 'gram-frame-harmonic-row',
     rowKey: (harmonicSet) => harmonicSet.id,
     cells: (harmonicSet) => [
       createColorCellContent(harmonicSet),
-      harmonicSet.spacing.toFixed(2),
+      formatSpacing(harmonicSet, config),
+      formatSeries(harmonicSet),
       formatRatio(harmonicSet, instance),
       createHarmonicDeleteButton(harmonicSet)
     ],
     deleteSelector: '.gram-frame-harmonic-delete',
     onSelect: (harmonicSetId, _harmonicSet, index) => {
       // Toggle selection
-      if (instance.state.selection.selectedType === 'harmonicSet' &&
-          instance.state.selection.selectedId === harmonicSetId) {
+      if (isSelected(harmonicSetId)) {
         instance.interaction.clearSelection()
       } else {
         instance.interaction.setSelection('harmonicSet', harmonicSetId, index)
       }
     },
     onDelete: (harmonicSetId) => instance.interaction.removeHarmonicSet(harmonicSetId),
-    isSelected: (harmonicSetId) => (
-      instance.state.selection.selectedType === 'harmonicSet' &&
-      instance.state.selection.selectedId === harmonicSetId
-    )
+    isSelected
   })
 
   const panel = /** @type {HTMLElement} */ (table.element.parentElement)
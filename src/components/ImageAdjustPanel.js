@@ -0,0 +1,290 @@
+/**
+ * Image display adjustments.
+ *
+ * A collapsible panel under the gram with a false-colour palette and
+ * brightness, contrast, gamma and invert controls, for scanned grams too
+ * washed out to show their faint tonals. The palette is a remapped copy of
+ * the image, made by `components/spectrogramImage.js`; the adjustments drive
+ * an SVG filter on the spectrogram `<image>` over whatever it shows. Both
+ * change only how the gram looks: the pixels read back for the Intensity
+ * readout, snapping and the slice profiles are the image as loaded. A colour
+ * bar beside the panel's toggle keys the palette while one is in use.
+ * In-memory only, like the expand state; the palette starts as the config
+ * table's `palette` row says.
+ */
+
+/// <reference path="../types.js" />
+
+import { NEUTRAL_ADJUSTMENTS, isNeutral, transferCurve } from '../utils/imageAdjust.js'
+import { PALETTE_NAMES, paletteGradient } from '../utils/palettes.js'
+import { setPalette } from './spectrogramImage.js'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/**
+ * Filters made so far on the page, numbering each one's id apart from the
+ * other grams'.
+ * @type {number}
+ */
+let filterCount = 0
+
+/**
+ * One slider of the panel.
+ * @typedef {Object} AdjustmentSlider
+ * @property {'brightness'|'contrast'|'gamma'} key - The adjustment it sets
+ * @property {string} label - Its caption
+ * @property {number} min - Lowest value
+ * @property {number} max - Highest value
+ * @property {number} step - Step between values
+ * @property {function(number): string} format - The value as shown beside it
+ */
+
+/** @type {AdjustmentSlider[]} */
+const SLIDERS = [
+  { key: 'brightness', label: 'Brightness', min: -0.5, max: 0.5, step: 0.01, format: (v) => `${v > 0 ? '+' : ''}${Math.round(v * 100)}%` },
+  { key: 'contrast', label: 'Contrast', min: 0.5, max: 4, step: 0.05, format: (v) => `×${v.toFixed(2)}` },
+  { key: 'gamma', label: 'Gamma', min: 0.3, max: 3, step: 0.05, format: (v) => v.toFixed(2) }
+]
+
+/**
+ * Palette names as the menu shows them.
+ * @type {Record<PaletteName, string>}
+ */
+const PALETTE_LABELS = {
+  grey: 'Grey',
+  viridis: 'Viridis',
+  hot: 'Hot',
+  jet: 'Jet',
+  'green-phosphor': 'Green phosphor'
+}
+
+/**
+ * Build the palette's colour bar: the palette from black's end to white's,
+ * labelled with the intensities at its ends as the Intensity readout gives
+ * them.
+ * @returns {{legend: HTMLSpanElement, bar: HTMLSpanElement}} The legend and its bar
+ */
+function createLegend() {
+  const legend = document.createElement('span')
+  legend.className = 'gram-frame-palette-legend'
+  legend.title = 'Intensity (%)'
+  const low = document.createElement('span')
+  low.textContent = '0'
+  const bar = document.createElement('span')
+  bar.className = 'gram-frame-palette-bar'
+  const high = document.createElement('span')
+  high.textContent = '100'
+  legend.appendChild(low)
+  legend.appendChild(bar)
+  legend.appendChild(high)
+  return { legend, bar }
+}
+
+/**
+ * Build the filter the adjustments drive and add it to the gram's `<defs>`.
+ *
+ * It works on the colours as displayed (`sRGB`) rather than the filter
+ * default of linear light, so mid-grey stays where the sliders say it is.
+ * @param {SVGSVGElement} svg - The gram's SVG
+ * @returns {{id: string, channels: SVGElement[]}} The filter's id and its per-channel functions
+ */
+function createFilter(svg) {
+  const id = `gram-frame-image-adjust-${++filterCount}`
+  const filter = document.createElementNS(SVG_NS, 'filter')
+  filter.setAttribute('id', id)
+  filter.setAttribute('color-interpolation-filters', 'sRGB')
+  const transfer = document.createElementNS(SVG_NS, 'feComponentTransfer')
+  const channels = ['feFuncR', 'feFuncG', 'feFuncB'].map(name => {
+    const channel = /** @type {SVGElement} */ (document.createElementNS(SVG_NS, name))
+    channel.setAttribute('type', 'gamma')
+    transfer.appendChild(channel)
+    return channel
+  })
+  filter.appendChild(transfer)
+
+  let defs = svg.querySelector('defs')
+  if (!defs) {
+    defs = document.createElementNS(SVG_NS, 'defs')
+    svg.insertBefore(defs, svg.firstChild)
+  }
+  defs.appendChild(filter)
+  return { id, channels }
+}
+
+/**
+ * Build the image adjustment panel under the gram.
+ *
+ * Collapsed to its header to start with. Reset puts every adjustment back to
+ * neutral and drops the filter; the palette stays as chosen.
+ * @param {GramFrame} instance - GramFrame instance
+ * @param {PaletteName} initialPalette - Palette to open the gram in
+ * @returns {HTMLDivElement} The panel
+ */
+export function createImageAdjustPanel(instance, initialPalette) {
+  const { id, channels } = createFilter(instance.ui.svg)
+  /** @type {ImageAdjustments} */
+  const adjustments = { ...NEUTRAL_ADJUSTMENTS }
+
+  const panel = document.createElement('div')
+  panel.className = 'gram-frame-image-panel'
+
+  const toggle = document.createElement('button')
+  toggle.type = 'button'
+  toggle.className = 'gram-frame-image-toggle'
+  toggle.title = 'Show or hide the brightness, contrast, gamma and invert controls'
+  panel.appendChild(toggle)
+  const { legend, bar } = createLegend()
+  panel.appendChild(legend)
+
+  const body = document.createElement('div')
+  body.className = 'gram-frame-image-body'
+  panel.appendChild(body)
+
+  const paletteRow = document.createElement('label')
+  paletteRow.className = 'gram-frame-image-control'
+  const paletteCaption = document.createElement('span')
+  paletteCaption.textContent = 'Palette'
+  const paletteSelect = document.createElement('select')
+  paletteSelect.className = 'gram-frame-image-palette'
+  PALETTE_NAMES.forEach(name => {
+    const option = document.createElement('option')
+    option.value = name
+    option.textContent = PALETTE_LABELS[name]
+    paletteSelect.appendChild(option)
+  })
+  paletteRow.appendChild(paletteCaption)
+  paletteRow.appendChild(paletteSelect)
+  body.appendChild(paletteRow)
+  const paletteNote = document.createElement('div')
+  paletteNote.className = 'gram-frame-image-note'
+  paletteNote.textContent = 'The browser will not let this gram\'s pixels be read, as happens for an image opened from disk or another site, so it stays grey.'
+  paletteNote.style.display = 'none'
+  body.appendChild(paletteNote)
+
+  /**
+   * Show a palette on the gram, keying it in the legend once it is showing,
+   * or putting the menu back to grey if it cannot be.
+   * @param {PaletteName} name - Palette
+   */
+  const choosePalette = (name) => {
+    paletteSelect.value = name
+    setPalette(instance, name, (shown) => {
+      const showing = shown ? name : 'grey'
+      paletteSelect.value = showing
+      paletteNote.style.display = shown ? 'none' : ''
+      legend.style.display = showing === 'grey' ? 'none' : ''
+      bar.style.background = paletteGradient(showing)
+    })
+  }
+  paletteSelect.addEventListener('change', () => {
+    choosePalette(/** @type {PaletteName} */ (paletteSelect.value))
+  })
+  legend.style.display = 'none'
+  choosePalette(initialPalette)
+
+  /**
+   * Show the adjustments on the gram: through the filter, or with no filter
+   * at all when they are neutral.
+   */
+  const apply = () => {
+    const image = instance.ui.spectrogramImage
+    if (isNeutral(adjustments)) {
+      image.removeAttribute('filter')
+      return
+    }
+    const { amplitude, exponent, offset } = transferCurve(adjustments)
+    channels.forEach(channel => {
+      channel.setAttribute('amplitude', String(amplitude))
+      channel.setAttribute('exponent', String(exponent))
+      channel.setAttribute('offset', String(offset))
+    })
+    image.setAttribute('filter', `url(#${id})`)
+  }
+
+  /** @type {Array<function(): void>} */
+  const refreshers = []
+
+  SLIDERS.forEach(({ key, label, min, max, step, format }) => {
+    const row = document.createElement('label')
+    row.className = 'gram-frame-image-control'
+    const caption = document.createElement('span')
+    caption.textContent = label
+    const input = document.createElement('input')
+    input.type = 'range'
+    input.className = `gram-frame-image-${key}`
+    input.min = String(min)
+    input.max = String(max)
+    input.step = String(step)
+    const value = document.createElement('span')
+    value.className = 'gram-frame-image-value'
+
+    /**
+     * Bring the slider and its value into line with the adjustments.
+     */
+    const refresh = () => {
+      input.value = String(adjustments[key])
+      value.textContent = format(adjustments[key])
+    }
+    refreshers.push(refresh)
+
+    input.addEventListener('input', () => {
+      adjustments[key] = parseFloat(input.value)
+      value.textContent = format(adjustments[key])
+      apply()
+    })
+    row.appendChild(caption)
+    row.appendChild(input)
+    row.appendChild(value)
+    body.appendChild(row)
+  })
+
+  const footer = document.createElement('div')
+  footer.className = 'gram-frame-image-footer'
+  const invertLabel = document.createElement('label')
+  invertLabel.className = 'gram-frame-image-control'
+  const invert = document.createElement('input')
+  invert.type = 'checkbox'
+  invert.className = 'gram-frame-image-invert'
+  invert.addEventListener('change', () => {
+    adjustments.invert = invert.checked
+    apply()
+  })
+  refreshers.push(() => {
+    invert.checked = adjustments.invert
+  })
+  invertLabel.appendChild(invert)
+  invertLabel.appendChild(document.createTextNode('Invert'))
+  footer.appendChild(invertLabel)
+
+  const reset = document.createElement('button')
+  reset.type = 'button'
+  reset.className = 'gram-frame-image-reset'
+  reset.textContent = 'Reset'
+  reset.addEventListener('click', () => {
+    Object.assign(adjustments, NEUTRAL_ADJUSTMENTS)
+    refreshers.forEach(refresh => refresh())
+    apply()
+  })
+  footer.appendChild(reset)
+  body.appendChild(footer)
+  refreshers.forEach(refresh => refresh())
+
+  let open = false
+  /**
+   * Show the panel's open state on its toggle.
+   */
+  const updateToggle = () => {
+    toggle.textContent = open ? '▾ Image' : '▸ Image'
+    toggle.setAttribute('aria-expanded', String(open))
+    panel.classList.toggle('gram-frame-image-open', open)
+  }
+  updateToggle()
+  toggle.addEventListener('click', (e) => {
+    e.preventDefault()
+    open = !open
+    updateToggle()
+  })
+
+  instance.ui.mainCell.appendChild(panel)
+  return panel
+}
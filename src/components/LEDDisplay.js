@@ -7,6 +7,7 @@
 /// <reference path="../types.js" />
 
 import { getModeDisplayName } from '../utils/calculations.js'
+import { formatRateMultiple } from '../utils/rate.js'
 
 
 /**
@@ -51,6 +52,18 @@ export function setLEDValue(led, value) {
   }
 }
 
+/**
+ * Write the label of an LED display, for a readout whose units can change.
+ * @param {HTMLElement} led - LED element created by `createLEDDisplay`
+ * @param {string} label - Label text
+ */
+export function setLEDLabel(led, label) {
+  const labelDiv = led.querySelector('.gram-frame-led-label')
+  if (labelDiv) {
+    labelDiv.textContent = label
+  }
+}
+
 /**
  * Update global LED displays (mode and rate only)
  * Mode-specific LEDs are now managed by individual modes
@@ -63,10 +76,21 @@ export function updateLEDDisplays(instance, state) {
     setLEDValue(instance.ui.modeLED, getModeDisplayName(state.mode))
   }
   
-  // Update global rate LED display
-  if (instance.ui.rateLED) {
-    setLEDValue(instance.ui.rateLED, `${state.rate}`)
-  }
+  updateRateLED(instance)
   
   // Color picker visibility is now managed by individual modes
+}
+
+/**
+ * Show the cursor's frequency as a multiple of the rate on the rate LED, or a
+ * dash when there is no rate or no cursor.
+ * @param {GramFrame} instance - GramFrame instance
+ */
+export function updateRateLED(instance) {
+  if (!instance.ui.rateLED) {
+    return
+  }
+  const { cursorPosition, rate } = instance.state
+  const multiple = cursorPosition ? formatRateMultiple(cursorPosition.freq, rate) : null
+  setLEDValue(instance.ui.rateLED, multiple || '—')
 }
\ No newline at end of file
@@ -14,7 +14,15 @@ import {
   createFullFlexLayout,
   createFlexColumn
 } from './UIComponents.js'
-import { formatTime } from '../utils/timeFormatter.js'
+import { updateRateLED, setLEDLabel, setLEDValue } from './LEDDisplay.js'
+import { createRateControl } from './RateControl.js'
+import { readIntensity } from './spectrogramImage.js'
+import { formatIntensity } from '../utils/imagePixels.js'
+import { formatGramTime, timeFormatLabel, timeReading } from '../utils/timeFormatter.js'
+import { driftUnit, formatFrequency, frequencyUnit } from '../utils/units.js'
+import { cycleDopplerUnit, updateDopplerLEDs } from '../modes/doppler/DopplerMode.js'
+import { renderAxes } from '../rendering/axes.js'
+import { dispatch } from '../core/state.js'
 
 /**
  * Create unified 3-column layout for readouts.
@@ -61,11 +69,26 @@ export function createUnifiedLayout(instance) {
   // Create universal cursor readouts in controls column
   const cursorContainer = document.createElement('div')
   cursorContainer.className = 'gram-frame-cursor-leds'
-  const timeLED = createLEDDisplay('Time (mm:ss)', formatTime(0))
+  // Clock time for a gram with a `time-origin`, else elapsed time. Clicking
+  // swaps between the two; the label says which is showing.
+  const state = instance.state
+  const timeLED = createLEDDisplay('Time (mm:ss)', '')
+  showTimeOnLED(timeLED, 0, state)
+  if (typeof state.config.timeOrigin === 'number') {
+    timeLED.classList.add('gram-frame-led-cycle')
+    timeLED.title = 'Click to switch between clock and elapsed time'
+    timeLED.addEventListener('click', () => toggleTimeDisplay(instance))
+  }
   cursorContainer.appendChild(timeLED)
   
-  const freqLED = createLEDDisplay('Frequency (Hz)', '0.0')
+  const freqUnit = frequencyUnit(state.config)
+  const freqLED = createLEDDisplay(`Frequency (${freqUnit})`, formatFrequency(0, state.config))
   cursorContainer.appendChild(freqLED)
+
+  // Brightness of the image pixel under the pointer, so line strengths can be
+  // compared. A dash when the browser will not let the pixels be read.
+  const intensityLED = createLEDDisplay('Intensity (%)', '—')
+  cursorContainer.appendChild(intensityLED)
   
   // Create doppler speed LED (spans full width). Unlike the time/frequency
   // readouts it lays its label out beside the value rather than above it: the
@@ -78,11 +101,81 @@ export function createUnifiedLayout(instance) {
   // three lines; gluing the first two words holds it to two - "Doppler Speed"
   // over "(kts)". Playwright normalises \u00a0 to a plain space, so the
   // `:text-is("Doppler Speed (kts)")` locators in tests/helpers still match.
+  //
+  // The label carries the speed's units, which the page can configure and the
+  // analyst can cycle by clicking, so DopplerMode rewrites it with the value.
   const speedLED = createLEDDisplay('Doppler\u00a0Speed (kts)', '0.0')
-  speedLED.classList.add('gram-frame-led-inline')
+  speedLED.classList.add('gram-frame-led-inline', 'gram-frame-led-cycle')
+  speedLED.title = 'Click to change units'
+  speedLED.addEventListener('click', () => cycleDopplerUnit(instance, 'speed'))
   speedLED.style.gridColumn = '1 / -1' // Span both columns
   cursorContainer.appendChild(speedLED)
-  
+
+  // The displayed curve's rest frequency, CPA time and CPA range. One row of
+  // three under the speed LED, shown only in Doppler mode, as the ruler's row
+  // is only in Ruler mode. Clicking the CPA time or range LED steps it through
+  // its units; the labels carry the unit, so they are written with the values.
+  const dopplerRow = document.createElement('div')
+  dopplerRow.className = 'gram-frame-doppler-leds'
+  dopplerRow.style.gridColumn = '1 / -1'
+  const dopplerLEDs = {
+    f0LED: createLEDDisplay(`f₀ (${freqUnit})`, '—'),
+    cpaLED: createLEDDisplay('CPA (s)', '—'),
+    rangeLED: createLEDDisplay('Range (m)', '—')
+  }
+  dopplerLEDs.cpaLED.classList.add('gram-frame-led-cycle')
+  dopplerLEDs.cpaLED.title = 'Click to change units'
+  dopplerLEDs.cpaLED.addEventListener('click', () => cycleDopplerUnit(instance, 'cpaTime'))
+  dopplerLEDs.rangeLED.classList.add('gram-frame-led-cycle')
+  dopplerLEDs.rangeLED.title = 'Click to change units'
+  dopplerLEDs.rangeLED.addEventListener('click', () => cycleDopplerUnit(instance, 'range'))
+  dopplerRow.appendChild(dopplerLEDs.f0LED)
+  dopplerRow.appendChild(dopplerLEDs.cpaLED)
+  dopplerRow.appendChild(dopplerLEDs.rangeLED)
+  cursorContainer.appendChild(dopplerRow)
+
+  // Rate divisor and the cursor's multiple of it (spans full width). A new rate
+  // redraws nothing on the gram — it divides readouts only — so the LED and the
+  // tables are all that need refreshing.
+  const { rateRow, rateLED } = createRateControl(instance, () => {
+    updateRateLED(instance)
+    updatePersistentPanels(instance)
+  })
+  rateRow.style.gridColumn = '1 / -1'
+  cursorContainer.appendChild(rateRow)
+
+  // Ruler readouts: Δt, Δf and df/dt between the ruler's ends. One row of
+  // three, spanning both columns, and shown only in Ruler mode (see the
+  // `.gram-frame-ruler-mode` rule in gramframe.css) — outside it the row would
+  // cost every other mode a line of control-row height.
+  const rulerRow = document.createElement('div')
+  rulerRow.className = 'gram-frame-ruler-leds'
+  rulerRow.style.gridColumn = '1 / -1'
+  const rulerLEDs = {
+    timeLED: createLEDDisplay(`Δt (${timeReading(0, state.config).unit})`, '—'),
+    freqLED: createLEDDisplay(`Δf (${freqUnit})`, '—'),
+    slopeLED: createLEDDisplay(`df/dt (${driftUnit(state.config)})`, '—')
+  }
+  rulerRow.appendChild(rulerLEDs.timeLED)
+  rulerRow.appendChild(rulerLEDs.freqLED)
+  rulerRow.appendChild(rulerLEDs.slopeLED)
+  cursorContainer.appendChild(rulerRow)
+
+  // Trace readouts: the displayed trace's mean frequency, spread and drift
+  // rate. Another row of three, shown only in Trace mode like the ruler's.
+  const traceRow = document.createElement('div')
+  traceRow.className = 'gram-frame-trace-leds'
+  traceRow.style.gridColumn = '1 / -1'
+  const traceLEDs = {
+    meanLED: createLEDDisplay(`Mean (${freqUnit})`, '—'),
+    spreadLED: createLEDDisplay(`Spread (${freqUnit})`, '—'),
+    driftLED: createLEDDisplay(`Drift (${driftUnit(state.config)})`, '—')
+  }
+  traceRow.appendChild(traceLEDs.meanLED)
+  traceRow.appendChild(traceLEDs.spreadLED)
+  traceRow.appendChild(traceLEDs.driftLED)
+  cursorContainer.appendChild(traceRow)
+
   controlsColumn.appendChild(cursorContainer)
   
   // Style panel (colour, symbol, size, pin) in controls column
@@ -105,6 +198,15 @@ export function createUnifiedLayout(instance) {
   // Create markers container in middle column
   const markersContainer = createMarkersContainer()
   middleColumn.appendChild(markersContainer)
+
+  // Traces table under the markers. Hidden until there is a trace or Trace
+  // mode is active, so the markers table keeps the whole column otherwise.
+  const tracesContainer = createTracesContainer()
+  middleColumn.appendChild(tracesContainer)
+
+  // Boxes table under the traces, hidden on the same terms in Box mode.
+  const boxesContainer = createBoxesContainer()
+  middleColumn.appendChild(boxesContainer)
   
   // Right Column (175px) - Harmonics sets table. Narrowed from 200px to fund
   // the markers column's Label column (feature 231); its four columns still fit.
@@ -131,10 +233,17 @@ export function createUnifiedLayout(instance) {
     guidanceColumn,
     controlsColumn,
     markersContainer,
+    tracesContainer,
+    boxesContainer,
     harmonicsContainer,
     timeLED,
     freqLED,
+    intensityLED,
     speedLED,
+    dopplerLEDs,
+    rateLED,
+    rulerLEDs,
+    traceLEDs,
     colorPicker
   }
 }
@@ -151,9 +260,10 @@ function createMarkersContainer() {
   markersContainer.style.flexDirection = 'column'
   markersContainer.style.minHeight = '0'
   
-  // Same header row as the harmonics panel, minus the action slot: both panels
-  // then carry their rule, their spacing and their heading position from one
-  // CSS rule instead of two sets of inline styles that had drifted apart.
+  // Same header row as the harmonics panel: both panels then carry their rule,
+  // their spacing and their heading position from one CSS rule instead of two
+  // sets of inline styles that had drifted apart. AnalysisMode adds its
+  // Find f₀ button to the row.
   const markersHeader = document.createElement('div')
   markersHeader.className = 'gram-frame-panel-header'
 
@@ -165,6 +275,44 @@ function createMarkersContainer() {
   return markersContainer
 }
 
+/**
+ * Create traces container for trace mode, with the markers panel's header
+ * @returns {HTMLDivElement} The traces container
+ */
+function createTracesContainer() {
+  const tracesContainer = document.createElement('div')
+  tracesContainer.className = 'gram-frame-traces-persistent-container'
+
+  const tracesHeader = document.createElement('div')
+  tracesHeader.className = 'gram-frame-panel-header'
+
+  const tracesLabel = document.createElement('h4')
+  tracesLabel.textContent = 'Traces'
+  tracesHeader.appendChild(tracesLabel)
+  tracesContainer.appendChild(tracesHeader)
+
+  return tracesContainer
+}
+
+/**
+ * Create boxes container for box mode, with the markers panel's header
+ * @returns {HTMLDivElement} The boxes container
+ */
+function createBoxesContainer() {
+  const boxesContainer = document.createElement('div')
+  boxesContainer.className = 'gram-frame-boxes-persistent-container'
+
+  const boxesHeader = document.createElement('div')
+  boxesHeader.className = 'gram-frame-panel-header'
+
+  const boxesLabel = document.createElement('h4')
+  boxesLabel.textContent = 'Boxes'
+  boxesHeader.appendChild(boxesLabel)
+  boxesContainer.appendChild(boxesHeader)
+
+  return boxesContainer
+}
+
 /**
  * Create harmonics container for harmonics mode
  * @returns {HTMLDivElement} The harmonics container
@@ -196,24 +344,28 @@ function createHarmonicsContainer() {
 }
 
 /**
- * Update universal cursor readouts (time/freq LEDs) regardless of active mode
+ * Update universal cursor readouts (time/freq/intensity LEDs) regardless of active mode
  * @param {GramFrame} instance - GramFrame instance
  * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
  */
 export function updateUniversalCursorReadouts(instance, dataCoords) {
+  const state = instance.state
   if (instance.ui.timeLED) {
-    const timeValue = instance.ui.timeLED.querySelector('.gram-frame-led-value')
-    if (timeValue) {
-      timeValue.textContent = formatTime(dataCoords.time)
-    }
+    showTimeOnLED(instance.ui.timeLED, dataCoords.time, state)
   }
   
   if (instance.ui.freqLED) {
-    const freqValue = instance.ui.freqLED.querySelector('.gram-frame-led-value')
-    if (freqValue) {
-      freqValue.textContent = dataCoords.freq.toFixed(2)
+    setLEDValue(instance.ui.freqLED, formatFrequency(dataCoords.freq, state.config))
+  }
+
+  if (instance.ui.intensityLED) {
+    const intensityValue = instance.ui.intensityLED.querySelector('.gram-frame-led-value')
+    if (intensityValue) {
+      intensityValue.textContent = formatIntensity(readIntensity(instance, dataCoords))
     }
   }
+
+  updateRateLED(instance)
 }
 
 /**
@@ -230,4 +382,35 @@ export function updatePersistentPanels(instance) {
   Object.values(instance.modes)
     .filter(isPanelOwner)
     .forEach(mode => mode.refreshPanel())
-}
\ No newline at end of file
+}
+
+/**
+ * Show a time on the Time LED, labelled with the format it is shown in. The
+ * time is kept on the LED so a switch of format can show it again.
+ * @param {HTMLElement} led - The Time LED
+ * @param {number} seconds - Time on the gram, in seconds
+ * @param {GramFrameState} state - Gram state, which says how times are shown
+ */
+function showTimeOnLED(led, seconds, state) {
+  led.dataset.seconds = String(seconds)
+  setLEDLabel(led, `Time (${timeFormatLabel(state)})`)
+  setLEDValue(led, formatGramTime(seconds, state))
+}
+
+/**
+ * Switch times on the gram between clock and elapsed time, and redraw
+ * everything that shows one. Bound to the Time LED only for a gram with a
+ * `time-origin`, the one kind that has a clock time to show.
+ * @param {GramFrame} instance - GramFrame instance
+ */
+function toggleTimeDisplay(instance) {
+  const state = instance.state
+  state.timeDisplay = state.timeDisplay === 'clock' ? 'elapsed' : 'clock'
+  if (instance.ui.timeLED) {
+    showTimeOnLED(instance.ui.timeLED, Number(instance.ui.timeLED.dataset.seconds) || 0, state)
+  }
+  renderAxes(instance)
+  updateDopplerLEDs(instance)
+  updatePersistentPanels(instance)
+  dispatch(instance)
+}
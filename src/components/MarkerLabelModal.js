@@ -1,10 +1,10 @@
 /**
- * The marker-label dialog (feature 231).
+ * The marker-label dialog (feature 231), and the row controls that open it.
  *
  * Opened from the Label button in a markers-table row, it lets an analyst enter
  * or edit the free text shown next to that marker on the gram. Clearing the
  * field and saving removes the label, so one dialog covers add, edit and
- * remove.
+ * remove. The boxes table opens the same dialog for a box's label.
  *
  * Built with `createElement` rather than `innerHTML`: the current label is user
  * text being put back into the DOM, and `textContent`/`value` assignment keeps
@@ -13,21 +13,100 @@
 
 /// <reference path="../types.js" />
 
-import { MAX_MARKER_LABEL_LENGTH, normalizeMarkerLabel } from '../utils/markerLabel.js'
+import { MAX_MARKER_LABEL_LENGTH, normalizeMarkerLabel, formatMarkerLabelForTable } from '../utils/markerLabel.js'
+
+/** SVG namespace, for the label button's icon */
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+
+/**
+ * Build a table row's label button (feature 231) — a luggage-tag icon that
+ * opens the label dialog for that row's marker or box.
+ *
+ * Drawn as inline SVG rather than a glyph or an image so it stays crisp, needs
+ * no font or network asset, and inherits the button's colour.
+ *
+ * @param {{label?: string}} feature - The row's marker or box, for the button's title
+ * @returns {HTMLButtonElement} The label button
+ */
+function createMarkerLabelButton(feature) {
+  const button = document.createElement('button')
+  button.className = 'gram-frame-marker-label-btn'
+  button.title = feature.label ? `Edit label: ${feature.label}` : 'Add label'
+  button.setAttribute('aria-label', button.title)
+
+  const icon = document.createElementNS(SVG_NS, 'svg')
+  icon.setAttribute('viewBox', '0 0 16 16')
+  icon.setAttribute('width', '13')
+  icon.setAttribute('height', '13')
+  icon.setAttribute('aria-hidden', 'true')
+
+  // Tag outline: a pentagon-ish body pointing down-left.
+  const body = document.createElementNS(SVG_NS, 'path')
+  body.setAttribute('d', 'M8.5 1H15v6.5L7.5 15 1 8.5 8.5 1z')
+  body.setAttribute('fill', 'none')
+  body.setAttribute('stroke', 'currentColor')
+  body.setAttribute('stroke-width', '1.6')
+  body.setAttribute('stroke-linejoin', 'round')
+
+  // The tag's eyelet.
+  const hole = document.createElementNS(SVG_NS, 'circle')
+  hole.setAttribute('cx', '11.5')
+  hole.setAttribute('cy', '4.5')
+  hole.setAttribute('r', '1.2')
+  hole.setAttribute('fill', 'currentColor')
+
+  icon.appendChild(body)
+  icon.appendChild(hole)
+  button.appendChild(icon)
+  return button
+}
+
+/**
+ * Build the Label cell's content: the abbreviated label text, with the label
+ * button floated into the cell's top-right corner.
+ *
+ * The button used to sit above the delete button in the actions cell, which
+ * made every marker row tall enough for two stacked controls (53px against the
+ * harmonics table's 45px). Absolutely positioned here it contributes no height
+ * at all, and it sits beside the thing it edits.
+ *
+ * Style the cell with `gram-frame-marker-label-cell`, which positions the
+ * button.
+ *
+ * @param {{label?: string}} feature - The row's marker or box
+ * @returns {HTMLDivElement} Container holding the label text and its button
+ */
+export function createMarkerLabelCell(feature) {
+  const content = document.createElement('div')
+  content.className = 'gram-frame-marker-label-content'
+
+  // The text is its own element so it can be clipped independently of the
+  // button — `getMarkerLabelCell` in the test helpers still reads the cell's
+  // textContent, which the icon-only button leaves untouched.
+  const text = document.createElement('span')
+  text.className = 'gram-frame-marker-label-text'
+  text.textContent = formatMarkerLabelForTable(feature.label)
+
+  content.appendChild(text)
+  content.appendChild(createMarkerLabelButton(feature))
+  return content
+}
 
 /**
- * Show the label dialog for one marker.
+ * Show the label dialog for one marker or box.
  *
  * The dialog is modal-by-convention (a full-screen overlay), self-closing, and
  * removes itself on save, cancel, Escape, or a click on the backdrop. `onSave`
  * fires only on save, with the normalised label — `undefined` when the analyst
  * cleared the field.
  *
- * @param {string|undefined} currentLabel - The marker's existing label, if any
+ * @param {string|undefined} currentLabel - The existing label, if any
  * @param {function(string|undefined): void} onSave - Called with the new label on save
+ * @param {'Marker'|'Box'} [subject] - What is being labelled, for the heading and placeholder
  * @returns {HTMLDivElement} The overlay element, for callers that need to dismiss it
  */
-export function showMarkerLabelModal(currentLabel, onSave) {
+export function showMarkerLabelModal(currentLabel, onSave, subject = 'Marker') {
   const overlay = document.createElement('div')
   overlay.className = 'gram-frame-modal-overlay gram-frame-marker-label-modal'
 
@@ -37,7 +116,7 @@ export function showMarkerLabelModal(currentLabel, onSave) {
   const header = document.createElement('div')
   header.className = 'gram-frame-modal-header'
   const heading = document.createElement('h3')
-  heading.textContent = currentLabel ? 'Edit Marker Label' : 'Add Marker Label'
+  heading.textContent = currentLabel ? `Edit ${subject} Label` : `Add ${subject} Label`
   header.appendChild(heading)
 
   const body = document.createElement('div')
@@ -54,7 +133,7 @@ export function showMarkerLabelModal(currentLabel, onSave) {
   input.id = 'gram-frame-marker-label-input'
   input.className = 'gram-frame-marker-label-input'
   input.maxLength = MAX_MARKER_LABEL_LENGTH
-  input.placeholder = 'Enter a label for this marker'
+  input.placeholder = `Enter a label for this ${subject.toLowerCase()}`
   input.value = currentLabel || ''
 
   const hint = document.createElement('div')
@@ -25,7 +25,7 @@ export function createModeSwitchingUI(modeCell, state, modeSwitchCallback, modes
   
   // Create mode buttons
   /** @type {ModeType[]} */
-  const modeTypes = ['pan', 'analysis', 'harmonics', 'doppler']
+  const modeTypes = ['pan', 'analysis', 'harmonics', 'doppler', 'ruler', 'trace', 'box']
   /** @type {Object<string, HTMLButtonElement>} */
   const modeButtons = {}
   /** @type {Object<string, HTMLButtonElement[]>} */
@@ -63,12 +63,14 @@ export function createModeSwitchingUI(modeCell, state, modeSwitchCallback, modes
       button.classList.add('active')
     }
     
-    // Set disabled state based on mode's isEnabled method
+    // Set disabled state based on mode's isEnabled method. A disabled mode is
+    // hidden along with its command buttons: the gram cannot use it at all.
     const modeInstanceForDisabled = modes[modeType]
     if (modeInstanceForDisabled && typeof modeInstanceForDisabled.isEnabled === 'function') {
       if (!modeInstanceForDisabled.isEnabled()) {
         button.disabled = true
         button.classList.add('disabled')
+        modeGroup.style.display = 'none'
       }
     }
     
@@ -171,6 +173,9 @@ export function updateModeButtonStates(modeButtons, modes) {
     if (modeInstance && typeof modeInstance.isEnabled === 'function' && button) {
       const isEnabled = modeInstance.isEnabled()
       button.disabled = !isEnabled
+      if (button.parentElement) {
+        button.parentElement.style.display = isEnabled ? '' : 'none'
+      }
       
       if (isEnabled) {
         button.classList.remove('disabled')
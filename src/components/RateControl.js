@@ -0,0 +1,98 @@
+/**
+ * Rate divisor control for GramFrame
+ *
+ * The Functional Spec's "input box for 'rate' divisor (e.g. shaft rate)": a
+ * number field in the readout panel, with a rate LED beside it showing the
+ * cursor's frequency as a multiple of the rate. Frequency readouts elsewhere
+ * (the markers table, the harmonics Ratio column) follow the same rate — see
+ * utils/rate.js for what the rate does and does not touch.
+ */
+
+/// <reference path="../types.js" />
+
+import { createLEDDisplay } from './LEDDisplay.js'
+import { dispatch } from '../core/state.js'
+import { isRateSet, parseRate, formatRateMultiple } from '../utils/rate.js'
+import { formatFrequency } from '../utils/units.js'
+
+/**
+ * Create the rate row: the input and the rate LED side by side.
+ *
+ * The caller owns what a rate change refreshes beyond the LED (the persistent
+ * panels), passed as `onRateChange`, so this module need not import the layout
+ * module that imports it.
+ * @param {GramFrame} instance - GramFrame instance
+ * @param {function(): void} onRateChange - Called after a valid rate is applied
+ * @returns {{rateRow: HTMLDivElement, rateLED: HTMLDivElement}} The row and its LED
+ */
+export function createRateControl(instance, onRateChange) {
+  const state = instance.state
+
+  const rateRow = document.createElement('div')
+  rateRow.className = 'gram-frame-rate-row'
+
+  const field = document.createElement('label')
+  field.className = 'gram-frame-led gram-frame-rate-field'
+
+  const caption = document.createElement('span')
+  caption.className = 'gram-frame-led-label'
+  caption.textContent = 'Rate (Hz)'
+
+  const input = document.createElement('input')
+  input.type = 'number'
+  input.min = '0'
+  input.step = 'any'
+  input.className = 'gram-frame-rate-input'
+  input.placeholder = 'none'
+  input.title = 'Rate divisor, e.g. shaft rate. Leave blank for none.'
+  input.setAttribute('aria-label', 'Rate divisor in Hz')
+  input.value = isRateSet(state.rate) ? String(state.rate) : ''
+
+  field.appendChild(caption)
+  field.appendChild(input)
+
+  const rateLED = /** @type {HTMLDivElement} */ (createLEDDisplay('× Rate', '—'))
+
+  rateRow.appendChild(field)
+  rateRow.appendChild(rateLED)
+
+  input.addEventListener('change', () => {
+    const parsed = parseRate(input.value)
+    if (parsed === null) {
+      // Refuse rather than guess: put back the rate still in force.
+      input.classList.add('gram-frame-rate-invalid')
+      input.value = isRateSet(state.rate) ? String(state.rate) : ''
+      return
+    }
+    input.classList.remove('gram-frame-rate-invalid')
+    const { rate } = parsed
+    state.rate = rate
+    input.value = isRateSet(rate) ? String(rate) : ''
+    onRateChange()
+    dispatch(instance)
+  })
+
+  return { rateRow, rateLED }
+}
+
+/**
+ * Table cell content for a frequency: the value in the gram's units, with its
+ * multiple of the rate on a second line when a rate is set.
+ * @param {number} freq - Frequency in Hz
+ * @param {number|null} rate - Rate from state
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {string|HTMLDivElement} Plain text, or a two-line cell when a rate is set
+ */
+export function createFrequencyCellContent(freq, rate, format) {
+  const multiple = formatRateMultiple(freq, rate)
+  if (multiple === null) {
+    return formatFrequency(freq, format)
+  }
+  const content = document.createElement('div')
+  content.textContent = formatFrequency(freq, format)
+  const multipleDiv = document.createElement('div')
+  multipleDiv.className = 'gram-frame-rate-multiple'
+  multipleDiv.textContent = multiple
+  content.appendChild(multipleDiv)
+  return content
+}
@@ -0,0 +1,240 @@
+/**
+ * Slice profiles below the spectrogram.
+ *
+ * A collapsible panel under the gram plotting the image's intensity along the
+ * cursor's row — the spectrum at that time — and down its column — the
+ * history at that frequency. Both plots are as wide as the gram's SVG. The one
+ * whose quantity runs across the gram — the spectrum, unless the gram is
+ * rotated to run time across — is placed through `utils/coordinates.js`
+ * exactly as the gram's own features are, so each peak sits under the feature
+ * it comes from and follows zoom and pan. The other runs across the visible
+ * range, lowest at the left.
+ *
+ * Both plots follow the cursor and hold their last slice when it leaves the
+ * gram. Holding Shift while moving freezes them, so the pointer can be brought
+ * down to the panel without dragging the row with it. Clicking the spectrum
+ * places an Analysis marker on the nearest peak; Shift places it exactly.
+ */
+
+/// <reference path="../types.js" />
+
+import { readIntensityProfile, readIntensityColumn } from './spectrogramImage.js'
+import { fractionToFreq, screenToSVG } from '../utils/coordinates.js'
+import { slicePolyline, sliceLayout, spectrumClickPosition } from '../utils/slicePlot.js'
+import { getUniformTolerance } from '../utils/tolerance.js'
+import { formatGramTime } from '../utils/timeFormatter.js'
+import { formatFrequency, frequencyUnit } from '../utils/units.js'
+import { isMarkerHost } from '../modes/capabilities.js'
+
+/** @typedef {import('../utils/coordinates.js').Viewport} Viewport */
+/** @typedef {import('../utils/slicePlot.js').PlotLayout} PlotLayout */
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/**
+ * Height of each plot in pixels.
+ * @type {number}
+ */
+const PLOT_HEIGHT = 60
+
+/**
+ * Gap kept above full brightness and below black, so the line never runs
+ * along the plot's border.
+ * @type {number}
+ */
+const PLOT_PAD = 4
+
+/**
+ * One slice plot: its caption, SVG, line and the cursor's marker.
+ * @typedef {Object} SlicePlot
+ * @property {HTMLDivElement} caption - Says where the slice was taken
+ * @property {SVGSVGElement} svg - The plot
+ * @property {SVGPolylineElement} line - The slice
+ * @property {SVGLineElement} cursor - Where the cursor is along the slice
+ */
+
+/**
+ * Build one plot and append it, with its caption, to the panel body.
+ * @param {HTMLDivElement} body - Panel body
+ * @param {string} className - Class of the plot's SVG
+ * @returns {SlicePlot} The plot's parts
+ */
+function createPlot(body, className) {
+  const caption = document.createElement('div')
+  caption.className = 'gram-frame-slice-caption'
+  body.appendChild(caption)
+
+  const svg = /** @type {SVGSVGElement} */ (document.createElementNS(SVG_NS, 'svg'))
+  svg.setAttribute('class', `gram-frame-slice-plot ${className}`)
+  svg.style.height = `${PLOT_HEIGHT}px`
+  const cursor = /** @type {SVGLineElement} */ (document.createElementNS(SVG_NS, 'line'))
+  cursor.setAttribute('class', 'gram-frame-slice-cursor')
+  cursor.setAttribute('y1', String(PLOT_PAD))
+  cursor.setAttribute('y2', String(PLOT_HEIGHT - PLOT_PAD))
+  svg.appendChild(cursor)
+  const line = /** @type {SVGPolylineElement} */ (document.createElementNS(SVG_NS, 'polyline'))
+  line.setAttribute('class', 'gram-frame-slice-line')
+  svg.appendChild(line)
+  body.appendChild(svg)
+
+  return { caption, svg, line, cursor }
+}
+
+/**
+ * Draw a slice into a plot, with the cursor's marker at a position along it.
+ * @param {SlicePlot} plot - The plot
+ * @param {string} points - The slice's polyline points
+ * @param {number} cursorX - Where the cursor is, in SVG units
+ * @param {PlotBounds} bounds - Drawing area
+ */
+function drawPlot(plot, points, cursorX, bounds) {
+  plot.line.setAttribute('points', points)
+  const showCursor = cursorX >= bounds.left && cursorX <= bounds.right
+  plot.cursor.style.display = showCursor ? '' : 'none'
+  plot.cursor.setAttribute('x1', String(cursorX))
+  plot.cursor.setAttribute('x2', String(cursorX))
+}
+
+/**
+ * Build the slice panel under the gram and return the state listener that
+ * keeps it drawn.
+ *
+ * Collapsed to its header to start with, and read nothing while collapsed.
+ * @param {GramFrame} instance - GramFrame instance
+ * @returns {StateListener} Redraws the plots from the state it is given
+ */
+export function createSliceProfile(instance) {
+  const panel = document.createElement('div')
+  panel.className = 'gram-frame-slice-panel'
+
+  const toggle = document.createElement('button')
+  toggle.type = 'button'
+  toggle.className = 'gram-frame-slice-toggle'
+  toggle.title = 'Show or hide the intensity along the cursor\'s row and column'
+  panel.appendChild(toggle)
+
+  const body = document.createElement('div')
+  body.className = 'gram-frame-slice-body'
+  panel.appendChild(body)
+  const spectrum = createPlot(body, 'gram-frame-slice-spectrum')
+  const history = createPlot(body, 'gram-frame-slice-history')
+  instance.ui.mainCell.appendChild(panel)
+
+  let open = false
+  let held = false
+  /** @type {DataCoordinates|null} */
+  let position = null
+  /** @type {GramFrameState|null} */
+  let latest = null
+
+  /**
+   * The viewport the gram is drawn with, as of the last state seen.
+   * @param {GramFrameState} state - State to read it from
+   * @returns {Viewport} The viewport
+   */
+  const viewportOf = (state) => {
+    const { margins, imageDetails, config, zoom } = state
+    return { margins, imageDetails, config, zoom }
+  }
+
+  /**
+   * Lay the plots out for the gram as drawn.
+   * @param {GramFrameState} state - Current state
+   * @returns {PlotLayout} The layout
+   */
+  const layoutOf = (state) => sliceLayout(viewportOf(state), instance.ui.spectrogramImage, PLOT_PAD, PLOT_HEIGHT - PLOT_PAD)
+
+  /**
+   * Redraw both plots at the slice position.
+   * @param {GramFrameState} state - Current state
+   */
+  const render = (state) => {
+    const { bounds, totalWidth, visible, freqX, timeX } = layoutOf(state)
+    for (const plot of [spectrum, history]) {
+      plot.svg.style.width = `${totalWidth}px`
+      plot.svg.setAttribute('viewBox', `0 0 ${totalWidth} ${PLOT_HEIGHT}`)
+    }
+
+    if (!position) {
+      spectrum.caption.textContent = 'Spectrum — move the cursor over the gram'
+      history.caption.textContent = 'History'
+      drawPlot(spectrum, '', -1, bounds)
+      drawPlot(history, '', -1, bounds)
+      return
+    }
+
+    const row = readIntensityProfile(instance, position.time)
+    const column = readIntensityColumn(instance, position.freq)
+    if (!row || !column) {
+      spectrum.caption.textContent = 'Spectrum — the browser will not let the gram\'s pixels be read'
+      history.caption.textContent = 'History'
+      drawPlot(spectrum, '', -1, bounds)
+      drawPlot(history, '', -1, bounds)
+      return
+    }
+
+    const time = position.time
+    const columnXs = row.values.map((_, x) => freqX(fractionToFreq((x + 0.5) / row.values.length, row)))
+    spectrum.caption.textContent = `Spectrum at ${formatGramTime(time, state)}`
+    drawPlot(spectrum, slicePolyline(columnXs, row.values, bounds), freqX(position.freq), bounds)
+
+    const secondsPerRow = (column.timeMax - column.timeMin) / Math.max(1, column.values.length - 1)
+    const rowXs = column.values.map((_, y) => timeX(column.timeMin + y * secondsPerRow))
+    history.caption.textContent = `History at ${formatFrequency(position.freq, state.config)} ${frequencyUnit(state.config)}, ${formatGramTime(visible.timeMin, state)} to ${formatGramTime(visible.timeMax, state)}`
+    drawPlot(history, slicePolyline(rowXs, column.values, bounds), timeX(time), bounds)
+  }
+
+  /**
+   * Show the panel's open state on its toggle.
+   */
+  const updateToggle = () => {
+    toggle.textContent = open ? '▾ Slices' : '▸ Slices'
+    toggle.setAttribute('aria-expanded', String(open))
+    panel.classList.toggle('gram-frame-slice-open', open)
+  }
+  updateToggle()
+
+  toggle.addEventListener('click', (e) => {
+    e.preventDefault()
+    open = !open
+    updateToggle()
+    if (open && latest) {
+      render(latest)
+    }
+  })
+
+  // Captured, so Shift is known before the gram's own handler dispatches the move
+  instance.ui.svg.addEventListener('mousemove', (event) => {
+    held = event.shiftKey
+  }, true)
+
+  spectrum.svg.addEventListener('click', (event) => {
+    const host = Object.values(instance.modes).find(isMarkerHost)
+    if (!position || !latest || !host) {
+      return
+    }
+    const viewport = viewportOf(latest)
+    const image = instance.ui.spectrogramImage
+    const rect = spectrum.svg.getBoundingClientRect()
+    const svgPoint = screenToSVG(event.clientX - rect.left, event.clientY - rect.top, spectrum.svg)
+    const row = readIntensityProfile(instance, position.time)
+    /**
+     * How far either side of a frequency to look for a peak: the same window
+     * a marker dropped on the gram snaps within.
+     * @param {number} freq - Frequency in Hz
+     * @returns {number} Half-width in Hz
+     */
+    const snapWindow = (freq) => getUniformTolerance(viewport, image, freq).freq
+    host.createMarkerAtPosition(spectrumClickPosition(layoutOf(latest), svgPoint.x, position.time, row, event.shiftKey ? undefined : snapWindow))
+  })
+
+  return (state) => {
+    latest = state
+    if (state.cursorPosition && !held) {
+      position = { time: state.cursorPosition.time, freq: state.cursorPosition.freq }
+    }
+    if (open) {
+      render(state)
+    }
+  }
+}
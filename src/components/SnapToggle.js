@@ -0,0 +1,57 @@
+/**
+ * Snap-to-peak toggle for GramFrame markers.
+ *
+ * A checkbox in the style panel's Markers band (see ColorPicker.js). With it
+ * on, an analysis or doppler marker placed or dropped on the gram moves its
+ * frequency to the brightest pixel within the hit tolerance either side, so a
+ * click near a thin tonal lands on it even at low zoom. Holding Shift places a
+ * marker exactly where it is clicked for that one gesture.
+ *
+ * Unlike the pin toggle this is a placement preference, not a style: it never
+ * restyles the selected feature, and it is always enabled. It is off at the
+ * start of each browser session and remembered (sessionStorage) for the rest.
+ */
+
+/// <reference path="../types.js" />
+
+import { saveSnapPreference } from '../core/storage.js'
+import { showStorageWarning, clearStorageWarning } from './StorageWarning.js'
+
+/**
+ * Create the snap-to-peak toggle row.
+ * @param {GramFrame} instance - GramFrame instance
+ * @returns {HTMLLabelElement} The toggle row element
+ */
+export function createSnapToggle(instance) {
+  const state = instance.state
+
+  const row = document.createElement('label')
+  row.className = 'gram-frame-snap-toggle'
+  row.title = 'Snap placed and dropped markers to the brightest pixel nearby (hold Shift to place exactly)'
+
+  const checkbox = document.createElement('input')
+  checkbox.type = 'checkbox'
+  checkbox.className = 'gram-frame-snap-toggle-input'
+  checkbox.checked = !!state.snapToPeak
+  checkbox.setAttribute('aria-label', 'Snap markers to peaks')
+
+  const text = document.createElement('span')
+  text.className = 'gram-frame-snap-toggle-label'
+  text.textContent = 'Snap'
+
+  row.appendChild(checkbox)
+  row.appendChild(text)
+
+  checkbox.addEventListener('change', () => {
+    state.snapToPeak = checkbox.checked
+    // The choice applies immediately either way; the warning only says it
+    // will not survive the next page load (GF-16).
+    if (saveSnapPreference(checkbox.checked)) {
+      clearStorageWarning(instance)
+    } else {
+      showStorageWarning(instance, 'The snap preference could not be saved — it applies to this page only.')
+    }
+  })
+
+  return row
+}
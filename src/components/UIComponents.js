@@ -2,7 +2,8 @@
  * UI Components for GramFrame
  * 
  * This module provides functions for creating and managing UI elements
- * including LED displays, mode switching buttons, and rate input controls.
+ * including LED displays and mode switching buttons. The rate input lives in
+ * RateControl.js.
  */
 
 /// <reference path="../types.js" />
@@ -14,8 +15,6 @@ import { createLEDDisplay, updateLEDDisplays } from './LEDDisplay.js'
 // module rather than reaching into the individual component modules.
 export { createLEDDisplay, updateLEDDisplays, createColorPicker }
 
-// Rate input UI component removed - backend rate functionality preserved
-
 /**
  * Creates a flex layout container with standard styling
  * @param {string} className - CSS class name for the container
@@ -13,10 +13,45 @@ import { dispatch } from '../core/state.js'
 import { renderAxes } from '../rendering/axes.js'
 import { createExpandToggle } from './ExpandToggle.js'
 import { updateSVGLayout } from './svgLayout.js'
+import { isPanelOwner } from '../modes/capabilities.js'
+import { buildLookupTable } from '../utils/palettes.js'
+import { isTimeHorizontal } from '../utils/coordinates.js'
+import { imagePixelAt, luminance } from '../utils/imagePixels.js'
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink'
 
 // Maximum image width in pixels - images wider than this will be scaled down
 const MAX_IMAGE_WIDTH = 1200
 
+/**
+ * How many image pixels either side of the requested line an intensity profile
+ * averages over, to steady it against speckle.
+ * @type {number}
+ */
+const PROFILE_HALF_BAND = 2
+
+/**
+ * Each instance's loaded image, kept so its pixels can be read back later.
+ * Module-level rather than a field, as the harmonic panel's tables are.
+ * @type {WeakMap<GramFrame, HTMLImageElement>}
+ */
+const loadedImages = new WeakMap()
+
+/**
+ * Each instance's readable copy of its image, drawn at the scaled size on
+ * first read; null once the copy has proved unreadable, so a tainted image is
+ * tried, and warned about, only once.
+ * @type {WeakMap<GramFrame, CanvasRenderingContext2D|null>}
+ */
+const pixelCopies = new WeakMap()
+
+/**
+ * Each instance's chosen palette, with whoever chose it waiting to hear
+ * whether it could be shown. Kept until the image loads if chosen before.
+ * @type {WeakMap<GramFrame, {name: PaletteName, onShown: function(boolean): void}>}
+ */
+const palettes = new WeakMap()
+
 /**
  * Set up spectrogram image display within SVG container
  * @param {GramFrame} instance - GramFrame instance
@@ -28,10 +63,11 @@ export function setupSpectrogramImage(instance, imageUrl) {
   }
   
   // Set image source
-  instance.ui.spectrogramImage.setAttributeNS('http://www.w3.org/1999/xlink', 'href', imageUrl)
+  instance.ui.spectrogramImage.setAttributeNS(XLINK_NS, 'href', imageUrl)
   
   // Store URL in state
-  instance.state.imageDetails.url = imageUrl
+  const imageDetails = instance.state.imageDetails
+  imageDetails.url = imageUrl
   
   // Load image to get natural dimensions
   const tempImg = new Image()
@@ -53,7 +89,6 @@ export function setupSpectrogramImage(instance, imageUrl) {
     }
     
     // Store scaled dimensions as natural dimensions
-    const imageDetails = instance.state.imageDetails
     imageDetails.naturalWidth = imageWidth
     imageDetails.naturalHeight = imageHeight
 
@@ -62,6 +97,12 @@ export function setupSpectrogramImage(instance, imageUrl) {
     imageDetails.renderWidth = imageWidth
     imageDetails.renderHeight = imageHeight
 
+    loadedImages.set(instance, tempImg)
+    pixelCopies.delete(instance)
+    if (palettes.has(instance)) {
+      showPalette(instance)
+    }
+
     // Update SVG layout
     updateSVGLayout(instance)
 
@@ -72,6 +113,10 @@ export function setupSpectrogramImage(instance, imageUrl) {
     // landscape test) are known. No-op for portrait/square images.
     createExpandToggle(instance)
 
+    // Panels quoting pixel values (the markers table's intensity) were built
+    // before there were pixels to read
+    Object.values(instance.modes).filter(isPanelOwner).forEach(mode => mode.refreshPanel())
+
     // Notify listeners of updated dimensions
     dispatch(instance)
   }
@@ -84,3 +129,227 @@ export function setupSpectrogramImage(instance, imageUrl) {
   }
   tempImg.src = imageUrl
 }
+
+/**
+ * The readable copy of an instance's image, drawing it on first use.
+ *
+ * A canvas holding an image from another origin is tainted, and reading it
+ * back throws — which includes, in most browsers, an image opened straight
+ * from disk on a `file://` page. Images inlined as data URIs, as the
+ * standalone build does (ADR-013), stay readable.
+ * @param {GramFrame} instance - GramFrame instance
+ * @returns {CanvasRenderingContext2D|null} The copy, or null if no image is loaded or its pixels cannot be read
+ */
+function pixelCopy(instance) {
+  const cached = pixelCopies.get(instance)
+  if (cached !== undefined) {
+    return cached
+  }
+  const image = loadedImages.get(instance)
+  if (!image) {
+    return null
+  }
+
+  const width = Math.min(image.naturalWidth, MAX_IMAGE_WIDTH)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * width / image.naturalWidth))
+  let context = canvas.getContext('2d', { willReadFrequently: true })
+  if (context) {
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+    try {
+      context.getImageData(0, 0, 1, 1)
+    } catch (error) {
+      console.warn('GramFrame: Spectrogram pixels cannot be read (cross-origin or file:// image)', error)
+      context = null
+    }
+  }
+  pixelCopies.set(instance, context)
+  return context
+}
+
+/**
+ * The readable image copy with the axis ranges that map onto it — the one
+ * read of the gram's config the pixel readers share.
+ * @param {GramFrame} instance - GramFrame instance
+ * @returns {{context: CanvasRenderingContext2D, config: Config}|null} Copy and ranges, or null if the pixels cannot be read or the ranges are empty
+ */
+function readableCopy(instance) {
+  const context = pixelCopy(instance)
+  const { config } = instance.state
+  if (!context || !(config.timeMax > config.timeMin) || !(config.freqMax > config.freqMin)) {
+    return null
+  }
+  return { context, config }
+}
+
+/**
+ * The luminance along one row of the image copy, left to right, averaged over
+ * a few rows either side of it.
+ * @param {CanvasRenderingContext2D} context - The image copy
+ * @param {number} row - Row index
+ * @returns {number[]} One value per column
+ */
+function readRowBand(context, row) {
+  const { width, height } = context.canvas
+  const top = Math.max(0, row - PROFILE_HALF_BAND)
+  const rows = Math.min(height, row + PROFILE_HALF_BAND + 1) - top
+  const pixels = context.getImageData(0, top, width, rows).data
+
+  const values = new Array(width).fill(0)
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < width; x++) {
+      values[x] += luminance(pixels, (y * width + x) * 4) / rows
+    }
+  }
+  return values
+}
+
+/**
+ * The luminance down one column of the image copy, top to bottom, averaged
+ * over a few columns either side of it.
+ * @param {CanvasRenderingContext2D} context - The image copy
+ * @param {number} column - Column index
+ * @returns {number[]} One value per row
+ */
+function readColumnBand(context, column) {
+  const { width, height } = context.canvas
+  const left = Math.max(0, column - PROFILE_HALF_BAND)
+  const columns = Math.min(width, column + PROFILE_HALF_BAND + 1) - left
+  const pixels = context.getImageData(left, 0, columns, height).data
+
+  const values = new Array(height).fill(0)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < columns; x++) {
+      values[y] += luminance(pixels, (y * columns + x) * 4) / columns
+    }
+  }
+  return values
+}
+
+/**
+ * Read the spectrogram's intensity at one time, one value per image pixel
+ * along the frequency axis: the luminance of the image copy, averaged over a
+ * few pixels either side of the time to steady it against speckle.
+ * @param {GramFrame} instance - GramFrame instance
+ * @param {number} time - Time in seconds
+ * @returns {IntensityProfile|null} The profile, or null if no image is loaded or its pixels cannot be read
+ */
+export function readIntensityProfile(instance, time) {
+  const copy = readableCopy(instance)
+  if (!copy) {
+    return null
+  }
+
+  const { context, config } = copy
+  const pixel = imagePixelAt({ time, freq: config.freqMin }, config, context.canvas.width, context.canvas.height)
+  // Frequency runs up a rotated gram, so its rows come lowest last
+  const values = isTimeHorizontal(config)
+    ? readColumnBand(context, pixel.x).reverse()
+    : readRowBand(context, pixel.y)
+  return { values, freqMin: config.freqMin, freqMax: config.freqMax, freqScale: config.freqScale }
+}
+
+/**
+ * Read the spectrogram's intensity at one frequency, one value per image
+ * pixel along the time axis: the luminance of the image copy, averaged over a
+ * few pixels either side of the frequency as a profile is about its time.
+ * @param {GramFrame} instance - GramFrame instance
+ * @param {number} freq - Frequency in Hz
+ * @returns {TimeProfile|null} The profile, earliest first, or null if no image is loaded or its pixels cannot be read
+ */
+export function readIntensityColumn(instance, freq) {
+  const copy = readableCopy(instance)
+  if (!copy) {
+    return null
+  }
+
+  const { context, config } = copy
+  const pixel = imagePixelAt({ time: config.timeMin, freq }, config, context.canvas.width, context.canvas.height)
+  const values = isTimeHorizontal(config)
+    ? readRowBand(context, pixel.y)
+    : readColumnBand(context, pixel.x)
+  // Pixels run right and down, so time running up or left comes latest first
+  if (config.timeDirection !== 'down' && config.timeDirection !== 'right') {
+    values.reverse()
+  }
+  return { values, timeMin: config.timeMin, timeMax: config.timeMax }
+}
+
+/**
+ * Read the spectrogram's intensity at one point: the luminance of the image
+ * pixel showing it.
+ * @param {GramFrame} instance - GramFrame instance
+ * @param {DataCoordinates} point - Time and frequency
+ * @returns {number|null} Luminance from 0 to 1, or null if no image is loaded or its pixels cannot be read
+ */
+export function readIntensity(instance, point) {
+  const copy = readableCopy(instance)
+  if (!copy) {
+    return null
+  }
+
+  const { context, config } = copy
+  const pixel = imagePixelAt(point, config, context.canvas.width, context.canvas.height)
+  return luminance(context.getImageData(pixel.x, pixel.y, 1, 1).data, 0)
+}
+
+/**
+ * Show an instance's image through its chosen palette.
+ *
+ * Grey puts the image back as it came. Any other palette remaps a copy of it
+ * — each pixel's luminance looked up in the palette's table — and shows the
+ * copy instead; the readable copy itself is left alone, so every intensity
+ * read is still of the image as loaded.
+ * @param {GramFrame} instance - GramFrame instance
+ */
+function showPalette(instance) {
+  const image = loadedImages.get(instance)
+  const chosen = palettes.get(instance)
+  if (!image || !chosen) {
+    return
+  }
+  const element = instance.ui.spectrogramImage
+  if (chosen.name === 'grey') {
+    element.setAttributeNS(XLINK_NS, 'href', image.src)
+    chosen.onShown(true)
+    return
+  }
+
+  const context = pixelCopy(instance)
+  if (!context) {
+    chosen.onShown(false)
+    return
+  }
+  const { width, height } = context.canvas
+  const remapped = context.getImageData(0, 0, width, height)
+  const pixels = remapped.data
+  const table = buildLookupTable(chosen.name)
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    const entry = Math.round(luminance(pixels, offset) * 255) * 3
+    pixels[offset] = table[entry]
+    pixels[offset + 1] = table[entry + 1]
+    pixels[offset + 2] = table[entry + 2]
+  }
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d')?.putImageData(remapped, 0, 0)
+  element.setAttributeNS(XLINK_NS, 'href', canvas.toDataURL())
+  chosen.onShown(true)
+}
+
+/**
+ * Choose the palette an instance's image is shown through.
+ *
+ * Chosen before the image has loaded, it is shown once it has. A palette
+ * other than grey needs the image's pixels, so on an image the browser will
+ * not let be read the gram stays grey and `onShown` hears false.
+ * @param {GramFrame} instance - GramFrame instance
+ * @param {PaletteName} name - Palette
+ * @param {function(boolean): void} onShown - Told whether the palette could be shown, once there is an image to show it in
+ */
+export function setPalette(instance, name, onShown) {
+  palettes.set(instance, { name, onShown })
+  showPalette(instance)
+}
@@ -126,7 +126,7 @@ function createComponentStructure(instanceId) {
  * Replace the original config table with the new component structure
  * @param {GramFrame} instance - GramFrame instance, stamped onto the container
  * @param {HTMLDivElement} container - Component container standing in for the table
- * @param {HTMLTableElement} configTable - Original table to replace
+ * @param {HTMLElement} configTable - Original config element to replace
  */
 function replaceConfigTable(instance, container, configTable) {
   // Replace the table with our container
@@ -143,7 +143,7 @@ function replaceConfigTable(instance, container, configTable) {
 /**
  * Create minimal component table structure
  * @param {GramFrame} instance - GramFrame instance
- * @param {HTMLTableElement} configTable - Original table to replace
+ * @param {HTMLElement} configTable - Original config element to replace
  * @returns {TableElements} Object containing all created elements
  */
 export function setupComponentTable(instance, configTable) {
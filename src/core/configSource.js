@@ -0,0 +1,119 @@
+/**
+ * Where a gram's config is written
+ *
+ * Three kinds of element carry a gram's config: a two-column
+ * `<table class="gram-config">`, an `<img>` or `<figure>` with `data-gram-*`
+ * attributes, and an inline `<script type="application/json" class="gram-config">`.
+ * This module finds them on the page and reads each into the same image URL
+ * and parameter list, so `core/configuration.js` validates them alike and the
+ * rest of the component never needs to know which was used. The element is
+ * what the component replaces.
+ */
+
+/// <reference path="../types.js" />
+
+import { attributeConfigEntries, jsonConfigEntries } from '../utils/configEntries.js'
+
+/** @typedef {import('../utils/configEntries.js').ConfigEntry} ConfigEntry */
+
+/**
+ * A gram's config as read from its element.
+ * @typedef {Object} ConfigSource
+ * @property {string|null} imageUrl - Absolute URL of the spectrogram, empty
+ *   for an `<img>` with no `src`, or null if no image was given at all
+ * @property {ConfigEntry[]} entries - The parameters, in the order written
+ */
+
+/**
+ * The required parameters, any of which marks an `<img>` or `<figure>` as a
+ * gram. Looking for all four means one left out is reported as missing rather
+ * than the gram passed over as an ordinary image.
+ * @type {string[]}
+ */
+const REQUIRED_ATTRIBUTES = ['data-gram-time-start', 'data-gram-time-end', 'data-gram-freq-start', 'data-gram-freq-end']
+
+/**
+ * Selector matching every element that carries a gram's config
+ * @type {string}
+ */
+const CONFIG_SELECTOR = [
+  'table.gram-config',
+  'script.gram-config[type="application/json"]',
+  ...['img', 'figure'].flatMap(tag => REQUIRED_ATTRIBUTES.map(attribute => `${tag}[${attribute}]`))
+].join(', ')
+
+/**
+ * The elements within a container that carry a gram's config, in document
+ * order. One inside another — an `<img>` with its own `data-gram-*`
+ * attributes in a `<figure>` that has them too — is the outer one's image,
+ * not a gram of its own. The component takes its element's place, so an
+ * inline JSON script in `<head>` has nowhere on the page to show a gram; it
+ * is passed over with a warning.
+ * @param {Document|HTMLElement} container - Container to search within
+ * @returns {HTMLElement[]} The config elements
+ */
+export function findConfigElements(container) {
+  return Array.from(container.querySelectorAll(CONFIG_SELECTOR))
+    .filter(element => !element.parentElement?.closest(CONFIG_SELECTOR))
+    .filter(element => {
+      if (element.closest('head')) {
+        console.warn('GramFrame: Ignoring gram config in <head>; put it in <body> where the gram should appear')
+        return false
+      }
+      return true
+    })
+    .map(element => /** @type {HTMLElement} */ (element))
+}
+
+/**
+ * The `src` of an image, as the browser resolved it
+ * @param {HTMLImageElement|null} img - The image, if there is one
+ * @returns {string|null} Its URL, empty if it has no `src`, or null with no image
+ */
+function imageUrlOf(img) {
+  return img ? img.src : null
+}
+
+/**
+ * The rows of a config table: those with two cells, the parameter then its
+ * value. The image's row, with its one spanning cell, is passed over.
+ * @param {HTMLTableElement} table - The config table
+ * @returns {ConfigEntry[]} One entry per parameter row
+ */
+function tableConfigEntries(table) {
+  /** @type {ConfigEntry[]} */
+  const entries = []
+  table.querySelectorAll('tr').forEach((row, index) => {
+    const cells = row.querySelectorAll('td')
+    if (cells.length === 2) {
+      entries.push({
+        param: cells[0].textContent?.trim() || '',
+        value: cells[1].textContent?.trim() || '',
+        where: `row ${index + 1}`
+      })
+    }
+  })
+  return entries
+}
+
+/**
+ * Read a gram's config from its element.
+ *
+ * An inline JSON script names its image by URL, resolved against the page as
+ * an `<img>`'s `src` would be. A `<figure>`'s image is the first `<img>`
+ * inside it; its parameters are the figure's own attributes.
+ * @param {HTMLElement} element - A config element, as found by {@link findConfigElements}
+ * @returns {ConfigSource} The image and parameters
+ * @throws {Error} If an inline script's JSON cannot be read
+ */
+export function readConfigSource(element) {
+  if (element instanceof HTMLScriptElement) {
+    const { image, entries } = jsonConfigEntries(element.textContent || '')
+    return { imageUrl: image ? new URL(image, document.baseURI).href : image, entries }
+  }
+  if (element instanceof HTMLTableElement) {
+    return { imageUrl: imageUrlOf(element.querySelector('img')), entries: tableConfigEntries(element) }
+  }
+  const img = element instanceof HTMLImageElement ? element : element.querySelector('img')
+  return { imageUrl: imageUrlOf(img), entries: attributeConfigEntries(element.attributes) }
+}
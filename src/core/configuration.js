@@ -4,38 +4,62 @@
 
 /// <reference path="../types.js" />
 
+import { isValidSoundSpeed, DEFAULT_SOUND_SPEED } from '../utils/doppler.js'
+import { isSpeedUnit, SPEED_UNITS, FREQ_UNITS } from '../utils/units.js'
+import { isPaletteName, PALETTE_NAMES } from '../utils/palettes.js'
+import { parseTimeOrigin, isTimeUnit, TIME_UNITS } from '../utils/timeFormatter.js'
+import { isTimeDirection, TIME_DIRECTIONS } from '../utils/coordinates.js'
+import { readConfigSource } from './configSource.js'
+
 // Display utilities removed - no rendering
 
 /**
- * Extract configuration data from HTML table and set up image loading
+ * Most decimal places a `freq-precision` or `time-precision` row may ask for
+ * @type {number}
+ */
+const MAX_PRECISION = 6
+
+/**
+ * Whether a precision row's value is a usable number of decimal places
+ * @param {number} places - Value from the row
+ * @returns {boolean} True for a whole number from 0 to {@link MAX_PRECISION}
+ */
+function isValidPrecision(places) {
+  return Number.isInteger(places) && places >= 0 && places <= MAX_PRECISION
+}
+
+/**
+ * Extract configuration data from the config element and set up image loading.
+ * A table, `data-gram-*` attributes and inline JSON are read alike by
+ * `core/configSource.js` and validated here the same way.
  * @param {GramFrame} instance - GramFrame instance
  */
 export function extractConfigData(instance) {
   if (!instance.configTable) {
-    console.warn('GramFrame: No config table provided for configuration extraction')
+    console.warn('GramFrame: No config element provided for configuration extraction')
     return
   }
+  const { imageDetails, config } = instance.state
+  // Malformed inline JSON says nothing at all, so it stops the gram here
+  const { imageUrl, entries } = readConfigSource(instance.configTable)
   
   try {
-    // Get image URL from the first row
-    const imgElement = instance.configTable.querySelector('img')
-    if (!imgElement) {
-      throw new Error('No image element found in config table')
+    if (imageUrl === null) {
+      throw new Error('No image found in the gram config')
     }
     
-    if (!imgElement.src) {
+    if (!imageUrl) {
       throw new Error('Image element has no src attribute')
     }
     
     // Image loading removed - storing URL only for reference
-    instance.state.imageDetails.url = imgElement.src
+    imageDetails.url = imageUrl
   } catch (error) {
     console.error('GramFrame: Error setting up image:', error instanceof Error ? error.message : String(error))
   }
   
-  // Extract min/max values from the table rows with error handling
+  // Extract min/max values from the config entries with error handling
   try {
-    const rows = instance.configTable.querySelectorAll('tr')
     /** @type {number | null} */
     let timeStart = null
     /** @type {number | null} */
@@ -44,33 +68,91 @@ export function extractConfigData(instance) {
     let freqStart = null
     /** @type {number | null} */
     let freqEnd = null
+    /** @type {number | null} */
+    let soundSpeed = null
+    /** @type {string | null} */
+    let speedUnits = null
+    /** @type {string | null} */
+    let freqScale = null
+    /** @type {string | null} */
+    let timeAxis = null
+    /** @type {string | null} */
+    let timeDirection = null
+    /** @type {string | null} */
+    let palette = null
+    /** @type {string | null} */
+    let timeOrigin = null
+    /** @type {string | null} */
+    let freqUnits = null
+    /** @type {string | null} */
+    let timeUnits = null
+    /** @type {number | null} */
+    let freqPrecision = null
+    /** @type {number | null} */
+    let timePrecision = null
     
-    rows.forEach((row, index) => {
+    entries.forEach(({ param, value, where }) => {
       try {
-        const cells = row.querySelectorAll('td')
-        if (cells.length === 2) {
-          const param = cells[0].textContent?.trim() || ''
-          const valueText = cells[1].textContent?.trim() || '0'
-          
-          const value = parseFloat(valueText)
-          
-          if (isNaN(value)) {
-            console.warn(`GramFrame: Invalid numeric value in row ${index + 1}: value="${valueText}"`)
-            return
-          }
-          
-          if (param === 'time-start') {
-            timeStart = value
-          } else if (param === 'time-end') {
-            timeEnd = value
-          } else if (param === 'freq-start') {
-            freqStart = value
-          } else if (param === 'freq-end') {
-            freqEnd = value
-          }
+        const valueText = value || '0'
+
+        // The parameters whose values are words rather than numbers
+        if (param === 'speed-units') {
+          speedUnits = valueText.toLowerCase()
+          return
+        }
+        if (param === 'freq-scale') {
+          freqScale = valueText.toLowerCase()
+          return
+        }
+        if (param === 'time-axis') {
+          timeAxis = valueText.toLowerCase()
+          return
+        }
+        if (param === 'time-direction') {
+          timeDirection = valueText.toLowerCase()
+          return
+        }
+        if (param === 'palette') {
+          palette = valueText.toLowerCase()
+          return
+        }
+        if (param === 'time-origin') {
+          timeOrigin = valueText
+          return
+        }
+        if (param === 'freq-units') {
+          freqUnits = valueText.toLowerCase()
+          return
+        }
+        if (param === 'time-units') {
+          timeUnits = valueText.toLowerCase()
+          return
+        }
+        
+        const number = parseFloat(valueText)
+        
+        if (isNaN(number)) {
+          console.warn(`GramFrame: Invalid numeric value in ${where}: value="${valueText}"`)
+          return
+        }
+        
+        if (param === 'time-start') {
+          timeStart = number
+        } else if (param === 'time-end') {
+          timeEnd = number
+        } else if (param === 'freq-start') {
+          freqStart = number
+        } else if (param === 'freq-end') {
+          freqEnd = number
+        } else if (param === 'sound-speed') {
+          soundSpeed = number
+        } else if (param === 'freq-precision') {
+          freqPrecision = number
+        } else if (param === 'time-precision') {
+          timePrecision = number
         }
       } catch (error) {
-        console.warn(`GramFrame: Error parsing row ${index + 1}:`, error instanceof Error ? error.message : String(error))
+        console.warn(`GramFrame: Error parsing ${where}:`, error instanceof Error ? error.message : String(error))
       }
     })
     
@@ -83,8 +165,8 @@ export function extractConfigData(instance) {
       throw new Error(`Invalid time range: start (${timeStart}) must be less than end (${timeEnd})`)
     }
     
-    instance.state.config.timeMin = timeStart
-    instance.state.config.timeMax = timeEnd
+    config.timeMin = timeStart
+    config.timeMax = timeEnd
     
     // Set frequency configuration - require both start and end
     if (freqStart === null || freqEnd === null) {
@@ -95,8 +177,118 @@ export function extractConfigData(instance) {
       throw new Error(`Invalid frequency range: start (${freqStart}) must be less than end (${freqEnd})`)
     }
     
-    instance.state.config.freqMin = freqStart
-    instance.state.config.freqMax = freqEnd
+    config.freqMin = freqStart
+    config.freqMax = freqEnd
+
+    // Speed of sound is optional: a gram without the row, or with a value no
+    // water has, falls back to the default rather than failing to load.
+    if (soundSpeed !== null) {
+      if (isValidSoundSpeed(soundSpeed)) {
+        config.soundSpeed = soundSpeed
+      } else {
+        console.warn(`GramFrame: Ignoring implausible sound-speed ${soundSpeed} m/s; using ${DEFAULT_SOUND_SPEED} m/s`)
+      }
+    }
+
+    // Speed units are optional too, and likewise never stop a gram loading
+    if (speedUnits !== null) {
+      if (isSpeedUnit(speedUnits)) {
+        config.speedUnits = speedUnits
+      } else {
+        console.warn(`GramFrame: Ignoring unknown speed-units "${speedUnits}"; expected one of ${SPEED_UNITS.join(', ')}`)
+      }
+    }
+
+    // The frequency scale too. A log axis cannot reach down to zero, so a
+    // gram that starts there is drawn linear rather than not at all.
+    if (freqScale !== null) {
+      if (freqScale === 'log' && freqStart > 0) {
+        config.freqScale = 'log'
+      } else if (freqScale === 'log') {
+        console.warn(`GramFrame: Ignoring freq-scale "log" for a gram starting at ${freqStart} Hz; a log axis must start above zero`)
+      } else if (freqScale !== 'linear') {
+        console.warn(`GramFrame: Ignoring unknown freq-scale "${freqScale}"; expected linear or log`)
+      }
+    }
+
+    // And the way time runs. Either row alone says enough: `horizontal` runs
+    // time rightward, and `down` keeps it vertical. A direction that does not
+    // lie along the named axis gives way to that axis's usual one.
+    if (timeAxis !== null && timeAxis !== 'vertical' && timeAxis !== 'horizontal') {
+      console.warn(`GramFrame: Ignoring unknown time-axis "${timeAxis}"; expected vertical or horizontal`)
+      timeAxis = null
+    }
+    if (timeDirection !== null && !isTimeDirection(timeDirection)) {
+      console.warn(`GramFrame: Ignoring unknown time-direction "${timeDirection}"; expected one of ${TIME_DIRECTIONS.join(', ')}`)
+      timeDirection = null
+    }
+    if (timeAxis !== null || timeDirection !== null) {
+      const horizontal = timeAxis === null
+        ? timeDirection === 'right' || timeDirection === 'left'
+        : timeAxis === 'horizontal'
+      /** @type {TimeDirection[]} */
+      const along = horizontal ? ['right', 'left'] : ['up', 'down']
+      if (isTimeDirection(timeDirection) && along.includes(timeDirection)) {
+        config.timeDirection = timeDirection
+      } else {
+        if (timeDirection !== null) {
+          console.warn(`GramFrame: Ignoring time-direction "${timeDirection}" on a ${timeAxis} time axis; using ${along[0]}`)
+        }
+        config.timeDirection = along[0]
+      }
+    }
+
+    // So is the palette: an unknown one shows the gram in grey
+    if (palette !== null) {
+      if (isPaletteName(palette)) {
+        config.palette = palette
+      } else {
+        console.warn(`GramFrame: Ignoring unknown palette "${palette}"; expected one of ${PALETTE_NAMES.join(', ')}`)
+      }
+    }
+
+    // And the time origin: without one the gram shows elapsed time
+    if (timeOrigin !== null) {
+      const origin = parseTimeOrigin(timeOrigin)
+      if (origin !== null) {
+        config.timeOrigin = origin
+      } else {
+        console.warn(`GramFrame: Ignoring time-origin "${timeOrigin}"; expected a time of day such as 14:30:00 or 2024-03-01T14:30:00Z`)
+      }
+    }
+
+    // Readout units and places likewise fall back to the defaults: Hz, mm:ss,
+    // and each unit's usual places
+    if (freqUnits !== null) {
+      // Written `kHz` by convention, but read whatever the case
+      const unit = FREQ_UNITS.find(candidate => candidate.toLowerCase() === freqUnits)
+      if (unit) {
+        config.freqUnits = unit
+      } else {
+        console.warn(`GramFrame: Ignoring unknown freq-units "${freqUnits}"; expected one of ${FREQ_UNITS.join(', ')}`)
+      }
+    }
+    if (timeUnits !== null) {
+      if (isTimeUnit(timeUnits)) {
+        config.timeUnits = timeUnits
+      } else {
+        console.warn(`GramFrame: Ignoring unknown time-units "${timeUnits}"; expected one of ${TIME_UNITS.join(', ')}`)
+      }
+    }
+    if (freqPrecision !== null) {
+      if (isValidPrecision(freqPrecision)) {
+        config.freqPrecision = freqPrecision
+      } else {
+        console.warn(`GramFrame: Ignoring freq-precision ${freqPrecision}; expected a whole number of places from 0 to ${MAX_PRECISION}`)
+      }
+    }
+    if (timePrecision !== null) {
+      if (isValidPrecision(timePrecision)) {
+        config.timePrecision = timePrecision
+      } else {
+        console.warn(`GramFrame: Ignoring time-precision ${timePrecision}; expected a whole number of places from 0 to ${MAX_PRECISION}`)
+      }
+    }
     
   } catch (error) {
     // Re-throw the error so createGramFrameAPI can handle it and show error to user
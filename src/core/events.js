@@ -207,8 +207,6 @@ export function setupEventListeners(instance) {
     }
   })
 
-  // Rate input UI events removed - backend rate functionality preserved
-
   // Window resize event
   listen(window, 'resize', instance.viewport._boundHandleResize)
 
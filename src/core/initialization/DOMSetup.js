@@ -19,11 +19,11 @@ import { setupComponentTable } from '../../components/table.js'
 /**
  * Extract the config data and build the component's DOM and SVG structure.
  * @param {GramFrame} instance - GramFrame instance
- * @param {HTMLTableElement} configTable - Configuration table to read and replace
+ * @param {HTMLElement} configTable - Config element to read and replace
  * @returns {TableElements} The elements just created
  */
 export function setupSpectrogramComponents(instance, configTable) {
-  // Extract config data from table BEFORE replacing it
+  // Extract config data from the config element BEFORE replacing it
   extractConfigData(instance)
 
   // Create complete component table structure including DOM and SVG
@@ -9,6 +9,7 @@
 /// <reference path="../../types.js" />
 
 import { setupEventListeners, setupResizeObserver } from '../events.js'
+import { createSliceProfile } from '../../components/SliceProfile.js'
 import { initializeKeyboardControl, setSelection, clearSelection, updateSelectionVisuals, removeHarmonicSet, applyColorToSelectedFeature, applySymbolToSelectedFeature, applyPinToSelectedFeature, applyLargeSymbolsToSelectedFeature } from '../keyboardControl.js'
 
 /**
@@ -46,9 +47,13 @@ export function setupAllEventListeners(instance) {
  *
  * Nothing to copy: global listeners are unioned in at delivery time by
  * `deliverToListeners`, so a new instance is already reachable by every
- * listener registered before it existed. This step remains as the named
- * initialization point for per-instance listeners (spec 167, FR-003).
- * @param {GramFrame} _instance - GramFrame instance
+ * listener registered before it existed. This step is the named
+ * initialization point for per-instance listeners (spec 167, FR-003): the
+ * slice profile is one, redrawn on every dispatch so it follows the cursor,
+ * zoom and pan.
+ * @param {GramFrame} instance - GramFrame instance
  */
-export function setupStateListeners(_instance) {
+export function setupStateListeners(instance) {
+  const { stateListeners } = instance
+  stateListeners.push(createSliceProfile(instance))
 }
\ No newline at end of file
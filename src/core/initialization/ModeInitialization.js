@@ -38,19 +38,27 @@ export function initializeModeInfrastructure(instance) {
  * Mount each panel-owning mode's UI and pick the starting mode.
  *
  * The per-mode container is why this names modes rather than using a
- * capability: analysis and harmonics mount into *different* columns, which no
- * capability expresses. Recorded as a documented exception in ADR-017.
+ * capability: analysis, trace, box and harmonics mount into their own containers,
+ * which no capability expresses. Recorded as a documented exception in ADR-017.
  * @param {GramFrame} instance - GramFrame instance
  * @param {Object<string, BaseMode>} modes - Constructed modes
  * @param {HTMLDivElement} markersContainer - Middle column, for the markers table
+ * @param {HTMLDivElement} tracesContainer - Middle column under the markers, for the traces table
+ * @param {HTMLDivElement} boxesContainer - Middle column under the traces, for the boxes table
  * @param {HTMLDivElement} harmonicsContainer - Right column, for the harmonics panel
  * @param {HTMLDivElement} guidancePanel - Panel the starting mode's guidance is written into
  * @returns {BaseMode} The starting mode
  */
-export function setupModeUI(instance, modes, markersContainer, harmonicsContainer, guidancePanel) {
+export function setupModeUI(instance, modes, markersContainer, tracesContainer, boxesContainer, harmonicsContainer, guidancePanel) {
   // Analysis markers in middle column (always visible)
   modes['analysis'].createUI(markersContainer)
 
+  // Traces under the markers (shown once there is a trace, or in Trace mode)
+  modes['trace'].createUI(tracesContainer)
+
+  // Boxes under the traces (shown once there is a box, or in Box mode)
+  modes['box'].createUI(boxesContainer)
+
   // Harmonics sets in right column (always visible)
   modes['harmonics'].createUI(harmonicsContainer)
 
@@ -10,10 +10,11 @@
 import { dispatch, markAnnotationsChanged } from './state.js'
 import { dataToSVG, svgToImage, imageToData, clampToImage } from '../utils/coordinates.js'
 import { updateHarmonicPanelContent } from '../components/HarmonicPanel.js'
-import { isPanelOwner } from '../modes/capabilities.js'
+import { isPanelOwner, isSelectionFollower } from '../modes/capabilities.js'
 import { DEFAULT_SYMBOL } from '../rendering/symbols.js'
 import { registerInstance, unregisterInstance, getFocusedInstance, focusNextInstance, focusPreviousInstance, setFocusedInstance, getRegisteredInstanceCount, clearFocusedInstance, isNodeInsideAnyInstance } from './FocusManager.js'
 import { cancelActiveDrag } from '../modes/shared/BaseDragHandler.js'
+import { isTimeBoundedSet, isDriftingSet, shiftTimeBounds } from '../utils/harmonicBounds.js'
 
 /**
  * Movement increments in pixels
@@ -226,13 +227,8 @@ function moveSelectedMarker(instance, markerId, movement) {
   // Move in SVG space, then convert back. The canonical module reads the live
   // image element, so `movement` is in rendered pixels at any zoom level and
   // needs no external compensation.
-  //
-  // `dataToSVG` takes frequency in the raw configured scale while `imageToData`
-  // divides by rate (see the module's note), so the rate is re-applied on the
-  // way out and removed on the way back — keeping this a true round trip, as
-  // the private pair this replaces was.
   const currentSVG = dataToSVG(
-    { freq: marker.freq * instance.state.rate, time: marker.time },
+    { freq: marker.freq, time: marker.time },
     instance.state,
     instance.ui.spectrogramImage
   )
@@ -299,6 +295,10 @@ function moveSelectedHarmonicSet(instance, harmonicSetId, movement) {
     return imageToData(imagePoint.x, imagePoint.y, viewport)
   }
 
+  // Harmonic sets exist only on a gram with a vertical time axis (see
+  // HarmonicsMode.isEnabled), so left/right is always frequency and up/down
+  // always time.
+
   // For horizontal movement (frequency/spacing adjustment)
   if (movement.dx !== 0) {
     // Measure what one keypress is worth in frequency rather than re-deriving
@@ -311,9 +311,13 @@ function moveSelectedHarmonicSet(instance, harmonicSetId, movement) {
     const before = svgPointToData(reference.x, reference.y)
     const after = svgPointToData(reference.x + movement.dx, reference.y)
 
-    // Positive dx increases spacing, negative dx decreases spacing
+    // Positive dx increases spacing, negative dx decreases spacing. A drifting
+    // set's end spacing moves by the same step, so its drift rate is kept.
     const spacingChange = after.freq - before.freq
     updates.spacing = Math.max(1.0, harmonicSet.spacing + spacingChange)
+    if (isDriftingSet(harmonicSet)) {
+      updates.spacingEnd = Math.max(1.0, /** @type {number} */ (harmonicSet.spacingEnd) + spacingChange)
+    }
   }
 
   // For vertical movement (time/anchor position adjustment)
@@ -325,8 +329,14 @@ function moveSelectedHarmonicSet(instance, harmonicSetId, movement) {
     )
     const moved = svgPointToData(anchorSVG.x, anchorSVG.y + movement.dy)
 
-    // Clamp to valid time range
-    updates.anchorTime = Math.max(timeMin, Math.min(timeMax, moved.time))
+    // Clamp to valid time range. A time-bounded set moves its whole interval,
+    // held within the gram.
+    if (isTimeBoundedSet(harmonicSet)) {
+      const bounds = /** @type {{timeStart: number, timeEnd: number}} */ (harmonicSet)
+      Object.assign(updates, shiftTimeBounds(bounds, moved.time - harmonicSet.anchorTime, timeMin, timeMax))
+    } else {
+      updates.anchorTime = Math.max(timeMin, Math.min(timeMax, moved.time))
+    }
   }
   
   // Apply updates directly to the harmonic set
@@ -407,9 +417,10 @@ export function clearSelection(instance) {
 }
 
 /**
- * Resolve the currently selected feature (marker or harmonic set).
+ * Resolve the currently selected feature (marker, harmonic set, doppler
+ * curve, tonal trace or box).
  * @param {GramFrame} instance - GramFrame instance
- * @returns {{type: 'marker'|'harmonicSet', feature: AnalysisMarker|HarmonicSet}|null} Selected feature or null
+ * @returns {{type: 'marker'|'harmonicSet'|'dopplerCurve'|'trace'|'box', feature: AnalysisMarker|HarmonicSet|DopplerCurve|TonalTrace|TimeFrequencyBox}|null} Selected feature or null
  */
 function getSelectedFeature(instance) {
   const sel = instance.state.selection
@@ -430,6 +441,27 @@ function getSelectedFeature(instance) {
       : null
     return feature ? { type: 'harmonicSet', feature } : null
   }
+  if (sel.selectedType === 'dopplerCurve') {
+    const doppler = instance.state.doppler
+    const feature = doppler && doppler.curves
+      ? doppler.curves.find(c => c.id === sel.selectedId)
+      : null
+    return feature ? { type: 'dopplerCurve', feature } : null
+  }
+  if (sel.selectedType === 'trace') {
+    const trace = instance.state.trace
+    const feature = trace && trace.traces
+      ? trace.traces.find(t => t.id === sel.selectedId)
+      : null
+    return feature ? { type: 'trace', feature } : null
+  }
+  if (sel.selectedType === 'box') {
+    const box = instance.state.box
+    const feature = box && box.boxes
+      ? box.boxes.find(b => b.id === sel.selectedId)
+      : null
+    return feature ? { type: 'box', feature } : null
+  }
   return null
 }
 
@@ -437,9 +469,9 @@ function getSelectedFeature(instance) {
  * Get the colour/symbol/pin state the style controls should currently show: the
  * selected feature's when one is selected, otherwise the next-feature defaults.
  *
- * `showPin` only means anything for harmonic sets (markers have no pin), so
- * `pinApplies` tells the panel whether to offer the pin toggle at all: false
- * while a marker is selected, true otherwise.
+ * `showPin` only means anything for harmonic sets (markers, doppler curves,
+ * traces and boxes have no pin), so `pinApplies` tells the panel whether to offer the pin
+ * toggle at all: false while one of those is selected, true otherwise.
  *
  * `largeSymbols` is part of the temporary symbol-size experiment and follows the
  * same rule as colour/symbol, so the toggle always reflects whatever the
@@ -476,13 +508,13 @@ export function getActiveStyle(instance) {
  * Re-render the overlay and the affected feature's table after a restyle, then
  * notify listeners (which also triggers persistence).
  * @param {GramFrame} instance - GramFrame instance
- * @param {'marker'|'harmonicSet'} type - Which feature type changed
+ * @param {'marker'|'harmonicSet'|'dopplerCurve'|'trace'|'box'} type - Which feature type changed
  */
 function refreshFeatureVisuals(instance, type) {
   if (instance.featureRenderer) {
     instance.featureRenderer.renderAllPersistentFeatures()
   }
-  if (type === 'marker' || type === 'harmonicSet') {
+  if (type === 'marker' || type === 'harmonicSet' || type === 'trace' || type === 'box') {
     refreshPanels(instance)
   }
   dispatch(instance)
@@ -527,8 +559,9 @@ export function applySymbolToSelectedFeature(instance, symbol) {
 /**
  * Show or hide the vertical pin lines of the currently selected harmonic set,
  * updating the overlay and table instantly. No-op (returns false) when nothing
- * is selected or when the selection is a marker, which has no pin — the caller
- * then treats the change as setting the session default instead.
+ * is selected or when the selection is a marker, doppler curve, trace or box,
+ * none of which has a pin — the caller then treats the change as setting the session
+ * default instead.
  * @param {GramFrame} instance - GramFrame instance
  * @param {boolean} showPin - Whether the set should draw its pin lines
  * @returns {boolean} True if a harmonic set was restyled
@@ -612,6 +645,11 @@ export function updateSelectionVisuals(instance) {
   // to re-diff. The two hand-written `tr[data-...-id]` lookups this replaces
   // were the same code twice (spec 166, T3).
   refreshPanels(instance)
+
+  // Readouts that report the selected feature follow it too
+  Object.values(instance.modes)
+    .filter(isSelectionFollower)
+    .forEach(mode => mode.onSelectionChange())
 }
 
 /**
@@ -16,10 +16,10 @@ import { getVersion } from '../utils/version.js'
  * to {@link createInitialState}, composed by `ModeFactory.getModeInitialStates()`,
  * which is what breaks the state ⇄ modes cycle (spec 167, FR-002, ADR-014).
  *
- * Typed as `GramFrameState` minus the three mode slices, because that is
+ * Typed as `GramFrameState` minus the mode slices, because that is
  * exactly what it is: the mode keys are no longer written here, so claiming
  * them would be a lie tsc happens not to check.
- * @type {Omit<GramFrameState, 'analysis'|'harmonics'|'doppler'>}
+ * @type {Omit<GramFrameState, 'analysis'|'harmonics'|'doppler'|'ruler'|'trace'|'box'>}
  */
 const initialState = {
   version: getVersion(),
@@ -27,13 +27,17 @@ const initialState = {
   instanceId: '',
   mode: 'pan', // 'analysis', 'harmonics', 'doppler', 'pan' — start in pan so a click doesn't immediately place a marker
   previousMode: null, // Previous mode for switching back
-  rate: 1,
+  rate: null, // No rate divisor until the analyst enters one
   selectedColor: '#ff6b6b', // Currently selected color for new features across all modes
   selectedSymbol: 'cross', // Currently selected symbol; 'cross' (default) means no drawn symbol shape (feature 161)
   // Whether the NEXT created harmonic set draws its vertical pin lines. Shown
   // as a toggle in the style panel; on by default at the start of a browser
   // session and remembered (sessionStorage) for the rest of it.
   showHarmonicPin: true,
+  // Whether placed and dropped analysis and doppler markers snap to the
+  // brightest pixel near them. A style-panel toggle; off by default at the
+  // start of a browser session and remembered (sessionStorage) for the rest.
+  snapToPeak: false,
   // EXPERIMENT (temporary): large-symbol size for the NEXT created feature, set
   // from the style panel's toggle when nothing is selected (with a feature
   // selected, the toggle resizes that feature instead). In-memory only, default
@@ -55,11 +59,24 @@ const initialState = {
   // Whether the image is currently expanded to fill available space.
   // In-memory only, default false, never persisted (independent of feature 155).
   imageExpanded: false,
+  // Clock time where the config gives a time origin, until the analyst clicks
+  // the Time LED back to elapsed time. In-memory only, like imageExpanded.
+  timeDisplay: 'clock',
   config: {
     timeMin: 0,
     timeMax: 0,
     freqMin: 0,
-    freqMax: 0
+    freqMax: 0,
+    soundSpeed: null,   // Optional `sound-speed` row; null = not configured
+    speedUnits: null,   // Optional `speed-units` row; null = not configured
+    freqScale: null,    // Optional `freq-scale` row; null = linear
+    timeDirection: null, // Optional `time-axis`/`time-direction` rows; null = up
+    palette: null,      // Optional `palette` row; null = not configured
+    timeOrigin: null,   // Optional `time-origin` row; null = elapsed time only
+    freqUnits: null,    // Optional `freq-units` row; null = Hz
+    timeUnits: null,    // Optional `time-units` row; null = mm:ss
+    freqPrecision: null, // Optional `freq-precision` row; null = the unit's default
+    timePrecision: null // Optional `time-precision` row; null = the unit's default
   },
   displayDimensions: {  // Current display dimensions (responsive)
     width: 0,
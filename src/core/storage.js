@@ -1,7 +1,8 @@
 /**
  * Browser Storage Adapter for GramFrame
  *
- * Persists user annotations (analysis markers, harmonic sets, doppler curves)
+ * Persists user annotations (analysis markers, harmonic sets, doppler curves,
+ * the ruler, tonal traces, boxes)
  * in browser storage. Trainers get localStorage (permanent); students get
  * sessionStorage (cleared on browser close).
  *
@@ -32,6 +33,9 @@
 /// <reference path="../types.js" />
 
 import { normalizeMarkerLabel } from '../utils/markerLabel.js'
+import { isSpeedUnit } from '../utils/units.js'
+import { SERIES_TYPES, isValidSeriesOrders } from '../utils/harmonicSeries.js'
+import { isTimeBoundedSet, isDriftingSet } from '../utils/harmonicBounds.js'
 
 /** @type {number} */
 const SCHEMA_VERSION = 1
@@ -50,6 +54,13 @@ export const STUDENT_TTL_MS = 24 * 60 * 60 * 1000
 /** @type {string} */
 const KEY_PREFIX = 'gramframe::'
 
+/**
+ * Id given to the one curve of a record saved before Doppler mode kept a list
+ * of curves, which had no ids.
+ * @type {string}
+ */
+const LEGACY_DOPPLER_CURVE_ID = 'doppler-legacy'
+
 /**
  * Storage key for the harmonic-pin visibility preference.
  *
@@ -62,6 +73,21 @@ const KEY_PREFIX = 'gramframe::'
  */
 const PIN_PREF_KEY = `${KEY_PREFIX}pref::harmonicPin`
 
+/**
+ * Storage key for the speed LED's units. Scoped and stored like
+ * {@link PIN_PREF_KEY}: it follows the analyst across pages for the rest of
+ * the browser session.
+ * @type {string}
+ */
+const SPEED_UNIT_PREF_KEY = `${KEY_PREFIX}pref::speedUnit`
+
+/**
+ * Storage key for the snap-to-peak preference. Scoped and stored like
+ * {@link PIN_PREF_KEY}, but off at the start of each browser session.
+ * @type {string}
+ */
+const SNAP_PREF_KEY = `${KEY_PREFIX}pref::snapToPeak`
+
 /**
  * CSS selector matching the explicit trainer-persistence flag. Accepts the
  * id, class, or data-attribute form. Exported for unit testing.
@@ -211,6 +237,71 @@ export function savePinPreference(showPin) {
   }
 }
 
+/**
+ * Read the speed-unit preference for this browser session.
+ *
+ * Null when the analyst has not chosen one this session, storage is
+ * unavailable, or the stored value is not a unit, so the caller falls back to
+ * the gram's configured units.
+ * @returns {SpeedUnit|null} The analyst's chosen unit, or null
+ */
+export function loadSpeedUnitPreference() {
+  try {
+    const raw = sessionStorage.getItem(SPEED_UNIT_PREF_KEY)
+    return isSpeedUnit(raw) ? raw : null
+  } catch (error) {
+    console.warn('GramFrame: Could not read the speed-unit preference — using the default:', error)
+    return null
+  }
+}
+
+/**
+ * Store the speed-unit preference for the rest of this browser session. A
+ * failure is reported to the caller and logged, as for the pin preference.
+ * @param {SpeedUnit} unit - Unit the analyst chose
+ * @returns {boolean} True if the preference was written
+ */
+export function saveSpeedUnitPreference(unit) {
+  try {
+    sessionStorage.setItem(SPEED_UNIT_PREF_KEY, unit)
+    return true
+  } catch (error) {
+    console.warn('GramFrame: Could not save the speed-unit preference:', error)
+    return false
+  }
+}
+
+/**
+ * Read the snap-to-peak preference for this browser session. Off unless the
+ * analyst turned it on earlier in the session, and off whenever storage is
+ * unavailable.
+ * @returns {boolean} True when placed and dropped markers should snap
+ */
+export function loadSnapPreference() {
+  try {
+    return sessionStorage.getItem(SNAP_PREF_KEY) === 'true'
+  } catch (error) {
+    console.warn('GramFrame: Could not read the snap-to-peak preference — using the default:', error)
+    return false
+  }
+}
+
+/**
+ * Store the snap-to-peak preference for the rest of this browser session. A
+ * failure is reported to the caller and logged, as for the pin preference.
+ * @param {boolean} snap - Whether markers should snap
+ * @returns {boolean} True if the preference was written
+ */
+export function saveSnapPreference(snap) {
+  try {
+    sessionStorage.setItem(SNAP_PREF_KEY, snap ? 'true' : 'false')
+    return true
+  } catch (error) {
+    console.warn('GramFrame: Could not save the snap-to-peak preference:', error)
+    return false
+  }
+}
+
 /**
  * Whether the state holds anything worth persisting.
  *
@@ -218,17 +309,20 @@ export function savePinPreference(showPin) {
  * failed write is worth telling the analyst about: with nothing annotated,
  * there is nothing to lose yet.
  *
- * Checks all three doppler markers, matching the mode's own
- * `hasPersistentFeatures` predicate: an fZero-only state renders, so it must
- * also persist rather than deleting the storage key on save (BH-32).
+ * A doppler curve counts however few of its markers are placed, matching the
+ * mode's own `hasPersistentFeatures` predicate: an fZero-only curve renders,
+ * so it must also persist rather than deleting the storage key on save (BH-32).
  * @param {GramFrameState} state - Current component state
  * @returns {boolean} True when at least one annotation exists
  */
 export function hasPersistableAnnotations(state) {
   const hasMarkers = !!(state.analysis && state.analysis.markers && state.analysis.markers.length > 0)
   const hasHarmonics = !!(state.harmonics && state.harmonics.harmonicSets && state.harmonics.harmonicSets.length > 0)
-  const hasDoppler = !!(state.doppler && (state.doppler.fPlus !== null || state.doppler.fMinus !== null || state.doppler.fZero !== null))
-  return hasMarkers || hasHarmonics || hasDoppler
+  const hasDoppler = !!(state.doppler && state.doppler.curves && state.doppler.curves.length > 0)
+  const hasRuler = !!(state.ruler && state.ruler.start && state.ruler.end)
+  const hasTraces = !!(state.trace && state.trace.traces && state.trace.traces.length > 0)
+  const hasBoxes = !!(state.box && state.box.boxes && state.box.boxes.length > 0)
+  return hasMarkers || hasHarmonics || hasDoppler || hasRuler || hasTraces || hasBoxes
 }
 
 /**
@@ -251,7 +345,7 @@ function isNonEmptyString(value) {
 }
 
 /**
- * A stored doppler point: null, or an object with finite time and freq.
+ * A stored point: null, or an object with finite time and freq.
  * @param {any} point - Candidate point
  * @returns {boolean} True when the point is null or a valid coordinate pair
  */
@@ -306,7 +400,21 @@ export function sanitizeStoredAnnotations(data) {
       const valid = !!hs && isNonEmptyString(hs.id) && isNonEmptyString(hs.color) &&
         isFiniteNumber(hs.anchorTime) &&
         // Strictly positive: spacing 0 makes the harmonic range infinite.
-        isFiniteNumber(hs.spacing) && hs.spacing > 0
+        isFiniteNumber(hs.spacing) && hs.spacing > 0 &&
+        // A sideband family's lines are all placed off its carrier, so a bad
+        // carrier discards the set rather than restoring it as a plain one.
+        (hs.carrier == null || isFiniteNumber(hs.carrier)) &&
+        // Likewise a series type the renderer does not know, or a custom
+        // series without a usable list, discards the set: drawing all of its
+        // harmonics instead would put lines where the analyst put none.
+        (hs.series == null || (SERIES_TYPES.includes(hs.series) &&
+          (hs.series !== 'custom' || isValidSeriesOrders(hs.orders)))) &&
+        // Time bounds come as a pair or not at all. Legacy sets have neither
+        // and keep their single anchor time.
+        ((hs.timeStart == null && hs.timeEnd == null) ||
+          (isFiniteNumber(hs.timeStart) && isFiniteNumber(hs.timeEnd) && hs.timeStart <= hs.timeEnd)) &&
+        // An end spacing is held to the same rule as the spacing itself.
+        (hs.spacingEnd == null || (isFiniteNumber(hs.spacingEnd) && hs.spacingEnd > 0))
       if (!valid) dropped++
       return valid
     })
@@ -315,16 +423,122 @@ export function sanitizeStoredAnnotations(data) {
   }
 
   const rawDoppler = (data && data.doppler) || {}
+  /** @type {StoredDopplerCurve[]} */
+  let curves = []
+  if (Array.isArray(rawDoppler.curves)) {
+    curves = rawDoppler.curves.filter((/** @type {any} */ c) => {
+      // A fitted curve's points are all-or-nothing: dropping one would
+      // silently change the fit, so one bad point discards the curve.
+      const fitPoints = c && c.fitPoints
+      const validFitPoints = fitPoints == null || (Array.isArray(fitPoints) &&
+        fitPoints.every((/** @type {any} */ p) => !!p && isValidStoredPoint(p)))
+      const valid = !!c && isNonEmptyString(c.id) &&
+        isValidStoredPoint(c.fPlus) && isValidStoredPoint(c.fMinus) && isValidStoredPoint(c.fZero) &&
+        validFitPoints &&
+        !!(c.fPlus || c.fMinus || c.fZero || (fitPoints && fitPoints.length > 0))
+      if (!valid) dropped++
+      return valid
+    }).map((/** @type {any} */ c) => ({
+      id: c.id,
+      fPlus: c.fPlus || null,
+      fMinus: c.fMinus || null,
+      fZero: c.fZero || null,
+      color: isNonEmptyString(c.color) ? c.color : null,
+      ...(isNonEmptyString(c.symbol) ? { symbol: c.symbol } : {}),
+      ...(Array.isArray(c.fitPoints)
+        ? { fitPoints: c.fitPoints.map((/** @type {any} */ p) => ({ time: p.time, freq: p.freq })) }
+        : {})
+    }))
+  } else if (rawDoppler.curves != null) {
+    dropped++ // curves present but not an array
+  } else {
+    // A record saved before multiple curves holds one curve's markers directly
+    // on `doppler`. Each corrupt point is nulled on its own, as it always was,
+    // and whatever survives becomes the record's only curve.
+    /** @type {StoredDopplerCurve} */
+    const legacy = { id: LEGACY_DOPPLER_CURVE_ID, fPlus: null, fMinus: null, fZero: null, color: null }
+    for (const key of /** @type {const} */ (['fPlus', 'fMinus', 'fZero'])) {
+      if (isValidStoredPoint(rawDoppler[key])) {
+        legacy[key] = rawDoppler[key] || null
+      } else {
+        dropped++
+      }
+    }
+    legacy.color = isNonEmptyString(rawDoppler.color) ? rawDoppler.color : null
+    if (legacy.fPlus || legacy.fMinus || legacy.fZero) {
+      curves = [legacy]
+    }
+  }
   /** @type {StoredDopplerData} */
-  const doppler = { fPlus: null, fMinus: null, fZero: null, color: null }
-  for (const key of /** @type {const} */ (['fPlus', 'fMinus', 'fZero'])) {
-    if (isValidStoredPoint(rawDoppler[key])) {
-      doppler[key] = rawDoppler[key] || null
+  const doppler = { curves }
+
+  // A ruler is both ends or nothing: half a ruler measures nothing, so an
+  // invalid end discards the pair. Absent entirely (a record from before Ruler
+  // mode) is not a drop.
+  /** @type {StoredRulerData} */
+  const ruler = { start: null, end: null, color: null }
+  const rawRuler = data && data.ruler
+  if (rawRuler && (rawRuler.start || rawRuler.end)) {
+    if (rawRuler.start && rawRuler.end &&
+        isValidStoredPoint(rawRuler.start) && isValidStoredPoint(rawRuler.end)) {
+      ruler.start = { time: rawRuler.start.time, freq: rawRuler.start.freq }
+      ruler.end = { time: rawRuler.end.time, freq: rawRuler.end.freq }
+      ruler.color = isNonEmptyString(rawRuler.color) ? rawRuler.color : null
     } else {
       dropped++
     }
   }
-  doppler.color = isNonEmptyString(rawDoppler.color) ? rawDoppler.color : null
+
+  // A trace's points are all-or-nothing, as a fitted curve's are: dropping
+  // one would silently change its drift rate. Absent entirely (a record from
+  // before Trace mode) is not a drop.
+  /** @type {StoredTonalTrace[]} */
+  let traces = []
+  if (data && Array.isArray(data.traces)) {
+    traces = data.traces.filter((/** @type {any} */ t) => {
+      const valid = !!t && isNonEmptyString(t.id) &&
+        Array.isArray(t.points) && t.points.length > 0 &&
+        t.points.every((/** @type {any} */ p) => !!p && isValidStoredPoint(p))
+      if (!valid) dropped++
+      return valid
+    }).map((/** @type {any} */ t) => ({
+      id: t.id,
+      points: t.points.map((/** @type {any} */ p) => ({ time: p.time, freq: p.freq })),
+      color: isNonEmptyString(t.color) ? t.color : null,
+      ...(isNonEmptyString(t.symbol) ? { symbol: t.symbol } : {})
+    }))
+  } else if (data && data.traces != null) {
+    dropped++ // traces present but not an array
+  }
+
+  // A box needs all four extents; they are normalised on the way in so a
+  // hand-edited record with its corners swapped still draws. Absent entirely
+  // (a record from before Box mode) is not a drop.
+  /** @type {StoredBox[]} */
+  let boxes = []
+  if (data && Array.isArray(data.boxes)) {
+    boxes = data.boxes.filter((/** @type {any} */ b) => {
+      const valid = !!b && isNonEmptyString(b.id) &&
+        isFiniteNumber(b.timeStart) && isFiniteNumber(b.timeEnd) &&
+        isFiniteNumber(b.freqLow) && isFiniteNumber(b.freqHigh)
+      if (!valid) dropped++
+      return valid
+    }).map((/** @type {any} */ b) => {
+      const label = normalizeMarkerLabel(b.label)
+      return {
+        id: b.id,
+        timeStart: Math.min(b.timeStart, b.timeEnd),
+        timeEnd: Math.max(b.timeStart, b.timeEnd),
+        freqLow: Math.min(b.freqLow, b.freqHigh),
+        freqHigh: Math.max(b.freqLow, b.freqHigh),
+        color: isNonEmptyString(b.color) ? b.color : null,
+        ...(isNonEmptyString(b.symbol) ? { symbol: b.symbol } : {}),
+        ...(label ? { label } : {})
+      }
+    })
+  } else if (data && data.boxes != null) {
+    dropped++ // boxes present but not an array
+  }
 
   /** @type {StoredAnnotations} */
   const annotations = {
@@ -333,7 +547,10 @@ export function sanitizeStoredAnnotations(data) {
     gram: data && data.gram,
     analysis: { markers },
     harmonics: { harmonicSets },
-    doppler
+    doppler,
+    ruler,
+    traces,
+    boxes
   }
   return { annotations, dropped }
 }
@@ -451,15 +668,72 @@ export function saveAnnotations(state, instanceIndex, context) {
           // `showPin` is likewise ADDITIVE (harmonic-pin toggle) and MUST NOT
           // bump SCHEMA_VERSION. Records written before it simply lack the key
           // and restore as `true` (pin shown), matching their original look.
-          showPin: hs.showPin !== false
+          showPin: hs.showPin !== false,
+          // `carrier` is ADDITIVE (sideband families) and written only for a
+          // family; plain sets, and every record before it, lack the key.
+          ...(typeof hs.carrier === 'number' ? { carrier: hs.carrier } : {}),
+          // `series` and `orders` are ADDITIVE (series types) and written only
+          // for a set that does not draw every harmonic.
+          ...(hs.series && hs.series !== 'all' ? { series: hs.series } : {}),
+          ...(hs.series === 'custom' ? { orders: [.../** @type {number[]} */ (hs.orders)] } : {}),
+          // `timeStart` and `timeEnd` are ADDITIVE (time-bounded sets) and
+          // written only for a set that spans an interval.
+          ...(isTimeBoundedSet(hs) ? { timeStart: hs.timeStart, timeEnd: hs.timeEnd } : {}),
+          // `spacingEnd` is ADDITIVE (drifting sets) and written only for a
+          // bounded set whose spacing changes across its interval.
+          ...(isDriftingSet(hs) ? { spacingEnd: hs.spacingEnd } : {})
         }))
       },
+      // `curves` replaced the single curve's top-level fields. It does not
+      // bump SCHEMA_VERSION either: the sanitizer migrates a record that
+      // predates it, so old records keep restoring.
       doppler: {
-        fPlus: state.doppler && state.doppler.fPlus ? { time: state.doppler.fPlus.time, freq: state.doppler.fPlus.freq } : null,
-        fMinus: state.doppler && state.doppler.fMinus ? { time: state.doppler.fMinus.time, freq: state.doppler.fMinus.freq } : null,
-        fZero: state.doppler && state.doppler.fZero ? { time: state.doppler.fZero.time, freq: state.doppler.fZero.freq } : null,
-        color: state.doppler && state.doppler.color || null
-      }
+        curves: (state.doppler && state.doppler.curves || []).map(c => ({
+          id: c.id,
+          fPlus: c.fPlus ? { time: c.fPlus.time, freq: c.fPlus.freq } : null,
+          fMinus: c.fMinus ? { time: c.fMinus.time, freq: c.fMinus.freq } : null,
+          fZero: c.fZero ? { time: c.fZero.time, freq: c.fZero.freq } : null,
+          color: c.color || null,
+          symbol: c.symbol || 'cross',
+          // `fitPoints` is ADDITIVE (fitted curves) and written only for a
+          // fitted curve; the fit itself is derived and recomputed on restore.
+          ...(c.fitPoints ? { fitPoints: c.fitPoints.map(p => ({ time: p.time, freq: p.freq })) } : {}),
+          // `cpaTime` and `cpaRange` are ADDITIVE too, in seconds and metres.
+          // They are written for anything reading the record, but derived:
+          // restore recomputes them from the markers or points above.
+          cpaTime: c.cpa ? c.cpa.time : null,
+          cpaRange: c.cpa ? c.cpa.range : null
+        }))
+      },
+      // `ruler` is an ADDITIVE field (Ruler mode) and MUST NOT bump
+      // SCHEMA_VERSION: records saved before it simply lack the key and
+      // restore with no ruler.
+      ruler: {
+        start: state.ruler && state.ruler.start ? { time: state.ruler.start.time, freq: state.ruler.start.freq } : null,
+        end: state.ruler && state.ruler.end ? { time: state.ruler.end.time, freq: state.ruler.end.freq } : null,
+        color: state.ruler && state.ruler.color || null
+      },
+      // `traces` is ADDITIVE too (Trace mode): records saved before it lack
+      // the key and restore with no traces. Statistics are derived, so only
+      // the points are written.
+      traces: (state.trace && state.trace.traces || []).map(t => ({
+        id: t.id,
+        points: t.points.map(p => ({ time: p.time, freq: p.freq })),
+        color: t.color || null,
+        symbol: t.symbol || 'cross'
+      })),
+      // `boxes` is ADDITIVE too (Box mode): records saved before it lack the
+      // key and restore with no boxes.
+      boxes: (state.box && state.box.boxes || []).map(b => ({
+        id: b.id,
+        timeStart: b.timeStart,
+        timeEnd: b.timeEnd,
+        freqLow: b.freqLow,
+        freqHigh: b.freqHigh,
+        color: b.color || null,
+        symbol: b.symbol || 'cross',
+        ...(b.label ? { label: b.label } : {})
+      }))
     }
 
     const key = buildStorageKey(instanceIndex)
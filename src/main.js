@@ -20,6 +20,7 @@ import {
   updateLEDDisplays
 } from './components/UIComponents.js'
 import { setLEDValue } from './components/LEDDisplay.js'
+import { createImageAdjustPanel } from './components/ImageAdjustPanel.js'
 import { 
   updatePersistentPanels 
 } from './components/MainUI.js'
@@ -57,11 +58,18 @@ import {
   clearAnnotations,
   detectUserContext,
   loadPinPreference,
+  loadSnapPreference,
+  loadSpeedUnitPreference,
   hasPersistableAnnotations,
   buildGramFingerprint
 } from './core/storage.js'
 
-import { calculateDopplerSpeed, MS_TO_KNOTS } from './utils/doppler.js'
+import { calculateCurveCpa, calculateCurveSpeed, resolveSoundSpeed } from './utils/doppler.js'
+import { fitDopplerCurve } from './utils/dopplerFit.js'
+import { updateDopplerLEDs } from './modes/doppler/DopplerMode.js'
+import { updateRulerLEDs } from './modes/ruler/RulerMode.js'
+import { updateTraceLEDs } from './modes/trace/TraceMode.js'
+import { calculateTraceStatistics } from './utils/trace.js'
 
 import {
   cleanupKeyboardControl
@@ -131,7 +139,7 @@ export class GramFrame {
   // Core properties
   /** @type {GramFrameState} */
   state;
-  /** @type {HTMLTableElement} */
+  /** @type {HTMLElement} */
   configTable;
   /** @type {StateListener[]} */
   stateListeners;
@@ -148,7 +156,7 @@ export class GramFrame {
 
   /**
    * Creates a new GramFrame instance
-   * @param {HTMLTableElement} configTable - Configuration table element to replace
+   * @param {HTMLElement} configTable - Config table, or other element carrying the config, to replace
    */
   constructor(configTable) {
     this.configTable = configTable
@@ -177,6 +185,7 @@ export class GramFrame {
     // each browser session, then remembered across page loads within it. Read
     // before any UI is built so the toggle renders in the right position.
     this.state.showHarmonicPin = loadPinPreference()
+    this.state.snapToPeak = loadSnapPreference()
     this.stateListeners = []
     this.instanceId = ''
 
@@ -192,6 +201,9 @@ export class GramFrame {
     // argument at check time, not an `undefined` surfacing three steps later
     // (spec 167, FR-009, AS-5.2).
     const dom = setupSpectrogramComponents(this, configTable)
+    // Speed units: the analyst's choice this session, else the page's
+    // `speed-units` row, else knots. Needs the config, so read after it.
+    this.state.doppler.units.speed = loadSpeedUnitPreference() ?? this.state.config.speedUnits ?? 'kts'
     const layout = createUnifiedLayoutStructure(this, dom.readoutPanel, dom.modeCell)
     const initialModeUI = setupPersistentContainers(this, layout.modeColumn, layout.guidanceColumn)
 
@@ -211,10 +223,17 @@ export class GramFrame {
       cursorClipRect: dom.cursorClipRect,
       modeColumn: layout.modeColumn,
       markersContainer: layout.markersContainer,
+      tracesContainer: layout.tracesContainer,
+      boxesContainer: layout.boxesContainer,
       harmonicsContainer: layout.harmonicsContainer,
       timeLED: layout.timeLED,
       freqLED: layout.freqLED,
+      intensityLED: layout.intensityLED,
       speedLED: layout.speedLED,
+      dopplerLEDs: layout.dopplerLEDs,
+      rateLED: layout.rateLED,
+      rulerLEDs: layout.rulerLEDs,
+      traceLEDs: layout.traceLEDs,
       colorPicker: layout.colorPicker,
       modesContainer: initialModeUI.modesContainer,
       modeButtons: initialModeUI.modeButtons,
@@ -222,19 +241,21 @@ export class GramFrame {
       guidancePanel: initialModeUI.guidancePanel,
       // Mounted later, or not at all: the harmonics panel arrives with that
       // mode's UI, the expand toggle only for a landscape image, and nothing
-      // assigns the mode/rate LEDs at all — every read of them is guarded.
+      // assigns the mode LED at all — every read of it is guarded.
       harmonicPanel: null,
       expandToggleButton: null,
-      modeLED: null,
-      rateLED: null
+      modeLED: null
     }
+    // The layout labels the speed LED in knots; write the units in force.
+    updateDopplerLEDs(this)
 
     setupSpectrogramIfAvailable(this)
+    createImageAdjustPanel(this, this.state.config.palette ?? 'grey')
 
     const { modes, featureRenderer } = initializeModeInfrastructure(this)
     this.modes = modes
     this.featureRenderer = featureRenderer
-    this.currentMode = setupModeUI(this, modes, layout.markersContainer, layout.harmonicsContainer, initialModeUI.guidancePanel)
+    this.currentMode = setupModeUI(this, modes, layout.markersContainer, layout.tracesContainer, layout.boxesContainer, layout.harmonicsContainer, initialModeUI.guidancePanel)
 
     const modeUI = updateModeUIWithCommands(
       this, initialModeUI, modes, this.currentMode, layout.modeColumn, layout.guidanceColumn
@@ -357,7 +378,14 @@ export class GramFrame {
     const fresh = createInitialState(ModeFactory.getModeInitialStates())
     this.state.analysis = fresh.analysis
     this.state.harmonics = fresh.harmonics
-    this.state.doppler = fresh.doppler
+    // The speed-of-sound override and the readout units are settings rather
+    // than annotations, so they survive the clear that discards the curves
+    // they apply to.
+    const { soundSpeed, units } = this.state.doppler
+    this.state.doppler = { ...fresh.doppler, soundSpeed, units }
+    this.state.ruler = fresh.ruler
+    this.state.trace = fresh.trace
+    this.state.box = fresh.box
     this.state.cursors = fresh.cursors
 
     // Remove from storage. A failure here means the annotations just cleared on
@@ -382,13 +410,13 @@ export class GramFrame {
     // from the tables above the spectrogram, not just the SVG overlay
     updatePersistentPanels(this)
 
-    // Refresh LED displays to reflect the cleared state. The speed LED is set
-    // directly: updateLEDDisplays covers only the mode/rate LEDs, so the
+    // Refresh LED displays to reflect the cleared state. The Doppler LEDs need
+    // their own call: updateLEDDisplays covers only the mode/rate LEDs, so the
     // deleted curve's speed used to survive a "Clear gram" (BH-19).
     updateLEDDisplays(this, this.state)
-    if (this.ui.speedLED) {
-      setLEDValue(this.ui.speedLED, '0.0')
-    }
+    updateDopplerLEDs(this)
+    updateRulerLEDs(this)
+    updateTraceLEDs(this)
 
     dispatch(this)
   }
@@ -439,27 +467,74 @@ export class GramFrame {
       }))
     }
 
-    // Merge doppler state
-    if (saved.doppler) {
-      this.state.doppler.fPlus = saved.doppler.fPlus || null
-      this.state.doppler.fMinus = saved.doppler.fMinus || null
-      this.state.doppler.fZero = saved.doppler.fZero || null
-      if (saved.doppler.color) {
-        this.state.doppler.color = saved.doppler.color
-      }
-
+    // Merge doppler curves. Records saved before multiple curves arrive
+    // here already migrated to a one-curve list by the sanitizer.
+    if (saved.doppler && Array.isArray(saved.doppler.curves)) {
+      const { doppler, config, selectedColor } = this.state
       // Speed is derived, not persisted, so recompute it here: nothing else on
       // the load path does, and a restored curve otherwise read 0.0 until a
       // marker was nudged (BH-15). Guarded against f₀ = 0, which divides to
-      // Infinity (BH-8).
-      const { fPlus, fMinus, fZero } = this.state.doppler
-      if (fPlus && fMinus && fZero) {
-        const speed = calculateDopplerSpeed(fPlus, fMinus, fZero)
-        this.state.doppler.speed = Number.isFinite(speed) ? speed : null
-        if (this.ui.speedLED && this.state.doppler.speed !== null) {
-          setLEDValue(this.ui.speedLED, (this.state.doppler.speed * MS_TO_KNOTS).toFixed(1))
+      // Infinity (BH-8). The analyst's override is never saved, so a restored
+      // curve is measured at the gram's configured speed of sound.
+      const soundSpeed = resolveSoundSpeed(null, config.soundSpeed ?? null)
+      // A fitted curve's fit is derived the same way, from its points, and so
+      // is every curve's CPA: the saved CPA values are for other readers.
+      doppler.curves = saved.doppler.curves.map(c => {
+        const fitPoints = c.fitPoints || null
+        const fit = fitPoints ? fitDopplerCurve(fitPoints, soundSpeed) : null
+        const curve = {
+          id: c.id,
+          fPlus: c.fPlus,
+          fMinus: c.fMinus,
+          fZero: c.fZero,
+          fitPoints,
+          fit,
+          // Legacy single-curve records could lack a colour
+          color: c.color || selectedColor || '#ff0000',
+          symbol: c.symbol || 'cross'
         }
-      }
+        const speed = fitPoints ? (fit ? fit.speed : null) : calculateCurveSpeed(curve, soundSpeed)
+        return { ...curve, speed, cpa: calculateCurveCpa(curve) }
+      })
+      updateDopplerLEDs(this)
+    }
+
+    // Merge the ruler. Records saved before Ruler mode have none; the
+    // sanitizer hands back an empty one, which leaves the initial state alone.
+    if (saved.ruler && saved.ruler.start && saved.ruler.end) {
+      this.state.ruler.start = saved.ruler.start
+      this.state.ruler.end = saved.ruler.end
+      this.state.ruler.color = saved.ruler.color
+      updateRulerLEDs(this)
+    }
+
+    // Merge tonal traces. Records saved before Trace mode have none; the
+    // statistics are derived, so they are recomputed from the points.
+    if (saved.traces && saved.traces.length > 0) {
+      const { selectedColor } = this.state
+      this.state.trace.traces = saved.traces.map(t => ({
+        id: t.id,
+        points: t.points,
+        color: t.color || selectedColor || '#ff0000',
+        symbol: t.symbol || 'cross',
+        stats: calculateTraceStatistics(t.points)
+      }))
+      updateTraceLEDs(this)
+    }
+
+    // Merge boxes. Records saved before Box mode have none.
+    if (saved.boxes && saved.boxes.length > 0) {
+      const { selectedColor } = this.state
+      this.state.box.boxes = saved.boxes.map(b => ({
+        id: b.id,
+        timeStart: b.timeStart,
+        timeEnd: b.timeEnd,
+        freqLow: b.freqLow,
+        freqHigh: b.freqHigh,
+        color: b.color || selectedColor || '#ff0000',
+        symbol: b.symbol || 'cross',
+        ...(b.label ? { label: b.label } : {})
+      }))
     }
   }
 
@@ -471,23 +546,26 @@ export class GramFrame {
      * A cheap signature, not a re-serialisation of every annotation. The
      * listener runs on every notification — including pure cursor moves and
      * zoom changes — and stringifying the full annotation set each time is
-     * the compounding cost GF-07 records. Counts plus the doppler marker
-     * identity, guarded by a counter the annotation-mutating paths bump,
-     * catch every change that matters (spec 166, AS-4.3).
+     * the compounding cost GF-07 records. Counts plus the ruler's ends,
+     * guarded by a counter the annotation-mutating paths bump, catch every
+     * change that matters (spec 166, AS-4.3).
      * @param {GramFrameState} state - State to fingerprint
      * @returns {string} Change signature
      */
     const computeSignature = (state) => {
       /** @type {Partial<DopplerState>} */
       const doppler = state.doppler || {}
+      /** @type {Partial<RulerState>} */
+      const ruler = state.ruler || {}
       return [
         state.annotationRevision || 0,
         state.analysis && state.analysis.markers ? state.analysis.markers.length : 0,
         state.harmonics && state.harmonics.harmonicSets ? state.harmonics.harmonicSets.length : 0,
-        doppler.fPlus ? `${doppler.fPlus.time}:${doppler.fPlus.freq}` : '-',
-        doppler.fMinus ? `${doppler.fMinus.time}:${doppler.fMinus.freq}` : '-',
-        doppler.fZero ? `${doppler.fZero.time}:${doppler.fZero.freq}` : '-',
-        doppler.color || '-'
+        doppler.curves ? doppler.curves.length : 0,
+        state.trace && state.trace.traces ? state.trace.traces.length : 0,
+        state.box && state.box.boxes ? state.box.boxes.length : 0,
+        ruler.start ? `${ruler.start.time}:${ruler.start.freq}` : '-',
+        ruler.end ? `${ruler.end.time}:${ruler.end.freq}` : '-'
       ].join('|')
     }
 
@@ -583,7 +661,12 @@ export class GramFrame {
   _switchMode(mode) {
     // Pan mode is always selectable, even when fully zoomed out — panning itself
     // is gated on being zoomed in, but the user must be able to enter pan mode
-    // first (it is also the default mode). No zoom-level guard here.
+    // first (it is also the default mode). No zoom-level guard here. A mode
+    // this gram cannot use — Harmonics where time runs across — is refused.
+    const target = this.modes && this.modes[mode]
+    if (target && !target.isEnabled()) {
+      return
+    }
 
     // Track previous mode
     this.state.previousMode = this.state.mode
@@ -626,8 +709,12 @@ export class GramFrame {
     
     // Update container class for mode-specific styling
     if (this.ui.container) {
-      // Remove all mode classes
-      this.ui.container.classList.remove('gram-frame-analysis-mode', 'gram-frame-harmonics-mode')
+      // Remove all mode classes. Listing only analysis and harmonics here left
+      // the pan and doppler classes to pile up, which did not matter until a
+      // mode's controls (the ruler LEDs) were shown by its class alone.
+      this.ui.container.classList.remove(
+        ...ModeFactory.getAvailableModes().map(m => `gram-frame-${m}-mode`)
+      )
       // Add current mode class
       this.ui.container.classList.add(`gram-frame-${mode}-mode`)
     }
@@ -1,3 +1,7 @@
+import { readIntensityProfile } from '../components/spectrogramImage.js'
+import { getUniformTolerance } from '../utils/tolerance.js'
+import { findPeakFrequency } from '../utils/peakSnap.js'
+
 /**
  * Base interface for GramFrame analysis modes
  * Provides common lifecycle methods and event handling interface
@@ -10,9 +14,9 @@
  *   contract: a cursor-render hook and a state-snapshot hook were exactly that,
  *   and were deleted along with the coordinator method whose only job was
  *   calling the first of them.
- * - **Concrete helpers** — `getViewport` and `updateCursorStyle`. Zero
- *   overrides, but 17 and 3 callers: the base implementation *is* the whole
- *   contract, so they stay.
+ * - **Concrete helpers** — `getViewport`, `snapToPeak` and `updateCursorStyle`.
+ *   Zero overrides, but each has callers in several modes: the base
+ *   implementation *is* the whole contract, so they stay.
  *
  * `renderPersistentFeatures` remains declared here for modes that inherit the
  * no-op, but cross-module callers reach it through the `PersistentFeatureProvider`
@@ -205,13 +209,31 @@ export class BaseMode {
    * @returns {ViewportConfig} Viewport configuration object
    */
   getViewport() {
-    return {
-      margins: this.instance.state.margins,
-      imageDetails: this.instance.state.imageDetails,
-      config: this.instance.state.config,
-      zoom: this.instance.state.zoom,
-      rate: this.instance.state.rate
+    const { margins, imageDetails, config, zoom } = this.instance.state
+    return { margins, imageDetails, config, zoom }
+  }
+
+  /**
+   * Where a marker placed or dropped at a position lands.
+   *
+   * With snap-to-peak on, its frequency moves to the brightest pixel of the
+   * gram's row at its time, within the hit tolerance either side; its time is
+   * kept. Shift held on the click or drop places it exactly where it is, and a
+   * gram whose pixels cannot be read never snaps.
+   * @param {DataCoordinates} position - Where the pointer is
+   * @param {MouseEvent} [event] - The press or release placing it
+   * @returns {DataCoordinates} Where the marker goes
+   */
+  snapToPeak(position, event) {
+    if (!this.instance.state.snapToPeak || (event && event.shiftKey)) {
+      return position
+    }
+    const profile = readIntensityProfile(this.instance, position.time)
+    if (!profile) {
+      return position
     }
+    const { freq: halfWidth } = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, position.freq)
+    return { time: position.time, freq: findPeakFrequency(profile, position.freq, halfWidth) }
   }
 
   /**
@@ -2,6 +2,9 @@ import { AnalysisMode } from './analysis/AnalysisMode.js'
 import { HarmonicsMode } from './harmonics/HarmonicsMode.js'
 import { DopplerMode } from './doppler/DopplerMode.js'
 import { PanMode } from './pan/PanMode.js'
+import { RulerMode } from './ruler/RulerMode.js'
+import { TraceMode } from './trace/TraceMode.js'
+import { BoxMode } from './box/BoxMode.js'
 import { looksLikeMissingApiError } from '../core/browserCompatibility.js'
 import { createInitialState } from '../core/state.js'
 
@@ -37,8 +40,17 @@ export class ModeFactory {
         case 'pan':
           return new PanMode(instance)
         
+        case 'ruler':
+          return new RulerMode(instance)
+        
+        case 'trace':
+          return new TraceMode(instance)
+        
+        case 'box':
+          return new BoxMode(instance)
+        
         default:
-          throw new Error(`Invalid mode name: ${modeName}. Valid modes are: analysis, harmonics, doppler, pan`)
+          throw new Error(`Invalid mode name: ${modeName}. Valid modes are: analysis, harmonics, doppler, pan, ruler, trace, box`)
       }
     } catch (error) {
       console.error(`CRITICAL ERROR: Failed to create mode "${modeName}":`, error)
@@ -78,7 +90,8 @@ export class ModeFactory {
    * rather than importing the mode classes itself, which is what breaks the
    * state ⇄ modes cycle (spec 167, FR-002, ADR-014).
    *
-   * Merge order is fixed and explicit: analysis, harmonics, doppler, pan.
+   * Merge order is fixed and explicit: analysis, harmonics, doppler, pan, ruler,
+   * trace, box.
    * @returns {Partial<GramFrameState>} Merged mode slices
    */
   static getModeInitialStates() {
@@ -86,7 +99,10 @@ export class ModeFactory {
       AnalysisMode.getInitialState(),
       HarmonicsMode.getInitialState(),
       DopplerMode.getInitialState(),
-      PanMode.getInitialState()
+      PanMode.getInitialState(),
+      RulerMode.getInitialState(),
+      TraceMode.getInitialState(),
+      BoxMode.getInitialState()
     )
     assertNoCoreKeyCollision(slices)
     return slices
@@ -97,7 +113,7 @@ export class ModeFactory {
    * @returns {ModeType[]} Array of mode names
    */
   static getAvailableModes() {
-    return ['analysis', 'harmonics', 'doppler', 'pan']
+    return ['analysis', 'harmonics', 'doppler', 'pan', 'ruler', 'trace', 'box']
   }
 
   /**
@@ -1,10 +1,11 @@
 import { BaseMode } from '../BaseMode.js'
 import { dispatch, markAnnotationsChanged } from '../../core/state.js'
 import { createDiffingTable } from '../../components/DiffingTable.js'
-import { showMarkerLabelModal } from '../../components/MarkerLabelModal.js'
-
-/** SVG namespace, for the label button's icon */
-const SVG_NS = 'http://www.w3.org/2000/svg'
+import { createFrequencyCellContent } from '../../components/RateControl.js'
+import { frequencyUnit } from '../../utils/units.js'
+import { showMarkerLabelModal, createMarkerLabelCell } from '../../components/MarkerLabelModal.js'
+import { readIntensity } from '../../components/spectrogramImage.js'
+import { formatIntensity } from '../../utils/imagePixels.js'
 
 /**
  * Build a marker row's delete button. Markup unchanged from before the table
@@ -24,83 +25,18 @@ function createMarkerDeleteButton() {
   return button
 }
 
-/**
- * Build a marker row's label button (feature 231) — a luggage-tag icon that
- * opens the label dialog for that marker.
- *
- * Drawn as inline SVG rather than a glyph or an image so it stays crisp, needs
- * no font or network asset, and inherits the button's colour.
- *
- * @param {AnalysisMarker} marker - The row's marker, for the button's title
- * @returns {HTMLButtonElement} The label button
- */
-function createMarkerLabelButton(marker) {
-  const button = document.createElement('button')
-  button.className = 'gram-frame-marker-label-btn'
-  button.title = marker.label ? `Edit label: ${marker.label}` : 'Add label'
-  button.setAttribute('aria-label', button.title)
-
-  const icon = document.createElementNS(SVG_NS, 'svg')
-  icon.setAttribute('viewBox', '0 0 16 16')
-  icon.setAttribute('width', '13')
-  icon.setAttribute('height', '13')
-  icon.setAttribute('aria-hidden', 'true')
-
-  // Tag outline: a pentagon-ish body pointing down-left.
-  const body = document.createElementNS(SVG_NS, 'path')
-  body.setAttribute('d', 'M8.5 1H15v6.5L7.5 15 1 8.5 8.5 1z')
-  body.setAttribute('fill', 'none')
-  body.setAttribute('stroke', 'currentColor')
-  body.setAttribute('stroke-width', '1.6')
-  body.setAttribute('stroke-linejoin', 'round')
-
-  // The tag's eyelet.
-  const hole = document.createElementNS(SVG_NS, 'circle')
-  hole.setAttribute('cx', '11.5')
-  hole.setAttribute('cy', '4.5')
-  hole.setAttribute('r', '1.2')
-  hole.setAttribute('fill', 'currentColor')
-
-  icon.appendChild(body)
-  icon.appendChild(hole)
-  button.appendChild(icon)
-  return button
-}
-
-/**
- * Build the Label cell's content: the abbreviated label text, with the label
- * button floated into the cell's top-right corner.
- *
- * The button used to sit above the delete button in the actions cell, which
- * made every marker row tall enough for two stacked controls (53px against the
- * harmonics table's 45px). Absolutely positioned here it contributes no height
- * at all, and it sits beside the thing it edits.
- *
- * @param {AnalysisMarker} marker - The row's marker
- * @returns {HTMLDivElement} Container holding the label text and its button
- */
-function createMarkerLabelCell(marker) {
-  const content = document.createElement('div')
-  content.className = 'gram-frame-marker-label-content'
-
-  // The text is its own element so it can be clipped independently of the
-  // button — `getMarkerLabelCell` in the test helpers still reads the cell's
-  // textContent, which the icon-only button leaves untouched.
-  const text = document.createElement('span')
-  text.className = 'gram-frame-marker-label-text'
-  text.textContent = formatMarkerLabelForTable(marker.label)
-
-  content.appendChild(text)
-  content.appendChild(createMarkerLabelButton(marker))
-  return content
-}
-import { formatTime } from '../../utils/timeFormatter.js'
+import { formatGramTime, timeFormatLabel } from '../../utils/timeFormatter.js'
 import { dataToSVG } from '../../utils/coordinates.js'
 import { BaseDragHandler } from '../shared/BaseDragHandler.js'
 import { getUniformTolerance, isWithinToleranceRadius } from '../../utils/tolerance.js'
 import { createSymbolMark, createColorIndicator, resolveSymbolScale } from '../../rendering/symbols.js'
 import { createMarkerLabel } from '../../rendering/labels.js'
-import { formatMarkerLabelForTable, normalizeMarkerLabel } from '../../utils/markerLabel.js'
+import { normalizeMarkerLabel } from '../../utils/markerLabel.js'
+import { findFundamentalCandidates } from '../../utils/fundamental.js'
+import { isHarmonicSetHost } from '../capabilities.js'
+import { showFundamentalModal } from './FundamentalModal.js'
+
+/** @typedef {import('../capabilities.js').HarmonicSetHost} HarmonicSetHost */
 
 /**
  * Analysis mode implementation
@@ -130,9 +66,16 @@ export class AnalysisMode extends BaseMode {
       resolveTarget: (position) => this.findMarkerAtPosition(/** @type {DataCoordinates} */ (position)),
       onDragStart: (target, position) => this.onMarkerDragStart(target, /** @type {DataCoordinates} */ (position)),
       onDragMove: (target, currentPos, startPos) => this.onMarkerDragUpdate(target, /** @type {DataCoordinates} */ (currentPos), /** @type {DataCoordinates} */ (startPos)),
-      onDragEnd: (target, position) => this.onMarkerDragEnd(target, position),
+      onDragEnd: (target, position, event) => this.onMarkerDragEnd(target, position, event),
       updateCursor: (style) => this.updateCursorStyle(style)
     }, 'analysis')
+
+    /**
+     * Ids of the markers selected together for find-fundamental: the selected
+     * marker, plus any Ctrl-clicked into the group in the markers table.
+     * @type {Set<string>}
+     */
+    this.markerGroup = new Set()
   }
 
   /**
@@ -149,6 +92,17 @@ export class AnalysisMode extends BaseMode {
     return (analysis && analysis.markers) || []
   }
 
+  /**
+   * Whether a marker is the selected feature. One reach-in into the selection
+   * here rather than one per check.
+   * @param {string} markerId - Marker id
+   * @returns {boolean} True if the marker is selected
+   */
+  isMarkerSelected(markerId) {
+    const { selectedType, selectedId } = this.instance.state.selection
+    return selectedType === 'marker' && selectedId === markerId
+  }
+
   /**
    * Find one of this mode's markers by id.
    * @param {string|null|undefined} markerId - Marker id to look for
@@ -212,12 +166,19 @@ export class AnalysisMode extends BaseMode {
   }
 
   /**
-   * End dragging a marker
-   * @param {Object} _target - Drag target with id and type (unused)
+   * End dragging a marker. A marker dropped somewhere new snaps to the peak
+   * near it, as a placed one does; one only clicked, to select it, stays put.
+   * The engine clears the drag record itself.
+   * @param {DragTarget} target - Drag target, carrying the marker as it was
    * @param {DataCoordinates|null} _position - End position (unused)
+   * @param {MouseEvent} [event] - The release; Shift holds snapping off
    */
-  onMarkerDragEnd(_target, _position) {
-    // Nothing to unwind: the engine clears the drag record itself.
+  onMarkerDragEnd(target, _position, event) {
+    const marker = this.findMarker(target.id)
+    const original = /** @type {AnalysisMarker} */ (target.data)
+    if (marker && (marker.freq !== original.freq || marker.time !== original.time)) {
+      this.onMarkerDragUpdate(target, this.snapToPeak(marker, event), original)
+    }
   }
 
   /**
@@ -240,8 +201,10 @@ export class AnalysisMode extends BaseMode {
       items: [
         'Click to place persistent markers',
         'Drag existing markers to reposition them',
+        'With Snap on, markers land on the brightest pixel nearby; hold Shift to place exactly',
         'Right-click markers to delete them',
-        'Click table row + arrow keys (Shift for larger steps)'
+        'Click table row + arrow keys (Shift for larger steps)',
+        'Ctrl + click table rows to select several tonals, then Find f\u2080 for their fundamental'
       ]
     }
   }
@@ -280,18 +243,18 @@ export class AnalysisMode extends BaseMode {
     
     if (!dragStarted) {
       // No marker found, create new marker at click location
-      this.createMarkerAtPosition(dataCoords)
+      this.createMarkerAtPosition(this.snapToPeak(dataCoords, event))
     }
   }
 
   /**
    * Handle mouse up events in analysis mode
-   * @param {MouseEvent} _event - Mouse event (unused in current implementation)
+   * @param {MouseEvent} event - Mouse event
    * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
    */
-  handleMouseUp(_event, dataCoords) {
+  handleMouseUp(event, dataCoords) {
     // End drag operation through drag handler
-    this.dragHandler.endDrag(dataCoords)
+    this.dragHandler.endDrag(dataCoords, event)
   }
 
   /**
@@ -482,6 +445,15 @@ export class AnalysisMode extends BaseMode {
     
     // Create markers table in the persistent container
     this.createMarkersTable(markersContainer)
+
+    // Find-fundamental sits in the panel header, as + Manual does in the
+    // harmonics panel's
+    const header = markersContainer.querySelector('.gram-frame-panel-header')
+    if (header && !header.querySelector('.gram-frame-fundamental-button')) {
+      this.uiElements.fundamentalButton = this.createFundamentalButton()
+      header.appendChild(this.uiElements.fundamentalButton)
+      this.updateFundamentalButton()
+    }
     
     // Store references to existing table elements if they exist
     this.uiElements.markersTable = markersContainer.querySelector('.gram-frame-table')
@@ -517,28 +489,39 @@ export class AnalysisMode extends BaseMode {
       // column now has to hold an icon as well as the text, and the actions
       // column no longer stacks two controls, so 3% moves from each of Time,
       // Freq and actions to Label. Time and Freq both show five characters
-      // ("00:42", "24.71") and still have room for them.
+      // ("00:42", "24.71") and still have room for them. The intensity column,
+      // three digits at most, took its 14% from Label, Time and Freq.
       columns: [
         { label: '', width: '12%', cellClassName: 'gram-frame-marker-color' },
-        { label: 'Label', width: '30%', cellClassName: 'gram-frame-marker-label-cell' },
-        { label: 'Time (mm:ss)', width: '23%' },
-        { label: 'Freq (Hz)', width: '23%' },
+        { label: 'Label', width: '22%', cellClassName: 'gram-frame-marker-label-cell' },
+        // Clock or elapsed time, as the Time LED is switched
+        { label: () => `Time (${timeFormatLabel(this.instance.state)})`, width: '20%' },
+        { label: `Freq (${frequencyUnit(this.getViewport().config)})`, width: '20%' },
+        { label: 'Int (%)', width: '14%' },
         { label: '', width: '12%' }
       ],
       rowAttribute: 'data-marker-id',
       rowKey: (marker) => marker.id,
-      cells: (marker) => [
-        // Colour/symbol cell — a shaped symbol shows the colour-coded symbol;
-        // the cross (symbol-less) style shows a filled colour rectangle (FR-010).
-        createColorIndicator(marker.symbol, marker.color, 20),
-        // Label cell — abbreviated so the column keeps its width; the full text
-        // stays on the gram and in the edit dialog (feature 231). Also carries
-        // the label button, floated top-right.
-        createMarkerLabelCell(marker),
-        formatTime(marker.time),
-        marker.freq.toFixed(2),
-        createMarkerDeleteButton()
-      ],
+      cells: (marker) => {
+        const state = this.instance.state
+        return [
+          // Colour/symbol cell — a shaped symbol shows the colour-coded symbol;
+          // the cross (symbol-less) style shows a filled colour rectangle (FR-010).
+          createColorIndicator(marker.symbol, marker.color, 20),
+          // Label cell — abbreviated so the column keeps its width; the full text
+          // stays on the gram and in the edit dialog (feature 231). Also carries
+          // the label button, floated top-right.
+          createMarkerLabelCell(marker),
+          formatGramTime(marker.time, state),
+          // Freq cell — in the gram's units, with the multiple of the rate
+          // beneath when one is set
+          createFrequencyCellContent(marker.freq, state.rate, state.config),
+          // Intensity cell — the gram's brightness under the marker, so tonals'
+          // strengths can be compared; a dash when the pixels cannot be read
+          formatIntensity(readIntensity(this.instance, marker)),
+          createMarkerDeleteButton()
+        ]
+      },
       deleteSelector: '.gram-frame-marker-delete-btn',
       actions: [
         {
@@ -546,20 +529,20 @@ export class AnalysisMode extends BaseMode {
           handler: (markerId) => this.editMarkerLabel(markerId)
         }
       ],
-      onSelect: (markerId, _marker, index) => {
+      onSelect: (markerId, _marker, index, event) => {
+        if (event && (event.ctrlKey || event.metaKey)) {
+          this.toggleMarkerInGroup(markerId, index)
+          return
+        }
         // Toggle selection
-        const selection = this.instance.state.selection
-        if (selection.selectedType === 'marker' && selection.selectedId === markerId) {
+        if (this.isMarkerSelected(markerId)) {
           this.instance.interaction.clearSelection()
         } else {
           this.instance.interaction.setSelection('marker', markerId, index)
         }
       },
       onDelete: (markerId) => this.removeMarker(markerId),
-      isSelected: (markerId) => (
-        this.instance.state.selection.selectedType === 'marker' &&
-        this.instance.state.selection.selectedId === markerId
-      )
+      isSelected: (markerId) => this.markerGroup.has(markerId) || this.isMarkerSelected(markerId)
     })
 
     // Store all UI elements for proper cleanup
@@ -587,6 +570,120 @@ export class AnalysisMode extends BaseMode {
     if (!this.markersTable) return
 
     this.markersTable.update(this.markers)
+    this.updateFundamentalButton()
+  }
+
+  /**
+   * Keep the marker group in step with the selection.
+   *
+   * The `SelectionFollower` capability. Selecting a marker outside the group —
+   * a plain row click, a click on the gram, a new marker — starts a new group
+   * of just that marker; selecting anything else empties it.
+   */
+  onSelectionChange() {
+    const selectedMarker = this.markers.find(marker => this.isMarkerSelected(marker.id))
+    if (selectedMarker && this.markerGroup.has(selectedMarker.id)) {
+      return
+    }
+    this.markerGroup = new Set(selectedMarker ? [selectedMarker.id] : [])
+    this.updateMarkersTable()
+  }
+
+  /**
+   * Add a marker to the group, or take it out. An added marker becomes the
+   * selected one, so the arrow keys move it; taking out the selected marker
+   * passes the selection to another in the group.
+   * @param {string} markerId - ID of the Ctrl-clicked marker
+   * @param {number} index - Its row index
+   */
+  toggleMarkerInGroup(markerId, index) {
+    if (!this.markerGroup.has(markerId)) {
+      this.markerGroup.add(markerId)
+      this.instance.interaction.setSelection('marker', markerId, index)
+      return
+    }
+
+    this.markerGroup.delete(markerId)
+    if (!this.isMarkerSelected(markerId)) {
+      this.updateMarkersTable()
+      return
+    }
+    const next = this.groupedMarkers()[0]
+    if (next) {
+      this.instance.interaction.setSelection('marker', next.id, this.markers.indexOf(next))
+    } else {
+      this.instance.interaction.clearSelection()
+    }
+  }
+
+  /**
+   * The markers in the group that still exist, in table order.
+   * @returns {AnalysisMarker[]} Grouped markers
+   */
+  groupedMarkers() {
+    return this.markers.filter(marker => this.markerGroup.has(marker.id))
+  }
+
+  /**
+   * Create the find-fundamental button for the markers panel header.
+   * @returns {HTMLButtonElement} The button
+   */
+  createFundamentalButton() {
+    const button = document.createElement('button')
+    button.className = 'gram-frame-manual-button gram-frame-fundamental-button'
+    button.textContent = 'Find f\u2080'
+    button.title = 'Find the fundamental of the selected markers (Ctrl + click rows to select two or more)'
+    button.addEventListener('click', () => this.findFundamental())
+    return button
+  }
+
+  /**
+   * Enable the find-fundamental button only while two or more markers are
+   * grouped, and show it only where a harmonic set can be added.
+   */
+  updateFundamentalButton() {
+    const button = /** @type {HTMLButtonElement|undefined} */ (this.uiElements && this.uiElements.fundamentalButton)
+    if (button) {
+      button.style.display = this.harmonicSetHost() ? '' : 'none'
+      button.disabled = this.groupedMarkers().length < 2
+    }
+  }
+
+  /**
+   * The mode that hosts harmonic sets, if it is enabled on this gram — it is
+   * not where time runs across.
+   * @returns {HarmonicSetHost|null} The host, or null
+   */
+  harmonicSetHost() {
+    const host = Object.values(this.instance.modes || {}).find(mode => isHarmonicSetHost(mode) && mode.isEnabled())
+    return host && isHarmonicSetHost(host) ? host : null
+  }
+
+  /**
+   * Infer the fundamental of the grouped markers and offer it as a harmonic set.
+   *
+   * The tolerance is the gram's frequency grab tolerance at the current zoom:
+   * a tonal within it of a harmonic is as close as the analyst can place it.
+   * The chosen spacing is added through whichever mode hosts harmonic sets,
+   * anchored at the markers' mean time.
+   */
+  findFundamental() {
+    const grouped = this.groupedMarkers()
+    if (grouped.length < 2) return
+
+    const freqs = grouped.map(marker => marker.freq)
+    // On a log axis placement is coarser the higher the marker; the markers'
+    // mean frequency stands for them all
+    const meanFreq = freqs.reduce((sum, freq) => sum + freq, 0) / freqs.length
+    const viewport = this.getViewport()
+    const tolerance = getUniformTolerance(viewport, this.instance.ui.spectrogramImage, meanFreq).freq
+    const candidates = findFundamentalCandidates(freqs, tolerance)
+    showFundamentalModal(candidates, grouped.length, tolerance, viewport.config, (candidate) => {
+      const host = this.harmonicSetHost()
+      if (!host) return
+      const anchorTime = grouped.reduce((sum, marker) => sum + marker.time, 0) / grouped.length
+      host.addHarmonicSet(anchorTime, candidate.spacing)
+    })
   }
 
   /**
@@ -615,15 +712,16 @@ export class AnalysisMode extends BaseMode {
    * @param {AnalysisMarker} marker - Marker object with all properties
    */
   addMarker(marker) {
-    if (!this.instance.state.analysis) {
-      this.instance.state.analysis = { markers: [] }
+    const state = this.instance.state
+    if (!state.analysis) {
+      state.analysis = { markers: [] }
     }
     
-    this.instance.state.analysis.markers.push(marker)
+    state.analysis.markers.push(marker)
     markAnnotationsChanged(this.instance)
     
     // Auto-select the newly created marker
-    const index = this.instance.state.analysis.markers.length - 1
+    const index = this.markers.length - 1
     this.instance.interaction.setSelection('marker', marker.id, index)
     
     // Update markers table
@@ -647,8 +745,7 @@ export class AnalysisMode extends BaseMode {
     const index = markers.findIndex(m => m.id === markerId)
     if (index !== -1) {
       // Clear selection if removing the selected marker
-      if (this.instance.state.selection.selectedType === 'marker' && 
-          this.instance.state.selection.selectedId === markerId) {
+      if (this.isMarkerSelected(markerId)) {
         this.instance.interaction.clearSelection()
       }
       
@@ -717,7 +814,7 @@ export class AnalysisMode extends BaseMode {
    * @returns {DragTarget|null} Drag target if found, null otherwise
    */
   findMarkerAtPosition(position) {
-    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage)
+    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, position.freq)
     
     // Check each marker to see if position hits the crosshair lines
     const marker = this.markers.find(candidate => {
@@ -0,0 +1,156 @@
+/**
+ * The find-fundamental dialog for Analysis mode.
+ *
+ * Opened from the markers panel's `Find f₀` button with two or more markers
+ * selected, it lists the spacings whose harmonics explain every selected
+ * tonal — largest first, since that is the fundamental and the rest are its
+ * sub-multiples — with the harmonic number each tonal falls on and a fit score.
+ * The chosen spacing is added as a harmonic set.
+ *
+ * Built with `createElement`, as the marker-label dialog is.
+ */
+
+/// <reference path="../../types.js" />
+
+import { formatFrequency, frequencyUnit } from '../../utils/units.js'
+
+/**
+ * Build one candidate's row: a radio to choose it, its spacing, the harmonic
+ * numbers of the tonals and its fit.
+ * @param {FundamentalCandidate} candidate - Candidate spacing
+ * @param {number} index - Its position in the list
+ * @param {ReadoutFormat} format - The gram's config, for the spacing's units
+ * @returns {{row: HTMLLabelElement, radio: HTMLInputElement}} The row and its radio
+ */
+function createCandidateRow(candidate, index, format) {
+  const row = document.createElement('label')
+  row.className = 'gram-frame-fundamental-candidate'
+
+  const radio = document.createElement('input')
+  radio.type = 'radio'
+  radio.name = 'gram-frame-fundamental-candidate'
+  radio.value = String(index)
+  radio.checked = index === 0
+
+  const spacing = document.createElement('span')
+  spacing.className = 'gram-frame-fundamental-spacing'
+  spacing.textContent = `${formatFrequency(candidate.spacing, format)} ${frequencyUnit(format)}`
+
+  const orders = document.createElement('span')
+  orders.className = 'gram-frame-fundamental-orders'
+  orders.textContent = `×${candidate.orders.join(', ×')}`
+
+  const fit = document.createElement('span')
+  fit.className = 'gram-frame-fundamental-fit'
+  fit.textContent = `${Math.round(candidate.fit * 100)}% fit`
+
+  row.appendChild(radio)
+  row.appendChild(spacing)
+  row.appendChild(orders)
+  row.appendChild(fit)
+  return { row, radio }
+}
+
+/**
+ * Show the find-fundamental dialog.
+ *
+ * Self-closing, like the marker-label dialog: it removes itself on add,
+ * cancel, Escape or a click on the backdrop. `onAdd` fires with the chosen
+ * candidate. With no candidates the dialog says so and offers only Close.
+ *
+ * @param {FundamentalCandidate[]} candidates - Candidates, largest spacing first
+ * @param {number} tonalCount - How many tonals were selected
+ * @param {number} tolerance - Tolerance the tonals were fitted to, in Hz
+ * @param {ReadoutFormat} format - The gram's config, for the units frequencies are shown in
+ * @param {function(FundamentalCandidate): void} onAdd - Called with the chosen candidate
+ * @returns {HTMLDivElement} The overlay element, for callers that need to dismiss it
+ */
+export function showFundamentalModal(candidates, tonalCount, tolerance, format, onAdd) {
+  const overlay = document.createElement('div')
+  overlay.className = 'gram-frame-modal-overlay gram-frame-fundamental-modal'
+
+  const modal = document.createElement('div')
+  modal.className = 'gram-frame-modal'
+
+  const header = document.createElement('div')
+  header.className = 'gram-frame-modal-header'
+  const heading = document.createElement('h3')
+  heading.textContent = 'Find Fundamental'
+  header.appendChild(heading)
+
+  const body = document.createElement('div')
+  body.className = 'gram-frame-modal-body'
+
+  const hint = document.createElement('div')
+  hint.className = 'gram-frame-modal-hint'
+  const within = `±${formatFrequency(tolerance, format)} ${frequencyUnit(format)}`
+  hint.textContent = candidates.length > 0
+    ? `Spacings whose harmonics fall within ${within} of all ${tonalCount} selected tonals:`
+    : `No spacing has harmonics within ${within} of all ${tonalCount} selected tonals.`
+  body.appendChild(hint)
+
+  /** @type {HTMLInputElement[]} */
+  const radios = []
+  candidates.forEach((candidate, index) => {
+    const { row, radio } = createCandidateRow(candidate, index, format)
+    radios.push(radio)
+    body.appendChild(row)
+  })
+
+  const footer = document.createElement('div')
+  footer.className = 'gram-frame-modal-footer'
+  const cancelButton = document.createElement('button')
+  cancelButton.className = 'gram-frame-modal-btn gram-frame-modal-cancel'
+  cancelButton.textContent = candidates.length > 0 ? 'Cancel' : 'Close'
+  footer.appendChild(cancelButton)
+  const addButton = document.createElement('button')
+  addButton.className = 'gram-frame-modal-btn gram-frame-modal-add'
+  addButton.textContent = 'Add harmonics'
+  if (candidates.length > 0) {
+    footer.appendChild(addButton)
+  }
+
+  modal.appendChild(header)
+  modal.appendChild(body)
+  modal.appendChild(footer)
+  overlay.appendChild(modal)
+  document.body.appendChild(overlay)
+
+  /**
+   * Remove the dialog from the page.
+   */
+  function closeModal() {
+    if (overlay.parentNode) {
+      overlay.parentNode.removeChild(overlay)
+    }
+  }
+
+  /**
+   * Add the chosen candidate and close.
+   */
+  function add() {
+    const chosen = radios.findIndex(radio => radio.checked)
+    onAdd(candidates[Math.max(0, chosen)])
+    closeModal()
+  }
+
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && candidates.length > 0) {
+      add()
+    } else if (e.key === 'Escape') {
+      closeModal()
+    }
+  })
+  cancelButton.addEventListener('click', closeModal)
+  addButton.addEventListener('click', add)
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      closeModal()
+    }
+  })
+
+  const focusTarget = radios[0] || cancelButton
+  focusTarget.focus()
+
+  return overlay
+}
@@ -0,0 +1,630 @@
+import { BaseMode } from '../BaseMode.js'
+import { createDiffingTable } from '../../components/DiffingTable.js'
+import { showMarkerLabelModal, createMarkerLabelCell } from '../../components/MarkerLabelModal.js'
+import { dispatch, markAnnotationsChanged } from '../../core/state.js'
+import { dataToSVG } from '../../utils/coordinates.js'
+import { boxFromCorners, boxCorners, isOnBoxEdge, isEmptyBox } from '../../utils/box.js'
+import { normalizeMarkerLabel } from '../../utils/markerLabel.js'
+import { BaseDragHandler } from '../shared/BaseDragHandler.js'
+import { getUniformTolerance, isWithinDataTolerance, findClosestTarget } from '../../utils/tolerance.js'
+import { IDLE_CURSOR } from '../../utils/cursors.js'
+import { formatFrequency, frequencyUnit } from '../../utils/units.js'
+import { formatTimeReading, timeReading } from '../../utils/timeFormatter.js'
+import { createSymbolMark, createColorIndicator, resolveSymbolScale } from '../../rendering/symbols.js'
+import { createMarkerLabel } from '../../rendering/labels.js'
+
+/** SVG namespace for element creation */
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/** Selection type of a box, as passed to `setSelection` */
+const BOX_SELECTION = 'box'
+
+/** Class the boxes panel carries while it has rows, to show it outside Box mode */
+const HAS_BOXES_CLASS = 'gram-frame-has-boxes'
+
+/**
+ * Build a box row's delete button, in the markers table's style.
+ * @returns {HTMLButtonElement} The delete button
+ */
+function createBoxDeleteButton() {
+  const button = document.createElement('button')
+  button.textContent = '×'
+  button.className = 'gram-frame-box-delete-btn'
+  button.title = 'Delete box'
+  return button
+}
+
+/**
+ * Table cell content for one extent: two values, one above the other.
+ * @param {string} upper - Value on the first line
+ * @param {string} lower - Value on the second line
+ * @returns {HTMLDivElement} Two-line cell content
+ */
+function createExtentCell(upper, lower) {
+  const content = document.createElement('div')
+  content.className = 'gram-frame-box-extent'
+  for (const value of [upper, lower]) {
+    const line = document.createElement('div')
+    line.textContent = value
+    content.appendChild(line)
+  }
+  return content
+}
+
+/**
+ * Box mode implementation.
+ *
+ * Highlight a region of the gram — a broadband event, a transient — that a
+ * point marker cannot express: drag out a box over its time span and
+ * frequency band. The box takes the style panel's colour and symbol, and a
+ * label from the boxes panel, where every box is listed with its extents and
+ * bandwidth.
+ *
+ * Dragging on empty image draws a new box; dragging a corner resizes the box
+ * about the opposite corner, and dragging an edge moves it. Only the outline
+ * is grabbable, so boxes can be drawn over one another. Right-click the
+ * outline to remove a box.
+ */
+export class BoxMode extends BaseMode {
+  /**
+   * Initialize BoxMode with drag handler
+   * @param {GramFrame} instance - GramFrame instance
+   */
+  constructor(instance) {
+    super(instance)
+
+    /** @type {{update: function(Array<TimeFrequencyBox>): void, destroy: function(): void, element: HTMLElement}|null} */
+    this.boxesTable = null
+
+    /**
+     * Box being drawn, drawn dashed until the drag settles. Held here rather
+     * than read from the drag engine, which only clears its own state after
+     * the end callback has redrawn.
+     * @type {string|null}
+     */
+    this.drawingId = null
+
+    // One handler for every box drag: resizing by a corner and moving by an
+    // edge (`move`), and drawing a new box (`place`), which seeds a box with
+    // no area in the resolver and lets its far corner follow the pointer.
+    this.dragHandler = new BaseDragHandler(instance, {
+      resolveTarget: (position) => this.resolveBoxDrag(/** @type {DataCoordinates} */ (position)),
+      // Hover only ever finds a corner or an edge; resolveBoxDrag draws a box.
+      resolveHoverTarget: (position) => this.findBoxAtPosition(/** @type {DataCoordinates} */ (position)),
+      onDragStart: (target) => this.selectBox(/** @type {string} */ (target.id)),
+      onDragMove: (target, currentPos, startPos) => this.onBoxDragMove(
+        target,
+        /** @type {DataCoordinates} */ (currentPos),
+        /** @type {DataCoordinates} */ (startPos)
+      ),
+      onDragEnd: (target) => this.onBoxDragEnd(target),
+      onDragCancel: (target) => this.onBoxDragCancel(target),
+      updateCursor: (style) => this.updateCursorStyle(style)
+    }, 'box')
+  }
+
+  /**
+   * This mode's state slice. One reach-in here rather than one per handler.
+   * @returns {BoxState} The live box state
+   */
+  get box() {
+    return this.instance.state.box
+  }
+
+  /**
+   * The selection slice, which the panel, the renderer and deletion all read.
+   * @returns {SelectionState} The live selection state
+   */
+  get selection() {
+    return this.instance.state.selection
+  }
+
+  /**
+   * Whether a box is the selected feature.
+   * @param {string} boxId - Box id
+   * @returns {boolean} True if the box is selected
+   */
+  isBoxSelected(boxId) {
+    const selection = this.selection
+    return selection.selectedType === BOX_SELECTION && selection.selectedId === boxId
+  }
+
+  /**
+   * Look up a box by id.
+   * @param {string|null} id - Box id
+   * @returns {TimeFrequencyBox|null} The box, or null if there is none with that id
+   */
+  getBox(id) {
+    return this.box.boxes.find(b => b.id === id) || null
+  }
+
+  /**
+   * Find the part of a box under a position: a corner if one is in reach,
+   * else an edge. Later boxes are drawn on top, so they win an edge tie.
+   * @param {DataCoordinates} position - Position to check
+   * @returns {DragTarget|null} A move-kind target for the corner or edge, or null
+   */
+  findBoxAtPosition(position) {
+    const boxes = this.box.boxes
+    if (boxes.length === 0) return null
+
+    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, position.freq)
+
+    /** @type {Array<DragTarget & {position: DataCoordinates, id: string}>} */
+    const corners = []
+    for (const b of boxes) {
+      for (const { corner, opposite } of boxCorners(b)) {
+        if (isWithinDataTolerance(position, corner, tolerance)) {
+          corners.push({
+            kind: 'move',
+            id: b.id,
+            type: 'boxCorner',
+            position: corner,
+            data: { anchor: opposite }
+          })
+        }
+      }
+    }
+    const corner = findClosestTarget(position, corners, tolerance) || corners[0]
+    if (corner) {
+      return corner
+    }
+
+    const edged = [...boxes].reverse().find(b => isOnBoxEdge(b, position, tolerance))
+    if (!edged) {
+      return null
+    }
+    const { timeStart, timeEnd, freqLow, freqHigh } = edged
+    return {
+      kind: 'move',
+      id: edged.id,
+      type: 'boxEdge',
+      position,
+      data: { original: { timeStart, timeEnd, freqLow, freqHigh } }
+    }
+  }
+
+  /**
+   * Resolve what a mousedown starts: resizing or moving the box under the
+   * pointer, or — anywhere else — drawing a new box.
+   * @param {DataCoordinates} position - Position of the mousedown
+   * @returns {DragTarget} A move- or place-kind target
+   */
+  resolveBoxDrag(position) {
+    return this.findBoxAtPosition(position) || this.startBox(position)
+  }
+
+  /**
+   * Seed a new box with no area at a position, in the style panel's current
+   * colour and symbol. Returns a place target whose far corner follows the
+   * pointer; the box is discarded if the press never drags.
+   * @param {DataCoordinates} position - Position of the mousedown
+   * @returns {DragTarget} A place-kind target
+   */
+  startBox(position) {
+    const { selectedColor, selectedSymbol, largeSymbols } = this.instance.state
+    const anchor = { time: position.time, freq: position.freq }
+
+    /** @type {TimeFrequencyBox} */
+    const newBox = {
+      id: `box-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+      ...boxFromCorners(anchor, anchor),
+      color: selectedColor || '#ff0000',
+      symbol: selectedSymbol || 'cross',
+      largeSymbols: !!largeSymbols
+    }
+    this.box.boxes.push(newBox)
+    this.drawingId = newBox.id
+
+    return {
+      kind: 'place',
+      id: newBox.id,
+      type: 'boxCorner',
+      position,
+      data: { anchor }
+    }
+  }
+
+  /**
+   * Follow the pointer: an edge drag shifts the whole box by the distance
+   * dragged; a corner drag, or a box being drawn, spans from the anchored
+   * corner to the pointer.
+   * @param {DragTarget} target - Drag target
+   * @param {DataCoordinates} currentPos - Current position
+   * @param {DataCoordinates} startPos - Position the drag began at
+   */
+  onBoxDragMove(target, currentPos, startPos) {
+    const b = this.getBox(target.id)
+    if (!b) return
+
+    if (target.type === 'boxEdge') {
+      const { original } = target.data
+      const deltaTime = currentPos.time - startPos.time
+      const deltaFreq = currentPos.freq - startPos.freq
+      b.timeStart = original.timeStart + deltaTime
+      b.timeEnd = original.timeEnd + deltaTime
+      b.freqLow = original.freqLow + deltaFreq
+      b.freqHigh = original.freqHigh + deltaFreq
+    } else {
+      Object.assign(b, boxFromCorners(target.data.anchor, currentPos))
+    }
+    markAnnotationsChanged(this.instance)
+
+    this.refreshBoxes()
+  }
+
+  /**
+   * Settle a drag. A box drawn without dragging has no area — it was a click,
+   * not a region — so it is removed rather than left behind.
+   * @param {DragTarget} target - Drag target
+   */
+  onBoxDragEnd(target) {
+    this.drawingId = null
+    const b = this.getBox(target.id)
+    if (target.kind === 'place' && b && isEmptyBox(b)) {
+      this.removeBox(b.id)
+      return
+    }
+    this.refreshBoxes()
+  }
+
+  /**
+   * Cancel a drag. A cancelled drawing removes the box; a cancelled move or
+   * resize leaves it where it was last drawn, as the other modes do.
+   * @param {DragTarget} target - Drag target
+   */
+  onBoxDragCancel(target) {
+    this.drawingId = null
+    if (target && target.kind === 'place') {
+      this.removeBox(/** @type {string} */ (target.id))
+    }
+  }
+
+  /**
+   * Delete one box, dropping the selection first if it is the selected one.
+   * @param {string} boxId - Box id
+   */
+  removeBox(boxId) {
+    const boxes = this.box.boxes
+    const index = boxes.findIndex(b => b.id === boxId)
+    if (index === -1) {
+      return
+    }
+    if (this.isBoxSelected(boxId)) {
+      this.instance.interaction.clearSelection()
+    }
+    boxes.splice(index, 1)
+    markAnnotationsChanged(this.instance)
+
+    this.refreshBoxes()
+  }
+
+  /**
+   * Select a box, so the style panel restyles it.
+   * @param {string} boxId - Box id
+   */
+  selectBox(boxId) {
+    const index = this.box.boxes.findIndex(b => b.id === boxId)
+    if (index !== -1) {
+      this.instance.interaction.setSelection(BOX_SELECTION, boxId, index)
+    }
+  }
+
+  /**
+   * Open the label dialog for a box.
+   *
+   * Does nothing when the box has gone — a row's controls are rebuilt from
+   * state, but a click can still race a deletion.
+   * @param {string} boxId - ID of the box to label
+   */
+  editBoxLabel(boxId) {
+    const b = this.getBox(boxId)
+    if (!b) return
+
+    showMarkerLabelModal(b.label, (label) => this.setBoxLabel(boxId, label), 'Box')
+  }
+
+  /**
+   * Set (or clear) a box's label, as `setMarkerLabel` does for a marker.
+   * @param {string} boxId - ID of the box to update
+   * @param {string|undefined} label - New label, or `undefined`/empty to remove it
+   */
+  setBoxLabel(boxId, label) {
+    const b = this.getBox(boxId)
+    if (!b) return
+
+    const normalized = normalizeMarkerLabel(label)
+    if (normalized) {
+      b.label = normalized
+    } else {
+      delete b.label
+    }
+    markAnnotationsChanged(this.instance)
+
+    this.refreshBoxes()
+  }
+
+  /**
+   * Redraw the boxes, update the panel, and notify listeners.
+   */
+  refreshBoxes() {
+    this.renderBoxFeatures()
+    this.refreshPanel()
+    dispatch(this.instance, { frame: true })
+  }
+
+  /**
+   * Keep the selected-box highlight in step with the selection.
+   *
+   * The `SelectionFollower` capability: selecting a box's row, or any other
+   * feature, changes which outline is drawn heavy.
+   */
+  onSelectionChange() {
+    this.renderBoxFeatures()
+  }
+
+  /**
+   * Handle mouse move events in box mode
+   * @param {MouseEvent} _event - Mouse event (unused)
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseMove(_event, dataCoords) {
+    if (this.dragHandler.isDragging()) {
+      this.dragHandler.handleMouseMove(dataCoords)
+    } else {
+      this.dragHandler.updateCursorForHover(dataCoords)
+    }
+  }
+
+  /**
+   * Handle mouse down events in box mode
+   * @param {MouseEvent} event - Mouse event
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseDown(event, dataCoords) {
+    if (this.dragHandler.startDrag(dataCoords, event)) {
+      dispatch(this.instance, { frame: true })
+    }
+  }
+
+  /**
+   * Handle mouse up events in box mode
+   * @param {MouseEvent} _event - Mouse event (unused)
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseUp(_event, dataCoords) {
+    if (this.dragHandler.isDragging()) {
+      this.dragHandler.endDrag(dataCoords)
+    }
+  }
+
+  /**
+   * Handle context menu (right-click) events: remove the box whose outline is
+   * under the pointer.
+   * @param {MouseEvent} event - Mouse event
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleContextMenu(event, dataCoords) {
+    event.preventDefault()
+    const target = this.findBoxAtPosition(dataCoords)
+    if (!target) {
+      return
+    }
+    this.removeBox(/** @type {string} */ (target.id))
+    this.updateCursorStyle(IDLE_CURSOR)
+  }
+
+  /**
+   * Get guidance content for box mode
+   * @returns {Object} Structured guidance content
+   */
+  getGuidanceText() {
+    return {
+      title: 'Box Mode',
+      items: [
+        'Drag across the gram to box a time span and frequency band',
+        'Drag a corner to resize a box, or an edge to move it',
+        'New boxes take the current colour and symbol',
+        'Label, select or delete boxes in the boxes panel',
+        'Right-click a box outline to remove it'
+      ]
+    }
+  }
+
+  /**
+   * Create the boxes table in its persistent container
+   * @param {HTMLElement} boxesContainer - Persistent container for the boxes table (already has label)
+   */
+  createUI(boxesContainer) {
+    this.uiElements = {}
+    this.uiElements.boxesContainer = boxesContainer
+
+    if (boxesContainer.querySelector('.gram-frame-table')) {
+      return
+    }
+
+    // Times as decimals, as two mm:ss values would not fit the column
+    const { config } = this.getViewport()
+    const freqUnit = frequencyUnit(config)
+    this.boxesTable = createDiffingTable(boxesContainer, {
+      columns: [
+        { label: '', width: '10%', cellClassName: 'gram-frame-box-color' },
+        { label: 'Label', width: '24%', cellClassName: 'gram-frame-marker-label-cell' },
+        { label: `Time (${timeReading(0, config).unit})`, width: '20%' },
+        { label: `Freq (${freqUnit})`, width: '20%' },
+        { label: `BW (${freqUnit})`, width: '16%' },
+        { label: '', width: '10%' }
+      ],
+      rowAttribute: 'data-box-id',
+      rowKey: (b) => b.id,
+      cells: (b) => [
+        createColorIndicator(b.symbol, b.color, 20),
+        createMarkerLabelCell(b),
+        createExtentCell(formatTimeReading(b.timeStart, config), formatTimeReading(b.timeEnd, config)),
+        // High above low, as the band sits on the gram
+        createExtentCell(formatFrequency(b.freqHigh, config), formatFrequency(b.freqLow, config)),
+        formatFrequency(b.freqHigh - b.freqLow, config),
+        createBoxDeleteButton()
+      ],
+      deleteSelector: '.gram-frame-box-delete-btn',
+      actions: [
+        {
+          selector: '.gram-frame-marker-label-btn',
+          handler: (boxId) => this.editBoxLabel(boxId)
+        }
+      ],
+      onSelect: (boxId, _box, index) => {
+        if (this.isBoxSelected(boxId)) {
+          this.instance.interaction.clearSelection()
+        } else {
+          this.instance.interaction.setSelection(BOX_SELECTION, boxId, index)
+        }
+      },
+      onDelete: (boxId) => this.removeBox(boxId),
+      isSelected: (boxId) => this.isBoxSelected(boxId)
+    })
+    this.uiElements.boxesTable = this.boxesTable.element
+
+    this.refreshPanel()
+  }
+
+  /**
+   * Re-render the boxes table from current state, showing the panel outside
+   * Box mode only while it has rows.
+   *
+   * The `PanelOwner` capability.
+   */
+  refreshPanel() {
+    if (!this.boxesTable) return
+
+    const boxes = this.box.boxes
+    this.boxesTable.update(boxes)
+    const container = this.uiElements.boxesContainer
+    if (container) {
+      container.classList.toggle(HAS_BOXES_CLASS, boxes.length > 0)
+    }
+  }
+
+  /**
+   * Destroy mode-specific UI elements when leaving this mode
+   */
+  destroyUI() {
+    // The boxes table is persistent, like the markers table: nothing to remove
+  }
+
+  /**
+   * Reset box state: every box goes.
+   */
+  resetState() {
+    if (this.selection.selectedType === BOX_SELECTION) {
+      this.instance.interaction.clearSelection()
+    }
+    this.box.boxes = []
+    this.dragHandler.reset()
+    markAnnotationsChanged(this.instance)
+    this.refreshBoxes()
+  }
+
+  /**
+   * Clean up when switching away
+   */
+  cleanup() {
+    this.dragHandler.reset()
+  }
+
+  /**
+   * Whether any box has been drawn.
+   *
+   * Half of the `PersistentFeatureProvider` capability: boxes stay on the gram
+   * across mode switches, like markers and traces.
+   * @returns {boolean} True if there is at least one box
+   */
+  hasPersistentFeatures() {
+    const box = this.box
+    return !!(box && box.boxes.length > 0)
+  }
+
+  /**
+   * Render persistent features (for FeatureRenderer)
+   */
+  renderPersistentFeatures() {
+    this.renderBoxFeatures()
+  }
+
+  /**
+   * Draw every box: a lightly filled rectangle in the box's colour, with its
+   * symbol and label at the top-left corner. The selected box is outlined
+   * heavier, and one being drawn dashed, as a ruler being placed is.
+   */
+  renderBoxFeatures() {
+    const cursorGroup = this.instance.ui.cursorGroup
+    if (!cursorGroup) return
+
+    cursorGroup.querySelectorAll('.gram-frame-box').forEach(element => element.remove())
+
+    const selection = this.selection
+    const selectedId = selection.selectedType === BOX_SELECTION ? selection.selectedId : null
+    const viewport = this.getViewport()
+    const image = this.instance.ui.spectrogramImage
+    // Outlines are grabbable only in this mode; elsewhere they must not
+    // swallow the active mode's clicks.
+    const pointerEvents = this.instance.currentMode === this ? 'visibleStroke' : 'none'
+
+    for (const b of this.box.boxes) {
+      const a = dataToSVG({ time: b.timeStart, freq: b.freqHigh }, viewport, image)
+      const c = dataToSVG({ time: b.timeEnd, freq: b.freqLow }, viewport, image)
+      const x = Math.min(a.x, c.x)
+      const y = Math.min(a.y, c.y)
+
+      const group = document.createElementNS(SVG_NS, 'g')
+      group.setAttribute('class', 'gram-frame-box')
+      group.setAttribute('data-box-id', b.id)
+
+      const rect = document.createElementNS(SVG_NS, 'rect')
+      rect.setAttribute('class', 'gram-frame-box-outline')
+      rect.setAttribute('x', String(x))
+      rect.setAttribute('y', String(y))
+      rect.setAttribute('width', String(Math.abs(c.x - a.x)))
+      rect.setAttribute('height', String(Math.abs(c.y - a.y)))
+      rect.setAttribute('fill', b.color)
+      rect.setAttribute('fill-opacity', '0.12')
+      rect.setAttribute('stroke', b.color)
+      rect.setAttribute('stroke-width', b.id === selectedId ? '3' : '2')
+      rect.setAttribute('pointer-events', pointerEvents)
+      if (b.id === this.drawingId) {
+        rect.setAttribute('stroke-dasharray', '5,5')
+      }
+      group.appendChild(rect)
+
+      const size = 10 * resolveSymbolScale(b)
+      const mark = createSymbolMark(b.symbol, x, y, size, b.color)
+      if (mark) {
+        mark.setAttribute('stroke', '#ffffff')
+        mark.setAttribute('stroke-width', '1')
+        mark.setAttribute('pointer-events', 'none')
+        group.appendChild(mark)
+      }
+
+      const label = createMarkerLabel(b, x, y, size, 'data-box-id')
+      if (label) {
+        group.appendChild(label)
+      }
+
+      cursorGroup.appendChild(group)
+    }
+  }
+
+  /**
+   * Get initial state for box mode
+   * @returns {BoxInitialState} Box-specific initial state
+   */
+  static getInitialState() {
+    return {
+      box: {
+        // TimeFrequencyBox[], oldest first. Drag bookkeeping lives on
+        // state.drag, owned by the engine.
+        boxes: []
+      }
+    }
+  }
+}
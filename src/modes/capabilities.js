@@ -18,7 +18,7 @@
 /**
  * A mode that owns features surviving a mode switch.
  *
- * Implemented by Analysis, Harmonics and Doppler. Not Pan.
+ * Implemented by Analysis, Harmonics, Doppler, Ruler, Trace and Box. Not Pan.
  * @typedef {Object} PersistentFeatureProvider
  * @property {function(): boolean} hasPersistentFeatures - True iff at least one
  *   such feature currently exists. Reads this mode's own state slice.
@@ -30,13 +30,45 @@
 /**
  * A mode that owns a persistent panel in the unified layout.
  *
- * Implemented by Analysis (the markers table) and Harmonics (the harmonics
- * panel).
+ * Implemented by Analysis (the markers table), Harmonics (the harmonics
+ * panel), Trace (the traces table) and Box (the boxes table).
  * @typedef {Object} PanelOwner
  * @property {function(): void} refreshPanel - Re-renders the panel from current
  *   state. Idempotent, and safe when the panel is empty or its container absent.
  */
 
+/**
+ * A mode with a readout that reports the selected feature.
+ *
+ * Implemented by Doppler, whose speed LED shows the selected curve, Trace,
+ * whose LEDs show the selected trace, Box, which outlines the selected box
+ * heavier, and Analysis, whose marker group follows the selected marker.
+ * @typedef {Object} SelectionFollower
+ * @property {function(): void} onSelectionChange - Brings the mode's readouts
+ *   and highlighting in line with `state.selection`. Called after every
+ *   selection change, whichever mode made it.
+ */
+
+/**
+ * A mode that other modes can propose harmonic sets to.
+ *
+ * Implemented by Harmonics. Analysis uses it to add the fundamental it infers
+ * from the selected markers.
+ * @typedef {Object} HarmonicSetHost
+ * @property {function(number, number, HarmonicSetOptions=): HarmonicSet} addHarmonicSet - Adds a
+ *   set at an anchor time and spacing, selects it and redraws.
+ */
+
+/**
+ * A mode that other collaborators can place markers through.
+ *
+ * Implemented by Analysis. The slice profile uses it to mark a peak clicked in
+ * its spectrum.
+ * @typedef {Object} MarkerHost
+ * @property {function(DataCoordinates): void} createMarkerAtPosition - Adds a
+ *   marker in the current colour and symbol, selects it and redraws.
+ */
+
 /**
  * Whether a mode provides persistent features.
  *
@@ -62,3 +94,36 @@ export function isPanelOwner(mode) {
   const candidate = /** @type {Partial<PanelOwner>} */ (mode)
   return typeof candidate?.refreshPanel === 'function'
 }
+
+/**
+ * Whether a mode follows the selection.
+ * @template T
+ * @param {T} mode - Mode instance
+ * @returns {mode is T & SelectionFollower} True if the mode implements SelectionFollower
+ */
+export function isSelectionFollower(mode) {
+  const candidate = /** @type {Partial<SelectionFollower>} */ (mode)
+  return typeof candidate?.onSelectionChange === 'function'
+}
+
+/**
+ * Whether a mode accepts harmonic sets.
+ * @template T
+ * @param {T} mode - Mode instance
+ * @returns {mode is T & HarmonicSetHost} True if the mode implements HarmonicSetHost
+ */
+export function isHarmonicSetHost(mode) {
+  const candidate = /** @type {Partial<HarmonicSetHost>} */ (mode)
+  return typeof candidate?.addHarmonicSet === 'function'
+}
+
+/**
+ * Whether a mode places markers.
+ * @template T
+ * @param {T} mode - Mode instance
+ * @returns {mode is T & MarkerHost} True if the mode implements MarkerHost
+ */
+export function isMarkerHost(mode) {
+  const candidate = /** @type {Partial<MarkerHost>} */ (mode)
+  return typeof candidate?.createMarkerAtPosition === 'function'
+}
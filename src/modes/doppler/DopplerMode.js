@@ -1,13 +1,25 @@
 import { BaseMode } from '../BaseMode.js'
-import { setLEDValue } from '../../components/LEDDisplay.js'
+import { setLEDValue, setLEDLabel } from '../../components/LEDDisplay.js'
 import { updateLEDDisplays } from '../../components/UIComponents.js'
 import { dispatch, markAnnotationsChanged } from '../../core/state.js'
 // Rendering imports removed - no display element
-import { calculateDopplerSpeed, calculateMidpoint, MS_TO_KNOTS } from '../../utils/doppler.js'
-import { dataToSVG } from '../../utils/coordinates.js'
+import { calculateDopplerSpeed, calculateCurveCpa, calculateMidpoint, resolveSoundSpeed, S_CURVE_TENSION } from '../../utils/doppler.js'
+import { CPA_TIME_UNITS, RANGE_UNITS, SPEED_UNITS, formatCpaTime, formatFrequency, formatRange, formatSpeed, nextUnit } from '../../utils/units.js'
+import { saveSpeedUnitPreference } from '../../core/storage.js'
+import { formatGramTime, showsClockTime, timeFormatLabel } from '../../utils/timeFormatter.js'
+import { showStorageWarning, clearStorageWarning } from '../../components/StorageWarning.js'
+import { showSoundSpeedModal } from './SoundSpeedModal.js'
+import { dataToSVG, calculateVisibleDataRange } from '../../utils/coordinates.js'
 import { BaseDragHandler } from '../shared/BaseDragHandler.js'
 import { getUniformTolerance, isWithinDataTolerance, findClosestTarget } from '../../utils/tolerance.js'
 import { IDLE_CURSOR } from '../../utils/cursors.js'
+import { updateGuidancePanel } from '../../utils/secureHTML.js'
+import { createSymbolMark, resolveSymbolScale } from '../../rendering/symbols.js'
+import { fitDopplerCurve, MIN_FIT_POINTS } from '../../utils/dopplerFit.js'
+import { FIT_POINT, createFittedCurve, fitPointTarget, fitPointTargetsNear, fittedCurveTrace } from '../../utils/dopplerFitPoints.js'
+
+/** SVG namespace for element creation */
+const SVG_NS = 'http://www.w3.org/2000/svg'
 
 // Doppler marker types
 /** @type {Record<DopplerDraggedMarker, DopplerDraggedMarker>} */
@@ -17,11 +29,120 @@ const DopplerDraggedMarker = {
   fZero: 'fZero'
 }
 
+/** Selection type of a Doppler curve, as passed to `setSelection` */
+const DOPPLER_CURVE_SELECTION = 'dopplerCurve'
+
+/**
+ * The curve the Doppler LEDs report: the selected curve, else the newest one.
+ * @param {DopplerState} doppler - Doppler state slice
+ * @param {SelectionState} selection - Selection state slice
+ * @returns {DopplerCurve|null} The curve to report, or null when there is none
+ */
+function getDisplayedCurve(doppler, selection) {
+  if (selection.selectedType === DOPPLER_CURVE_SELECTION) {
+    const selected = doppler.curves.find(curve => curve.id === selection.selectedId)
+    if (selected) {
+      return selected
+    }
+  }
+  return doppler.curves[doppler.curves.length - 1] || null
+}
+
+/**
+ * Write the displayed curve's readouts into the Doppler LEDs: speed, f₀, CPA
+ * time and CPA range, each in the analyst's chosen units. A marker curve
+ * reads f₀ off its f₀ marker; a fitted curve reads it off its fit.
+ *
+ * Exported because the restore and "Clear gram" paths in main.js change the
+ * curves without going through the mode, and must leave the LEDs agreeing with
+ * state all the same.
+ * @param {GramFrame} instance - GramFrame instance
+ */
+export function updateDopplerLEDs(instance) {
+  const state = instance.state
+  const { doppler, selection } = state
+  const curve = getDisplayedCurve(doppler, selection)
+  const { units } = doppler
+  if (instance.ui.speedLED) {
+    const speed = curve ? curve.speed : null
+    // Non-breaking space as in MainUI.js, which explains the wrap it controls
+    setLEDLabel(instance.ui.speedLED, `Doppler\u00a0Speed (${units.speed})`)
+    setLEDValue(instance.ui.speedLED, formatSpeed(speed !== null ? speed : 0, units.speed))
+  }
+
+  const { f0LED, cpaLED, rangeLED } = instance.ui.dopplerLEDs || {}
+  const cpa = curve ? curve.cpa : null
+  let f0 = null
+  if (curve && curve.fit) {
+    f0 = curve.fit.f0
+  } else if (curve && !curve.fitPoints && curve.fZero) {
+    f0 = curve.fZero.freq
+  }
+  if (f0LED) {
+    setLEDValue(f0LED, f0 !== null ? formatFrequency(f0, state.config) : '—')
+  }
+  if (cpaLED) {
+    // A time on the gram, so in mm:ss it follows the Time LED into clock time
+    const clock = units.cpaTime === 'mm:ss' && showsClockTime(state)
+    setLEDLabel(cpaLED, `CPA (${clock ? timeFormatLabel(state) : units.cpaTime})`)
+    setLEDValue(cpaLED, cpa ? (clock ? formatGramTime(cpa.time, state) : formatCpaTime(cpa.time, units.cpaTime)) : '—')
+  }
+  if (rangeLED) {
+    setLEDLabel(rangeLED, `Range (${units.range})`)
+    setLEDValue(rangeLED, cpa && cpa.range !== null ? formatRange(cpa.range, units.range) : '—')
+  }
+}
+
+/**
+ * Step a Doppler readout to its next unit and redraw the LEDs. The speed unit
+ * is remembered for the rest of the browser session, as the pin preference is.
+ *
+ * Exported for the LEDs' click handlers, which the layout builds before any
+ * mode exists.
+ * @param {GramFrame} instance - GramFrame instance
+ * @param {keyof DopplerUnits} quantity - Which readout to step
+ */
+export function cycleDopplerUnit(instance, quantity) {
+  const { units } = instance.state.doppler
+  if (quantity === 'speed') {
+    units.speed = nextUnit(SPEED_UNITS, units.speed)
+    // The new unit shows either way; the warning only says it will not
+    // survive the next page load.
+    if (saveSpeedUnitPreference(units.speed)) {
+      clearStorageWarning(instance)
+    } else {
+      showStorageWarning(instance, 'The speed units could not be saved — they apply to this page only.')
+    }
+  } else if (quantity === 'cpaTime') {
+    units.cpaTime = nextUnit(CPA_TIME_UNITS, units.cpaTime)
+  } else {
+    units.range = nextUnit(RANGE_UNITS, units.range)
+  }
+  updateDopplerLEDs(instance)
+  dispatch(instance)
+}
+
 /**
  * Doppler mode implementation
- * Handles Doppler marker placement, dragging, and speed calculations
+ * Handles Doppler marker placement, dragging, and speed calculations.
+ *
+ * A gram may carry several curves, one per passing contact. Dragging on empty
+ * image lays down a new curve; dragging a marker moves it and selects its
+ * curve, which is the one the speed LED reports and the style panel restyles.
+ *
+ * A curve is either three markers (f+, f-, f₀) or a fitted curve: points
+ * clicked along the trace, with the passing-target model fitted to them by
+ * least squares (utils/dopplerFit.js). The fit button starts one; until it is
+ * pressed again, clicks on empty image add points to it.
  */
 export class DopplerMode extends BaseMode {
+  /**
+   * Diameter of a shaped f+/f- symbol, in px — the harmonic pins' size, so a
+   * shape reads the same on a curve as on a pin.
+   * @type {number}
+   */
+  static SYMBOL_SIZE = 10
+
   /**
    * Initialize DopplerMode with drag handler
    * @param {GramFrame} instance - GramFrame instance
@@ -35,16 +156,29 @@ export class DopplerMode extends BaseMode {
     this.dragHandler = new BaseDragHandler(instance, {
       // A feature drag always carries a data position. Only the pan drag passes
       // null, and it runs on its own handler in `core/events.js`.
-      resolveTarget: (position) => this.resolveDopplerDrag(/** @type {DataCoordinates} */ (position)),
+      resolveTarget: (position, event) => this.resolveDopplerDrag(/** @type {DataCoordinates} */ (position), event),
       // Hover only ever *finds* — resolveDopplerDrag seeds f+ when no markers
       // exist, which is right for a mousedown and wrong for a hover.
       resolveHoverTarget: (position) => this.findDopplerMarkerAtPosition(/** @type {DataCoordinates} */ (position)),
       onDragStart: (target, position) => this.onMarkerDragStart(target, /** @type {DataCoordinates} */ (position)),
       onDragMove: (target, currentPos, startPos) => this.onMarkerDragUpdate(target, /** @type {DataCoordinates} */ (currentPos), /** @type {DataCoordinates} */ (startPos)),
-      onDragEnd: (target, position) => this.onMarkerDragEnd(target, position),
+      onDragEnd: (target, position, event) => this.onMarkerDragEnd(target, position, event),
       onDragCancel: (target) => this.onMarkerDragCancel(target),
       updateCursor: (style) => this.updateCursorStyle(style)
     }, 'doppler')
+
+    // Whether the marker being dragged has moved since it was grabbed, so a
+    // click that only selects a curve does not snap its marker.
+    /** @type {boolean} */
+    this.markerMoved = false
+  }
+
+  /**
+   * This mode's state slice. One reach-in here rather than one per handler.
+   * @returns {DopplerState} The live doppler state
+   */
+  get doppler() {
+    return this.instance.state.doppler
   }
 
   /**
@@ -54,49 +188,70 @@ export class DopplerMode extends BaseMode {
    * @returns {DragTarget|null} Drag target if found, null otherwise
    */
   findDopplerMarkerAtPosition(position) {
-    const doppler = this.instance.state.doppler
-    if (!doppler) return null
+    const doppler = this.doppler
+    if (!doppler || doppler.curves.length === 0) return null
 
-    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage)
+    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, position.freq)
 
     // Grab region: the same per-axis tolerance box as before. Among the markers
     // inside it (they overlap when the curve is short) take the closest, falling
     // back to the first match for a position inside the box but outside the
     // tolerance circle — so the region an analyst can grab is unchanged.
+    // Every curve's markers compete; the target's id is the curve's, and the
+    // marker within it rides in `data`.
     /** @type {Array<DragTarget & {position: DataCoordinates, id: string}>} */
     const targets = []
-    for (const markerType of [
-      DopplerDraggedMarker.fPlus,
-      DopplerDraggedMarker.fMinus,
-      DopplerDraggedMarker.fZero
-    ]) {
-      // A loop rather than filter-then-map: `.filter` does not narrow the
-      // element type, so the mapped `position` stayed nullable and the list
-      // stopped being a list of `DragTarget`s.
-      const markerPosition = doppler[markerType]
-      if (!markerPosition) continue
-      if (!isWithinDataTolerance(position, markerPosition, tolerance)) continue
-      targets.push({
-        kind: 'move',
-        id: markerType,
-        type: 'dopplerMarker',
-        position: markerPosition,
-        data: { markerType }
-      })
+    for (const curve of doppler.curves) {
+      if (curve.fitPoints) {
+        targets.push(...fitPointTargetsNear(curve, position, tolerance))
+        continue
+      }
+      for (const markerType of [
+        DopplerDraggedMarker.fPlus,
+        DopplerDraggedMarker.fMinus,
+        DopplerDraggedMarker.fZero
+      ]) {
+        // A loop rather than filter-then-map: `.filter` does not narrow the
+        // element type, so the mapped `position` stayed nullable and the list
+        // stopped being a list of `DragTarget`s.
+        const markerPosition = curve[markerType]
+        if (!markerPosition) continue
+        if (!isWithinDataTolerance(position, markerPosition, tolerance)) continue
+        targets.push({
+          kind: 'move',
+          id: curve.id,
+          type: 'dopplerMarker',
+          position: markerPosition,
+          data: { markerType }
+        })
+      }
     }
 
     return findClosestTarget(position, targets, tolerance) || targets[0] || null
   }
 
+  /**
+   * Look up a curve by id.
+   * @param {string|null} id - Curve id
+   * @returns {DopplerCurve|null} The curve, or null if there is none with that id
+   */
+  getCurve(id) {
+    return this.doppler.curves.find(curve => curve.id === id) || null
+  }
+
   /**
    * Start dragging a doppler marker
    * @param {DragTarget} target - Drag target with id and type
    * @param {DataCoordinates} _position - Start position (unused)
    */
   onMarkerDragStart(target, _position) {
-    // A `place` drag has already seeded f+ in the resolver; a `move` drag has
-    // nothing to set up. Either way the drag record belongs to the engine.
-    void target
+    this.markerMoved = false
+    // A `place` drag has already seeded f+ in the resolver. Moving a marker
+    // selects its curve, as dragging a marker or harmonic set selects it. The
+    // drag record belongs to the engine either way.
+    if (target.kind === 'move') {
+      this.selectCurve(/** @type {string} */ (target.id))
+    }
   }
 
   /**
@@ -106,29 +261,68 @@ export class DopplerMode extends BaseMode {
    * @param {DataCoordinates} _startPos - Start position (unused)
    */
   onMarkerDragUpdate(target, currentPos, _startPos) {
-    const doppler = this.instance.state.doppler
+    const curve = this.getCurve(target.id)
+    if (!curve) return
+    this.markerMoved = true
 
     if (target.kind === 'place') {
       // Placement: f- follows the pointer while f+ stays where it was seeded
-      this.handlePreviewDrag(currentPos, doppler)
+      this.handlePreviewDrag(currentPos, curve)
+      return
+    }
+
+    if (target.data.markerType === FIT_POINT) {
+      this.handleFitPointDrag(currentPos, curve, target.data.pointIndex)
       return
     }
 
-    this.handleMarkerDrag(currentPos, doppler, target.id)
+    this.handleMarkerDrag(currentPos, curve, target.data.markerType)
   }
 
   /**
-   * End dragging a doppler marker
+   * End dragging a doppler marker. The marker dropped — f- of a placement, or
+   * whichever one was moved — snaps to the peak near it, as a placed one does.
    * @param {DragTarget} target - Drag target
    * @param {DataCoordinates|null} _position - End position (unused)
+   * @param {MouseEvent} [event] - The release; Shift holds snapping off
    */
-  onMarkerDragEnd(target, _position) {
+  onMarkerDragEnd(target, _position, event) {
     if (target && target.kind === 'place') {
-      this.completeMarkerPlacement()
+      const curve = this.getCurve(target.id)
+      if (curve && curve.fMinus) {
+        curve.fMinus = this.snapToPeak(curve.fMinus, event)
+      }
+      this.completeMarkerPlacement(/** @type {string} */ (target.id))
+    } else if (target && this.markerMoved) {
+      this.snapDroppedMarker(target, event)
     }
     // Nothing else to unwind: the engine clears the drag record itself.
   }
 
+  /**
+   * Snap a moved marker to the peak near where it was dropped, recomputing
+   * the curve as its drag does.
+   * @param {DragTarget} target - Move-kind target naming the marker
+   * @param {MouseEvent} [event] - The release
+   */
+  snapDroppedMarker(target, event) {
+    const curve = this.getCurve(target.id)
+    if (!curve) return
+    const { markerType, pointIndex } = target.data
+    const point = markerType === FIT_POINT
+      ? (curve.fitPoints && curve.fitPoints[pointIndex])
+      : curve[/** @type {DopplerDraggedMarker} */ (markerType)]
+    if (!point) return
+
+    const snapped = this.snapToPeak(point, event)
+    if (snapped.freq === point.freq) return
+    if (markerType === FIT_POINT) {
+      this.handleFitPointDrag(snapped, curve, pointIndex)
+    } else {
+      this.handleMarkerDrag(snapped, curve, markerType)
+    }
+  }
+
   /**
    * Cancel a doppler drag without applying it.
    *
@@ -136,57 +330,156 @@ export class DopplerMode extends BaseMode {
    * mode switch or Escape mid-gesture — *committed* the half-placed f⁺/f⁻
    * curve the user thought was discarded (BH-9). A cancelled placement now
    * discards the markers it seeded; a cancelled move leaves the marker at its
-   * last position, like the other modes.
+   * last position, like the other modes. Curves already on the gram are
+   * untouched either way.
    * @param {DragTarget} target - Drag target from the engine
    */
   onMarkerDragCancel(target) {
     if (target && target.kind === 'place') {
-      const doppler = this.instance.state.doppler
-      doppler.fPlus = null
-      doppler.fMinus = null
-      doppler.fZero = null
-      doppler.speed = null
-      doppler.tempFirst = null
-      doppler.previewEnd = null
-      this.updateSpeedLED()
+      this.discardPlacement(/** @type {string} */ (target.id))
+      updateDopplerLEDs(this.instance)
       this.renderDopplerFeatures()
       dispatch(this.instance, { frame: true })
     }
   }
 
   /**
-   * Resolve what a mousedown in doppler mode starts: moving one of the placed
-   * markers, or — with nothing placed yet — laying down f+ and dragging out f-.
+   * Drop a half-placed curve and its placement geometry. It was never
+   * selected or saved, so there is nothing else to unwind.
+   * @param {string} curveId - Id of the curve being placed
+   */
+  discardPlacement(curveId) {
+    const doppler = this.doppler
+    doppler.curves = doppler.curves.filter(curve => curve.id !== curveId)
+    doppler.tempFirst = null
+    doppler.previewEnd = null
+  }
+
+  /**
+   * Resolve what a mousedown in doppler mode starts: moving a placed marker,
+   * or — away from every marker — adding a point to the curve being fitted,
+   * or else laying down a new curve's f+ and dragging out its f-.
+   * A new point or f+ snaps to the peak near the press, as a placed marker
+   * does.
    * @param {DataCoordinates} position - Position of the mousedown
+   * @param {MouseEvent} [event] - The mousedown; Shift holds snapping off
    * @returns {DragTarget|null} A move- or place-kind target
    */
-  resolveDopplerDrag(position) {
-    const doppler = this.instance.state.doppler
+  resolveDopplerDrag(position, event) {
+    const found = this.findDopplerMarkerAtPosition(position)
+    if (found) {
+      return found
+    }
+    const placed = this.snapToPeak(position, event)
+    if (this.doppler.fittingId) {
+      return this.addFitPoint(placed)
+    }
+    return this.startMarkerPlacement(placed)
+  }
 
-    if (doppler.fPlus || doppler.fMinus || doppler.fZero) {
-      return this.findDopplerMarkerAtPosition(position)
+  /**
+   * Add a point to the curve being fitted, creating the curve with its first
+   * point, and refit. Returns a move target for the new point, so the press
+   * that placed it can also nudge it onto the trace.
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   * @returns {DragTarget|null} A move-kind target for the new point
+   */
+  addFitPoint(dataCoords) {
+    const { doppler, selectedColor, selectedSymbol, largeSymbols } = this.instance.state
+    const fittingId = doppler.fittingId
+    if (!fittingId) {
+      return null
     }
 
-    return this.startMarkerPlacement(position)
+    let curve = this.getCurve(fittingId)
+    if (!curve) {
+      curve = createFittedCurve(fittingId, {
+        color: selectedColor || '#ff0000',
+        symbol: selectedSymbol || 'cross',
+        largeSymbols: !!largeSymbols
+      })
+      doppler.curves.push(curve)
+    }
+    const points = /** @type {Array<DataCoordinates>} */ (curve.fitPoints)
+    points.push({ time: dataCoords.time, freq: dataCoords.freq })
+    markAnnotationsChanged(this.instance)
+
+    this.calculateAndUpdateDopplerSpeed(curve)
+    this.selectCurve(curve.id)
+    this.renderDopplerFeatures()
+
+    return fitPointTarget(curve, points.length - 1)
+  }
+
+  /**
+   * Start fitting, or stop if already fitting.
+   *
+   * Starting resumes the selected curve when it is a fitted one, so a fit left
+   * short of points can be finished later; otherwise the first click makes a
+   * new curve. Stopping leaves the curve as it is, fitted or not.
+   */
+  toggleFitting() {
+    const doppler = this.doppler
+    if (doppler.fittingId) {
+      doppler.fittingId = null
+    } else {
+      const { selection } = this.instance.state
+      const selected = getDisplayedCurve(doppler, selection)
+      const isSelected = selection.selectedType === DOPPLER_CURVE_SELECTION
+      doppler.fittingId = selected && isSelected && selected.fitPoints
+        ? selected.id
+        : `doppler-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`
+    }
+    this.refreshGuidance()
+    dispatch(this.instance)
+  }
+
+  /**
+   * Rewrite the guidance panel when this mode is showing it.
+   */
+  refreshGuidance() {
+    if (this.instance.currentMode === this && this.instance.ui.guidancePanel) {
+      updateGuidancePanel(this.instance.ui.guidancePanel, this.getGuidanceText())
+    }
   }
 
   /**
-   * Seed f+ at the mousedown position and return a `place`-kind target, so the
-   * rest of the placement is an ordinary drag with f- following the pointer.
+   * Start a new curve with f+ at the mousedown position and return a
+   * `place`-kind target, so the rest of the placement is an ordinary drag with
+   * f- following the pointer.
    *
-   * `tempFirst` and `previewEnd` stay on state.doppler: they are placement
-   * geometry the renderer needs, not drag bookkeeping (data-model.md §2).
+   * The curve takes the style panel's next-feature colour and symbol now, so
+   * its preview is drawn as it will be kept. `tempFirst` and `previewEnd` stay
+   * on state.doppler: they are placement geometry the renderer needs, not drag
+   * bookkeeping (data-model.md §2). While they are set, the newest curve is
+   * the one being placed.
    * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
    * @returns {DragTarget} A place-kind target
    */
   startMarkerPlacement(dataCoords) {
-    const doppler = this.instance.state.doppler
-
-    // Immediately set f+ at the current position
-    doppler.fPlus = { time: dataCoords.time, freq: dataCoords.freq }
+    const { doppler, selectedColor, selectedSymbol, largeSymbols } = this.instance.state
+
+    /** @type {DopplerCurve} */
+    const curve = {
+      id: `doppler-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+      // Immediately set f+ at the current position
+      fPlus: { time: dataCoords.time, freq: dataCoords.freq },
+      fMinus: null,
+      fZero: null,
+      fitPoints: null,
+      fit: null,
+      speed: null,
+      cpa: null,
+      color: selectedColor || '#ff0000',
+      symbol: selectedSymbol || 'cross',
+      // EXPERIMENT (temporary): symbol size is carried per curve, seeded from
+      // the toggle's next-feature default, like markers and harmonic sets.
+      largeSymbols: !!largeSymbols
+    }
+    doppler.curves.push(curve)
 
     // f- will follow the mouse from here
-    doppler.tempFirst = doppler.fPlus
+    doppler.tempFirst = curve.fPlus
     doppler.previewEnd = { time: dataCoords.time, freq: dataCoords.freq }
 
     // Render initial curve preview
@@ -194,7 +487,7 @@ export class DopplerMode extends BaseMode {
 
     return {
       kind: 'place',
-      id: DopplerDraggedMarker.fMinus,
+      id: curve.id,
       type: 'dopplerMarker',
       position: dataCoords,
       data: { markerType: DopplerDraggedMarker.fMinus }
@@ -202,31 +495,31 @@ export class DopplerMode extends BaseMode {
   }
 
   /**
-   * Finalise a placement drag: order the markers, derive f₀, and clear the
-   * placement geometry.
+   * Finalise a placement drag: order the markers, derive f₀, clear the
+   * placement geometry and select the new curve.
+   *
+   * A click that never dragged leaves a curve with f+ alone. That measures
+   * nothing, so it is discarded rather than kept as an invisible marker.
+   * @param {string} curveId - Id of the curve being placed
    */
-  completeMarkerPlacement() {
-    const doppler = this.instance.state.doppler
-    if (!doppler.tempFirst || !doppler.fPlus || !doppler.fMinus) {
-      doppler.tempFirst = null
-      doppler.previewEnd = null
+  completeMarkerPlacement(curveId) {
+    const doppler = this.doppler
+    const curve = this.getCurve(curveId)
+    if (!doppler.tempFirst || !curve || !curve.fPlus || !curve.fMinus) {
+      this.discardPlacement(curveId)
+      this.renderDopplerFeatures()
       return
     }
 
     // Ensure f+ is the later marker (higher time), f- is the earlier marker
-    if (doppler.fPlus.time <= doppler.fMinus.time) {
-      const temp = doppler.fPlus
-      doppler.fPlus = doppler.fMinus
-      doppler.fMinus = temp
+    if (curve.fPlus.time <= curve.fMinus.time) {
+      const temp = curve.fPlus
+      curve.fPlus = curve.fMinus
+      curve.fMinus = temp
     }
 
     // Recalculate f₀ as midpoint for final placement
-    doppler.fZero = this.calculateMidpoint(doppler.fPlus, doppler.fMinus)
-
-    // Store the color for this doppler curve (only when first created)
-    if (!doppler.color) {
-      doppler.color = this.instance.state.selectedColor || '#ff0000'
-    }
+    curve.fZero = this.calculateMidpoint(curve.fPlus, curve.fMinus)
 
     // Clean up placement geometry
     doppler.tempFirst = null
@@ -234,8 +527,33 @@ export class DopplerMode extends BaseMode {
 
     markAnnotationsChanged(this.instance)
 
-    // Calculate speed
-    this.calculateAndUpdateDopplerSpeed()
+    // Calculate speed, then select the new curve so the LED reports it
+    this.calculateAndUpdateDopplerSpeed(curve)
+    this.selectCurve(curve.id)
+    this.renderDopplerFeatures()
+  }
+
+  /**
+   * Select a curve, making it the one the speed LED reports and the style
+   * panel restyles.
+   * @param {string} curveId - Curve id
+   */
+  selectCurve(curveId) {
+    const index = this.doppler.curves.findIndex(curve => curve.id === curveId)
+    if (index !== -1) {
+      this.instance.interaction.setSelection(DOPPLER_CURVE_SELECTION, curveId, index)
+    }
+  }
+
+  /**
+   * Keep the speed LED and the selected-curve highlight in step with the
+   * selection.
+   *
+   * The `SelectionFollower` capability: any selection change, from any mode,
+   * may change which curve the LED reports.
+   */
+  onSelectionChange() {
+    updateDopplerLEDs(this.instance)
     this.renderDopplerFeatures()
   }
 
@@ -244,38 +562,98 @@ export class DopplerMode extends BaseMode {
    * @returns {Object} Structured guidance content
    */
   getGuidanceText() {
+    if (this.doppler.fittingId) {
+      return {
+        title: 'Doppler Mode — Fitting',
+        items: [
+          'Click points along the Doppler trace',
+          `The curve is fitted once there are ${MIN_FIT_POINTS} points; more points average out click error`,
+          'Drag a point to move it; right-click it to remove it',
+          'Residuals join each point to the fitted curve',
+          'Press fit again to finish'
+        ]
+      }
+    }
     return {
       title: 'Doppler Mode',
       items: [
-        'Click & drag to place markers for f+ and f-',
-        'Drag markers to adjust positions',
+        'Click & drag on empty space to place a new curve\'s f+ and f-',
+        'Drag markers to adjust positions; this selects the curve',
+        'With Snap on, markers land on the brightest pixel nearby; hold Shift to place exactly',
         'f₀ marker shows automatically at the midpoint',
-        'Right-click to reset all markers'
+        'The speed, CPA and range LEDs show the selected curve',
+        'Click the speed, CPA or range LED to change its units',
+        'Right-click a marker to delete its curve',
+        'Press fit to fit a curve to points clicked along the trace',
+        `Speed of sound: ${this.getSoundSpeed()} m/s (c to change)`
       ]
     }
   }
 
+  /**
+   * Get command buttons for doppler mode
+   * @returns {Array<CommandButton>} Array of command button definitions
+   */
+  getCommandButtons() {
+    return [
+      {
+        label: 'c',
+        title: 'Set the speed of sound',
+        action: () => this.openSoundSpeedModal()
+      },
+      {
+        label: 'fit',
+        title: 'Fit a curve to points clicked along the trace; press again to finish',
+        action: () => this.toggleFitting()
+      }
+    ]
+  }
+
+  /**
+   * The speed of sound this instance's calculations use: the analyst's
+   * override, else the gram's `sound-speed`, else the default.
+   * @returns {number} Speed of sound in m/s
+   */
+  getSoundSpeed() {
+    const { doppler, config } = this.instance.state
+    return resolveSoundSpeed(doppler.soundSpeed, config.soundSpeed ?? null)
+  }
+
+  /**
+   * Let the analyst override the speed of sound for this instance, then
+   * recompute the speed and refresh the guidance that quotes it.
+   */
+  openSoundSpeedModal() {
+    const { doppler, config } = this.instance.state
+    showSoundSpeedModal(this.getSoundSpeed(), config.soundSpeed ?? null, (override) => {
+      doppler.soundSpeed = override
+      doppler.curves.forEach(curve => this.calculateAndUpdateDopplerSpeed(curve))
+      this.refreshGuidance()
+      dispatch(this.instance)
+    })
+  }
+
   /**
    * Handle preview drag when placing markers
    * @param {DataCoordinates} dataCoords - Data coordinates
-   * @param {DopplerState} doppler - Doppler state
+   * @param {DopplerCurve} curve - The curve being placed
    */
-  handlePreviewDrag(dataCoords, doppler) {
+  handlePreviewDrag(dataCoords, curve) {
     // Update f- position to follow mouse during preview
-    doppler.fMinus = {
+    curve.fMinus = {
       time: dataCoords.time,
       freq: dataCoords.freq
     }
     
     // Calculate f₀ as midpoint for preview. f+ is placed before any preview
     // drag can start, and f- was assigned two lines above.
-    doppler.fZero = this.calculateMidpoint(
-      /** @type {DataCoordinates} */ (doppler.fPlus),
-      doppler.fMinus
+    curve.fZero = this.calculateMidpoint(
+      /** @type {DataCoordinates} */ (curve.fPlus),
+      curve.fMinus
     )
 
     // Published for listeners watching an in-progress placement
-    doppler.previewEnd = doppler.fMinus
+    this.doppler.previewEnd = curve.fMinus
 
     // Render the complete curve preview
     this.renderDopplerFeatures()
@@ -284,29 +662,61 @@ export class DopplerMode extends BaseMode {
   /**
    * Handle marker dragging
    * @param {DataCoordinates} dataCoords - Data coordinates
-   * @param {DopplerState} doppler - Doppler state
-   * @param {string|null} markerType - Which marker is being dragged
+   * @param {DopplerCurve} curve - Curve owning the dragged marker
+   * @param {DopplerDraggedMarker} markerType - Which marker is being dragged
    */
-  handleMarkerDrag(dataCoords, doppler, markerType) {
-    const newPoint = {
+  handleMarkerDrag(dataCoords, curve, markerType) {
+    curve[markerType] = {
       time: dataCoords.time,
       freq: dataCoords.freq
     }
-
-    if (markerType === DopplerDraggedMarker.fPlus) {
-      doppler.fPlus = newPoint
-    } else if (markerType === DopplerDraggedMarker.fMinus) {
-      doppler.fMinus = newPoint
-    } else if (markerType === DopplerDraggedMarker.fZero) {
-      doppler.fZero = newPoint
-    }
     
     markAnnotationsChanged(this.instance)
 
     // f₀ remains fixed when dragging f+ or f- - only moves when directly dragged
     
     // Update speed calculation
-    this.calculateAndUpdateDopplerSpeed()
+    this.calculateAndUpdateDopplerSpeed(curve)
+    this.renderDopplerFeatures()
+    dispatch(this.instance, { frame: true })
+  }
+
+  /**
+   * Move one of a fitted curve's points and refit.
+   * @param {DataCoordinates} dataCoords - Data coordinates
+   * @param {DopplerCurve} curve - Fitted curve owning the point
+   * @param {number} pointIndex - Index into the curve's `fitPoints`
+   */
+  handleFitPointDrag(dataCoords, curve, pointIndex) {
+    if (!curve.fitPoints || !curve.fitPoints[pointIndex]) return
+    curve.fitPoints[pointIndex] = {
+      time: dataCoords.time,
+      freq: dataCoords.freq
+    }
+    markAnnotationsChanged(this.instance)
+
+    this.calculateAndUpdateDopplerSpeed(curve)
+    this.renderDopplerFeatures()
+    dispatch(this.instance, { frame: true })
+  }
+
+  /**
+   * Remove one of a fitted curve's points and refit, deleting the curve with
+   * its last point.
+   * @param {string} curveId - Fitted curve id
+   * @param {number} pointIndex - Index into the curve's `fitPoints`
+   */
+  removeFitPoint(curveId, pointIndex) {
+    const curve = this.getCurve(curveId)
+    if (!curve || !curve.fitPoints) return
+    if (curve.fitPoints.length <= 1) {
+      this.removeCurve(curveId)
+      return
+    }
+    curve.fitPoints.splice(pointIndex, 1)
+    markAnnotationsChanged(this.instance)
+
+    this.calculateAndUpdateDopplerSpeed(curve)
     this.renderDopplerFeatures()
     dispatch(this.instance, { frame: true })
   }
@@ -318,12 +728,12 @@ export class DopplerMode extends BaseMode {
    * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
    */
   handleMouseMove(_event, dataCoords) {
-    const doppler = this.instance.state.doppler
+    const doppler = this.doppler
 
     // Placement and marker moves both run through the one handler
     if (this.dragHandler.isDragging()) {
       this.dragHandler.handleMouseMove(dataCoords)
-    } else if (doppler.fPlus || doppler.fMinus || doppler.fZero) {
+    } else if (doppler.curves.length > 0) {
       // Update cursor for hover when not dragging
       this.dragHandler.updateCursorForHover(dataCoords)
     }
@@ -343,13 +753,13 @@ export class DopplerMode extends BaseMode {
 
   /**
    * Handle mouse up events in doppler mode
-   * @param {MouseEvent} _event - Mouse event (unused)
+   * @param {MouseEvent} event - Mouse event
    * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
    */
-  handleMouseUp(_event, dataCoords) {
+  handleMouseUp(event, dataCoords) {
     // One exit for both kinds; onDragEnd finalises a placement
     if (this.dragHandler.isDragging()) {
-      this.dragHandler.endDrag(dataCoords)
+      this.dragHandler.endDrag(dataCoords, event)
       dispatch(this.instance, { frame: true })
     }
   }
@@ -388,36 +798,66 @@ export class DopplerMode extends BaseMode {
    * Update mode-specific LED values based on current state
    */
   updateModeSpecificLEDs() {
-    // Speed LED is updated via updateSpeedLED() when speed is calculated
+    // The Doppler LEDs are updated via updateDopplerLEDs() when speed is calculated
     // No cursor-based updates needed for doppler mode
   }
 
   /**
-   * Reset doppler-specific state
+   * Reset doppler-specific state: every curve goes. The speed-of-sound
+   * override is a setting, not a curve, and stays.
    */
   resetState() {
-    this.instance.state.doppler.fPlus = null
-    this.instance.state.doppler.fMinus = null
-    this.instance.state.doppler.fZero = null
-    this.instance.state.doppler.speed = null
-    this.instance.state.doppler.color = null
-    this.instance.state.doppler.tempFirst = null
-    this.instance.state.doppler.previewEnd = null
+    const { doppler, selection } = this.instance.state
+    if (selection.selectedType === DOPPLER_CURVE_SELECTION) {
+      this.instance.interaction.clearSelection()
+    }
+    doppler.curves = []
+    doppler.tempFirst = null
+    doppler.previewEnd = null
+    doppler.fittingId = null
     this.dragHandler.reset()
-    // Deleting the curve is an annotation mutation: masked today by the
-    // signature's doppler identity fields, but the mark is the contract (BH-24).
+    // Deleting curves is an annotation mutation: masked today by the
+    // signature's curve count, but the mark is the contract (BH-24).
     markAnnotationsChanged(this.instance)
 
     dispatch(this.instance, { frame: true })
   }
 
+  /**
+   * Delete one curve, dropping the selection first if it is the selected one.
+   * @param {string} curveId - Curve id
+   */
+  removeCurve(curveId) {
+    const { doppler, selection } = this.instance.state
+    const index = doppler.curves.findIndex(curve => curve.id === curveId)
+    if (index === -1) {
+      return
+    }
+    if (selection.selectedType === DOPPLER_CURVE_SELECTION && selection.selectedId === curveId) {
+      this.instance.interaction.clearSelection()
+    }
+    doppler.curves.splice(index, 1)
+    if (doppler.fittingId === curveId) {
+      doppler.fittingId = null
+      this.refreshGuidance()
+    }
+    markAnnotationsChanged(this.instance)
+
+    updateDopplerLEDs(this.instance)
+    this.renderDopplerFeatures()
+    dispatch(this.instance, { frame: true })
+  }
+
   /**
    * Clean up doppler-specific state when switching away from doppler mode
    */
   cleanup() {
-    // Only clear transient placement geometry, preserve marker positions
-    this.instance.state.doppler.tempFirst = null
-    this.instance.state.doppler.previewEnd = null
+    // Only clear transient placement geometry, preserve marker positions.
+    // Leaving the mode also finishes a fit, which the next visit would
+    // otherwise silently carry on adding to.
+    this.doppler.tempFirst = null
+    this.doppler.previewEnd = null
+    this.doppler.fittingId = null
     this.dragHandler.reset()
   }
   
@@ -431,20 +871,30 @@ export class DopplerMode extends BaseMode {
 
 
   /**
-   * Calculate and update Doppler speed
+   * Calculate and update one curve's Doppler speed: from its fit for a fitted
+   * curve, else from its three markers
+   * @param {DopplerCurve} curve - Curve to measure
    */
-  calculateAndUpdateDopplerSpeed() {
-    const doppler = this.instance.state.doppler
-
-    if (doppler.fPlus && doppler.fMinus && doppler.fZero) {
-      const speed = calculateDopplerSpeed(doppler.fPlus, doppler.fMinus, doppler.fZero)
+  calculateAndUpdateDopplerSpeed(curve) {
+    if (curve.fitPoints) {
+      curve.fit = fitDopplerCurve(curve.fitPoints, this.getSoundSpeed())
+      curve.speed = curve.fit ? curve.fit.speed : null
+      curve.cpa = calculateCurveCpa(curve)
+      updateDopplerLEDs(this.instance)
+      updateLEDDisplays(this.instance, this.instance.state)
+      dispatch(this.instance, { frame: true })
+      return
+    }
+    if (curve.fPlus && curve.fMinus && curve.fZero) {
+      const speed = calculateDopplerSpeed(curve.fPlus, curve.fMinus, curve.fZero, this.getSoundSpeed())
       // With freq-start = 0, f₀ dragged to the exact left edge divides to
       // Infinity (BH-8). A non-finite speed is meaningless: store null so
       // neither the LED nor state listeners ever see "Infinity" knots.
-      this.instance.state.doppler.speed = Number.isFinite(speed) ? speed : null
+      curve.speed = Number.isFinite(speed) ? speed : null
+      curve.cpa = calculateCurveCpa(curve)
 
-      // Update speed LED with calculated value
-      this.updateSpeedLED()
+      // Update the LEDs, which may or may not be reporting this curve
+      updateDopplerLEDs(this.instance)
       
       // Update LED displays with speed
       updateLEDDisplays(this.instance, this.instance.state)
@@ -459,33 +909,22 @@ export class DopplerMode extends BaseMode {
   static getInitialState() {
     return {
       doppler: {
-        fPlus: null,  // DataCoordinates: { time, frequency }
-        fMinus: null, // DataCoordinates: { time, frequency }
-        fZero: null,  // DataCoordinates: { time, frequency }
-        speed: null,  // calculated speed in m/s
-        color: null,  // color used for this doppler curve
+        curves: [], // DopplerCurve[], oldest first
         // Placement geometry the renderer needs. Drag bookkeeping lives on
         // state.drag, owned by the drag engine.
         tempFirst: null, // temporary storage for first marker during placement
-        previewEnd: null // end point for preview drag
+        previewEnd: null, // end point for preview drag
+        // Analyst's speed-of-sound override (m/s). A setting, not part of the
+        // curve: deleting curves leaves it alone and "Clear gram" carries it over.
+        soundSpeed: null,
+        // Fitted curve that clicks on empty image add points to, while fitting
+        fittingId: null,
+        // Display units for the CPA readouts. A setting, like soundSpeed
+        units: { speed: 'kts', cpaTime: 's', range: 'm' }
       }
     }
   }
 
-  /**
-   * Update the speed LED display with current speed value
-   */
-  updateSpeedLED() {
-    const speed = this.instance.state.doppler.speed
-    if (this.instance.ui.speedLED && speed !== null && Number.isFinite(speed)) {
-      // Convert m/s to knots: 1 m/s = 1.94384 knots
-      const speedInKnots = speed * MS_TO_KNOTS
-      setLEDValue(this.instance.ui.speedLED, speedInKnots.toFixed(1))
-    } else if (this.instance.ui.speedLED) {
-      setLEDValue(this.instance.ui.speedLED, '0.0')
-    }
-  }
-
   /**
    * Calculate midpoint between two markers
    * @param {DataCoordinates} fPlus - f+ marker
@@ -497,17 +936,26 @@ export class DopplerMode extends BaseMode {
   }
 
   /**
-   * Handle context menu (right-click) events in doppler mode
+   * Handle context menu (right-click) events in doppler mode: right-click on
+   * any of a curve's markers deletes that curve. With several contacts on the
+   * gram, right-click no longer clears them all. On a fitted curve it removes
+   * the one point, so an outlier can go without the rest.
    * @param {MouseEvent} event - Mouse event
-   * @param {DataCoordinates} _dataCoords - Data coordinates {freq, time} (unused)
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
    */
-  handleContextMenu(event, _dataCoords) {
+  handleContextMenu(event, dataCoords) {
     event.preventDefault()
-    this.resetState()
-    this.updateSpeedLED() // Reset the speed LED display
-    this.renderDopplerFeatures()
-    // With no markers left there is nothing to grab: drop any lingering
-    // hover cursor from the marker that was just deleted.
+    const target = this.findDopplerMarkerAtPosition(dataCoords)
+    if (!target) {
+      return
+    }
+    if (target.data.markerType === FIT_POINT) {
+      this.removeFitPoint(/** @type {string} */ (target.id), target.data.pointIndex)
+    } else {
+      this.removeCurve(/** @type {string} */ (target.id))
+    }
+    // The marker under the pointer was just deleted: drop its lingering hover
+    // cursor.
     this.updateCursorStyle(IDLE_CURSOR)
   }
 
@@ -518,184 +966,250 @@ export class DopplerMode extends BaseMode {
     if (!this.instance.ui.cursorGroup) return
     
     // Clear existing doppler features
-    const existingFeatures = this.instance.ui.cursorGroup.querySelectorAll('.doppler-feature, .gram-frame-doppler-preview, .gram-frame-doppler-curve, .gram-frame-doppler-extension, .gram-frame-doppler-fPlus, .gram-frame-doppler-fMinus, .gram-frame-doppler-crosshair')
+    const existingFeatures = this.instance.ui.cursorGroup.querySelectorAll('.doppler-feature, .gram-frame-doppler-preview, .gram-frame-doppler-curve, .gram-frame-doppler-extension, .gram-frame-doppler-fPlus, .gram-frame-doppler-fMinus, .gram-frame-doppler-crosshair, .gram-frame-doppler-fit-point, .gram-frame-doppler-residual')
     existingFeatures.forEach(element => element.remove())
     
-    const doppler = this.instance.state.doppler
+    const { doppler, selection } = this.instance.state
+    const selectedId = selection.selectedType === DOPPLER_CURVE_SELECTION ? selection.selectedId : null
     
-    // Render preview during placement OR final markers and curves
-    if (doppler.fPlus && doppler.fMinus && doppler.fZero) {
-      this.renderMarkers()
-      this.renderDopplerCurve()
-      
-      // If in preview mode, render with preview styling
-      if (doppler.tempFirst) {
-        // Add preview styling to indicate this is temporary
-        const elements = this.instance.ui.cursorGroup.querySelectorAll('.gram-frame-doppler-curve, .gram-frame-doppler-extension')
-        elements.forEach(element => {
-          element.setAttribute('opacity', '0.8')
-          element.setAttribute('stroke-dasharray', '5,5')
-        })
+    // Render the curve being placed as a preview, and finished curves as they
+    // are. A curve is drawn once it has all three markers.
+    doppler.curves.forEach((curve, index) => {
+      if (curve.fitPoints) {
+        this.renderDopplerCurve(curve, false, curve.id === selectedId)
+        return
       }
+      if (!curve.fPlus || !curve.fMinus || !curve.fZero) return
+      const isPreview = !!doppler.tempFirst && index === doppler.curves.length - 1
+      this.renderMarkers(curve)
+      this.renderDopplerCurve(curve, isPreview, curve.id === selectedId)
+    })
+  }
+
+  /**
+   * Draw an f+ or f- marker: the curve's symbol, or for the symbol-less
+   * `cross` style the plain dot Doppler markers have always been.
+   * @param {DopplerCurve} curve - Curve the marker belongs to
+   * @param {DataCoordinates} point - Marker position
+   * @param {string} className - Marker class
+   * @param {string} pointerEvents - `pointer-events` value
+   */
+  renderEndMarker(curve, point, className, pointerEvents) {
+    const svgPoint = dataToSVG(point, this.getViewport(), this.instance.ui.spectrogramImage)
+    const size = DopplerMode.SYMBOL_SIZE * resolveSymbolScale(curve)
+    let marker = createSymbolMark(curve.symbol, svgPoint.x, svgPoint.y, size, curve.color)
+    if (!marker) {
+      marker = document.createElementNS(SVG_NS, 'circle')
+      marker.setAttribute('cx', svgPoint.x.toString())
+      marker.setAttribute('cy', svgPoint.y.toString())
+      marker.setAttribute('r', '4')
+      marker.setAttribute('fill', curve.color)
     }
+    // A doppler class rather than the harmonic symbol class createSymbolMark
+    // gives it, so each renderer only ever clears its own marks
+    marker.setAttribute('class', className)
+    marker.setAttribute('data-curve-id', curve.id)
+    marker.setAttribute('stroke', '#ffffff')
+    marker.setAttribute('stroke-width', '1')
+    marker.setAttribute('pointer-events', pointerEvents)
+    this.instance.ui.cursorGroup.appendChild(marker)
   }
 
   /**
-   * Render doppler markers (f+, f-, f₀) with zoom awareness
+   * Render a curve's markers (f+, f-, f₀) with zoom awareness
+   * @param {DopplerCurve} curve - Curve to draw
    */
-  renderMarkers() {
-    const doppler = this.instance.state.doppler
-    
-    // Use stored color for existing curve, or global selectedColor for new curves
-    const color = doppler.color || this.instance.state.selectedColor || '#ff0000'
-    
+  renderMarkers(curve) {
     // Check if we're in doppler mode to enable/disable pointer events
     const isInDopplerMode = this.instance.state.mode === 'doppler'
     const pointerEvents = isInDopplerMode ? 'auto' : 'none'
     
-    // f+ marker (colored dot)
-    if (doppler.fPlus) {
-      const fPlusSVG = dataToSVG(doppler.fPlus, this.getViewport(), this.instance.ui.spectrogramImage)
-      const fPlusMarker = document.createElementNS('http://www.w3.org/2000/svg', 'circle')
-      fPlusMarker.setAttribute('class', 'gram-frame-doppler-fPlus')
-      fPlusMarker.setAttribute('cx', fPlusSVG.x.toString())
-      fPlusMarker.setAttribute('cy', fPlusSVG.y.toString())
-      fPlusMarker.setAttribute('r', '4')
-      fPlusMarker.setAttribute('fill', color)
-      fPlusMarker.setAttribute('stroke', '#ffffff')
-      fPlusMarker.setAttribute('stroke-width', '1')
-      fPlusMarker.setAttribute('pointer-events', pointerEvents)
-      this.instance.ui.cursorGroup.appendChild(fPlusMarker)
+    if (curve.fPlus) {
+      this.renderEndMarker(curve, curve.fPlus, 'gram-frame-doppler-fPlus', pointerEvents)
     }
-    
-    // f- marker (colored dot)
-    if (doppler.fMinus) {
-      const fMinusSVG = dataToSVG(doppler.fMinus, this.getViewport(), this.instance.ui.spectrogramImage)
-      const fMinusMarker = document.createElementNS('http://www.w3.org/2000/svg', 'circle')
-      fMinusMarker.setAttribute('class', 'gram-frame-doppler-fMinus')
-      fMinusMarker.setAttribute('cx', fMinusSVG.x.toString())
-      fMinusMarker.setAttribute('cy', fMinusSVG.y.toString())
-      fMinusMarker.setAttribute('r', '4')
-      fMinusMarker.setAttribute('fill', color)
-      fMinusMarker.setAttribute('stroke', '#ffffff')
-      fMinusMarker.setAttribute('stroke-width', '1')
-      fMinusMarker.setAttribute('pointer-events', pointerEvents)
-      this.instance.ui.cursorGroup.appendChild(fMinusMarker)
+    if (curve.fMinus) {
+      this.renderEndMarker(curve, curve.fMinus, 'gram-frame-doppler-fMinus', pointerEvents)
     }
     
     // f₀ marker (green crosshair) - keep green as it's the midpoint indicator
-    if (doppler.fZero) {
-      const fZeroSVG = dataToSVG(doppler.fZero, this.getViewport(), this.instance.ui.spectrogramImage)
-      
-      // Horizontal line
-      const hLine = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-      hLine.setAttribute('class', 'gram-frame-doppler-crosshair')
-      hLine.setAttribute('x1', (fZeroSVG.x - 8).toString())
-      hLine.setAttribute('y1', fZeroSVG.y.toString())
-      hLine.setAttribute('x2', (fZeroSVG.x + 8).toString())
-      hLine.setAttribute('y2', fZeroSVG.y.toString())
-      hLine.setAttribute('stroke', '#00ff00')
-      hLine.setAttribute('stroke-width', '2')
-      hLine.setAttribute('pointer-events', pointerEvents)
-      this.instance.ui.cursorGroup.appendChild(hLine)
-      
-      // Vertical line
-      const vLine = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-      vLine.setAttribute('class', 'gram-frame-doppler-crosshair')
-      vLine.setAttribute('x1', fZeroSVG.x.toString())
-      vLine.setAttribute('y1', (fZeroSVG.y - 8).toString())
-      vLine.setAttribute('x2', fZeroSVG.x.toString())
-      vLine.setAttribute('y2', (fZeroSVG.y + 8).toString())
-      vLine.setAttribute('stroke', '#00ff00')
-      vLine.setAttribute('stroke-width', '2')
-      vLine.setAttribute('pointer-events', pointerEvents)
-      this.instance.ui.cursorGroup.appendChild(vLine)
+    if (curve.fZero) {
+      this.renderCrosshair(curve, curve.fZero, pointerEvents)
     }
   }
 
   /**
-   * Render Doppler curve between markers with vertical extensions (zoom-aware)
+   * Draw the green f₀ crosshair: a marker curve's f₀ marker, or the CPA a
+   * fitted curve found.
+   * @param {DopplerCurve} curve - Curve the crosshair belongs to
+   * @param {DataCoordinates} point - Crosshair centre
+   * @param {string} pointerEvents - `pointer-events` value
    */
-  renderDopplerCurve() {
-    const doppler = this.instance.state.doppler
-    if (!doppler.fPlus || !doppler.fMinus || !doppler.fZero) return
-    
-    // Use stored color for existing curve, or global selectedColor for new curves
-    const color = doppler.color || this.instance.state.selectedColor || '#ff0000'
+  renderCrosshair(curve, point, pointerEvents) {
+    const centre = dataToSVG(point, this.getViewport(), this.instance.ui.spectrogramImage)
+
+    // Horizontal line
+    const hLine = document.createElementNS(SVG_NS, 'line')
+    hLine.setAttribute('class', 'gram-frame-doppler-crosshair')
+    hLine.setAttribute('data-curve-id', curve.id)
+    hLine.setAttribute('x1', (centre.x - 8).toString())
+    hLine.setAttribute('y1', centre.y.toString())
+    hLine.setAttribute('x2', (centre.x + 8).toString())
+    hLine.setAttribute('y2', centre.y.toString())
+    hLine.setAttribute('stroke', '#00ff00')
+    hLine.setAttribute('stroke-width', '2')
+    hLine.setAttribute('pointer-events', pointerEvents)
+    this.instance.ui.cursorGroup.appendChild(hLine)
+
+    // Vertical line
+    const vLine = document.createElementNS(SVG_NS, 'line')
+    vLine.setAttribute('class', 'gram-frame-doppler-crosshair')
+    vLine.setAttribute('data-curve-id', curve.id)
+    vLine.setAttribute('x1', centre.x.toString())
+    vLine.setAttribute('y1', (centre.y - 8).toString())
+    vLine.setAttribute('x2', centre.x.toString())
+    vLine.setAttribute('y2', (centre.y + 8).toString())
+    vLine.setAttribute('stroke', '#00ff00')
+    vLine.setAttribute('stroke-width', '2')
+    vLine.setAttribute('pointer-events', pointerEvents)
+    this.instance.ui.cursorGroup.appendChild(vLine)
+  }
+
+  /**
+   * Draw a fitted curve: its points, and once there are enough of them the
+   * fitted model across the points' time span, a residual from each point to
+   * the model, and the CPA crosshair. The crosshair is derived, so unlike a
+   * marker curve's f₀ it cannot be dragged.
+   * @param {DopplerCurve} curve - Fitted curve to draw
+   * @param {boolean} isSelected - Whether the curve is selected (drawn heavier)
+   */
+  renderFittedCurve(curve, isSelected) {
+    const points = curve.fitPoints || []
+    const viewport = this.getViewport()
+    const image = this.instance.ui.spectrogramImage
+    const pointerEvents = this.instance.state.mode === 'doppler' ? 'auto' : 'none'
+    const trace = fittedCurveTrace(curve)
+
+    if (trace) {
+      const pathData = trace.path.map((point, i) => {
+        const svgPoint = dataToSVG(point, viewport, image)
+        return `${i === 0 ? 'M' : 'L'} ${svgPoint.x} ${svgPoint.y}`
+      })
+      const path = document.createElementNS(SVG_NS, 'path')
+      path.setAttribute('class', 'gram-frame-doppler-curve')
+      path.setAttribute('data-curve-id', curve.id)
+      path.setAttribute('d', pathData.join(' '))
+      path.setAttribute('fill', 'none')
+      path.setAttribute('stroke', curve.color)
+      path.setAttribute('stroke-width', isSelected ? '3' : '2')
+      this.instance.ui.cursorGroup.appendChild(path)
+
+      trace.residuals.forEach(segment => {
+        const from = dataToSVG(segment.from, viewport, image)
+        const to = dataToSVG(segment.to, viewport, image)
+        const residual = document.createElementNS(SVG_NS, 'line')
+        residual.setAttribute('class', 'gram-frame-doppler-residual')
+        residual.setAttribute('data-curve-id', curve.id)
+        residual.setAttribute('x1', from.x.toString())
+        residual.setAttribute('y1', from.y.toString())
+        residual.setAttribute('x2', to.x.toString())
+        residual.setAttribute('y2', to.y.toString())
+        residual.setAttribute('stroke', curve.color)
+        residual.setAttribute('stroke-width', '1')
+        residual.setAttribute('stroke-dasharray', '2,2')
+        residual.setAttribute('pointer-events', 'none')
+        this.instance.ui.cursorGroup.appendChild(residual)
+      })
+
+      this.renderCrosshair(curve, trace.cpa, 'none')
+    }
+
+    points.forEach(point => {
+      this.renderEndMarker(curve, point, 'gram-frame-doppler-fit-point', pointerEvents)
+    })
+  }
+
+  /**
+   * Render a Doppler curve between its markers with extensions along the time
+   * axis (zoom-aware), or a fitted curve with its points and residuals
+   * @param {DopplerCurve} curve - Curve to draw
+   * @param {boolean} isPreview - Whether the curve is still being placed (drawn dashed)
+   * @param {boolean} isSelected - Whether the curve is selected (drawn heavier)
+   */
+  renderDopplerCurve(curve, isPreview, isSelected) {
+    if (curve.fitPoints) {
+      this.renderFittedCurve(curve, isSelected)
+      return
+    }
+    if (!curve.fPlus || !curve.fMinus || !curve.fZero) return
     
-    const fPlusSVG = dataToSVG(doppler.fPlus, this.getViewport(), this.instance.ui.spectrogramImage)
-    const fMinusSVG = dataToSVG(doppler.fMinus, this.getViewport(), this.instance.ui.spectrogramImage)
-    const fZeroSVG = dataToSVG(doppler.fZero, this.getViewport(), this.instance.ui.spectrogramImage)
+    const color = curve.color
+    const strokeWidth = isSelected ? '3' : '2'
     
+    const viewport = this.getViewport()
+    const image = this.instance.ui.spectrogramImage
+    const { fPlus, fMinus, fZero } = curve
+    const fPlusSVG = dataToSVG(fPlus, viewport, image)
+    const fMinusSVG = dataToSVG(fMinus, viewport, image)
+
+    /** @type {SVGElement[]} */
+    const lines = []
+
     // Create S-curve path
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
+    const path = document.createElementNS(SVG_NS, 'path')
     path.setAttribute('class', 'gram-frame-doppler-curve')
     
-    // Simple S-curve with vertical tangents
-    const controlPoint1X = fMinusSVG.x
-    const controlPoint1Y = fMinusSVG.y + (fZeroSVG.y - fMinusSVG.y) * 0.7
-    const controlPoint2X = fPlusSVG.x  
-    const controlPoint2Y = fPlusSVG.y + (fZeroSVG.y - fPlusSVG.y) * 0.7
+    // Simple S-curve with tangents along the time axis: each control point
+    // keeps its end's frequency and reaches towards f₀ in time. Laid out in
+    // data space, so the curve turns with the gram's orientation.
+    const control1 = dataToSVG({ freq: fMinus.freq, time: fMinus.time + (fZero.time - fMinus.time) * S_CURVE_TENSION }, viewport, image)
+    const control2 = dataToSVG({ freq: fPlus.freq, time: fPlus.time + (fZero.time - fPlus.time) * S_CURVE_TENSION }, viewport, image)
     
-    const pathData = `M ${fMinusSVG.x} ${fMinusSVG.y} C ${controlPoint1X} ${controlPoint1Y} ${controlPoint2X} ${controlPoint2Y} ${fPlusSVG.x} ${fPlusSVG.y}`
+    const pathData = `M ${fMinusSVG.x} ${fMinusSVG.y} C ${control1.x} ${control1.y} ${control2.x} ${control2.y} ${fPlusSVG.x} ${fPlusSVG.y}`
     
     path.setAttribute('d', pathData)
-    path.setAttribute('stroke', color)
-    path.setAttribute('stroke-width', '2')
     path.setAttribute('fill', 'none')
+    lines.push(path)
     
-    this.instance.ui.cursorGroup.appendChild(path)
-    
-    // Vertical extensions - clip to intersection of zoomed view and spectrogram data area
-    const margins = this.instance.state.margins
-    const { naturalHeight } = this.instance.state.imageDetails
-    // Base render height (defaults to natural; grows when expanded)
-    const renderHeight = this.instance.state.imageDetails.renderHeight || naturalHeight
-
-    // Spectrogram data bounds at the current base render size
-    const spectrogramTop = margins.top
-    const spectrogramBottom = margins.top + renderHeight
-
-    // Get the actual rendered view bounds (reflecting expand × zoom)
-    let zoomedTop = spectrogramTop
-    let zoomedBottom = spectrogramBottom
-
-    if (this.instance.ui.spectrogramImage) {
-      const zoomedImageTop = parseFloat(this.instance.ui.spectrogramImage.getAttribute('y') || String(margins.top))
-      const zoomedImageHeight = parseFloat(this.instance.ui.spectrogramImage.getAttribute('height') || String(renderHeight))
-      zoomedTop = zoomedImageTop
-      zoomedBottom = zoomedImageTop + zoomedImageHeight
-    }
-    
-    // Calculate intersection bounds - extensions should not go beyond either limit
-    const clippedTop = Math.max(spectrogramTop, zoomedTop)
-    const clippedBottom = Math.min(spectrogramBottom, zoomedBottom)
-    
-    // Extension from f+ upward - only if f+ is below the clipped top
-    if (fPlusSVG.y > clippedTop) {
-      const fPlusExtension = document.createElementNS('http://www.w3.org/2000/svg', 'line')
+    // Extensions along the time axis, to the edge of the times in view: the
+    // visible range is already the intersection of the zoomed image and the
+    // spectrogram data area, so they go beyond neither
+    const visible = calculateVisibleDataRange(viewport, image)
+
+    // Extension from f+ on to the latest time in view - only if f+ is before it
+    if (fPlus.time < visible.timeMax) {
+      const end = dataToSVG({ freq: fPlus.freq, time: visible.timeMax }, viewport, image)
+      const fPlusExtension = document.createElementNS(SVG_NS, 'line')
       fPlusExtension.setAttribute('class', 'gram-frame-doppler-extension')
       fPlusExtension.setAttribute('x1', fPlusSVG.x.toString())
       fPlusExtension.setAttribute('y1', fPlusSVG.y.toString())
-      fPlusExtension.setAttribute('x2', fPlusSVG.x.toString())
-      fPlusExtension.setAttribute('y2', clippedTop.toString())
-      fPlusExtension.setAttribute('stroke', color)
-      fPlusExtension.setAttribute('stroke-width', '2')
-      this.instance.ui.cursorGroup.appendChild(fPlusExtension)
+      fPlusExtension.setAttribute('x2', end.x.toString())
+      fPlusExtension.setAttribute('y2', end.y.toString())
+      lines.push(fPlusExtension)
     }
     
-    // Extension from f- downward - only if f- is above the clipped bottom
-    if (fMinusSVG.y < clippedBottom) {
-      const fMinusExtension = document.createElementNS('http://www.w3.org/2000/svg', 'line')
+    // Extension from f- back to the earliest time in view - only if f- is after it
+    if (fMinus.time > visible.timeMin) {
+      const end = dataToSVG({ freq: fMinus.freq, time: visible.timeMin }, viewport, image)
+      const fMinusExtension = document.createElementNS(SVG_NS, 'line')
       fMinusExtension.setAttribute('class', 'gram-frame-doppler-extension')
       fMinusExtension.setAttribute('x1', fMinusSVG.x.toString())
       fMinusExtension.setAttribute('y1', fMinusSVG.y.toString())
-      fMinusExtension.setAttribute('x2', fMinusSVG.x.toString())
-      fMinusExtension.setAttribute('y2', clippedBottom.toString())
-      fMinusExtension.setAttribute('stroke', color)
-      fMinusExtension.setAttribute('stroke-width', '2')
-      this.instance.ui.cursorGroup.appendChild(fMinusExtension)
+      fMinusExtension.setAttribute('x2', end.x.toString())
+      fMinusExtension.setAttribute('y2', end.y.toString())
+      lines.push(fMinusExtension)
     }
+
+    lines.forEach(line => {
+      line.setAttribute('data-curve-id', curve.id)
+      line.setAttribute('stroke', color)
+      line.setAttribute('stroke-width', strokeWidth)
+      if (isPreview) {
+        // Preview styling indicates the curve is still being placed
+        line.setAttribute('opacity', '0.8')
+        line.setAttribute('stroke-dasharray', '5,5')
+      }
+      this.instance.ui.cursorGroup.appendChild(line)
+    })
   }
 
 
@@ -705,11 +1219,11 @@ export class DopplerMode extends BaseMode {
    * Half of the `PersistentFeatureProvider` capability. Lived on
    * `FeatureRenderer` as `hasDopplerFeatures()` until spec 167 moved it onto
    * the mode that owns the state it reads.
-   * @returns {boolean} True if any doppler marker has been placed
+   * @returns {boolean} True if any doppler curve has been started
    */
   hasPersistentFeatures() {
-    const doppler = this.instance.state.doppler
-    return !!(doppler && (doppler.fPlus || doppler.fMinus || doppler.fZero))
+    const doppler = this.doppler
+    return !!(doppler && doppler.curves.length > 0)
   }
 
   /**
@@ -0,0 +1,199 @@
+/**
+ * The speed-of-sound dialog for Doppler mode.
+ *
+ * Opened from the mode's `c` command button, it overrides the speed of sound
+ * this instance's Doppler calculation uses. The analyst can type a speed, or
+ * derive one from temperature, salinity and depth (Mackenzie's equation) when
+ * the exercise states the water mass rather than the speed. "Use configured"
+ * drops the override and returns to the gram's `sound-speed` row, or to the
+ * default when the gram has none.
+ *
+ * Built with `createElement`, as the marker-label dialog is.
+ */
+
+/// <reference path="../../types.js" />
+
+import { calculateSoundSpeed, isValidSoundSpeed, DEFAULT_SOUND_SPEED } from '../../utils/doppler.js'
+
+/**
+ * Build a labelled number input in the modal's input-group style.
+ * @param {string} id - Element id, shared by the label's `for`
+ * @param {string} labelText - Label text
+ * @param {string} value - Initial value
+ * @returns {{group: HTMLDivElement, input: HTMLInputElement}} The group and its input
+ */
+function createNumberField(id, labelText, value) {
+  const group = document.createElement('div')
+  group.className = 'gram-frame-modal-input-group'
+
+  const label = document.createElement('label')
+  label.setAttribute('for', id)
+  label.textContent = labelText
+
+  const input = document.createElement('input')
+  input.type = 'number'
+  input.id = id
+  input.step = 'any'
+  input.value = value
+
+  group.appendChild(label)
+  group.appendChild(input)
+  return { group, input }
+}
+
+/**
+ * Show the speed-of-sound dialog.
+ *
+ * Self-closing, like the marker-label dialog: it removes itself on save,
+ * cancel, Escape or a click on the backdrop. `onSave` fires with the new
+ * override in m/s, or `null` when the analyst chose "Use configured".
+ *
+ * @param {number} currentSpeed - The speed of sound currently in use, m/s
+ * @param {number|null} configuredSpeed - The gram's `sound-speed`, or null if it has none
+ * @param {function(number|null): void} onSave - Called with the new override
+ * @returns {HTMLDivElement} The overlay element, for callers that need to dismiss it
+ */
+export function showSoundSpeedModal(currentSpeed, configuredSpeed, onSave) {
+  const overlay = document.createElement('div')
+  overlay.className = 'gram-frame-modal-overlay gram-frame-sound-speed-modal'
+
+  const modal = document.createElement('div')
+  modal.className = 'gram-frame-modal'
+
+  const header = document.createElement('div')
+  header.className = 'gram-frame-modal-header'
+  const heading = document.createElement('h3')
+  heading.textContent = 'Speed of Sound'
+  header.appendChild(heading)
+
+  const body = document.createElement('div')
+  body.className = 'gram-frame-modal-body'
+
+  const speedField = createNumberField('gram-frame-sound-speed-input', 'Speed of sound (m/s):', String(currentSpeed))
+  const hint = document.createElement('div')
+  hint.className = 'gram-frame-modal-hint'
+  hint.textContent = configuredSpeed !== null
+    ? `This gram is configured for ${configuredSpeed} m/s.`
+    : `This gram has no configured value; the default is ${DEFAULT_SOUND_SPEED} m/s.`
+  speedField.group.appendChild(hint)
+  body.appendChild(speedField.group)
+
+  // Derive from the water mass. Salinity and depth default to open-ocean
+  // surface water, so a temperature alone gives a sensible answer.
+  const deriveHeading = document.createElement('h4')
+  deriveHeading.className = 'gram-frame-sound-speed-derive-heading'
+  deriveHeading.textContent = 'Or derive from the water'
+  body.appendChild(deriveHeading)
+
+  const temperatureField = createNumberField('gram-frame-sound-speed-temperature', 'Temperature (°C):', '')
+  const salinityField = createNumberField('gram-frame-sound-speed-salinity', 'Salinity (ppt):', '35')
+  const depthField = createNumberField('gram-frame-sound-speed-depth', 'Depth (m):', '0')
+  body.appendChild(temperatureField.group)
+  body.appendChild(salinityField.group)
+  body.appendChild(depthField.group)
+
+  const deriveButton = document.createElement('button')
+  deriveButton.className = 'gram-frame-modal-btn gram-frame-sound-speed-derive'
+  deriveButton.textContent = 'Calculate'
+  body.appendChild(deriveButton)
+
+  const error = document.createElement('div')
+  error.className = 'gram-frame-modal-error'
+  error.style.display = 'none'
+  body.appendChild(error)
+
+  const footer = document.createElement('div')
+  footer.className = 'gram-frame-modal-footer'
+  const resetButton = document.createElement('button')
+  resetButton.className = 'gram-frame-modal-btn gram-frame-modal-cancel gram-frame-sound-speed-reset'
+  resetButton.textContent = 'Use configured'
+  const cancelButton = document.createElement('button')
+  cancelButton.className = 'gram-frame-modal-btn gram-frame-modal-cancel'
+  cancelButton.textContent = 'Cancel'
+  const saveButton = document.createElement('button')
+  saveButton.className = 'gram-frame-modal-btn gram-frame-modal-add gram-frame-modal-save'
+  saveButton.textContent = 'Save'
+  footer.appendChild(resetButton)
+  footer.appendChild(cancelButton)
+  footer.appendChild(saveButton)
+
+  modal.appendChild(header)
+  modal.appendChild(body)
+  modal.appendChild(footer)
+  overlay.appendChild(modal)
+  document.body.appendChild(overlay)
+
+  /**
+   * Show a validation message, or hide it when `message` is empty.
+   * @param {string} message - Message to show
+   */
+  function showError(message) {
+    error.textContent = message
+    error.style.display = message ? 'block' : 'none'
+  }
+
+  /**
+   * Remove the dialog from the page.
+   */
+  function closeModal() {
+    if (overlay.parentNode) {
+      overlay.parentNode.removeChild(overlay)
+    }
+  }
+
+  /**
+   * Fill the speed field from the water-mass inputs.
+   */
+  function derive() {
+    const temperature = temperatureField.input.valueAsNumber
+    const salinity = salinityField.input.valueAsNumber
+    const depth = depthField.input.valueAsNumber
+    if (![temperature, salinity, depth].every(Number.isFinite) || depth < 0) {
+      showError('Enter a temperature, a salinity and a depth of 0 m or more.')
+      return
+    }
+    const speed = calculateSoundSpeed(temperature, salinity, depth)
+    speedField.input.value = speed.toFixed(1)
+    showError('')
+  }
+
+  /**
+   * Commit the entered speed and close, or explain why it was refused.
+   */
+  function save() {
+    const speed = speedField.input.valueAsNumber
+    if (!isValidSoundSpeed(speed)) {
+      showError('Enter a speed of sound in water, in m/s (e.g. 1500).')
+      return
+    }
+    onSave(speed)
+    closeModal()
+  }
+
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target === speedField.input) {
+      save()
+    } else if (e.key === 'Enter' && e.target instanceof HTMLInputElement) {
+      derive() // Enter in a water-mass field calculates, leaving the dialog open
+    } else if (e.key === 'Escape') {
+      closeModal()
+    }
+  })
+  deriveButton.addEventListener('click', derive)
+  resetButton.addEventListener('click', () => {
+    onSave(null)
+    closeModal()
+  })
+  cancelButton.addEventListener('click', closeModal)
+  saveButton.addEventListener('click', save)
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      closeModal()
+    }
+  })
+
+  speedField.input.focus()
+  speedField.input.select()
+
+  return overlay
+}
@@ -0,0 +1,136 @@
+/**
+ * The auto-spacing dialog for Harmonics mode.
+ *
+ * Opened from the harmonics panel's `+ Auto` button, it proposes the spacing
+ * read off the gram's pixels at the cursor's time, editable before it is
+ * added as a harmonic set. When the pixels cannot be read, or nothing in the
+ * row repeats clearly, it says which and offers only Close.
+ *
+ * Built with `createElement`, as the find-fundamental dialog is.
+ */
+
+/// <reference path="../../types.js" />
+
+import { formatGramTimeTick } from '../../utils/timeFormatter.js'
+
+/**
+ * Show the auto-spacing dialog.
+ *
+ * Self-closing, like the find-fundamental dialog: it removes itself on add,
+ * cancel, Escape or a click on the backdrop. `onAdd` fires with the spacing as
+ * proposed or as edited.
+ *
+ * @param {SpacingEstimate|null} estimate - The proposed spacing, or null if none was found
+ * @param {boolean} readable - Whether the gram's pixels could be read at all
+ * @param {number} time - Time the row was read at, in seconds
+ * @param {Pick<GramFrameState, 'config'|'timeDisplay'>} state - Gram state, to show that time as the gram does
+ * @param {function(number): void} onAdd - Called with the spacing to add, in Hz
+ * @returns {HTMLDivElement} The overlay element, for callers that need to dismiss it
+ */
+export function showAutoSpacingModal(estimate, readable, time, state, onAdd) {
+  const overlay = document.createElement('div')
+  overlay.className = 'gram-frame-modal-overlay gram-frame-auto-spacing-modal'
+
+  const modal = document.createElement('div')
+  modal.className = 'gram-frame-modal'
+
+  const header = document.createElement('div')
+  header.className = 'gram-frame-modal-header'
+  const heading = document.createElement('h3')
+  heading.textContent = 'Auto Spacing'
+  header.appendChild(heading)
+
+  const body = document.createElement('div')
+  body.className = 'gram-frame-modal-body'
+
+  const hint = document.createElement('div')
+  hint.className = 'gram-frame-modal-hint'
+  const at = formatGramTimeTick(time, state)
+  if (!readable) {
+    hint.textContent = 'The browser will not let the gram\'s pixels be read, as happens for an image opened from disk or another site. Use + Manual to enter a spacing instead.'
+  } else if (!estimate) {
+    hint.textContent = `No regular spacing stands out in the gram at ${at}.`
+  } else {
+    hint.textContent = `Dominant spacing in the gram at ${at} (${Math.round(estimate.confidence * 100)}% repeat):`
+  }
+  body.appendChild(hint)
+
+  const spacingInput = document.createElement('input')
+  spacingInput.type = 'number'
+  spacingInput.id = 'harmonic-auto-spacing-input'
+  spacingInput.min = '0.1'
+  spacingInput.step = 'any'
+  if (estimate) {
+    const group = document.createElement('div')
+    group.className = 'gram-frame-modal-input-group'
+    const label = document.createElement('label')
+    label.setAttribute('for', spacingInput.id)
+    label.textContent = 'Harmonic spacing (Hz):'
+    spacingInput.value = estimate.spacing.toFixed(2)
+    group.appendChild(label)
+    group.appendChild(spacingInput)
+    body.appendChild(group)
+  }
+
+  const footer = document.createElement('div')
+  footer.className = 'gram-frame-modal-footer'
+  const cancelButton = document.createElement('button')
+  cancelButton.className = 'gram-frame-modal-btn gram-frame-modal-cancel'
+  cancelButton.textContent = estimate ? 'Cancel' : 'Close'
+  footer.appendChild(cancelButton)
+  const addButton = document.createElement('button')
+  addButton.className = 'gram-frame-modal-btn gram-frame-modal-add'
+  addButton.textContent = 'Add harmonics'
+  if (estimate) {
+    footer.appendChild(addButton)
+  }
+
+  modal.appendChild(header)
+  modal.appendChild(body)
+  modal.appendChild(footer)
+  overlay.appendChild(modal)
+  document.body.appendChild(overlay)
+
+  /**
+   * Remove the dialog from the page.
+   */
+  function closeModal() {
+    if (overlay.parentNode) {
+      overlay.parentNode.removeChild(overlay)
+    }
+  }
+
+  /**
+   * Add the spacing, if it is one the manual dialog would accept, and close.
+   */
+  function add() {
+    const spacing = parseFloat(spacingInput.value)
+    if (!isNaN(spacing) && spacing >= 0.1) {
+      onAdd(spacing)
+      closeModal()
+    }
+  }
+
+  modal.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && estimate) {
+      add()
+    } else if (e.key === 'Escape') {
+      closeModal()
+    }
+  })
+  cancelButton.addEventListener('click', closeModal)
+  addButton.addEventListener('click', add)
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      closeModal()
+    }
+  })
+
+  const focusTarget = estimate ? spacingInput : cancelButton
+  focusTarget.focus()
+  if (estimate) {
+    spacingInput.select()
+  }
+
+  return overlay
+}
@@ -2,14 +2,60 @@ import { BaseMode } from '../BaseMode.js'
 // SVG utilities removed - no display element
 import { updateHarmonicPanelContent, createHarmonicPanel } from '../../components/HarmonicPanel.js'
 import { showManualHarmonicModal } from './ManualHarmonicModal.js'
+import { showAutoSpacingModal } from './AutoSpacingModal.js'
+import { readIntensityProfile } from '../../components/spectrogramImage.js'
+import { estimateSpacing, linearProfile } from '../../utils/spacingEstimate.js'
 import { dispatch, markAnnotationsChanged } from '../../core/state.js'
 import { dataToSVG, getImageBounds } from '../../utils/coordinates.js'
 import { BaseDragHandler } from '../shared/BaseDragHandler.js'
 import { getUniformTolerance } from '../../utils/tolerance.js'
 import { sampledHarmonics } from '../../utils/harmonicSampling.js'
+import {
+  isSidebandSet,
+  seriesFrequency,
+  seriesOrderRange,
+  seriesIndexRange,
+  seriesOrderAt,
+  nearestSeriesOrder,
+  seriesLabel
+} from '../../utils/harmonicSeries.js'
+import {
+  isTimeBoundedSet,
+  isDriftingSet,
+  timeBoundsBetween,
+  shiftTimeBounds,
+  spacingAt
+} from '../../utils/harmonicBounds.js'
 import { createSymbolMark, resolveSymbolScale } from '../../rendering/symbols.js'
 import { applyTextHalo } from '../../utils/svg.js'
-import { calculateVisibleDataRange, getRenderDimensions } from '../../utils/coordinates.js'
+import { calculateVisibleDataRange, getRenderDimensions, isTimeHorizontal } from '../../utils/coordinates.js'
+
+/**
+ * Time bounds for a set created at a mousedown: none for an ordinary set, and
+ * a zero-length interval at the mousedown for a bounded one, which the drag
+ * then stretches out.
+ * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+ * @param {boolean} bounded - Whether the set is time-bounded
+ * @returns {HarmonicSetOptions} Options carrying the bounds, if any
+ */
+function createdTimeBounds(dataCoords, bounded) {
+  return bounded ? { timeStart: dataCoords.time, timeEnd: dataCoords.time } : {}
+}
+
+/**
+ * Spacing that puts one line of a set at a frequency: for a family, the
+ * grabbed sideband's distance from the carrier (either side reads the same);
+ * for a plain set, the frequency over the harmonic number. Never below the
+ * minimum spacing.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} order - Grabbed harmonic number, or non-zero sideband number
+ * @param {number} freq - Frequency the line should sit at, in Hz
+ * @returns {number} Spacing in Hz
+ */
+function spacingThrough(harmonicSet, order, freq) {
+  const offset = isSidebandSet(harmonicSet) ? Math.abs(freq - /** @type {number} */ (harmonicSet.carrier)) : freq
+  return Math.max(offset / Math.abs(order), 0.1)
+}
 
 /**
  * Harmonics mode implementation
@@ -30,7 +76,7 @@ export class HarmonicsMode extends BaseMode {
     this.dragHandler = new BaseDragHandler(instance, {
       // A feature drag always carries a data position. Only the pan drag passes
       // null, and it runs on its own handler in `core/events.js`.
-      resolveTarget: (position) => this.resolveHarmonicDrag(/** @type {DataCoordinates} */ (position)),
+      resolveTarget: (position, event) => this.resolveHarmonicDrag(/** @type {DataCoordinates} */ (position), event),
       // Hover only ever *finds* — resolveHarmonicDrag mints a new set when the
       // cursor is over empty gram, which is right for a mousedown and wrong for
       // a hover (a hover that creates features floods the gram with sets).
@@ -41,14 +87,46 @@ export class HarmonicsMode extends BaseMode {
       onDragCancel: (target) => this.onHarmonicSetDragEnd(target, null),
       updateCursor: (style) => this.updateCursorStyle(style)
     }, 'harmonics')
+
+    // Where the cursor last was over the gram. The shared cursor is cleared
+    // as it leaves for the panel, so `+ Auto` reads the row it came from.
+    /** @type {number|null} */
+    this.lastCursorTime = null
   }
 
   /**
-   * Find harmonic set target for drag handler
+   * This mode's state slice. One reach-in here rather than one per handler.
+   * @returns {HarmonicsState} The live harmonics state
+   */
+  get harmonics() {
+    return this.instance.state.harmonics
+  }
+
+  /**
+   * Find harmonic set target for drag handler.
+   *
+   * A time-bounded set's end caps are tested first: they sit on the ends of
+   * its lines, and a grab there means the end, not the whole set.
    * @param {DataCoordinates} position - Position to check
    * @returns {DragTarget|null} Drag target if found, null otherwise
    */
   findHarmonicSetTarget(position) {
+    const bound = this.findHarmonicBoundAt(position)
+    if (bound) {
+      const { harmonicSet, end } = bound
+      return {
+        kind: 'move',
+        id: harmonicSet.id,
+        type: 'harmonicSetBound',
+        position: position,
+        data: {
+          harmonicSet: harmonicSet,
+          // The end not grabbed stays put while the grabbed one follows
+          fixedTime: end === 'start' ? harmonicSet.timeEnd : harmonicSet.timeStart
+        }
+      }
+    }
+
     const harmonicSet = this.findHarmonicSetAt(position)
     if (harmonicSet) {
       return {
@@ -58,8 +136,17 @@ export class HarmonicsMode extends BaseMode {
         position: position,
         data: {
           harmonicSet: harmonicSet,
-          clickedHarmonicNumber: this.findClickedHarmonicNumber(harmonicSet, position.freq),
-          originalAnchorTime: harmonicSet.anchorTime
+          clickedHarmonicNumber: this.findClickedHarmonicNumber(harmonicSet, position.freq, position.time),
+          originalAnchorTime: harmonicSet.anchorTime,
+          originalTimeBounds: isTimeBoundedSet(harmonicSet)
+            ? { timeStart: harmonicSet.timeStart, timeEnd: harmonicSet.timeEnd }
+            : null,
+          // A drifting set is rescaled as a whole, both spacings by the ratio
+          // the grabbed line moves by, so its drift keeps its shape.
+          originalSpacings: isDriftingSet(harmonicSet)
+            ? { spacing: harmonicSet.spacing, spacingEnd: harmonicSet.spacingEnd, grabbed: spacingAt(harmonicSet, position.time) }
+            : null,
+          tiltEnd: null
         }
       }
     }
@@ -70,17 +157,32 @@ export class HarmonicsMode extends BaseMode {
    * Resolve what a mousedown in harmonics mode starts.
    *
    * Landing on an existing set moves it; landing anywhere else creates one and
-   * drags it out from there. The new set is minted here, on mousedown, so the
-   * engine has a target id for the whole gesture (contract: drag-engine.md).
+   * drags it out from there — a sideband family on its carrier when Shift is
+   * held, a plain set otherwise. With Alt held the new set is time-bounded, and
+   * the drag's vertical travel stretches its interval out from the mousedown.
+   * Alt on a line of an existing time-bounded set tilts it instead: the drag
+   * sets the spacing at whichever end of its interval is nearer, leaving the
+   * other end's spacing where it was, so the set drifts between them.
+   * The new set is minted here, on mousedown, so the engine has a target id
+   * for the whole gesture (contract: drag-engine.md).
    * @param {DataCoordinates} position - Position of the mousedown
+   * @param {MouseEvent} [event] - The mousedown, for its Shift and Alt keys
    * @returns {DragTarget|null} A move- or create-kind target
    */
-  resolveHarmonicDrag(position) {
+  resolveHarmonicDrag(position, event) {
+    const bounded = !!(event && event.altKey)
     const existing = this.findHarmonicSetTarget(position)
     if (existing) {
+      const harmonicSet = existing.data.harmonicSet
+      if (bounded && existing.type === 'harmonicSet' && isTimeBoundedSet(harmonicSet)) {
+        existing.data.tiltEnd = position.time < harmonicSet.anchorTime ? 'start' : 'end'
+      }
       return existing
     }
-    return this.createHarmonicSetTarget(position)
+    if (event && event.shiftKey) {
+      return this.createSidebandSetTarget(position, bounded)
+    }
+    return this.createHarmonicSetTarget(position, bounded)
   }
 
   /**
@@ -93,7 +195,7 @@ export class HarmonicsMode extends BaseMode {
     const harmonicSet = target.data.harmonicSet
 
     // Auto-select the harmonic set being dragged (consistent with analysis markers)
-    const index = this.instance.state.harmonics.harmonicSets.findIndex(set => set.id === harmonicSet.id)
+    const index = this.harmonics.harmonicSets.findIndex(set => set.id === harmonicSet.id)
     if (index !== -1) {
       this.instance.interaction.setSelection('harmonicSet', harmonicSet.id, index)
     }
@@ -118,12 +220,23 @@ export class HarmonicsMode extends BaseMode {
   }
 
   /**
-   * End dragging a harmonic set
-   * @param {Object} _target - Drag target with id and type (unused)
+   * End dragging a harmonic set.
+   *
+   * The engine clears the drag record itself. The one thing to unwind is a
+   * time-bounded set whose interval was never stretched — an Alt+click that did
+   * not drag — which is left as an ordinary set at that time rather than one
+   * with no extent to draw.
+   * @param {DragTarget} target - Drag target with id and type
    * @param {DataCoordinates|null} _position - End position (unused)
    */
-  onHarmonicSetDragEnd(_target, _position) {
-    // Nothing to unwind: the engine clears the drag record itself.
+  onHarmonicSetDragEnd(target, _position) {
+    const harmonicSet = this.harmonics.harmonicSets.find(set => set.id === target.id)
+    if (harmonicSet && isTimeBoundedSet(harmonicSet) && harmonicSet.timeStart === harmonicSet.timeEnd) {
+      delete harmonicSet.timeStart
+      delete harmonicSet.timeEnd
+      delete harmonicSet.spacingEnd
+      this.updateHarmonicSet(harmonicSet.id, {})
+    }
   }
 
   /**
@@ -212,6 +325,13 @@ export class HarmonicsMode extends BaseMode {
    */
   static STACK_TOP_PAD = 1
 
+  /**
+   * How far (px) a time-bounded set's end caps reach past its outermost lines,
+   * so a set with a single line in view still shows a grabbable bar.
+   * @type {number}
+   */
+  static BOUND_CAP_OVERHANG = 6
+
   /**
    * Get guidance content for harmonics mode
    * @returns {Object} Structured guidance content
@@ -222,7 +342,13 @@ export class HarmonicsMode extends BaseMode {
       items: [
         'Click & drag to generate harmonic lines',
         'Drag existing harmonic lines to adjust spacing intervals',
+        'Shift + drag out from a carrier to generate sidebands',
+        'Alt + drag up or down to generate lines spanning a time interval',
+        'Drag the end bars of a time-spanning set to change its interval',
+        'Alt + drag a line of a time-spanning set to change its spacing at the nearer end',
+        'Drag a carrier (C) to move it, or a sideband to adjust spacing',
         'Manually add harmonic lines using [+ Manual] button',
+        'Propose a spacing from the gram at the cursor\'s time using [+ Auto] button',
         'Click table row + arrow keys (Shift for larger steps)'
       ]
     }
@@ -234,6 +360,8 @@ export class HarmonicsMode extends BaseMode {
    * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
    */
   handleMouseMove(_event, dataCoords) {
+    this.lastCursorTime = dataCoords.time
+
     // Both the move and create drags run through the one handler
     if (this.dragHandler.isDragging()) {
       this.dragHandler.handleMouseMove(dataCoords)
@@ -244,7 +372,7 @@ export class HarmonicsMode extends BaseMode {
     
     // Update harmonic panel ratio values on mouse movement to reflect current cursor position
     // This ensures existing harmonic sets show their ratio relative to the current mouse position
-    if (this.instance.state.harmonics.harmonicSets.length > 0) {
+    if (this.harmonics.harmonicSets.length > 0) {
       this.updateHarmonicPanel()
     }
   }
@@ -302,6 +430,7 @@ export class HarmonicsMode extends BaseMode {
     if (buttonContainer && buttonContainer.querySelector('.gram-frame-manual-button')) {
       // Find existing elements and store references
       this.uiElements.manualButton = buttonContainer.querySelector('.gram-frame-manual-button')
+      this.uiElements.autoButton = buttonContainer.querySelector('.gram-frame-auto-spacing-button')
       this.uiElements.harmonicPanel = harmonicsContainer.querySelector('.gram-frame-harmonic-panel')
 
       this.instance.ui.harmonicPanel = this.uiElements.harmonicPanel
@@ -310,8 +439,10 @@ export class HarmonicsMode extends BaseMode {
     
     // Create Manual button and add to existing container
     this.uiElements.manualButton = this.createManualButton()
+    this.uiElements.autoButton = this.createAutoButton()
     if (buttonContainer) {
       buttonContainer.appendChild(this.uiElements.manualButton)
+      buttonContainer.appendChild(this.uiElements.autoButton)
     }
     
     // Create harmonic management panel in the persistent container
@@ -345,13 +476,27 @@ export class HarmonicsMode extends BaseMode {
     this.updateHarmonicPanel()
   }
 
+  /**
+   * Whether harmonic sets can be used on this gram.
+   *
+   * Pins are laid out with frequency across the gram and time up it, so the
+   * mode is offered only where time runs along the vertical axis. On a gram
+   * with time running across, the mode's button is hidden, it cannot be
+   * switched to, nothing else can add a set through it, and any sets it holds
+   * are not drawn.
+   * @returns {boolean} False on a gram whose time axis is horizontal
+   */
+  isEnabled() {
+    return !isTimeHorizontal(this.getViewport().config)
+  }
+
   /**
    * Reset harmonics-specific state
    */
   resetState() {
     // Only clear when explicitly requested by user (not during mode switches)
-    this.instance.state.harmonics.baseFrequency = null
-    this.instance.state.harmonics.harmonicData = []
+    this.harmonics.baseFrequency = null
+    this.harmonics.harmonicData = []
     // Note: harmonicSets are only cleared by explicit user action, not by resetState
   }
 
@@ -360,8 +505,8 @@ export class HarmonicsMode extends BaseMode {
    */
   cleanup() {
     // Only clear transient state, preserve harmonic sets for cross-mode persistence
-    this.instance.state.harmonics.baseFrequency = null
-    this.instance.state.harmonics.harmonicData = []
+    this.harmonics.baseFrequency = null
+    this.harmonics.harmonicData = []
     // Note: harmonicSets are intentionally preserved
   }
 
@@ -384,26 +529,30 @@ export class HarmonicsMode extends BaseMode {
    * Add a new harmonic set
    * @param {number} anchorTime - Time position in seconds
    * @param {number} spacing - Frequency spacing in Hz
+   * @param {HarmonicSetOptions} [options] - A carrier, series type, time bounds and end spacing, each optional
    * @returns {HarmonicSet} The created harmonic set
    */
-  addHarmonicSet(anchorTime, spacing) {
+  addHarmonicSet(anchorTime, spacing, options = {}) {
+    const { carrier, series, orders, timeStart, timeEnd, spacingEnd } = options
     const id = `harmonic-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`
     
+    const { selectedColor, selectedSymbol, showHarmonicPin, largeSymbols } = this.instance.state
+
     // Use selected color from global state, fallback to cycling through predefined colors
     let color
-    if (this.instance.state.selectedColor) {
-      color = this.instance.state.selectedColor
+    if (selectedColor) {
+      color = selectedColor
     } else {
-      const colorIndex = this.instance.state.harmonics.harmonicSets.length % HarmonicsMode.harmonicColors.length
+      const colorIndex = this.harmonics.harmonicSets.length % HarmonicsMode.harmonicColors.length
       color = HarmonicsMode.harmonicColors[colorIndex]
     }
     
     // Use selected symbol from global state, defaulting to the symbol-less cross
-    const symbol = this.instance.state.selectedSymbol || 'cross'
+    const symbol = selectedSymbol || 'cross'
 
     // Use the session's pin-visibility preference (on unless the analyst turned
     // it off via the style panel toggle)
-    const showPin = this.instance.state.showHarmonicPin !== false
+    const showPin = showHarmonicPin !== false
 
     /** @type {HarmonicSet} */
     const harmonicSet = {
@@ -415,14 +564,31 @@ export class HarmonicsMode extends BaseMode {
       showPin,
       // EXPERIMENT (temporary): symbol size is carried per set, seeded from the
       // toggle's next-feature default, so sets at both sizes can coexist.
-      largeSymbols: !!this.instance.state.largeSymbols
+      largeSymbols: !!largeSymbols
+    }
+    if (typeof carrier === 'number') {
+      harmonicSet.carrier = carrier
+    }
+    if (series && series !== 'all') {
+      harmonicSet.series = series
+      if (series === 'custom') {
+        harmonicSet.orders = [.../** @type {number[]} */ (orders)]
+      }
+    }
+    if (typeof timeStart === 'number' && typeof timeEnd === 'number') {
+      Object.assign(harmonicSet, timeBoundsBetween(timeStart, timeEnd))
+      if (typeof spacingEnd === 'number') {
+        // Each spacing belongs to its time, so bounds given latest-first swap them
+        harmonicSet.spacingEnd = timeStart <= timeEnd ? spacingEnd : spacing
+        harmonicSet.spacing = timeStart <= timeEnd ? spacing : spacingEnd
+      }
     }
     
-    this.instance.state.harmonics.harmonicSets.push(harmonicSet)
+    this.harmonics.harmonicSets.push(harmonicSet)
     markAnnotationsChanged(this.instance)
     
     // Auto-select the newly created harmonic set
-    const index = this.instance.state.harmonics.harmonicSets.length - 1
+    const index = this.harmonics.harmonicSets.length - 1
     this.instance.interaction.setSelection('harmonicSet', harmonicSet.id, index)
     
     // Update visual elements
@@ -446,9 +612,9 @@ export class HarmonicsMode extends BaseMode {
    * @param {Partial<HarmonicSet>} updates - Properties to update
    */
   updateHarmonicSet(id, updates) {
-    const setIndex = this.instance.state.harmonics.harmonicSets.findIndex(set => set.id === id)
+    const setIndex = this.harmonics.harmonicSets.findIndex(set => set.id === id)
     if (setIndex !== -1) {
-      Object.assign(this.instance.state.harmonics.harmonicSets[setIndex], updates)
+      Object.assign(this.harmonics.harmonicSets[setIndex], updates)
       markAnnotationsChanged(this.instance)
 
       // Update visual elements
@@ -470,7 +636,7 @@ export class HarmonicsMode extends BaseMode {
    * @param {string} id - Harmonic set ID
    */
   removeHarmonicSet(id) {
-    const setIndex = this.instance.state.harmonics.harmonicSets.findIndex(set => set.id === id)
+    const setIndex = this.harmonics.harmonicSets.findIndex(set => set.id === id)
     if (setIndex !== -1) {
       // Clear selection if removing the selected harmonic set
       if (this.instance.state.selection.selectedType === 'harmonicSet' && 
@@ -478,7 +644,7 @@ export class HarmonicsMode extends BaseMode {
         this.instance.interaction.clearSelection()
       }
       
-      this.instance.state.harmonics.harmonicSets.splice(setIndex, 1)
+      this.harmonics.harmonicSets.splice(setIndex, 1)
       markAnnotationsChanged(this.instance)
 
       // Update visual elements
@@ -524,7 +690,7 @@ export class HarmonicsMode extends BaseMode {
     if (!position) return null
     const { freq, time } = position
 
-    for (const harmonicSet of this.instance.state.harmonics.harmonicSets) {
+    for (const harmonicSet of this.harmonics.harmonicSets) {
       // Check if frequency is close to any harmonic line in this set
       if (harmonicSet.spacing > 0) {
         const { minHarmonic, maxHarmonic } = this.getVisibleHarmonicRange(harmonicSet)
@@ -532,17 +698,17 @@ export class HarmonicsMode extends BaseMode {
 
         // Pins are a fixed pixel height, so hit-test vertically in SVG pixels
         // against the same geometry the renderer draws.
-        const { lineHeight, lineTop } = this.calculateHarmonicLineDimensions(harmonicSet)
+        const { lineHeight, lineTop, topTime } = this.calculateHarmonicLineDimensions(harmonicSet)
         const stack = this.calculateLabelStackBounds(lineTop, harmonicSet)
         // Only the thinned subset is labelled, so only those pins carry a stack.
-        const labelled = this.getLabelledHarmonics(minHarmonic, maxHarmonic)
+        const labelled = this.getLabelledHarmonics(harmonicSet, minHarmonic, maxHarmonic)
         // A hidden pin draws mini-pins instead of full lines, so its line grab
         // region is the mini-pin stub hanging from the stack's underside.
         const pinDrawn = harmonicSet.showPin !== false
         const lineFrom = pinDrawn ? lineTop : stack.bottom
         const lineTo = lineFrom + (pinDrawn ? lineHeight : HarmonicsMode.MINI_PIN_HEIGHT)
 
-        const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage)
+        const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, freq)
         const cursorSVG = dataToSVG(
           { freq, time },
           this.getViewport(),
@@ -550,16 +716,15 @@ export class HarmonicsMode extends BaseMode {
         )
 
         // The pin line: frequency tolerance horizontally, the drawn line span
-        // vertically. Only the harmonic(s) nearest the probe frequency can
-        // pass the horizontal test, so only they are checked.
+        // vertically. Only the drawn harmonic nearest the probe frequency can
+        // pass the horizontal test, so only it is checked — a harmonic the
+        // set's series leaves out is blank on screen and blank to the mouse.
+        // A drifting set's lines slope, so they are read at the probe's time.
         if (cursorSVG.y >= lineFrom && cursorSVG.y <= lineTo) {
-          const nearest = Math.round(freq / harmonicSet.spacing)
-          const from = Math.max(minHarmonic, nearest - 1)
-          const to = Math.min(maxHarmonic, nearest + 1)
-          for (let h = from; h <= to; h++) {
-            if (Math.abs(freq - h * harmonicSet.spacing) < tolerance.freq) {
-              return harmonicSet
-            }
+          const nearest = nearestSeriesOrder(harmonicSet, freq, time)
+          if (nearest >= minHarmonic && nearest <= maxHarmonic &&
+              Math.abs(freq - seriesFrequency(harmonicSet, nearest, time)) < tolerance.freq) {
+            return harmonicSet
           }
         }
 
@@ -567,7 +732,7 @@ export class HarmonicsMode extends BaseMode {
         // the digits and symbol are a fixed pixel size regardless of zoom.
         if (cursorSVG.y >= stack.top && cursorSVG.y <= stack.bottom) {
           for (const h of labelled) {
-            if (Math.abs(cursorSVG.x - this.harmonicLineX(harmonicSet, h)) <= this.labelStackHalfWidth(harmonicSet, h)) {
+            if (Math.abs(cursorSVG.x - this.harmonicLineX(harmonicSet, h, topTime)) <= this.labelStackHalfWidth(harmonicSet, h)) {
               return harmonicSet
             }
           }
@@ -577,6 +742,54 @@ export class HarmonicsMode extends BaseMode {
     return null
   }
 
+  /**
+   * Find the end cap of a time-bounded set under the given position.
+   *
+   * A cap spans the set's visible lines at one end of its interval, so the
+   * test is within time tolerance of that end and within frequency tolerance of
+   * the span between the outermost visible lines there — which, for a drifting
+   * set, differs from one end to the other.
+   * @param {DataCoordinates} position - Probe position {freq, time}
+   * @returns {{harmonicSet: HarmonicSet, end: 'start'|'end'}|null} The set and which end, or null
+   */
+  findHarmonicBoundAt(position) {
+    if (!position) return null
+    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, position.freq)
+
+    for (const harmonicSet of this.harmonics.harmonicSets) {
+      if (!isTimeBoundedSet(harmonicSet) || !(harmonicSet.spacing > 0)) continue
+
+      for (const end of /** @type {Array<'start'|'end'>} */ (['start', 'end'])) {
+        const endTime = /** @type {number} */ (end === 'start' ? harmonicSet.timeStart : harmonicSet.timeEnd)
+        if (Math.abs(position.time - endTime) > tolerance.time) continue
+        const span = this.getVisibleLineSpan(harmonicSet, endTime)
+        if (span && position.freq >= span.freqLow - tolerance.freq && position.freq <= span.freqHigh + tolerance.freq) {
+          return { harmonicSet, end }
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Frequencies of a set's lowest and highest visible lines at a time — the
+   * span its end cap there is drawn across.
+   * @param {HarmonicSet} harmonicSet - Harmonic set configuration
+   * @param {number} time - Time in seconds, one end of the set's interval
+   * @returns {{freqLow: number, freqHigh: number}|null} The span, or null when no line is in view
+   */
+  getVisibleLineSpan(harmonicSet, time) {
+    const { minHarmonic, maxHarmonic } = this.getVisibleHarmonicRange(harmonicSet)
+    const { minIndex, maxIndex } = seriesIndexRange(harmonicSet, minHarmonic, maxHarmonic)
+    if (maxIndex < minIndex) {
+      return null
+    }
+    return {
+      freqLow: seriesFrequency(harmonicSet, seriesOrderAt(harmonicSet, minIndex), time),
+      freqHigh: seriesFrequency(harmonicSet, seriesOrderAt(harmonicSet, maxIndex), time)
+    }
+  }
+
   /**
    * Mint a new harmonic set at the mousedown position and return it as a
    * `create`-kind drag target, so the rest of the gesture is an ordinary drag.
@@ -585,9 +798,10 @@ export class HarmonicsMode extends BaseMode {
    * when the frequency axis starts above zero, the 5th when it starts at zero —
    * which is what keeps the first drawn set legible.
    * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   * @param {boolean} [bounded=false] - Create a time-bounded set, stretched out by the drag
    * @returns {DragTarget|null} A create-kind target, or null if a set cannot be made
    */
-  createHarmonicSetTarget(dataCoords) {
+  createHarmonicSetTarget(dataCoords, bounded = false) {
     const { freqMin } = this.instance.state.config
 
     let initialSpacing
@@ -607,7 +821,7 @@ export class HarmonicsMode extends BaseMode {
     initialSpacing = Math.max(initialSpacing, 0.1)
 
     // Create the harmonic set immediately, so the drag has something to move
-    const harmonicSet = this.addHarmonicSet(dataCoords.time, initialSpacing)
+    const harmonicSet = this.addHarmonicSet(dataCoords.time, initialSpacing, createdTimeBounds(dataCoords, bounded))
     if (!harmonicSet) {
       return null
     }
@@ -620,25 +834,77 @@ export class HarmonicsMode extends BaseMode {
       data: {
         harmonicSet,
         clickedHarmonicNumber,
-        originalAnchorTime: dataCoords.time
+        originalAnchorTime: dataCoords.time,
+        stretchFrom: bounded ? dataCoords.time : null
       }
     }
   }
 
   /**
-   * Find which harmonic number was clicked
+   * Mint a sideband family with its carrier at the mousedown position and
+   * return it as a `create`-kind drag target holding the first upper sideband,
+   * so dragging away from the carrier opens the spacing out.
+   *
+   * The family starts with its sidebands one grab-width apart rather than at
+   * the minimum spacing, which would fill the screen with lines until the
+   * first mousemove.
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   * @param {boolean} [bounded=false] - Create a time-bounded family, stretched out by the drag
+   * @returns {DragTarget|null} A create-kind target, or null if a set cannot be made
+   */
+  createSidebandSetTarget(dataCoords, bounded = false) {
+    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, dataCoords.freq)
+    const initialSpacing = Math.max(tolerance.freq, 0.1)
+
+    const harmonicSet = this.addHarmonicSet(dataCoords.time, initialSpacing, {
+      carrier: dataCoords.freq,
+      ...createdTimeBounds(dataCoords, bounded)
+    })
+    if (!harmonicSet) {
+      return null
+    }
+
+    return {
+      kind: 'create',
+      id: harmonicSet.id,
+      type: 'harmonicSet',
+      position: dataCoords,
+      data: {
+        harmonicSet,
+        clickedHarmonicNumber: 1,
+        originalAnchorTime: dataCoords.time,
+        stretchFrom: bounded ? dataCoords.time : null
+      }
+    }
+  }
+
+
+  /**
+   * Find which harmonic number was clicked: the nearest one the set's series
+   * draws, so a drag grabs the line under the pointer rather than a gap.
    * @param {HarmonicSet} harmonicSet - The harmonic set
    * @param {number} freq - The clicked frequency
-   * @returns {number} The harmonic number (1, 2, 3, etc.)
+   * @param {number} time - The clicked time, where a drifting set's lines are read
+   * @returns {number} The harmonic number (1, 2, 3, etc.), or the signed sideband number (0 for the carrier)
    */
-  findClickedHarmonicNumber(harmonicSet, freq) {
-    const harmonicNumber = Math.round(freq / harmonicSet.spacing)
-    return Math.max(1, harmonicNumber)
+  findClickedHarmonicNumber(harmonicSet, freq, time) {
+    return nearestSeriesOrder(harmonicSet, freq, time)
   }
 
   /**
    * Apply a harmonic-set drag — the shared step for both the `move` and
    * `create` kinds, which differ only in how their target was resolved.
+   *
+   * A plain set rescales its spacing so the grabbed harmonic follows the
+   * cursor. A sideband family has two handles: grabbing the carrier moves the
+   * whole family with the spacing held, and grabbing a sideband holds the
+   * carrier and rescales the spacing so that sideband follows the cursor.
+   *
+   * A time-bounded set moves its whole interval with the drag; grabbing one of
+   * its end caps instead moves just that end, past the other if need be. A
+   * drifting set scales both its spacings together, keeping its drift, and a
+   * tilt (Alt on a bounded set's line) sets only the spacing at the nearer end
+   * and leaves the interval where it is.
    * @param {DragTarget} target - The drag target from the engine
    * @param {DataCoordinates} currentPos - Current pointer position
    * @param {DataCoordinates} startPos - Where the drag began
@@ -649,19 +915,62 @@ export class HarmonicsMode extends BaseMode {
     const setId = target.id
     if (!setId) return
 
-    const harmonicSet = this.instance.state.harmonics.harmonicSets.find(set => set.id === setId)
+    const harmonicSet = this.harmonics.harmonicSets.find(set => set.id === setId)
     if (!harmonicSet) return
 
-    let newSpacing
+    const { timeMin, timeMax } = this.instance.state.config
+    /**
+     * @param {number} time - Time in seconds
+     * @returns {number} The time clamped to the gram
+     */
+    const clampTime = (time) => Math.max(timeMin, Math.min(timeMax, time))
+
+    if (target.type === 'harmonicSetBound') {
+      this.updateHarmonicSet(setId, timeBoundsBetween(target.data.fixedTime, clampTime(currentPos.time)))
+      this.updateHarmonicPanel()
+      return
+    }
 
-    // For both new creation and existing drags, keep the clicked harmonic under the cursor
-    const clickedHarmonicNumber = (target.data && target.data.clickedHarmonicNumber) || 1
+    /** @type {Partial<HarmonicSet>} */
+    const updates = {}
 
-    // Calculate spacing so the clicked harmonic stays at cursor position
-    newSpacing = currentPos.freq / clickedHarmonicNumber
+    // For both new creation and existing drags, keep the clicked harmonic under the cursor.
+    // A sideband family's carrier is order 0, so a missing number only defaults for plain sets.
+    const clickedHarmonicNumber = target.data && target.data.clickedHarmonicNumber !== undefined
+      ? target.data.clickedHarmonicNumber
+      : 1
+
+    const tiltEnd = target.data && target.data.tiltEnd
+    const originalSpacings = target.data && target.data.originalSpacings
+
+    if (isSidebandSet(harmonicSet) && clickedHarmonicNumber === 0) {
+      updates.carrier = currentPos.freq
+    } else if (tiltEnd) {
+      // The spacing under the cursor becomes the spacing at the nearer end;
+      // the far end keeps whatever spacing the set had there.
+      const spacing = spacingThrough(harmonicSet, clickedHarmonicNumber, currentPos.freq)
+      if (tiltEnd === 'start') {
+        updates.spacing = spacing
+        updates.spacingEnd = isDriftingSet(harmonicSet) ? harmonicSet.spacingEnd : harmonicSet.spacing
+      } else {
+        updates.spacingEnd = spacing
+      }
+    } else if (originalSpacings) {
+      const scale = spacingThrough(harmonicSet, clickedHarmonicNumber, currentPos.freq) / originalSpacings.grabbed
+      updates.spacing = Math.max(originalSpacings.spacing * scale, 0.1)
+      updates.spacingEnd = Math.max(originalSpacings.spacingEnd * scale, 0.1)
+    } else {
+      // Calculate spacing so the clicked harmonic stays at cursor position,
+      // ensuring minimum spacing
+      updates.spacing = spacingThrough(harmonicSet, clickedHarmonicNumber, currentPos.freq)
+    }
 
-    // Ensure minimum spacing
-    newSpacing = Math.max(newSpacing, 0.1)
+    // A tilt changes the spacing only; the interval stays put.
+    if (tiltEnd) {
+      this.updateHarmonicSet(setId, updates)
+      this.updateHarmonicPanel()
+      return
+    }
 
     // Allow vertical movement for both new creation and existing drags.
     // Clamped to the configured time range, matching the keyboard-move path:
@@ -671,15 +980,16 @@ export class HarmonicsMode extends BaseMode {
       ? target.data.originalAnchorTime
       : harmonicSet.anchorTime
     const deltaTime = currentPos.time - startPos.time
-    const { timeMin, timeMax } = this.instance.state.config
-    const newAnchorTime = Math.max(timeMin, Math.min(timeMax, originalAnchorTime + deltaTime))
-
-    // Apply updates
-    const updates = {}
-    if (newSpacing > 0) {
-      updates.spacing = newSpacing
+    const stretchFrom = target.data && target.data.stretchFrom
+    const originalTimeBounds = target.data && target.data.originalTimeBounds
+    if (typeof stretchFrom === 'number') {
+      // An Alt+drag creation stretches the interval out from the mousedown
+      Object.assign(updates, timeBoundsBetween(stretchFrom, clampTime(currentPos.time)))
+    } else if (originalTimeBounds) {
+      Object.assign(updates, shiftTimeBounds(originalTimeBounds, deltaTime, timeMin, timeMax))
+    } else {
+      updates.anchorTime = clampTime(originalAnchorTime + deltaTime)
     }
-    updates.anchorTime = newAnchorTime
 
     this.updateHarmonicSet(setId, updates)
     
@@ -721,6 +1031,39 @@ export class HarmonicsMode extends BaseMode {
     showManualHarmonicModal(this.instance.state, this.addHarmonicSet.bind(this), this.instance)
   }
 
+  /**
+   * Create the auto-spacing button
+   * @returns {HTMLElement} The auto button element
+   */
+  createAutoButton() {
+    const button = document.createElement('button')
+    button.className = 'gram-frame-manual-button gram-frame-auto-spacing-button'
+    button.textContent = '+ Auto'
+    button.title = 'Propose a set of harmonics at the spacing the gram shows at the cursor\'s time'
+
+    button.addEventListener('click', () => {
+      this.showAutoSpacingModal()
+    })
+
+    return button
+  }
+
+  /**
+   * Read the gram's row at the cursor's last time — the middle of the visible
+   * period if it has not been over the gram — estimate the spacing of the
+   * harmonics in it, and offer that spacing as a new set anchored there.
+   */
+  showAutoSpacingModal() {
+    const visible = this.visibleDataRange()
+    const time = this.lastCursorTime ?? (visible.timeMin + visible.timeMax) / 2
+    const profile = readIntensityProfile(this.instance, time)
+    const linear = profile ? linearProfile(profile) : null
+    const estimate = linear ? estimateSpacing(linear.values, linear.hzPerColumn) : null
+    showAutoSpacingModal(estimate, profile !== null, time, this.instance.state, (spacing) => {
+      this.addHarmonicSet(time, spacing)
+    })
+  }
+
   /**
    * Re-render this mode's persistent panel from current state.
    *
@@ -750,10 +1093,13 @@ export class HarmonicsMode extends BaseMode {
    * Half of the `PersistentFeatureProvider` capability. Lived on
    * `FeatureRenderer` as `hasHarmonicFeatures()` until spec 167 moved it onto
    * the mode that owns the state it reads.
-   * @returns {boolean} True if at least one harmonic set exists
+   * @returns {boolean} True if at least one harmonic set exists and the gram can show it
    */
   hasPersistentFeatures() {
-    const harmonics = this.instance.state.harmonics
+    if (!this.isEnabled()) {
+      return false
+    }
+    const harmonics = this.harmonics
     return !!(harmonics && harmonics.harmonicSets && harmonics.harmonicSets.length > 0)
   }
 
@@ -761,7 +1107,7 @@ export class HarmonicsMode extends BaseMode {
    * Render persistent features for harmonics mode
    */
   renderPersistentFeatures() {
-    if (!this.instance.ui.cursorGroup || !this.instance.state.harmonics?.harmonicSets) {
+    if (!this.instance.ui.cursorGroup || !this.harmonics?.harmonicSets) {
       return
     }
     
@@ -769,14 +1115,14 @@ export class HarmonicsMode extends BaseMode {
     // cleanup to harmonic pin symbols (which carry data-harmonic-set-id) so it
     // never removes analysis-marker symbols that share the base symbol class.
     const existingHarmonics = this.instance.ui.cursorGroup.querySelectorAll(
-      '.gram-frame-harmonic-line, .gram-frame-harmonic-mini-pin'
+      '.gram-frame-harmonic-line, .gram-frame-harmonic-mini-pin, .gram-frame-harmonic-bound'
     )
     existingHarmonics.forEach(line => line.remove())
     const existingSymbols = this.instance.ui.cursorGroup.querySelectorAll('.gram-frame-harmonic-symbol[data-harmonic-set-id]')
     existingSymbols.forEach(symbol => symbol.remove())
     
     // Render all harmonic sets
-    this.instance.state.harmonics.harmonicSets.forEach(harmonicSet => {
+    this.harmonics.harmonicSets.forEach(harmonicSet => {
       this.renderHarmonicSet(harmonicSet)
     })
   }
@@ -792,16 +1138,24 @@ export class HarmonicsMode extends BaseMode {
    *
    * Every harmonic in this range is drawn as a pin line (spec 159, FR-001); the
    * label/symbol subset is a regularly-sampled slice of it (see
-   * {@link getLabelledHarmonics}).
+   * {@link getLabelledHarmonics}). For a sideband family the "harmonic numbers"
+   * are signed sideband orders, negative below the carrier.
    *
    * @param {HarmonicSet} harmonicSet - Harmonic set configuration
    * @returns {{minHarmonic: number, maxHarmonic: number}} Inclusive harmonic range
    */
   getVisibleHarmonicRange(harmonicSet) {
-    const { freqMin, freqMax } = calculateVisibleDataRange(this.instance.state, this.instance.ui.spectrogramImage)
-    const minHarmonic = Math.max(1, Math.ceil(freqMin / harmonicSet.spacing))
-    const maxHarmonic = Math.floor(freqMax / harmonicSet.spacing)
-    return { minHarmonic, maxHarmonic }
+    const { freqMin, freqMax } = this.visibleDataRange()
+    const { minOrder, maxOrder } = seriesOrderRange(harmonicSet, freqMin, freqMax)
+    return { minHarmonic: minOrder, maxHarmonic: maxOrder }
+  }
+
+  /**
+   * The data range currently in view, zoom and pan applied.
+   * @returns {DataRange} Visible data range
+   */
+  visibleDataRange() {
+    return calculateVisibleDataRange(this.instance.state, this.instance.ui.spectrogramImage)
   }
 
   /**
@@ -813,12 +1167,18 @@ export class HarmonicsMode extends BaseMode {
    * visible range already fits under the limit the subset is the whole range, so
    * every drawn pin is labelled (FR-005).
    *
-   * @param {number} minHarmonic - Lowest visible harmonic number (>= 1)
+   * The sampling runs over the series' member indices rather than the harmonic
+   * numbers, so an odd-only or custom series is thinned among the harmonics it
+   * actually draws; for an all-orders set the two are the same.
+   *
+   * @param {HarmonicSet} harmonicSet - Harmonic set configuration
+   * @param {number} minHarmonic - Lowest visible harmonic number (or sideband order)
    * @param {number} maxHarmonic - Highest visible harmonic number
    * @returns {number[]} Ascending harmonic numbers to label/symbol (length <= cap)
    */
-  getLabelledHarmonics(minHarmonic, maxHarmonic) {
-    return sampledHarmonics(minHarmonic, maxHarmonic).harmonics
+  getLabelledHarmonics(harmonicSet, minHarmonic, maxHarmonic) {
+    const { minIndex, maxIndex } = seriesIndexRange(harmonicSet, minHarmonic, maxHarmonic)
+    return sampledHarmonics(minIndex, maxIndex).harmonics.map(index => seriesOrderAt(harmonicSet, index))
   }
 
   /**
@@ -831,36 +1191,54 @@ export class HarmonicsMode extends BaseMode {
    * anchor time (the original click location), so it tracks the feature while
    * keeping a constant height.
    *
+   * A time-bounded set is the exception: its lines span its interval, so they
+   * do stretch with zoom, as any other extent in time does. The times at the
+   * top and bottom of the lines are returned too, since a drifting set's lines
+   * sit at a different frequency at each.
+   *
    * @param {HarmonicSet} harmonicSet - Harmonic set configuration
-   * @returns {{lineHeight: number, lineTop: number}} Fixed pixel height and top Y position
+   * @returns {{lineHeight: number, lineTop: number, topTime: number, bottomTime: number}} Pixel height, top Y position, and the times at either end of the lines
    */
   calculateHarmonicLineDimensions(harmonicSet) {
+    if (isTimeBoundedSet(harmonicSet)) {
+      const timeStart = /** @type {number} */ (harmonicSet.timeStart)
+      const timeEnd = /** @type {number} */ (harmonicSet.timeEnd)
+      const startY = this.harmonicBoundY(harmonicSet, timeStart)
+      const endY = this.harmonicBoundY(harmonicSet, timeEnd)
+      return {
+        lineHeight: Math.abs(endY - startY),
+        lineTop: Math.min(startY, endY),
+        topTime: startY <= endY ? timeStart : timeEnd,
+        bottomTime: startY <= endY ? timeEnd : timeStart
+      }
+    }
     const { renderHeight } = getRenderDimensions(this.instance.state)
     const lineHeight = renderHeight * HarmonicsMode.PIN_HEIGHT_RATIO
     const anchorPoint = { freq: harmonicSet.spacing, time: harmonicSet.anchorTime }
     const anchorSVG = dataToSVG(anchorPoint, this.getViewport(), this.instance.ui.spectrogramImage)
     const lineTop = anchorSVG.y - lineHeight / 2
 
-    return { lineHeight, lineTop }
+    return { lineHeight, lineTop, topTime: harmonicSet.anchorTime, bottomTime: harmonicSet.anchorTime }
   }
 
   /**
    * Create SVG line element for a harmonic
    * @param {number} harmonicNumber - Harmonic number
    * @param {HarmonicSet} harmonicSet - Harmonic set configuration
-   * @param {number} lineX - X position for the line
+   * @param {number} lineX - X position for the line (its top end, if it slopes)
    * @param {number} lineTop - Top Y position for the line
    * @param {number} lineHeight - Height of the line
+   * @param {number} [bottomX=lineX] - X position of the line's bottom end; differs from `lineX` for a drifting set
    * @returns {SVGLineElement} SVG line element
    */
-  createHarmonicLine(harmonicNumber, harmonicSet, lineX, lineTop, lineHeight) {
+  createHarmonicLine(harmonicNumber, harmonicSet, lineX, lineTop, lineHeight, bottomX = lineX) {
     const line = document.createElementNS('http://www.w3.org/2000/svg', 'line')
     line.setAttribute('class', 'gram-frame-harmonic-line')
     line.setAttribute('data-harmonic-set-id', harmonicSet.id)
     line.setAttribute('data-harmonic-number', String(harmonicNumber))
     line.setAttribute('x1', String(lineX))
     line.setAttribute('y1', String(lineTop))
-    line.setAttribute('x2', String(lineX))
+    line.setAttribute('x2', String(bottomX))
     line.setAttribute('y2', String(lineTop + lineHeight))
     line.setAttribute('stroke', harmonicSet.color)
     line.setAttribute('stroke-width', '2')
@@ -902,7 +1280,8 @@ export class HarmonicsMode extends BaseMode {
    * The digits are drawn black inside a white halo rather than in the set's
    * colour: a single colour is only legible over part of a gram, whereas the
    * halo reads over both dark and light backgrounds. Set identity is still
-   * carried by the pin's line and symbol colour.
+   * carried by the pin's line and symbol colour. A sideband family labels its
+   * carrier `C` and each sideband with its signed order.
    *
    * @param {number} harmonicNumber - Harmonic number
    * @param {HarmonicSet} harmonicSet - Harmonic set configuration
@@ -922,7 +1301,7 @@ export class HarmonicsMode extends BaseMode {
     label.setAttribute('font-size', String(HarmonicsMode.LABEL_FONT_SIZE))
     label.setAttribute('font-weight', 'bold')
     label.setAttribute('font-family', 'Arial, sans-serif')
-    label.textContent = String(harmonicNumber)
+    label.textContent = seriesLabel(harmonicSet, harmonicNumber)
     return label
   }
 
@@ -1036,23 +1415,62 @@ export class HarmonicsMode extends BaseMode {
    * @returns {number} Half-width in SVG pixels
    */
   labelStackHalfWidth(harmonicSet, harmonicNumber) {
-    const digits = String(harmonicNumber).length
+    const digits = seriesLabel(harmonicSet, harmonicNumber).length
     const labelHalfWidth = digits * HarmonicsMode.LABEL_FONT_SIZE * HarmonicsMode.LABEL_CHAR_WIDTH_RATIO / 2
 
     return Math.max(this.symbolSize(harmonicSet) / 2, labelHalfWidth)
   }
 
   /**
-   * Compute the SVG x-coordinate of a harmonic's vertical pin line.
+   * Compute the SVG x-coordinate of a harmonic's pin line.
    * @param {HarmonicSet} harmonicSet - Harmonic set configuration
    * @param {number} harmonicNumber - Harmonic number
+   * @param {number} [time] - Time to read a drifting set's sloped line at; the anchor time when omitted
    * @returns {number} SVG x-coordinate of the pin line
    */
-  harmonicLineX(harmonicSet, harmonicNumber) {
-    const harmonicPoint = { freq: harmonicNumber * harmonicSet.spacing, time: harmonicSet.anchorTime }
+  harmonicLineX(harmonicSet, harmonicNumber, time = harmonicSet.anchorTime) {
+    const harmonicPoint = { freq: seriesFrequency(harmonicSet, harmonicNumber, time), time }
     return dataToSVG(harmonicPoint, this.getViewport(), this.instance.ui.spectrogramImage).x
   }
 
+  /**
+   * Compute the SVG y-coordinate of a time on a harmonic set's lines.
+   * @param {HarmonicSet} harmonicSet - Harmonic set configuration
+   * @param {number} time - Time in seconds
+   * @returns {number} SVG y-coordinate
+   */
+  harmonicBoundY(harmonicSet, time) {
+    const point = { freq: harmonicSet.spacing, time }
+    return dataToSVG(point, this.getViewport(), this.instance.ui.spectrogramImage).y
+  }
+
+  /**
+   * Create the bar drawn across a time-bounded set's lines at one end of its
+   * interval: the handle that drags that end.
+   * @param {HarmonicSet} harmonicSet - Harmonic set configuration
+   * @param {'start'|'end'} end - Which end of the interval
+   * @param {number} fromX - X position of the lowest visible line at that end
+   * @param {number} toX - X position of the highest visible line at that end
+   * @returns {SVGLineElement} SVG line element
+   */
+  createHarmonicBoundCap(harmonicSet, end, fromX, toX) {
+    const time = /** @type {number} */ (end === 'start' ? harmonicSet.timeStart : harmonicSet.timeEnd)
+    const y = this.harmonicBoundY(harmonicSet, time)
+    const cap = document.createElementNS('http://www.w3.org/2000/svg', 'line')
+    cap.setAttribute('class', 'gram-frame-harmonic-bound')
+    cap.setAttribute('data-harmonic-set-id', harmonicSet.id)
+    cap.setAttribute('data-bound', end)
+    cap.setAttribute('x1', String(Math.min(fromX, toX) - HarmonicsMode.BOUND_CAP_OVERHANG))
+    cap.setAttribute('y1', String(y))
+    cap.setAttribute('x2', String(Math.max(fromX, toX) + HarmonicsMode.BOUND_CAP_OVERHANG))
+    cap.setAttribute('y2', String(y))
+    cap.setAttribute('stroke', harmonicSet.color)
+    cap.setAttribute('stroke-width', '3')
+    cap.setAttribute('stroke-linecap', 'round')
+    cap.setAttribute('opacity', '0.9')
+    return cap
+  }
+
   /**
    * Render a single harmonic set as vertical pin lines.
    *
@@ -1069,6 +1487,11 @@ export class HarmonicsMode extends BaseMode {
    * fraction of the ink. The label/symbol geometry is unchanged either way, so
    * toggling the pin swaps line lengths without moving anything else.
    *
+   * A time-bounded set's lines run the length of its interval, with a cap
+   * across them at each end. A drifting set's lines slope, each running from
+   * its frequency at the top end to its frequency at the bottom; the labels
+   * and symbols sit over the top ends.
+   *
    * @param {HarmonicSet} harmonicSet - Harmonic set to render
    */
   renderHarmonicSet(harmonicSet) {
@@ -1077,11 +1500,12 @@ export class HarmonicsMode extends BaseMode {
     }
 
     const { minHarmonic, maxHarmonic } = this.getVisibleHarmonicRange(harmonicSet)
-    if (maxHarmonic < minHarmonic) {
+    const { minIndex, maxIndex } = seriesIndexRange(harmonicSet, minHarmonic, maxHarmonic)
+    if (maxIndex < minIndex) {
       return
     }
 
-    const { lineHeight, lineTop } = this.calculateHarmonicLineDimensions(harmonicSet)
+    const { lineHeight, lineTop, topTime, bottomTime } = this.calculateHarmonicLineDimensions(harmonicSet)
     const imageTop = getImageBounds(this.getViewport(), this.instance.ui.spectrogramImage).top
     // The label/symbol stack is laid out first: a mini-pin hangs from the
     // underside of the symbol, so it needs the stack's (possibly clamped)
@@ -1095,23 +1519,40 @@ export class HarmonicsMode extends BaseMode {
     // Beyond MAX_PIN_LINES the lines are a regular sample of the span (BH-2):
     // by then adjacent pins have long merged on screen, and an uncapped loop
     // rebuilt hundreds of thousands of SVG elements per drag frame.
-    const visibleCount = maxHarmonic - minHarmonic + 1
+    // The loop runs over the series' members, so a harmonic the series leaves
+    // out draws nothing.
+    const visibleCount = maxIndex - minIndex + 1
     const stride = Math.max(1, Math.ceil(visibleCount / HarmonicsMode.MAX_PIN_LINES))
     const miniPinTop = symbolCy + this.symbolSize(harmonicSet) / 2
-    for (let harmonicNumber = minHarmonic; harmonicNumber <= maxHarmonic; harmonicNumber += stride) {
-      const lineX = this.harmonicLineX(harmonicSet, harmonicNumber)
+    for (let index = minIndex; index <= maxIndex; index += stride) {
+      const harmonicNumber = seriesOrderAt(harmonicSet, index)
+      const lineX = this.harmonicLineX(harmonicSet, harmonicNumber, topTime)
       const line = pinDrawn
-        ? this.createHarmonicLine(harmonicNumber, harmonicSet, lineX, lineTop, lineHeight)
+        ? this.createHarmonicLine(
+          harmonicNumber, harmonicSet, lineX, lineTop, lineHeight,
+          this.harmonicLineX(harmonicSet, harmonicNumber, bottomTime)
+        )
         : this.createMiniPin(harmonicNumber, harmonicSet, lineX, miniPinTop)
       this.instance.ui.cursorGroup.appendChild(line)
     }
 
+    // A time-bounded set caps both ends of its interval with a bar across its
+    // lines, the handle for dragging that end.
+    if (isTimeBoundedSet(harmonicSet)) {
+      for (const end of /** @type {Array<'start'|'end'>} */ (['start', 'end'])) {
+        const endTime = /** @type {number} */ (end === 'start' ? harmonicSet.timeStart : harmonicSet.timeEnd)
+        const fromX = this.harmonicLineX(harmonicSet, seriesOrderAt(harmonicSet, minIndex), endTime)
+        const toX = this.harmonicLineX(harmonicSet, seriesOrderAt(harmonicSet, maxIndex), endTime)
+        this.instance.ui.cursorGroup.appendChild(this.createHarmonicBoundCap(harmonicSet, end, fromX, toX))
+      }
+    }
+
     // Draw labels + symbols only on the thinned major subset (FR-002), stacked
     // above each pin line with a shared, on-screen vertical layout.
-    const labelledHarmonics = this.getLabelledHarmonics(minHarmonic, maxHarmonic)
+    const labelledHarmonics = this.getLabelledHarmonics(harmonicSet, minHarmonic, maxHarmonic)
 
     labelledHarmonics.forEach(harmonicNumber => {
-      const lineX = this.harmonicLineX(harmonicSet, harmonicNumber)
+      const lineX = this.harmonicLineX(harmonicSet, harmonicNumber, topTime)
       const symbol = this.createHarmonicSymbol(harmonicSet, lineX, symbolCy)
       const label = this.createHarmonicLabel(harmonicNumber, harmonicSet, lineX, labelY)
       // `cross` sets have no symbol mark; the number label is still drawn.
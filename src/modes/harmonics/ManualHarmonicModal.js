@@ -1,4 +1,13 @@
 import { calculateVisibleDataRange } from '../../utils/coordinates.js'
+import { SERIES_TYPES, parseSeriesOrders } from '../../utils/harmonicSeries.js'
+
+/** @type {Record<HarmonicSeriesType, string>} */
+const SERIES_OPTION_LABELS = {
+  all: 'All harmonics',
+  odd: 'Odd only (1, 3, 5…)',
+  even: 'Even only (2, 4, 6…)',
+  custom: 'Custom list'
+}
 
 /**
  * Calculate the center of the visible time period based on current zoom state
@@ -24,7 +33,7 @@ function calculateVisibleTimePeriodCenter(state, instance) {
  * Extracted from HarmonicsMode.showManualHarmonicModal
  *
  * @param {GramFrameState} state - Current harmonics mode state
- * @param {Function} addHarmonicSet - Function to add a harmonic set (anchorTime, spacing)
+ * @param {function(number, number, HarmonicSetOptions=): HarmonicSet} addHarmonicSet - Function to add a harmonic set (anchorTime, spacing, options?)
  * @param {GramFrame} instance - GramFrame instance for accessing zoom state
  */
 export function showManualHarmonicModal(state, addHarmonicSet, instance) {
@@ -47,6 +56,30 @@ export function showManualHarmonicModal(state, addHarmonicSet, instance) {
       <div class="gram-frame-modal-error" id="spacing-error" style="display: none; color: red; font-size: 12px; margin-top: 5px;">
         Please enter a number ≥ 0.1
       </div>
+      <label for="harmonic-carrier-input">Carrier (Hz, optional — adds sidebands):</label>
+      <input type="number" id="harmonic-carrier-input" min="0" step="0.1" placeholder="Leave blank for harmonics">
+      <div class="gram-frame-modal-error" id="carrier-error" style="display: none; color: red; font-size: 12px; margin-top: 5px;">
+        Please enter a number ≥ 0, or leave blank
+      </div>
+      <label for="harmonic-series-select">Series:</label>
+      <select id="harmonic-series-select">
+        ${SERIES_TYPES.map(type => `<option value="${type}">${SERIES_OPTION_LABELS[type]}</option>`).join('')}
+      </select>
+      <input type="text" id="harmonic-orders-input" placeholder="e.g. 2, 4, 6" style="display: none;">
+      <div class="gram-frame-modal-error" id="orders-error" style="display: none; color: red; font-size: 12px; margin-top: 5px;">
+        Please list whole numbers ≥ 1, separated by commas
+      </div>
+      <label for="harmonic-time-start-input">Time span (s, optional — both ends or neither):</label>
+      <input type="number" id="harmonic-time-start-input" step="0.1" placeholder="Start">
+      <input type="number" id="harmonic-time-end-input" step="0.1" placeholder="End">
+      <div class="gram-frame-modal-error" id="time-span-error" style="display: none; color: red; font-size: 12px; margin-top: 5px;">
+        Please enter a start before the end, or leave both blank
+      </div>
+      <label for="harmonic-spacing-end-input">Spacing at end (Hz, optional — drifts across the time span):</label>
+      <input type="number" id="harmonic-spacing-end-input" min="0.1" step="0.1" placeholder="Same as spacing">
+      <div class="gram-frame-modal-error" id="spacing-end-error" style="display: none; color: red; font-size: 12px; margin-top: 5px;">
+        Please enter a number ≥ 0.1 with a time span, or leave blank
+      </div>
     </div>
     <div class="gram-frame-modal-footer">
       <button class="gram-frame-modal-cancel" id="cancel-button">Cancel</button>
@@ -60,21 +93,90 @@ export function showManualHarmonicModal(state, addHarmonicSet, instance) {
   // Get modal elements
   const spacingInput = /** @type {HTMLInputElement} */ (modal.querySelector('#harmonic-spacing-input'))
   const errorDiv = /** @type {HTMLDivElement} */ (modal.querySelector('#spacing-error'))
+  const carrierInput = /** @type {HTMLInputElement} */ (modal.querySelector('#harmonic-carrier-input'))
+  const carrierErrorDiv = /** @type {HTMLDivElement} */ (modal.querySelector('#carrier-error'))
+  const seriesSelect = /** @type {HTMLSelectElement} */ (modal.querySelector('#harmonic-series-select'))
+  const ordersInput = /** @type {HTMLInputElement} */ (modal.querySelector('#harmonic-orders-input'))
+  const ordersErrorDiv = /** @type {HTMLDivElement} */ (modal.querySelector('#orders-error'))
+  const timeStartInput = /** @type {HTMLInputElement} */ (modal.querySelector('#harmonic-time-start-input'))
+  const timeEndInput = /** @type {HTMLInputElement} */ (modal.querySelector('#harmonic-time-end-input'))
+  const timeSpanErrorDiv = /** @type {HTMLDivElement} */ (modal.querySelector('#time-span-error'))
+  const spacingEndInput = /** @type {HTMLInputElement} */ (modal.querySelector('#harmonic-spacing-end-input'))
+  const spacingEndErrorDiv = /** @type {HTMLDivElement} */ (modal.querySelector('#spacing-end-error'))
   const cancelButton = /** @type {HTMLButtonElement} */ (modal.querySelector('#cancel-button'))
   const addButton = /** @type {HTMLButtonElement} */ (modal.querySelector('#add-button'))
 
+  // A blank carrier means a plain harmonic set; anything else must be a
+  // frequency. Returns undefined for blank, NaN for an invalid entry.
+  const readCarrier = () => {
+    if (carrierInput.value.trim() === '') {
+      return undefined
+    }
+    const carrier = parseFloat(carrierInput.value)
+    return !isNaN(carrier) && carrier >= 0 ? carrier : NaN
+  }
+
+  // The chosen series, or null while a custom list does not parse. The list
+  // names sideband numbers for a family, drawn either side of the carrier.
+  const readSeries = () => {
+    const series = /** @type {HarmonicSeriesType} */ (seriesSelect.value)
+    if (series !== 'custom') {
+      return { series }
+    }
+    const orders = parseSeriesOrders(ordersInput.value)
+    return orders ? { series, orders } : null
+  }
+
+  // The time span, if one was given: empty options for a set at one moment,
+  // null while only one end is filled in or the ends are the wrong way round.
+  const readTimeSpan = () => {
+    const startText = timeStartInput.value.trim()
+    const endText = timeEndInput.value.trim()
+    if (startText === '' && endText === '') {
+      return {}
+    }
+    const timeStart = parseFloat(startText)
+    const timeEnd = parseFloat(endText)
+    return !isNaN(timeStart) && !isNaN(timeEnd) && timeStart < timeEnd ? { timeStart, timeEnd } : null
+  }
+
+  // The end spacing, if one was given: empty options for a set that does not
+  // drift, null when it is not a spacing or there is no time span to drift over.
+  const readSpacingEnd = () => {
+    if (spacingEndInput.value.trim() === '') {
+      return {}
+    }
+    const spacingEnd = parseFloat(spacingEndInput.value)
+    const timeSpan = readTimeSpan()
+    return !isNaN(spacingEnd) && spacingEnd >= 0.1 && timeSpan && 'timeStart' in timeSpan ? { spacingEnd } : null
+  }
+
   // Input validation
   const validateInput = () => {
     const value = parseFloat(spacingInput.value)
-    const isValid = !isNaN(value) && value >= 0.1
+    const carrierValid = !Number.isNaN(readCarrier())
+    carrierErrorDiv.style.display = carrierValid ? 'none' : 'block'
+    const custom = seriesSelect.value === 'custom'
+    ordersInput.style.display = custom ? 'block' : 'none'
+    const seriesValid = readSeries() !== null
+    // An untouched custom list is not yet an error, just not ready
+    ordersErrorDiv.style.display = seriesValid || ordersInput.value.trim() === '' ? 'none' : 'block'
+    const timeSpanValid = readTimeSpan() !== null
+    // Half a span is not yet an error while the other end is still empty
+    const timeSpanStarted = timeStartInput.value.trim() !== '' && timeEndInput.value.trim() !== ''
+    timeSpanErrorDiv.style.display = timeSpanValid || !timeSpanStarted ? 'none' : 'block'
+    const spacingEndValid = readSpacingEnd() !== null
+    spacingEndErrorDiv.style.display = spacingEndValid ? 'none' : 'block'
+    const isValid = !isNaN(value) && value >= 0.1 && carrierValid && seriesValid && timeSpanValid && spacingEndValid
 
     if (spacingInput.value.trim() === '') {
       // Empty input - hide error, disable button
       errorDiv.style.display = 'none'
       addButton.disabled = true
     } else if (!isValid) {
-      // Invalid input - show error, disable button
-      errorDiv.style.display = 'block'
+      // Invalid input - show the spacing error if it is the spacing at fault,
+      // disable button
+      errorDiv.style.display = isNaN(value) || value < 0.1 ? 'block' : 'none'
       addButton.disabled = true
     } else {
       // Valid input - hide error, enable button
@@ -84,14 +186,17 @@ export function showManualHarmonicModal(state, addHarmonicSet, instance) {
   }
 
   // Add input event listeners
-  spacingInput.addEventListener('input', validateInput)
-  spacingInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && !addButton.disabled) {
-      addHarmonic()
-    } else if (e.key === 'Escape') {
-      closeModal()
-    }
-  })
+  seriesSelect.addEventListener('change', validateInput)
+  for (const input of [spacingInput, carrierInput, ordersInput, timeStartInput, timeEndInput, spacingEndInput]) {
+    input.addEventListener('input', validateInput)
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !addButton.disabled) {
+        addHarmonic()
+      } else if (e.key === 'Escape') {
+        closeModal()
+      }
+    })
+  }
 
   // Close modal function
   function closeModal() {
@@ -101,7 +206,11 @@ export function showManualHarmonicModal(state, addHarmonicSet, instance) {
   // Add harmonic function
   function addHarmonic() {
     const spacing = parseFloat(spacingInput.value)
-    if (!isNaN(spacing) && spacing >= 0.1) {
+    const carrier = readCarrier()
+    const series = readSeries()
+    const timeSpan = readTimeSpan()
+    const spacingEnd = readSpacingEnd()
+    if (!isNaN(spacing) && spacing >= 0.1 && !Number.isNaN(carrier) && series && timeSpan && spacingEnd) {
       // Determine anchor time: use cursor position if available, otherwise center of visible time period
       let anchorTime
       if (state.cursorPosition) {
@@ -110,7 +219,7 @@ export function showManualHarmonicModal(state, addHarmonicSet, instance) {
         // Use center of visible time period (zoom-aware)
         anchorTime = calculateVisibleTimePeriodCenter(state, instance)
       }
-      addHarmonicSet(anchorTime, spacing)
+      addHarmonicSet(anchorTime, spacing, { carrier, ...series, ...timeSpan, ...spacingEnd })
       closeModal()
     }
   }
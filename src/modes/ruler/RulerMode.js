@@ -0,0 +1,393 @@
+import { BaseMode } from '../BaseMode.js'
+import { setLEDValue } from '../../components/LEDDisplay.js'
+import { dispatch, markAnnotationsChanged } from '../../core/state.js'
+import { dataToSVG } from '../../utils/coordinates.js'
+import { calculateRulerMeasurement, formatSignedReading } from '../../utils/ruler.js'
+import { BaseDragHandler } from '../shared/BaseDragHandler.js'
+import { getUniformTolerance, isWithinDataTolerance, findClosestTarget } from '../../utils/tolerance.js'
+import { IDLE_CURSOR } from '../../utils/cursors.js'
+import { driftReading, frequencyReading } from '../../utils/units.js'
+import { timeReading } from '../../utils/timeFormatter.js'
+
+/** SVG namespace for element creation */
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/**
+ * The ruler's two ends, as drag target ids.
+ * @type {Record<RulerEnd, RulerEnd>}
+ */
+const RulerEnds = {
+  start: 'start',
+  end: 'end'
+}
+
+/**
+ * Write the ruler's Δt / Δf / df/dt into its LEDs, or blank them when there
+ * is no ruler.
+ *
+ * Exported because the restore and "Clear gram" paths in main.js change the
+ * ruler without going through the mode, and must leave the LEDs agreeing with
+ * state all the same.
+ * @param {GramFrame} instance - GramFrame instance
+ */
+export function updateRulerLEDs(instance) {
+  const { timeLED, freqLED, slopeLED } = instance.ui.rulerLEDs || {}
+  const { ruler, config } = instance.state
+  const measurement = ruler && ruler.start && ruler.end
+    ? calculateRulerMeasurement(ruler.start, ruler.end)
+    : null
+
+  if (timeLED) {
+    const deltaTime = measurement ? timeReading(measurement.deltaTime, config) : null
+    setLEDValue(timeLED, deltaTime ? formatSignedReading(deltaTime.value, deltaTime.places) : '—')
+  }
+  if (freqLED) {
+    const deltaFreq = measurement ? frequencyReading(measurement.deltaFreq, config) : null
+    setLEDValue(freqLED, deltaFreq ? formatSignedReading(deltaFreq.value, deltaFreq.places) : '—')
+  }
+  if (slopeLED) {
+    const slope = measurement && measurement.slope !== null ? driftReading(measurement.slope, config) : null
+    setLEDValue(slopeLED, slope ? formatSignedReading(slope.value, slope.places) : '—')
+  }
+}
+
+/**
+ * Ruler mode implementation.
+ *
+ * Drag out a line between two points and read the time and frequency between
+ * them, and the rate of frequency change along it, from the LEDs. Analysts
+ * used to do this by dropping two analysis markers and subtracting their table
+ * rows by hand.
+ *
+ * There is one ruler per gram. Dragging on empty image replaces it; dragging
+ * either end moves that end alone; right-click removes it.
+ */
+export class RulerMode extends BaseMode {
+  /**
+   * Initialize RulerMode with drag handler
+   * @param {GramFrame} instance - GramFrame instance
+   */
+  constructor(instance) {
+    super(instance)
+
+    // One handler for both ruler drags: moving an existing end (`move`) and
+    // laying down a new ruler (`place`), which is the Doppler f⁺/f⁻ placement
+    // shape — seed the first end in the resolver, let the second follow.
+    this.dragHandler = new BaseDragHandler(instance, {
+      resolveTarget: (position) => this.resolveRulerDrag(/** @type {DataCoordinates} */ (position)),
+      // Hover only ever finds an end; resolveRulerDrag seeds a new ruler.
+      resolveHoverTarget: (position) => this.findRulerEndAtPosition(/** @type {DataCoordinates} */ (position)),
+      onDragStart: () => {},
+      onDragMove: (target, currentPos) => this.onRulerDragMove(target, /** @type {DataCoordinates} */ (currentPos)),
+      onDragEnd: (target) => this.onRulerDragEnd(target),
+      onDragCancel: (target) => this.onRulerDragCancel(target),
+      updateCursor: (style) => this.updateCursorStyle(style)
+    }, 'ruler')
+  }
+
+  /**
+   * This mode's state slice. One reach-in here rather than one per handler.
+   * @returns {RulerState} The live ruler state
+   */
+  get ruler() {
+    return this.instance.state.ruler
+  }
+
+  /**
+   * Find the ruler end under a position.
+   * @param {DataCoordinates} position - Position to check
+   * @returns {DragTarget|null} A move-kind target for the nearest end, or null
+   */
+  findRulerEndAtPosition(position) {
+    const ruler = this.ruler
+    if (!ruler || !ruler.start || !ruler.end) return null
+
+    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, position.freq)
+
+    /** @type {Array<DragTarget & {position: DataCoordinates, id: string}>} */
+    const targets = []
+    for (const endId of [RulerEnds.start, RulerEnds.end]) {
+      const endPosition = ruler[endId]
+      if (!endPosition || !isWithinDataTolerance(position, endPosition, tolerance)) continue
+      targets.push({
+        kind: 'move',
+        id: endId,
+        type: 'rulerEnd',
+        position: endPosition
+      })
+    }
+
+    return findClosestTarget(position, targets, tolerance) || targets[0] || null
+  }
+
+  /**
+   * Resolve what a mousedown starts: moving the end under the pointer, or —
+   * anywhere else — laying down a fresh ruler in place of the old one.
+   * @param {DataCoordinates} position - Position of the mousedown
+   * @returns {DragTarget} A move- or place-kind target
+   */
+  resolveRulerDrag(position) {
+    const existing = this.findRulerEndAtPosition(position)
+    if (existing) {
+      return existing
+    }
+
+    const ruler = this.ruler
+    // Kept so a click that never drags, or a cancelled placement, can put the
+    // previous ruler back rather than leaving nothing.
+    const previous = { start: ruler.start, end: ruler.end, color: ruler.color }
+
+    ruler.start = { time: position.time, freq: position.freq }
+    ruler.end = { time: position.time, freq: position.freq }
+    ruler.color = this.instance.state.selectedColor || '#ff0000'
+    ruler.placing = true
+    this.renderRulerFeatures()
+
+    return {
+      kind: 'place',
+      id: RulerEnds.end,
+      type: 'rulerEnd',
+      position,
+      data: { previous }
+    }
+  }
+
+  /**
+   * Follow the pointer with whichever end is being dragged.
+   * @param {DragTarget} target - Drag target
+   * @param {DataCoordinates} currentPos - Current position
+   */
+  onRulerDragMove(target, currentPos) {
+    const ruler = this.ruler
+    const endId = target.id === RulerEnds.start ? RulerEnds.start : RulerEnds.end
+    ruler[endId] = { time: currentPos.time, freq: currentPos.freq }
+
+    markAnnotationsChanged(this.instance)
+    this.refreshRuler()
+  }
+
+  /**
+   * Settle a drag. A placement that never moved is a click, not a
+   * measurement, so it restores the previous ruler instead of leaving a
+   * zero-length one behind.
+   * @param {DragTarget} target - Drag target
+   */
+  onRulerDragEnd(target) {
+    const ruler = this.ruler
+    if (target.kind === 'place') {
+      ruler.placing = false
+      if (ruler.start && ruler.end &&
+          ruler.start.time === ruler.end.time && ruler.start.freq === ruler.end.freq) {
+        this.restorePrevious(target)
+      }
+    }
+
+    markAnnotationsChanged(this.instance)
+    this.refreshRuler()
+  }
+
+  /**
+   * Cancel a drag. A cancelled placement puts the previous ruler back; a
+   * cancelled move leaves the end where it was last drawn, as the other modes
+   * do for their features.
+   * @param {DragTarget} target - Drag target
+   */
+  onRulerDragCancel(target) {
+    if (target && target.kind === 'place') {
+      this.ruler.placing = false
+      this.restorePrevious(target)
+      markAnnotationsChanged(this.instance)
+      this.refreshRuler()
+    }
+  }
+
+  /**
+   * Put back the ruler a placement replaced.
+   * @param {DragTarget} target - The placement's drag target, carrying the snapshot
+   */
+  restorePrevious(target) {
+    const ruler = this.ruler
+    const previous = target.data && target.data.previous
+    ruler.start = previous ? previous.start : null
+    ruler.end = previous ? previous.end : null
+    ruler.color = previous ? previous.color : null
+  }
+
+  /**
+   * Redraw the ruler, update its LEDs and notify listeners.
+   */
+  refreshRuler() {
+    this.renderRulerFeatures()
+    updateRulerLEDs(this.instance)
+    dispatch(this.instance, { frame: true })
+  }
+
+  /**
+   * Handle mouse move events in ruler mode
+   * @param {MouseEvent} _event - Mouse event (unused)
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseMove(_event, dataCoords) {
+    if (this.dragHandler.isDragging()) {
+      this.dragHandler.handleMouseMove(dataCoords)
+    } else {
+      this.dragHandler.updateCursorForHover(dataCoords)
+    }
+  }
+
+  /**
+   * Handle mouse down events in ruler mode
+   * @param {MouseEvent} event - Mouse event
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseDown(event, dataCoords) {
+    if (this.dragHandler.startDrag(dataCoords, event)) {
+      dispatch(this.instance, { frame: true })
+    }
+  }
+
+  /**
+   * Handle mouse up events in ruler mode
+   * @param {MouseEvent} _event - Mouse event (unused)
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseUp(_event, dataCoords) {
+    if (this.dragHandler.isDragging()) {
+      this.dragHandler.endDrag(dataCoords)
+    }
+  }
+
+  /**
+   * Handle context menu (right-click) events: remove the ruler.
+   * @param {MouseEvent} event - Mouse event
+   * @param {DataCoordinates} _dataCoords - Data coordinates (unused)
+   */
+  handleContextMenu(event, _dataCoords) {
+    event.preventDefault()
+    this.resetState()
+    this.renderRulerFeatures()
+    this.updateCursorStyle(IDLE_CURSOR)
+  }
+
+  /**
+   * Get guidance content for ruler mode
+   * @returns {Object} Structured guidance content
+   */
+  getGuidanceText() {
+    return {
+      title: 'Ruler Mode',
+      items: [
+        'Click & drag to measure between two points',
+        'Drag either end to adjust it',
+        'Δt, Δf and df/dt show in the LEDs',
+        'Right-click to remove the ruler'
+      ]
+    }
+  }
+
+  /**
+   * Reset ruler state
+   */
+  resetState() {
+    const ruler = this.ruler
+    ruler.start = null
+    ruler.end = null
+    ruler.color = null
+    ruler.placing = false
+    this.dragHandler.reset()
+    markAnnotationsChanged(this.instance)
+    updateRulerLEDs(this.instance)
+    dispatch(this.instance, { frame: true })
+  }
+
+  /**
+   * Clean up when switching away: drop any drag, keep the ruler.
+   */
+  cleanup() {
+    this.dragHandler.reset()
+  }
+
+  /**
+   * Whether a ruler has been drawn.
+   *
+   * Half of the `PersistentFeatureProvider` capability: the ruler stays on the
+   * gram across mode switches, like a marker or a Doppler curve.
+   * @returns {boolean} True if both ends of the ruler exist
+   */
+  hasPersistentFeatures() {
+    const ruler = this.ruler
+    return !!(ruler && ruler.start && ruler.end)
+  }
+
+  /**
+   * Render persistent features (for FeatureRenderer)
+   */
+  renderPersistentFeatures() {
+    this.renderRulerFeatures()
+  }
+
+  /**
+   * Draw the ruler: a line between its ends, with a grab handle at each.
+   */
+  renderRulerFeatures() {
+    const cursorGroup = this.instance.ui.cursorGroup
+    if (!cursorGroup) return
+
+    cursorGroup.querySelectorAll('.gram-frame-ruler-line, .gram-frame-ruler-end')
+      .forEach(element => element.remove())
+
+    const ruler = this.ruler
+    if (!ruler.start || !ruler.end) return
+
+    const color = ruler.color || this.instance.state.selectedColor || '#ff0000'
+    const startSVG = dataToSVG(ruler.start, this.getViewport(), this.instance.ui.spectrogramImage)
+    const endSVG = dataToSVG(ruler.end, this.getViewport(), this.instance.ui.spectrogramImage)
+
+    const line = document.createElementNS(SVG_NS, 'line')
+    line.setAttribute('class', 'gram-frame-ruler-line')
+    line.setAttribute('x1', String(startSVG.x))
+    line.setAttribute('y1', String(startSVG.y))
+    line.setAttribute('x2', String(endSVG.x))
+    line.setAttribute('y2', String(endSVG.y))
+    line.setAttribute('stroke', color)
+    line.setAttribute('stroke-width', '2')
+    if (ruler.placing) {
+      // Same preview treatment as a Doppler curve being placed
+      line.setAttribute('stroke-dasharray', '5,5')
+    }
+    cursorGroup.appendChild(line)
+
+    for (const [endId, point] of /** @type {Array<[RulerEnd, SVGCoordinates]>} */ ([
+      [RulerEnds.start, startSVG],
+      [RulerEnds.end, endSVG]
+    ])) {
+      const handle = document.createElementNS(SVG_NS, 'circle')
+      handle.setAttribute('class', 'gram-frame-ruler-end')
+      handle.setAttribute('data-ruler-end', endId)
+      handle.setAttribute('cx', String(point.x))
+      handle.setAttribute('cy', String(point.y))
+      handle.setAttribute('r', '4')
+      handle.setAttribute('fill', color)
+      handle.setAttribute('stroke', '#ffffff')
+      handle.setAttribute('stroke-width', '1')
+      cursorGroup.appendChild(handle)
+    }
+  }
+
+  /**
+   * Get initial state for ruler mode
+   * @returns {RulerInitialState} Ruler-specific initial state
+   */
+  static getInitialState() {
+    return {
+      ruler: {
+        start: null, // DataCoordinates: where the ruler was started
+        end: null,   // DataCoordinates: where it was released
+        color: null, // colour used for this ruler
+        // True while the ruler is being laid down, so it can be drawn as a
+        // preview. Drag bookkeeping lives on state.drag, owned by the engine.
+        placing: false
+      }
+    }
+  }
+}
@@ -0,0 +1,631 @@
+import { BaseMode } from '../BaseMode.js'
+import { setLEDValue } from '../../components/LEDDisplay.js'
+import { createDiffingTable } from '../../components/DiffingTable.js'
+import { dispatch, markAnnotationsChanged } from '../../core/state.js'
+import { dataToSVG } from '../../utils/coordinates.js'
+import { calculateTraceStatistics } from '../../utils/trace.js'
+import { formatSignedReading } from '../../utils/ruler.js'
+import { driftReading, driftUnit, formatFrequency, frequencyUnit } from '../../utils/units.js'
+import { BaseDragHandler } from '../shared/BaseDragHandler.js'
+import { getUniformTolerance, isWithinDataTolerance, findClosestTarget } from '../../utils/tolerance.js'
+import { IDLE_CURSOR } from '../../utils/cursors.js'
+import { updateGuidancePanel } from '../../utils/secureHTML.js'
+import { createSymbolMark, createColorIndicator, resolveSymbolScale } from '../../rendering/symbols.js'
+
+/** SVG namespace for element creation */
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/** Selection type of a trace, as passed to `setSelection` */
+const TRACE_SELECTION = 'trace'
+
+/** Class the traces panel carries while it has rows, to show it outside Trace mode */
+const HAS_TRACES_CLASS = 'gram-frame-has-traces'
+
+/**
+ * The trace the LEDs report: the selected trace, else the newest one.
+ * @param {TraceState} trace - Trace state slice
+ * @param {SelectionState} selection - Selection state slice
+ * @returns {TonalTrace|null} The trace to report, or null when there is none
+ */
+function getDisplayedTrace(trace, selection) {
+  if (selection.selectedType === TRACE_SELECTION) {
+    const selected = trace.traces.find(t => t.id === selection.selectedId)
+    if (selected) {
+      return selected
+    }
+  }
+  return trace.traces[trace.traces.length - 1] || null
+}
+
+/**
+ * Write the displayed trace's mean frequency, spread and drift rate into the
+ * trace LEDs, or blank them when there is no trace.
+ *
+ * Exported because the restore and "Clear gram" paths in main.js change the
+ * traces without going through the mode, and must leave the LEDs agreeing with
+ * state all the same.
+ * @param {GramFrame} instance - GramFrame instance
+ */
+export function updateTraceLEDs(instance) {
+  const { meanLED, spreadLED, driftLED } = instance.ui.traceLEDs || {}
+  const { trace, selection, config } = instance.state
+  const displayed = getDisplayedTrace(trace, selection)
+  const stats = displayed ? displayed.stats : null
+
+  if (meanLED) {
+    setLEDValue(meanLED, stats ? formatFrequency(stats.meanFreq, config) : '—')
+  }
+  if (spreadLED) {
+    setLEDValue(spreadLED, stats ? formatFrequency(stats.spread, config) : '—')
+  }
+  if (driftLED) {
+    setLEDValue(driftLED, stats ? formatDrift(stats.driftRate, config) : '—')
+  }
+}
+
+/**
+ * Format a trace's drift rate for its LED and table cell: signed, in the
+ * gram's frequency units per second.
+ * @param {number|null} driftRate - Drift rate in Hz/s; null renders as a dash
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {string} Formatted drift, without units
+ */
+function formatDrift(driftRate, format) {
+  if (driftRate === null) {
+    return '—'
+  }
+  const { value, places } = driftReading(driftRate, format)
+  return formatSignedReading(value, places)
+}
+
+/**
+ * Build a trace row's delete button, in the markers table's style.
+ * @returns {HTMLButtonElement} The delete button
+ */
+function createTraceDeleteButton() {
+  const button = document.createElement('button')
+  button.textContent = '×'
+  button.className = 'gram-frame-trace-delete-btn'
+  button.title = 'Delete trace'
+  return button
+}
+
+/**
+ * Trace mode implementation.
+ *
+ * Follow a tonal that wanders in frequency: click successive points along the
+ * line and read its mean frequency, spread and drift rate from the LEDs. A
+ * harmonic set holds one spacing at one time, so it cannot describe a drifting
+ * line; a trace keeps every point and joins them in time order.
+ *
+ * The first click on empty image starts a trace and each later click extends
+ * it, until the end button (or leaving the mode) finishes it; the next click
+ * then starts another. Points can be dragged, and right-clicked away. Every
+ * trace is listed in the traces panel, where it can be selected or deleted.
+ */
+export class TraceMode extends BaseMode {
+  /**
+   * Initialize TraceMode with drag handler
+   * @param {GramFrame} instance - GramFrame instance
+   */
+  constructor(instance) {
+    super(instance)
+
+    /** @type {{update: function(Array<TonalTrace>): void, destroy: function(): void, element: HTMLElement}|null} */
+    this.tracesTable = null
+
+    // One handler for both point drags: moving an existing point, and the
+    // press that adds a point, which resolves to a move of the new point so it
+    // can be nudged onto the line before release — as Doppler's fit points do.
+    this.dragHandler = new BaseDragHandler(instance, {
+      resolveTarget: (position) => this.resolveTraceDrag(/** @type {DataCoordinates} */ (position)),
+      // Hover only ever finds a point; resolveTraceDrag adds one.
+      resolveHoverTarget: (position) => this.findTracePointAtPosition(/** @type {DataCoordinates} */ (position)),
+      onDragStart: (target) => this.selectTrace(/** @type {string} */ (target.id)),
+      onDragMove: (target, currentPos) => this.onTracePointDragMove(target, /** @type {DataCoordinates} */ (currentPos)),
+      onDragEnd: () => {},
+      updateCursor: (style) => this.updateCursorStyle(style)
+    }, 'trace')
+  }
+
+  /**
+   * This mode's state slice. One reach-in here rather than one per handler.
+   * @returns {TraceState} The live trace state
+   */
+  get trace() {
+    return this.instance.state.trace
+  }
+
+  /**
+   * The selection slice, which the panel, the renderer and deletion all read.
+   * @returns {SelectionState} The live selection state
+   */
+  get selection() {
+    return this.instance.state.selection
+  }
+
+  /**
+   * Whether a trace is the selected feature.
+   * @param {string} traceId - Trace id
+   * @returns {boolean} True if the trace is selected
+   */
+  isTraceSelected(traceId) {
+    const selection = this.selection
+    return selection.selectedType === TRACE_SELECTION && selection.selectedId === traceId
+  }
+
+  /**
+   * Look up a trace by id.
+   * @param {string|null} id - Trace id
+   * @returns {TonalTrace|null} The trace, or null if there is none with that id
+   */
+  getTrace(id) {
+    return this.trace.traces.find(t => t.id === id) || null
+  }
+
+  /**
+   * Find the trace point under a position, across every trace.
+   * @param {DataCoordinates} position - Position to check
+   * @returns {DragTarget|null} A move-kind target for the nearest point, or null
+   */
+  findTracePointAtPosition(position) {
+    const traces = this.trace.traces
+    if (traces.length === 0) return null
+
+    const tolerance = getUniformTolerance(this.getViewport(), this.instance.ui.spectrogramImage, position.freq)
+
+    /** @type {Array<DragTarget & {position: DataCoordinates, id: string}>} */
+    const targets = []
+    for (const t of traces) {
+      t.points.forEach((point, pointIndex) => {
+        if (isWithinDataTolerance(position, point, tolerance)) {
+          targets.push({
+            kind: 'move',
+            id: t.id,
+            type: 'tracePoint',
+            position: point,
+            data: { pointIndex }
+          })
+        }
+      })
+    }
+
+    return findClosestTarget(position, targets, tolerance) || targets[0] || null
+  }
+
+  /**
+   * Resolve what a mousedown starts: moving the point under the pointer, or —
+   * anywhere else — adding a point to the trace being drawn.
+   * @param {DataCoordinates} position - Position of the mousedown
+   * @returns {DragTarget} A move-kind target
+   */
+  resolveTraceDrag(position) {
+    return this.findTracePointAtPosition(position) || this.addTracePoint(position)
+  }
+
+  /**
+   * Add a point to the trace being drawn, starting a new trace when none is.
+   * Returns a move target for the new point, so the press that placed it can
+   * also drag it.
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   * @returns {DragTarget} A move-kind target for the new point
+   */
+  addTracePoint(dataCoords) {
+    const { trace, selectedColor, selectedSymbol, largeSymbols } = this.instance.state
+
+    let drawing = this.getTrace(trace.drawingId)
+    if (!drawing) {
+      drawing = {
+        id: `trace-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+        points: [],
+        color: selectedColor || '#ff0000',
+        symbol: selectedSymbol || 'cross',
+        largeSymbols: !!largeSymbols,
+        stats: null
+      }
+      trace.traces.push(drawing)
+      trace.drawingId = drawing.id
+      this.refreshGuidance()
+    }
+    drawing.points.push({ time: dataCoords.time, freq: dataCoords.freq })
+    drawing.stats = calculateTraceStatistics(drawing.points)
+    markAnnotationsChanged(this.instance)
+
+    this.refreshTrace()
+
+    return {
+      kind: 'move',
+      id: drawing.id,
+      type: 'tracePoint',
+      position: dataCoords,
+      data: { pointIndex: drawing.points.length - 1 }
+    }
+  }
+
+  /**
+   * Follow the pointer with the dragged point.
+   * @param {DragTarget} target - Drag target
+   * @param {DataCoordinates} currentPos - Current position
+   */
+  onTracePointDragMove(target, currentPos) {
+    const t = this.getTrace(target.id)
+    if (!t || !t.points[target.data.pointIndex]) return
+    t.points[target.data.pointIndex] = { time: currentPos.time, freq: currentPos.freq }
+    t.stats = calculateTraceStatistics(t.points)
+    markAnnotationsChanged(this.instance)
+
+    this.refreshTrace()
+  }
+
+  /**
+   * Remove one point, deleting the trace with its last point.
+   * @param {string} traceId - Trace id
+   * @param {number} pointIndex - Index into the trace's `points`
+   */
+  removeTracePoint(traceId, pointIndex) {
+    const t = this.getTrace(traceId)
+    if (!t) return
+    if (t.points.length <= 1) {
+      this.removeTrace(traceId)
+      return
+    }
+    t.points.splice(pointIndex, 1)
+    t.stats = calculateTraceStatistics(t.points)
+    markAnnotationsChanged(this.instance)
+
+    this.refreshTrace()
+  }
+
+  /**
+   * Delete one trace, dropping the selection first if it is the selected one.
+   * @param {string} traceId - Trace id
+   */
+  removeTrace(traceId) {
+    const trace = this.trace
+    const index = trace.traces.findIndex(t => t.id === traceId)
+    if (index === -1) {
+      return
+    }
+    if (this.isTraceSelected(traceId)) {
+      this.instance.interaction.clearSelection()
+    }
+    trace.traces.splice(index, 1)
+    if (trace.drawingId === traceId) {
+      trace.drawingId = null
+      this.refreshGuidance()
+    }
+    markAnnotationsChanged(this.instance)
+
+    this.refreshTrace()
+  }
+
+  /**
+   * Finish the trace being drawn, so the next click starts another.
+   */
+  finishTrace() {
+    this.trace.drawingId = null
+    this.refreshGuidance()
+    this.renderTraceFeatures()
+    dispatch(this.instance)
+  }
+
+  /**
+   * Select a trace, so the LEDs report it and the style panel restyles it.
+   * @param {string} traceId - Trace id
+   */
+  selectTrace(traceId) {
+    const index = this.trace.traces.findIndex(t => t.id === traceId)
+    if (index !== -1) {
+      this.instance.interaction.setSelection(TRACE_SELECTION, traceId, index)
+    }
+  }
+
+  /**
+   * Redraw the traces, update the LEDs and the panel, and notify listeners.
+   */
+  refreshTrace() {
+    this.renderTraceFeatures()
+    updateTraceLEDs(this.instance)
+    this.refreshPanel()
+    dispatch(this.instance, { frame: true })
+  }
+
+  /**
+   * Rewrite the guidance panel when this mode is showing it.
+   */
+  refreshGuidance() {
+    if (this.instance.currentMode === this && this.instance.ui.guidancePanel) {
+      updateGuidancePanel(this.instance.ui.guidancePanel, this.getGuidanceText())
+    }
+  }
+
+  /**
+   * Keep the LEDs and the selected-trace highlight in step with the selection.
+   *
+   * The `SelectionFollower` capability: any selection change, from any mode,
+   * may change which trace the LEDs report.
+   */
+  onSelectionChange() {
+    updateTraceLEDs(this.instance)
+    this.renderTraceFeatures()
+  }
+
+  /**
+   * Handle mouse move events in trace mode
+   * @param {MouseEvent} _event - Mouse event (unused)
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseMove(_event, dataCoords) {
+    if (this.dragHandler.isDragging()) {
+      this.dragHandler.handleMouseMove(dataCoords)
+    } else {
+      this.dragHandler.updateCursorForHover(dataCoords)
+    }
+  }
+
+  /**
+   * Handle mouse down events in trace mode
+   * @param {MouseEvent} event - Mouse event
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseDown(event, dataCoords) {
+    if (this.dragHandler.startDrag(dataCoords, event)) {
+      dispatch(this.instance, { frame: true })
+    }
+  }
+
+  /**
+   * Handle mouse up events in trace mode
+   * @param {MouseEvent} _event - Mouse event (unused)
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleMouseUp(_event, dataCoords) {
+    if (this.dragHandler.isDragging()) {
+      this.dragHandler.endDrag(dataCoords)
+    }
+  }
+
+  /**
+   * Handle context menu (right-click) events: remove the point under the
+   * pointer, so a stray click can go without the rest of the trace.
+   * @param {MouseEvent} event - Mouse event
+   * @param {DataCoordinates} dataCoords - Data coordinates {freq, time}
+   */
+  handleContextMenu(event, dataCoords) {
+    event.preventDefault()
+    const target = this.findTracePointAtPosition(dataCoords)
+    if (!target) {
+      return
+    }
+    this.removeTracePoint(/** @type {string} */ (target.id), target.data.pointIndex)
+    this.updateCursorStyle(IDLE_CURSOR)
+  }
+
+  /**
+   * Get guidance content for trace mode
+   * @returns {Object} Structured guidance content
+   */
+  getGuidanceText() {
+    if (this.trace.drawingId) {
+      return {
+        title: 'Trace Mode — Drawing',
+        items: [
+          'Click further points along the line',
+          'Drag a point to move it; right-click it to remove it',
+          'Mean, spread and drift show in the LEDs',
+          'Press end to finish this trace'
+        ]
+      }
+    }
+    return {
+      title: 'Trace Mode',
+      items: [
+        'Click points along a tonal to trace it',
+        'Drag a point to adjust it; this selects its trace',
+        'Mean frequency, spread and drift rate show in the LEDs',
+        'Right-click a point to remove it',
+        'Select or delete traces in the traces panel'
+      ]
+    }
+  }
+
+  /**
+   * Get command buttons for trace mode
+   * @returns {Array<CommandButton>} Array of command button definitions
+   */
+  getCommandButtons() {
+    return [
+      {
+        label: 'end',
+        title: 'Finish this trace; the next click starts a new one',
+        action: () => this.finishTrace()
+      }
+    ]
+  }
+
+  /**
+   * Create the traces table in its persistent container
+   * @param {HTMLElement} tracesContainer - Persistent container for the traces table (already has label)
+   */
+  createUI(tracesContainer) {
+    this.uiElements = {}
+    this.uiElements.tracesContainer = tracesContainer
+
+    if (tracesContainer.querySelector('.gram-frame-table')) {
+      return
+    }
+
+    const { config } = this.getViewport()
+    this.tracesTable = createDiffingTable(tracesContainer, {
+      columns: [
+        { label: '', width: '14%', cellClassName: 'gram-frame-trace-color' },
+        { label: `Mean (${frequencyUnit(config)})`, width: '36%' },
+        { label: `Drift (${driftUnit(config)})`, width: '36%' },
+        { label: '', width: '14%' }
+      ],
+      rowAttribute: 'data-trace-id',
+      rowKey: (t) => t.id,
+      cells: (t) => [
+        createColorIndicator(t.symbol, t.color, 20),
+        t.stats ? formatFrequency(t.stats.meanFreq, config) : '—',
+        t.stats ? formatDrift(t.stats.driftRate, config) : '—',
+        createTraceDeleteButton()
+      ],
+      deleteSelector: '.gram-frame-trace-delete-btn',
+      onSelect: (traceId, _trace, index) => {
+        if (this.isTraceSelected(traceId)) {
+          this.instance.interaction.clearSelection()
+        } else {
+          this.instance.interaction.setSelection(TRACE_SELECTION, traceId, index)
+        }
+      },
+      onDelete: (traceId) => this.removeTrace(traceId),
+      isSelected: (traceId) => this.isTraceSelected(traceId)
+    })
+    this.uiElements.tracesTable = this.tracesTable.element
+
+    this.refreshPanel()
+  }
+
+  /**
+   * Re-render the traces table from current state, showing the panel outside
+   * Trace mode only while it has rows.
+   *
+   * The `PanelOwner` capability.
+   */
+  refreshPanel() {
+    if (!this.tracesTable) return
+
+    const traces = this.trace.traces
+    this.tracesTable.update(traces)
+    const container = this.uiElements.tracesContainer
+    if (container) {
+      container.classList.toggle(HAS_TRACES_CLASS, traces.length > 0)
+    }
+  }
+
+  /**
+   * Destroy mode-specific UI elements when leaving this mode
+   */
+  destroyUI() {
+    // The traces table is persistent, like the markers table: nothing to remove
+  }
+
+  /**
+   * Reset trace state: every trace goes.
+   */
+  resetState() {
+    const trace = this.trace
+    if (this.selection.selectedType === TRACE_SELECTION) {
+      this.instance.interaction.clearSelection()
+    }
+    trace.traces = []
+    trace.drawingId = null
+    this.dragHandler.reset()
+    markAnnotationsChanged(this.instance)
+    this.refreshTrace()
+  }
+
+  /**
+   * Clean up when switching away: drop any drag, and finish the trace being
+   * drawn, which the next visit would otherwise silently carry on extending.
+   */
+  cleanup() {
+    this.trace.drawingId = null
+    this.dragHandler.reset()
+  }
+
+  /**
+   * Whether any trace has been started.
+   *
+   * Half of the `PersistentFeatureProvider` capability: traces stay on the gram
+   * across mode switches, like markers and Doppler curves.
+   * @returns {boolean} True if there is at least one trace
+   */
+  hasPersistentFeatures() {
+    const trace = this.trace
+    return !!(trace && trace.traces.length > 0)
+  }
+
+  /**
+   * Render persistent features (for FeatureRenderer)
+   */
+  renderPersistentFeatures() {
+    this.renderTraceFeatures()
+  }
+
+  /**
+   * Draw every trace: a polyline through its points in time order, with the
+   * trace's symbol at each point. The selected trace is drawn heavier and the
+   * one being drawn dashed, as a ruler being placed is.
+   */
+  renderTraceFeatures() {
+    const cursorGroup = this.instance.ui.cursorGroup
+    if (!cursorGroup) return
+
+    cursorGroup.querySelectorAll('.gram-frame-trace-line, .gram-frame-trace-point')
+      .forEach(element => element.remove())
+
+    const { trace, selection, mode } = this.instance.state
+    const selectedId = selection.selectedType === TRACE_SELECTION ? selection.selectedId : null
+    const viewport = this.getViewport()
+    const image = this.instance.ui.spectrogramImage
+    // Points are grabbable only in this mode; elsewhere they must not swallow
+    // the active mode's clicks.
+    const pointerEvents = mode === 'trace' ? 'auto' : 'none'
+
+    for (const t of trace.traces) {
+      const svgPoints = [...t.points]
+        .sort((a, b) => a.time - b.time)
+        .map(point => dataToSVG(point, viewport, image))
+
+      if (svgPoints.length > 1) {
+        const line = document.createElementNS(SVG_NS, 'polyline')
+        line.setAttribute('class', 'gram-frame-trace-line')
+        line.setAttribute('data-trace-id', t.id)
+        line.setAttribute('points', svgPoints.map(p => `${p.x},${p.y}`).join(' '))
+        line.setAttribute('fill', 'none')
+        line.setAttribute('stroke', t.color)
+        line.setAttribute('stroke-width', t.id === selectedId ? '3' : '2')
+        line.setAttribute('pointer-events', 'none')
+        if (t.id === trace.drawingId) {
+          line.setAttribute('stroke-dasharray', '5,5')
+        }
+        cursorGroup.appendChild(line)
+      }
+
+      const size = 10 * resolveSymbolScale(t)
+      for (const p of svgPoints) {
+        let mark = createSymbolMark(t.symbol, p.x, p.y, size, t.color)
+        if (!mark) {
+          mark = document.createElementNS(SVG_NS, 'circle')
+          mark.setAttribute('cx', String(p.x))
+          mark.setAttribute('cy', String(p.y))
+          mark.setAttribute('r', '4')
+          mark.setAttribute('fill', t.color)
+        }
+        mark.setAttribute('class', 'gram-frame-trace-point')
+        mark.setAttribute('data-trace-id', t.id)
+        mark.setAttribute('stroke', '#ffffff')
+        mark.setAttribute('stroke-width', '1')
+        mark.setAttribute('pointer-events', pointerEvents)
+        cursorGroup.appendChild(mark)
+      }
+    }
+  }
+
+  /**
+   * Get initial state for trace mode
+   * @returns {TraceInitialState} Trace-specific initial state
+   */
+  static getInitialState() {
+    return {
+      trace: {
+        traces: [], // TonalTrace[], oldest first
+        // Trace that clicks on empty image add points to. Drag bookkeeping
+        // lives on state.drag, owned by the engine.
+        drawingId: null
+      }
+    }
+  }
+}
@@ -1,8 +1,10 @@
 /**
  * The axis engine for GramFrame.
  *
- * Draws the time (vertical) and frequency (horizontal) axes for the currently
- * visible data range. Extracted from `components/table.js` in the Story 3 split
+ * Draws the time and frequency axes for the currently visible data range:
+ * time up the left edge and frequency along the bottom, or the other way
+ * about for a gram whose config turns time horizontal, each running the way
+ * its quantity increases on the image. Extracted from `components/table.js` in the Story 3 split
  * (spec 167, FR-004) into the `rendering/` family beside `symbols.js`, where
  * CLAUDE.md had documented it living for some time and where GF-38 recorded it
  * as a phantom module.
@@ -15,8 +17,10 @@
 
 /// <reference path="../types.js" />
 
-import { formatTime } from '../utils/timeFormatter.js'
-import { calculateVisibleDataRange, getRenderDimensions } from '../utils/coordinates.js'
+import { formatGramTimeTick } from '../utils/timeFormatter.js'
+import { formatFrequencyTick } from '../utils/units.js'
+import { calculateVisibleDataRange, getRenderDimensions, freqToFraction, fractionToFreq, isTimeHorizontal } from '../utils/coordinates.js'
+import { logFrequencyTicks } from '../utils/logTicks.js'
 
 /**
  * A nice-number tick layout for one axis.
@@ -33,15 +37,17 @@ import { calculateVisibleDataRange, getRenderDimensions } from '../utils/coordin
 /**
  * Where one axis line sits, in SVG units.
  * @typedef {Object} AxisConfig
- * @property {number} startX - Line start
- * @property {number} endX - Line end
- * @property {number} y - Line offset along the other axis
+ * @property {'bottom'|'left'} side - The image edge it runs along
+ * @property {number} start - Line start: its left end, or its top end
+ * @property {number} length - Line length
+ * @property {number} offset - Where the edge sits across it: its Y, or its X
+ * @property {boolean} reversed - Whether the quantity increases leftward or downward, against the usual way
  */
 
 /**
  * One tick to draw.
  * @typedef {Object} AxisTick
- * @property {number} x - Position along the axis
+ * @property {number} position - Position along the axis
  * @property {number} height - Tick length
  * @property {string} className - CSS class distinguishing major from minor
  */
@@ -49,7 +55,7 @@ import { calculateVisibleDataRange, getRenderDimensions } from '../utils/coordin
 /**
  * One label to draw.
  * @typedef {Object} AxisLabel
- * @property {number} x - Position along the axis
+ * @property {number} position - Position along the axis
  * @property {string} text - Rendered label
  * @property {string} className - CSS class
  */
@@ -80,65 +86,70 @@ export function renderAxes(instance) {
   // Calculate visible data range based on zoom
   const visibleRange = calculateVisibleDataRange(viewport, instance.ui.spectrogramImage)
 
-  // Render frequency axis (bottom/horizontal - x-axis)
-  renderFrequencyAxis(instance, margins, renderWidth, renderHeight, visibleRange.freqMin, visibleRange.freqMax)
+  /** @type {AxisConfig} */
+  const bottom = { side: 'bottom', start: margins.left, length: renderWidth, offset: margins.top + renderHeight, reversed: false }
+  /** @type {AxisConfig} */
+  const left = { side: 'left', start: margins.top, length: renderHeight, offset: margins.left, reversed: false }
+  const { timeDirection } = viewport.config
+  const timeHorizontal = isTimeHorizontal(viewport.config)
+  const timeReversed = timeDirection === 'down' || timeDirection === 'left'
 
-  // Render time axis (left/vertical - y-axis)
-  renderTimeAxis(instance, margins, renderWidth, renderHeight, visibleRange.timeMin, visibleRange.timeMax)
+  // Render frequency axis (along the bottom, or up the left of a rotated gram)
+  // in the units the config asks for
+  renderFrequencyAxis(instance, timeHorizontal ? left : bottom, {
+    freqMin: visibleRange.freqMin,
+    freqMax: visibleRange.freqMax,
+    freqScale: viewport.config.freqScale
+  }, (freq) => formatFrequencyTick(freq, viewport.config))
+
+  // Render time axis (up the left, or along the bottom of a rotated gram),
+  // labelled in clock time where the gram has a time origin
+  renderTimeAxis(instance, { ...(timeHorizontal ? bottom : left), reversed: timeReversed }, visibleRange.timeMin, visibleRange.timeMax,
+    (time) => formatGramTimeTick(time, viewport))
+}
+
+/**
+ * Where a fraction of an axis's range falls along its line.
+ * @param {AxisConfig} axisConfig - Axis placement
+ * @param {number} fraction - 0 at the low end of the range, 1 at the high
+ * @returns {number} Position along the axis, in SVG units
+ */
+function positionAlong(axisConfig, fraction) {
+  const forward = axisConfig.reversed ? 1 - fraction : fraction
+  // Left-edge axes increase upward, against SVG's Y
+  const along = axisConfig.side === 'bottom' ? forward : 1 - forward
+  return axisConfig.start + along * axisConfig.length
 }
 
 /**
- * Render time axis with ticks and labels (vertical - y-axis)
+ * Render time axis with ticks and labels
  * @param {GramFrame} instance - GramFrame instance
- * @param {AxesMargins} margins - Margin configuration
- * @param {number} _naturalWidth - Image natural width (unused)
- * @param {number} naturalHeight - Image natural height
+ * @param {AxisConfig} axisConfig - Axis placement
  * @param {number} timeMin - Minimum time value
  * @param {number} timeMax - Maximum time value
+ * @param {function(number): string} formatLabel - A tick's time as its label shows it
  */
-function renderTimeAxis(instance, margins, _naturalWidth, naturalHeight, timeMin, timeMax) {
-  const axisX = margins.left
-  const axisStartY = margins.top
-  const axisEndY = margins.top + naturalHeight
-  
-  // Draw main axis line (vertical)
-  const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-  axisLine.setAttribute('x1', String(axisX))
-  axisLine.setAttribute('y1', String(axisStartY))
-  axisLine.setAttribute('x2', String(axisX))
-  axisLine.setAttribute('y2', String(axisEndY))
-  axisLine.setAttribute('class', 'gram-frame-axis-line')
-  instance.ui.axesGroup.appendChild(axisLine)
+function renderTimeAxis(instance, axisConfig, timeMin, timeMax, formatLabel) {
+  // Draw main axis line
+  renderAxisLine(instance, axisConfig)
   
   // Calculate tick positions
   const timeRange = timeMax - timeMin
   const tickCount = 5 // Reasonable number of ticks
   const tickInterval = timeRange / (tickCount - 1)
-  
+
+  /** @type {AxisTick[]} */
+  const tickData = []
+  /** @type {AxisLabel[]} */
+  const labelData = []
   for (let i = 0; i < tickCount; i++) {
     const time = timeMin + (i * tickInterval)
-    // Note: Y coordinates are inverted (higher times at top)
-    const y = axisEndY - (i / (tickCount - 1)) * naturalHeight
-    
-    // Draw tick mark (horizontal extending left)
-    const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-    tick.setAttribute('x1', String(axisX - 8))
-    tick.setAttribute('y1', String(y))
-    tick.setAttribute('x2', String(axisX))
-    tick.setAttribute('y2', String(y))
-    tick.setAttribute('class', 'gram-frame-axis-tick')
-    instance.ui.axesGroup.appendChild(tick)
-    
-    // Draw label
-    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text')
-    label.setAttribute('x', String(axisX - 12))
-    label.setAttribute('y', String(y + 4)) // Slight vertical offset for better alignment
-    label.setAttribute('text-anchor', 'end')
-    label.setAttribute('class', 'gram-frame-axis-label')
-    label.textContent = formatTime(time)
-    instance.ui.axesGroup.appendChild(label)
+    const position = positionAlong(axisConfig, i / (tickCount - 1))
+    tickData.push({ position, height: 8, className: 'gram-frame-axis-tick' })
+    labelData.push({ position, text: formatLabel(time), className: 'gram-frame-axis-label' })
   }
-  
+  renderAxisTicks(instance, tickData, axisConfig)
+  renderAxisLabels(instance, labelData, axisConfig)
 }
 
 /**
@@ -218,60 +229,59 @@ function calculateAxisTicks(min, max, containerSize, targetSpacing = 80) {
   }
 }
 
-/**
- * Format frequency labels with appropriate units
- * @param {number} frequency - Frequency value
- * @returns {string} Formatted label
- */
-function formatFrequencyLabels(frequency) {
-  return Math.round(frequency) + 'Hz'
-}
-
 /**
  * Render main axis line
  * @param {GramFrame} instance - Component instance
- * @param {AxisConfig} axisConfig - Axis configuration with start/end positions
+ * @param {AxisConfig} axisConfig - Axis placement
  */
 function renderAxisLine(instance, axisConfig) {
+  const { start, length, offset } = axisConfig
+  const onBottom = axisConfig.side === 'bottom'
   const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-  axisLine.setAttribute('x1', String(axisConfig.startX))
-  axisLine.setAttribute('y1', String(axisConfig.y))
-  axisLine.setAttribute('x2', String(axisConfig.endX))
-  axisLine.setAttribute('y2', String(axisConfig.y))
+  axisLine.setAttribute('x1', String(onBottom ? start : offset))
+  axisLine.setAttribute('y1', String(onBottom ? offset : start))
+  axisLine.setAttribute('x2', String(onBottom ? start + length : offset))
+  axisLine.setAttribute('y2', String(onBottom ? offset : start + length))
   axisLine.setAttribute('class', 'gram-frame-axis-line')
   instance.ui.axesGroup.appendChild(axisLine)
 }
 
 /**
- * Render axis tick marks
+ * Render axis tick marks, hanging below a bottom axis or out left of a left one
  * @param {GramFrame} instance - Component instance
  * @param {AxisTick[]} tickData - Array of tick positions and types
- * @param {AxisConfig} axisConfig - Axis configuration
+ * @param {AxisConfig} axisConfig - Axis placement
  */
 function renderAxisTicks(instance, tickData, axisConfig) {
+  const { offset } = axisConfig
+  const onBottom = axisConfig.side === 'bottom'
   tickData.forEach(tickInfo => {
     const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line')
-    tick.setAttribute('x1', String(tickInfo.x))
-    tick.setAttribute('y1', String(axisConfig.y))
-    tick.setAttribute('x2', String(tickInfo.x))
-    tick.setAttribute('y2', String(axisConfig.y + tickInfo.height))
+    tick.setAttribute('x1', String(onBottom ? tickInfo.position : offset - tickInfo.height))
+    tick.setAttribute('y1', String(onBottom ? offset : tickInfo.position))
+    tick.setAttribute('x2', String(onBottom ? tickInfo.position : offset))
+    tick.setAttribute('y2', String(onBottom ? offset + tickInfo.height : tickInfo.position))
     tick.setAttribute('class', tickInfo.className)
     instance.ui.axesGroup.appendChild(tick)
   })
 }
 
 /**
- * Render axis labels
+ * Render axis labels, centred under a bottom axis or right-aligned beside a
+ * left one
  * @param {GramFrame} instance - Component instance
  * @param {AxisLabel[]} labelData - Array of label positions and text
- * @param {AxisConfig} axisConfig - Axis configuration
+ * @param {AxisConfig} axisConfig - Axis placement
  */
 function renderAxisLabels(instance, labelData, axisConfig) {
+  const { offset } = axisConfig
+  const onBottom = axisConfig.side === 'bottom'
   labelData.forEach(labelInfo => {
     const label = document.createElementNS('http://www.w3.org/2000/svg', 'text')
-    label.setAttribute('x', String(labelInfo.x))
-    label.setAttribute('y', String(axisConfig.y + 25))
-    label.setAttribute('text-anchor', 'middle')
+    // Slight vertical offset beside a left axis for better alignment
+    label.setAttribute('x', String(onBottom ? labelInfo.position : offset - 12))
+    label.setAttribute('y', String(onBottom ? offset + 25 : labelInfo.position + 4))
+    label.setAttribute('text-anchor', onBottom ? 'middle' : 'end')
     label.setAttribute('class', labelInfo.className)
     label.textContent = labelInfo.text
     instance.ui.axesGroup.appendChild(label)
@@ -279,68 +289,96 @@ function renderAxisLabels(instance, labelData, axisConfig) {
 }
 
 /**
- * Render frequency axis with ticks and labels (horizontal - x-axis)
+ * Render frequency axis with ticks and labels
  * Enhanced with dense markers and labels for better granularity
+ *
+ * Ticks sit where `freqToFraction` puts their frequency, so on a log axis they
+ * line up with the features drawn against it. A log axis is ticked by decade
+ * (`utils/logTicks.js`) unless zoomed in so far that fewer than two of those
+ * ticks are labelled, when the nice-number layout takes over.
  * @param {GramFrame} instance - GramFrame instance
- * @param {AxesMargins} margins - Margin configuration
- * @param {number} naturalWidth - Image natural width
- * @param {number} _naturalHeight - Image natural height (unused)
- * @param {number} freqMin - Minimum frequency value
- * @param {number} freqMax - Maximum frequency value
+ * @param {AxisConfig} axisConfig - Axis placement
+ * @param {FrequencyAxis} axis - Visible frequency range and its scale
+ * @param {function(number): string} formatLabel - A tick's frequency as its label shows it
  */
-function renderFrequencyAxis(instance, margins, naturalWidth, _naturalHeight, freqMin, freqMax) {
-  const axisY = margins.top + _naturalHeight
-  const axisStartX = margins.left
-  const axisEndX = margins.left + naturalWidth
+function renderFrequencyAxis(instance, axisConfig, axis, formatLabel) {
+  const { freqMin, freqMax } = axis
   
-  // Calculate display frequency range (scaled by rate)
-  const rate = instance.state.rate
-  const displayFreqMin = freqMin / rate
-  const displayFreqMax = freqMax / rate
-  const freqRange = displayFreqMax - displayFreqMin
-  
-  // Prepare axis configuration
-  const axisConfig = { y: axisY, startX: axisStartX, endX: axisEndX }
+  // Labelled in frequency whatever the rate: the rate divisor is a readout concern
+  // (utils/rate.js), and dividing these labels once put the axis out of step
+  // with the features drawn against it (BH-26).
+
+  /**
+   * Where a frequency falls along the axis.
+   * @param {number} freq - Frequency in Hz
+   * @returns {number} Position in SVG units
+   */
+  const positionOf = (freq) => positionAlong(axisConfig, freqToFraction(freq, axis))
   
   // Render main axis line
   renderAxisLine(instance, axisConfig)
   
-  // Calculate tick positions using nice numbers algorithm
-  const tickCalculation = calculateAxisTicks(displayFreqMin, displayFreqMax, naturalWidth)
-  
   // Prepare tick and label data
+  /** @type {AxisTick[]} */
   const minorTickData = []
+  /** @type {AxisTick[]} */
   const majorTickData = []
+  /** @type {AxisLabel[]} */
   const labelData = []
+
+  const logTicks = axis.freqScale === 'log' ? logFrequencyTicks(freqMin, freqMax) : []
+  if (logTicks.filter(tick => tick.labelled).length >= 2) {
+    logTicks.forEach(tick => {
+      const position = positionOf(tick.freq)
+      if (tick.major) {
+        majorTickData.push({ position, height: 8, className: 'gram-frame-axis-tick-major' })
+      } else {
+        minorTickData.push({ position, height: 4, className: 'gram-frame-axis-tick-minor' })
+      }
+      if (tick.labelled) {
+        labelData.push({
+          position,
+          text: formatLabel(tick.freq),
+          className: tick.major ? 'gram-frame-axis-label-major' : 'gram-frame-axis-label'
+        })
+      }
+    })
+    renderAxisTicks(instance, minorTickData, axisConfig)
+    renderAxisTicks(instance, majorTickData, axisConfig)
+    renderAxisLabels(instance, labelData, axisConfig)
+    return
+  }
+  
+  // Calculate tick positions using nice numbers algorithm
+  const tickCalculation = calculateAxisTicks(freqMin, freqMax, axisConfig.length)
   
   // Generate minor ticks
-  const numMinorTicks = Math.floor((displayFreqMax - tickCalculation.minorStart) / tickCalculation.minorInterval) + 1
+  const numMinorTicks = Math.floor((freqMax - tickCalculation.minorStart) / tickCalculation.minorInterval) + 1
   if (numMinorTicks <= tickCalculation.maxTicks) {
     for (let i = 0; i < numMinorTicks; i++) {
       const freq = tickCalculation.minorStart + (i * tickCalculation.minorInterval)
-      if (freq > displayFreqMax) break
+      if (freq > freqMax) break
       
       // Skip minor ticks that coincide with major ticks
       if (Math.abs(freq % tickCalculation.majorInterval) < 0.01) continue
       
-      const x = axisStartX + ((freq - displayFreqMin) / freqRange) * naturalWidth
-      minorTickData.push({ x, height: 4, className: 'gram-frame-axis-tick-minor' })
+      minorTickData.push({ position: positionOf(freq), height: 4, className: 'gram-frame-axis-tick-minor' })
     }
   }
   
   // Generate major ticks and labels
-  const numMajorTicks = Math.floor((displayFreqMax - tickCalculation.majorStart) / tickCalculation.majorInterval) + 1
+  const numMajorTicks = Math.floor((freqMax - tickCalculation.majorStart) / tickCalculation.majorInterval) + 1
   if (numMajorTicks <= tickCalculation.maxTicks) {
     for (let i = 0; i < numMajorTicks; i++) {
       const freq = tickCalculation.majorStart + (i * tickCalculation.majorInterval)
-      if (freq > displayFreqMax) break
+      if (freq > freqMax) break
       
-      const x = axisStartX + ((freq - displayFreqMin) / freqRange) * naturalWidth
+      const position = positionOf(freq)
       
-      majorTickData.push({ x, height: 8, className: 'gram-frame-axis-tick-major' })
+      majorTickData.push({ position, height: 8, className: 'gram-frame-axis-tick-major' })
       labelData.push({
-        x,
-        text: formatFrequencyLabels(freq),
+        position,
+        text: formatLabel(freq),
         className: 'gram-frame-axis-label-major'
       })
     }
@@ -348,13 +386,13 @@ function renderFrequencyAxis(instance, margins, naturalWidth, _naturalHeight, fr
     // Fallback to simple tick spacing for extremely dense cases
     const tickCount = 5
     for (let i = 0; i < tickCount; i++) {
-      const freq = displayFreqMin + (i * freqRange / (tickCount - 1))
-      const x = axisStartX + (i / (tickCount - 1)) * naturalWidth
+      const freq = fractionToFreq(i / (tickCount - 1), axis)
+      const position = positionAlong(axisConfig, i / (tickCount - 1))
       
-      majorTickData.push({ x, height: 8, className: 'gram-frame-axis-tick' })
+      majorTickData.push({ position, height: 8, className: 'gram-frame-axis-tick' })
       labelData.push({
-        x,
-        text: formatFrequencyLabels(freq),
+        position,
+        text: formatLabel(freq),
         className: 'gram-frame-axis-label'
       })
     }
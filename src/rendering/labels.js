@@ -1,5 +1,5 @@
 /**
- * In-gram text labels for analysis markers (feature 231).
+ * In-gram text labels for analysis markers (feature 231) and boxes.
  *
  * A marker's label is drawn as black glyphs inside a white halo — the same
  * treatment the harmonic numbers use — so it reads over both dark and light
@@ -32,13 +32,17 @@ const MARKER_LABEL_FONT_SIZE = 12
  * Returns `null` when the marker carries no label, so the caller draws nothing
  * — labels are absent by default. Callers MUST handle a `null` return.
  *
- * @param {AnalysisMarker} marker - The marker being rendered
+ * A box is labelled at its top-left corner as a marker is at its centre, so it
+ * comes through here too, tagged with its own id attribute.
+ *
+ * @param {{id: string, label?: string, symbol?: SymbolType}} marker - The marker or box being rendered
  * @param {number} cx - Marker centre X in SVG overlay space
  * @param {number} cy - Marker centre Y in SVG overlay space
  * @param {number} symbolSize - Drawn diameter of the marker's symbol in px
+ * @param {string} [idAttribute] - Attribute carrying the feature's id
  * @returns {SVGTextElement|null} Detached label element, or `null` when unlabelled
  */
-export function createMarkerLabel(marker, cx, cy, symbolSize) {
+export function createMarkerLabel(marker, cx, cy, symbolSize, idAttribute = 'data-marker-id') {
   if (!marker.label) {
     return null
   }
@@ -47,7 +51,7 @@ export function createMarkerLabel(marker, cx, cy, symbolSize) {
 
   const text = /** @type {SVGTextElement} */ (document.createElementNS(SVG_NS, 'text'))
   text.setAttribute('class', 'gram-frame-marker-label')
-  text.setAttribute('data-marker-id', marker.id)
+  text.setAttribute(idAttribute, marker.id)
   text.setAttribute('x', String(x))
   text.setAttribute('y', String(y))
   text.setAttribute('text-anchor', textAnchor)
@@ -8,20 +8,233 @@
  * @typedef {'fPlus'|'fMinus'|'fZero'} DopplerDraggedMarker
  */
 
+/**
+ * Least-squares fit of the passing-target model to a fitted curve's points
+ * @typedef {Object} DopplerFit
+ * @property {number} f0 - Rest frequency in Hz
+ * @property {number} speed - Source speed in m/s
+ * @property {number} cpaTime - Time of closest point of approach, in seconds
+ * @property {number} timeConstant - CPA range over speed (τ), in seconds
+ * @property {number} shift - Fractional shift v/c, signed as the trace runs; the model's own parameter
+ * @property {Array<number>} residuals - Clicked minus fitted frequency for each point, in Hz, in `fitPoints` order
+ * @property {number} rms - Root-mean-square residual in Hz
+ */
+
+/**
+ * Closest point of approach read from a Doppler curve
+ * @typedef {Object} DopplerCpa
+ * @property {number} time - Time of CPA, in seconds
+ * @property {number|null} timeConstant - CPA range over speed (τ), in seconds; null when the curve cannot say
+ * @property {number|null} range - CPA range in metres; null when the curve cannot say
+ */
+
+/**
+ * Units the speed LED can show
+ * @typedef {'kts'|'m/s'|'km/h'} SpeedUnit
+ */
+
+/**
+ * How frequency runs across the image
+ * @typedef {'linear'|'log'} FreqScale
+ */
+
+/**
+ * Units frequencies are shown in
+ * @typedef {'Hz'|'kHz'} FreqUnit
+ */
+
+/**
+ * Units times are shown in: minutes and seconds, or a decimal number of
+ * seconds, milliseconds or minutes
+ * @typedef {'mm:ss'|'s'|'ms'|'min'} TimeUnit
+ */
+
+/**
+ * The config rows that say how readouts are shown
+ * @typedef {Pick<Config, 'freqUnits'|'timeUnits'|'freqPrecision'|'timePrecision'>} ReadoutFormat
+ */
+
+/**
+ * Which way time increases across the image: up or down for a waterfall with
+ * time on the vertical axis, right or left for a gram rotated to put it on
+ * the horizontal one, where frequency then increases upward
+ * @typedef {'up'|'down'|'right'|'left'} TimeDirection
+ */
+
+/**
+ * How times on the gram are shown: as time of day counted from the config's
+ * `time-origin`, or as time elapsed since the gram's start. A gram with no
+ * origin shows elapsed time whichever is chosen.
+ * @typedef {'clock'|'elapsed'} TimeDisplay
+ */
+
+/**
+ * The limits and scale of a frequency axis — a gram's config, or a profile
+ * read from it
+ * @typedef {Object} FrequencyAxis
+ * @property {number} freqMin - Frequency at the low end of the axis in Hz
+ * @property {number} freqMax - Frequency at the high end of the axis in Hz
+ * @property {FreqScale|null} [freqScale] - Scale across it; linear unless `log`
+ */
+
+/**
+ * Colour scales a greyscale gram can be shown through
+ * @typedef {'grey'|'viridis'|'hot'|'jet'|'green-phosphor'} PaletteName
+ */
+
+/**
+ * Units the CPA range LED can show
+ * @typedef {'m'|'km'|'kyd'|'nmi'} RangeUnit
+ */
+
+/**
+ * Units the CPA time LED can show
+ * @typedef {'s'|'mm:ss'} CpaTimeUnit
+ */
+
+/**
+ * Display units for the Doppler readouts. Display only: values stay in SI
+ * @typedef {Object} DopplerUnits
+ * @property {SpeedUnit} speed - Speed LED unit
+ * @property {CpaTimeUnit} cpaTime - CPA time LED unit
+ * @property {RangeUnit} range - CPA range LED unit
+ */
+
+/**
+ * One Doppler curve: a contact's f+/f-/f₀ markers, or the points a fitted
+ * curve was fitted to, and the speed it measures
+ * @typedef {Object} DopplerCurve
+ * @property {string} id - Unique curve identifier
+ * @property {DataCoordinates|null} fPlus - f+ marker position; null on a fitted curve
+ * @property {DataCoordinates|null} fMinus - f- marker position; null on a fitted curve
+ * @property {DataCoordinates|null} fZero - f₀ marker position; null on a fitted curve
+ * @property {Array<DataCoordinates>|null} fitPoints - Points clicked along the trace for a fitted curve; null on a marker curve
+ * @property {DopplerFit|null} fit - Derived fit of `fitPoints`; null for a marker curve or too few points. Not persisted
+ * @property {number|null} speed - Calculated speed in m/s; null until all three markers are placed, or the points can be fitted
+ * @property {DopplerCpa|null} cpa - Derived closest point of approach; null until the curve has an f₀ or a fit
+ * @property {string} color - Display colour (hex)
+ * @property {SymbolType} symbol - Symbol drawn at f+ and f-; `cross` draws the plain dots
+ * @property {boolean} [largeSymbols] - EXPERIMENT (temporary): draw this curve's symbols at the large size; not persisted
+ */
+
 /**
  * Doppler mode state
  * @typedef {Object} DopplerState
- * @property {DataCoordinates|null} fPlus - f+ marker position
- * @property {DataCoordinates|null} fMinus - f- marker position
- * @property {DataCoordinates|null} fZero - f₀ marker position
- * @property {number|null} speed - Calculated speed in m/s
- * @property {string|null} color - Color used for this doppler curve
+ * @property {Array<DopplerCurve>} curves - Every curve on the gram, oldest first
  * @property {DataCoordinates|null} tempFirst - Temporary storage for first marker during placement
  * @property {DataCoordinates|null} previewEnd - End point for preview drag
+ * @property {number|null} soundSpeed - Analyst's speed-of-sound override in m/s; null to use the configured value
+ * @property {string|null} fittingId - Fitted curve that clicks on empty image add points to; null when not fitting
+ * @property {DopplerUnits} units - Display units for the speed and CPA readouts; a setting, kept by "Clear gram"
  *
  * Drag bookkeeping lives on `state.drag` (see DragProjection); `tempFirst` and
  * `previewEnd` stay here because they are placement geometry the renderer
- * needs, not drag state.
+ * needs, not drag state. The curve being placed is the drag's target.
+ */
+
+/**
+ * Ruler end identifiers
+ * @typedef {'start'|'end'} RulerEnd
+ */
+
+/**
+ * Ruler mode state
+ * @typedef {Object} RulerState
+ * @property {DataCoordinates|null} start - Where the ruler was started
+ * @property {DataCoordinates|null} end - Where the ruler was released
+ * @property {string|null} color - Color used for this ruler
+ * @property {boolean} placing - True while the ruler is being laid down (drawn as a preview)
+ */
+
+/**
+ * What a ruler measures between its ends
+ * @typedef {Object} RulerMeasurement
+ * @property {number} deltaTime - End time minus start time, in seconds
+ * @property {number} deltaFreq - End frequency minus start frequency, in Hz
+ * @property {number|null} slope - Δf / Δt in Hz/s; null when the ends share a time
+ */
+
+/**
+ * Ruler readout LEDs
+ * @typedef {Object} RulerLEDs
+ * @property {HTMLElement} timeLED - Δt readout
+ * @property {HTMLElement} freqLED - Δf readout
+ * @property {HTMLElement} slopeLED - df/dt readout
+ */
+
+/**
+ * What a tonal trace's points say about the line
+ * @typedef {Object} TraceStatistics
+ * @property {number} meanFreq - Time-weighted mean frequency along the trace, in Hz
+ * @property {number} spread - Highest minus lowest point frequency, in Hz
+ * @property {number|null} driftRate - Least-squares frequency drift in Hz/s; null until the points cover more than one time
+ * @property {number} duration - Time from the earliest point to the latest, in seconds
+ */
+
+/**
+ * One tonal trace: points clicked along a line that wanders in frequency
+ * @typedef {Object} TonalTrace
+ * @property {string} id - Unique trace identifier
+ * @property {Array<DataCoordinates>} points - Points in click order; drawn and measured in time order
+ * @property {string} color - Display colour (hex)
+ * @property {SymbolType} symbol - Symbol drawn at each point; `cross` draws plain dots
+ * @property {boolean} [largeSymbols] - EXPERIMENT (temporary): draw this trace's symbols at the large size; not persisted
+ * @property {TraceStatistics|null} stats - Derived from `points`. Not persisted
+ */
+
+/**
+ * Trace mode state
+ * @typedef {Object} TraceState
+ * @property {Array<TonalTrace>} traces - Every trace on the gram, oldest first
+ * @property {string|null} drawingId - Trace that clicks on empty image add points to; null when none is being drawn
+ */
+
+/**
+ * Trace readout LEDs
+ * @typedef {Object} TraceLEDs
+ * @property {HTMLElement} meanLED - Mean frequency readout
+ * @property {HTMLElement} spreadLED - Frequency spread readout
+ * @property {HTMLElement} driftLED - Drift rate readout
+ */
+
+/**
+ * A box's extents: the time span and frequency band it covers, normalised so
+ * start precedes end and low is below high
+ * @typedef {Object} BoxExtents
+ * @property {number} timeStart - Earlier edge, in seconds
+ * @property {number} timeEnd - Later edge, in seconds
+ * @property {number} freqLow - Lower edge, in Hz
+ * @property {number} freqHigh - Upper edge, in Hz
+ */
+
+/**
+ * A time–frequency box: a region highlighted on the gram, such as a broadband
+ * event or a transient
+ * @typedef {BoxExtents & TimeFrequencyBoxFields} TimeFrequencyBox
+ */
+
+/**
+ * The fields a box carries besides its extents
+ * @typedef {Object} TimeFrequencyBoxFields
+ * @property {string} id - Unique box identifier
+ * @property {string} color - Outline and fill colour (hex)
+ * @property {SymbolType} symbol - Symbol drawn at the top-left corner; `cross` draws none
+ * @property {boolean} [largeSymbols] - EXPERIMENT (temporary): draw this box's symbol at the large size; not persisted
+ * @property {string} [label] - Free-text label shown above the box; ABSENT when unlabelled
+ */
+
+/**
+ * Box mode state
+ * @typedef {Object} BoxState
+ * @property {Array<TimeFrequencyBox>} boxes - Every box on the gram, oldest first
+ */
+
+/**
+ * Doppler readout LEDs beside the speed LED
+ * @typedef {Object} DopplerLEDs
+ * @property {HTMLElement} f0LED - Rest frequency readout
+ * @property {HTMLElement} cpaLED - CPA time readout; click to change units
+ * @property {HTMLElement} rangeLED - CPA range readout; click to change units
  */
 
 /**
@@ -31,6 +244,16 @@
  * @property {number} timeMax - Maximum time value in seconds  
  * @property {number} freqMin - Minimum frequency value in Hz
  * @property {number} freqMax - Maximum frequency value in Hz
+ * @property {number|null} [soundSpeed] - Speed of sound in m/s from an optional `sound-speed` row; null when the table has none
+ * @property {SpeedUnit|null} [speedUnits] - Speed LED unit from an optional `speed-units` row; null when the table has none
+ * @property {FreqScale|null} [freqScale] - Frequency scale from an optional `freq-scale` row; null when the table has none, which is linear
+ * @property {TimeDirection|null} [timeDirection] - Time direction from optional `time-axis` and `time-direction` rows; null when the table has neither, which is up
+ * @property {PaletteName|null} [palette] - Palette the gram opens in, from an optional `palette` row; null when the table has none
+ * @property {number|null} [timeOrigin] - Time of day at `time-start` (`timeMin`), in seconds after midnight, from an optional `time-origin` row; null when the table has none
+ * @property {FreqUnit|null} [freqUnits] - Units frequencies are shown in, from an optional `freq-units` row; null when the table has none, which is Hz
+ * @property {TimeUnit|null} [timeUnits] - Units elapsed times are shown in, from an optional `time-units` row; null when the table has none, which is mm:ss
+ * @property {number|null} [freqPrecision] - Decimal places for frequency readouts, from an optional `freq-precision` row; null for the unit's default
+ * @property {number|null} [timePrecision] - Decimal places for decimal time readouts, from an optional `time-precision` row; null for the unit's default
  */
 
 /**
@@ -83,6 +306,57 @@
  * Drag bookkeeping lives on `state.drag` (see DragProjection).
  */
 
+/**
+ * A spacing proposed as the fundamental of several tonals
+ * @typedef {Object} FundamentalCandidate
+ * @property {number} spacing - Spacing in Hz, least-squares fitted to the tonals
+ * @property {number[]} orders - The harmonic number each tonal falls on, in the order the tonals were given
+ * @property {number} fit - Fit score from 1 (every tonal exactly on a harmonic) down to 0
+ */
+
+/**
+ * The spectrogram's intensity along one time row
+ * @typedef {Object} IntensityProfile
+ * @property {number[]} values - Luminance from 0 to 1, one per image pixel along the frequency axis, lowest frequency first
+ * @property {number} freqMin - Frequency at the low end of the image in Hz
+ * @property {number} freqMax - Frequency at the high end of the image in Hz
+ * @property {FreqScale|null} [freqScale] - How frequency runs along the values; linear unless `log`
+ */
+
+/**
+ * The spectrogram's intensity down one frequency column
+ * @typedef {Object} TimeProfile
+ * @property {number[]} values - Luminance from 0 to 1, one per image pixel along the time axis, earliest first; the first and last sit on the time limits
+ * @property {number} timeMin - Earliest time on the image in seconds
+ * @property {number} timeMax - Latest time on the image in seconds
+ */
+
+/**
+ * How the spectrogram image is shown: display only, never the pixels read
+ * back for intensity
+ * @typedef {Object} ImageAdjustments
+ * @property {number} brightness - Added to every channel, from -0.5 to 0.5; 0 leaves it
+ * @property {number} contrast - Stretch about mid-grey; 1 leaves it
+ * @property {number} gamma - Mid-tone lift, above 1 brightening; 1 leaves it
+ * @property {boolean} invert - Whether black and white are swapped
+ */
+
+/**
+ * The drawing area of a slice plot, in SVG units
+ * @typedef {Object} PlotBounds
+ * @property {number} left - Left edge
+ * @property {number} right - Right edge
+ * @property {number} top - Where full brightness plots
+ * @property {number} bottom - Where black plots
+ */
+
+/**
+ * A harmonic spacing read off the spectrogram's pixels
+ * @typedef {Object} SpacingEstimate
+ * @property {number} spacing - Spacing in Hz
+ * @property {number} confidence - How strongly the profile repeats at that spacing, from 0 to 1
+ */
+
 /**
  * Individual harmonic data
  * @typedef {Object} HarmonicData
@@ -98,6 +372,12 @@
  * @typedef {'cross'|'circle'|'square'|'diamond'|'triangle'|'triangle-down'|'star'} SymbolType
  */
 
+/**
+ * Which orders a harmonic set draws: every one, the odd or even ones, or the
+ * explicit list in its `orders`. Defined in `utils/harmonicSeries.js`.
+ * @typedef {'all'|'odd'|'even'|'custom'} HarmonicSeriesType
+ */
+
 /**
  * Harmonic set definition for interactive overlays
  * @typedef {Object} HarmonicSet
@@ -107,9 +387,27 @@
  * @property {number} spacing - Frequency spacing between harmonics in Hz
  * @property {SymbolType} symbol - Filled shape drawn at the top of each pin and shown in the harmonics table
  * @property {boolean} [showPin] - Whether the vertical pin lines are drawn; absent (legacy/restored) means shown
+ * @property {number} [carrier] - Carrier frequency in Hz; when present the set is a sideband family drawn at carrier ± n·spacing
+ * @property {HarmonicSeriesType} [series] - Which orders are drawn; absent means all
+ * @property {number[]} [orders] - Ascending harmonic (or sideband) numbers drawn by a `custom` series
+ * @property {number} [timeStart] - Start of the interval the lines span, in seconds; with `timeEnd`, makes the set time-bounded
+ * @property {number} [timeEnd] - End of the interval the lines span, in seconds; `anchorTime` is kept at the interval's middle
+ * @property {number} [spacingEnd] - Spacing in Hz at `timeEnd` of a drifting set, whose `spacing` is then the spacing at `timeStart`; needs time bounds
  * @property {boolean} [largeSymbols] - EXPERIMENT (temporary): draw this set's pin symbols at the large size; not persisted
  */
 
+/**
+ * Optional fields for a new harmonic set: a carrier for a sideband family, a
+ * series type (with its orders when custom) and time bounds (both or neither).
+ * @typedef {Object} HarmonicSetOptions
+ * @property {number} [carrier] - Carrier frequency in Hz
+ * @property {HarmonicSeriesType} [series] - Which orders to draw; all when absent
+ * @property {number[]} [orders] - Orders for a `custom` series
+ * @property {number} [timeStart] - Interval start in seconds
+ * @property {number} [timeEnd] - Interval end in seconds
+ * @property {number} [spacingEnd] - Spacing in Hz at the interval end; needs both bounds
+ */
+
 /**
  * Harmonics mode state
  * @typedef {Object} HarmonicsState
@@ -124,7 +422,7 @@
 /**
  * One column of a DiffingTable.
  * @typedef {Object} TableColumn
- * @property {string} label - Header text
+ * @property {string|function(): string} label - Header text, or a function giving it for a header whose text can change
  * @property {string} [width] - CSS width for the header cell
  * @property {string} [cellClassName] - Class applied to every body cell in this column
  */
@@ -147,7 +445,7 @@
  * @property {function(any, number): Array<string|Node>} cells - Cell content per column
  * @property {string} [deleteSelector] - Selector for the delete control; clicks on it delete rather than select
  * @property {Array<TableRowAction>} [actions] - Further per-row controls that act instead of selecting
- * @property {function(string, any, number): void} [onSelect] - Row click
+ * @property {function(string, any, number, MouseEvent): void} [onSelect] - Row click, with the click for its modifier keys
  * @property {function(string, any, number): void} [onDelete] - Delete-control click
  * @property {function(string): boolean} [isSelected] - Whether the row with this key is selected
  */
@@ -185,7 +483,7 @@
  * @property {DragKind|null} kind - What kind of drag
  * @property {ModeType|null} mode - Mode that owns the drag
  * @property {string|null} targetId - Id of the dragged feature, if any
- * @property {string|null} targetType - 'marker' | 'harmonicSet' | 'dopplerMarker' | null
+ * @property {string|null} targetType - 'marker' | 'harmonicSet' | 'harmonicSetBound' | 'dopplerMarker' | 'rulerEnd' | 'tracePoint' | 'boxCorner' | 'boxEdge' | null
  * @property {DataCoordinates|null} startPosition - Where the drag began, in data coordinates
  */
 
@@ -222,7 +520,7 @@
 
 /**
  * Analysis mode type
- * @typedef {'analysis'|'harmonics'|'doppler'|'pan'} ModeType
+ * @typedef {'analysis'|'harmonics'|'doppler'|'pan'|'ruler'|'trace'|'box'} ModeType
  */
 
 /**
@@ -250,7 +548,6 @@
  * @property {ImageDetails} imageDetails - Image dimensions
  * @property {Config} config - Time/frequency range configuration
  * @property {ZoomState} zoom - Current zoom state
- * @property {number} rate - Frequency divider, applied on the data side only
  */
 
 /**
@@ -264,7 +561,7 @@
 /**
  * Selection state for keyboard fine control
  * @typedef {Object} SelectionState
- * @property {string|null} selectedType - Type of selected item ('marker' | 'harmonicSet' | null)
+ * @property {string|null} selectedType - Type of selected item ('marker' | 'harmonicSet' | 'dopplerCurve' | 'trace' | 'box' | null)
  * @property {string|null} selectedId - ID of selected item
  * @property {number|null} selectedIndex - Index in table for display purposes
  */
@@ -277,10 +574,11 @@
  * @property {string} instanceId - Unique instance identifier
  * @property {ModeType} mode - Current analysis mode
  * @property {ModeType|null} previousMode - Previous analysis mode
- * @property {number} rate - Rate value affecting frequency calculations (Hz/s)
+ * @property {number|null} rate - Rate divisor in Hz (e.g. shaft rate); readouts show frequencies as multiples of it. Readout-only: data stays in Hz. Null means no rate (see utils/rate.js)
  * @property {string} selectedColor - Colour for the NEXT created feature (when nothing is selected); when a feature is selected the picker restyles it instead
  * @property {SymbolType} selectedSymbol - Symbol for the NEXT created harmonic set or marker (when nothing is selected); when a feature is selected the picker restyles it instead
  * @property {boolean} showHarmonicPin - Pin visibility for the NEXT created harmonic set; session preference, on by default
+ * @property {boolean} snapToPeak - Whether placed and dropped markers snap to the brightest nearby pixel; session preference, off by default
  * @property {boolean} largeSymbols - EXPERIMENT (temporary): large-symbol size for the NEXT created feature (when nothing is selected); in-memory only, never persisted
  * @property {CursorPosition|null} cursorPosition - Current cursor position data
  * @property {Array<CursorPosition>} cursors - Array of cursor positions (future use)
@@ -288,6 +586,9 @@
  * @property {HarmonicsState} harmonics - Harmonics mode state
  * @property {DopplerState} doppler - Doppler mode state
  * @property {AnalysisState} analysis - Analysis mode state
+ * @property {RulerState} ruler - Ruler mode state
+ * @property {TraceState} trace - Trace mode state
+ * @property {BoxState} box - Box mode state
  * @property {DragProjection} drag - Read-only projection of the active drag
  * @property {SelectionState} selection - Selection state for keyboard control
  * @property {ImageDetails} imageDetails - Image source and dimensions
@@ -296,6 +597,7 @@
  * @property {AxesMargins} margins - Axes margin configuration
  * @property {ZoomState} zoom - Zoom state configuration
  * @property {boolean} [imageExpanded] - Whether the image is expanded to fill available space (in-memory only)
+ * @property {TimeDisplay} timeDisplay - How times on the gram are shown (in-memory only)
  */
 
 /**
@@ -328,6 +630,9 @@
  * @property {StoredAnalysisData} analysis - Stored analysis mode annotations
  * @property {StoredHarmonicsData} harmonics - Stored harmonics mode annotations
  * @property {StoredDopplerData} doppler - Stored doppler mode annotations
+ * @property {StoredRulerData} [ruler] - Stored ruler; ABSENT in records saved before Ruler mode
+ * @property {Array<StoredTonalTrace>} [traces] - Stored tonal traces; ABSENT in records saved before Trace mode
+ * @property {Array<StoredBox>} [boxes] - Stored boxes; ABSENT in records saved before Box mode
  */
 
 /**
@@ -374,15 +679,62 @@
  * @property {number} spacing - Frequency spacing between harmonics in Hz
  * @property {SymbolType} [symbol] - Persisted symbol; ABSENT in legacy (pre-feature) records
  * @property {boolean} [showPin] - Persisted pin visibility; ABSENT in records saved before the pin toggle (restores as shown)
+ * @property {number} [carrier] - Carrier frequency in Hz of a sideband family; ABSENT for plain sets and in records saved before sideband families
+ * @property {HarmonicSeriesType} [series] - Series type; ABSENT for an all-orders set and in records saved before series types
+ * @property {number[]} [orders] - Custom series orders; present only with `series: 'custom'`
+ * @property {number} [timeStart] - Interval start of a time-bounded set; ABSENT for other sets and in records saved before time bounds
+ * @property {number} [timeEnd] - Interval end of a time-bounded set; present exactly when `timeStart` is
+ * @property {number} [spacingEnd] - End spacing of a drifting set; ABSENT for other sets and in records saved before drifting sets
  */
 
 /**
  * Stored doppler data
  * @typedef {Object} StoredDopplerData
+ * @property {Array<StoredDopplerCurve>} curves - All doppler curves. Records saved before multiple curves hold one curve's fields here instead; the sanitizer migrates them
+ */
+
+/**
+ * Stored doppler curve (persisted subset of DopplerCurve)
+ * @typedef {Object} StoredDopplerCurve
+ * @property {string} id - Unique curve identifier
  * @property {DataCoordinates|null} fPlus - Upper frequency marker position
  * @property {DataCoordinates|null} fMinus - Lower frequency marker position
  * @property {DataCoordinates|null} fZero - Centre frequency marker position
  * @property {string|null} color - Curve colour (hex)
+ * @property {SymbolType} [symbol] - Persisted symbol; ABSENT in migrated single-curve records (default `cross` on restore)
+ * @property {Array<DataCoordinates>} [fitPoints] - Points of a fitted curve; ABSENT on a marker curve
+ * @property {number|null} [cpaTime] - CPA time in seconds, written for readers of the record; derived, so recomputed rather than restored
+ * @property {number|null} [cpaRange] - CPA range in metres, likewise written but recomputed on restore
+ */
+
+/**
+ * Ruler data as persisted in storage
+ * @typedef {Object} StoredRulerData
+ * @property {DataCoordinates|null} start - Ruler start position
+ * @property {DataCoordinates|null} end - Ruler end position
+ * @property {string|null} color - Ruler colour (hex)
+ */
+
+/**
+ * Stored tonal trace (persisted subset of TonalTrace)
+ * @typedef {Object} StoredTonalTrace
+ * @property {string} id - Unique trace identifier
+ * @property {Array<DataCoordinates>} points - Trace points, in click order
+ * @property {string|null} color - Trace colour (hex)
+ * @property {SymbolType} [symbol] - Symbol drawn at each point
+ */
+
+/**
+ * Stored box (persisted subset of TimeFrequencyBox)
+ * @typedef {Object} StoredBox
+ * @property {string} id - Unique box identifier
+ * @property {number} timeStart - Earlier edge, in seconds
+ * @property {number} timeEnd - Later edge, in seconds
+ * @property {number} freqLow - Lower edge, in Hz
+ * @property {number} freqHigh - Upper edge, in Hz
+ * @property {string|null} color - Box colour (hex)
+ * @property {SymbolType} [symbol] - Symbol drawn at the top-left corner
+ * @property {string} [label] - Free-text label; ABSENT when unlabelled
  */
 
 /**
@@ -495,7 +847,7 @@
  * @property {HTMLDivElement} modeCell - Mode header cell
  * @property {HTMLDivElement} mainCell - Main display cell
  * @property {HTMLElement|null} modeLED - Mode LED; never assigned today, so always null
- * @property {HTMLElement|null} rateLED - Rate LED; never assigned today, so always null
+ * @property {HTMLElement} rateLED - Rate LED: the cursor's frequency as a multiple of the rate
  * @property {HTMLElement} colorPicker - Style panel (colour, symbol, size, pin)
  * @property {SVGSVGElement} svg - Root SVG
  * @property {SVGGElement} cursorGroup - Group holding cursors and persistent features
@@ -505,8 +857,14 @@
  * @property {HTMLDivElement} modeColumn - Mode buttons column
  * @property {HTMLElement} timeLED - Time readout
  * @property {HTMLElement} freqLED - Frequency readout
+ * @property {HTMLElement} intensityLED - Brightness of the image pixel under the cursor
  * @property {HTMLElement} speedLED - Speed readout
+ * @property {DopplerLEDs} dopplerLEDs - Doppler f₀ / CPA time / CPA range readouts
+ * @property {RulerLEDs} rulerLEDs - Ruler Δt / Δf / df/dt readouts
+ * @property {TraceLEDs} traceLEDs - Trace mean / spread / drift readouts
  * @property {HTMLDivElement} markersContainer - Markers table container
+ * @property {HTMLDivElement} tracesContainer - Traces table container
+ * @property {HTMLDivElement} boxesContainer - Boxes table container
  * @property {HTMLDivElement} harmonicsContainer - Harmonics panel container
  * @property {HTMLElement|null} harmonicPanel - Harmonics panel, mounted by HarmonicsMode
  * @property {SVGImageElement} spectrogramImage - The spectrogram image element
@@ -541,10 +899,17 @@
  * @property {HTMLDivElement} guidanceColumn - Guidance text column
  * @property {HTMLDivElement} controlsColumn - Controls column
  * @property {HTMLDivElement} markersContainer - Markers table container
+ * @property {HTMLDivElement} tracesContainer - Traces table container
+ * @property {HTMLDivElement} boxesContainer - Boxes table container
  * @property {HTMLDivElement} harmonicsContainer - Harmonics panel container
  * @property {HTMLElement} timeLED - Time readout
  * @property {HTMLElement} freqLED - Frequency readout
+ * @property {HTMLElement} intensityLED - Brightness of the image pixel under the cursor
  * @property {HTMLElement} speedLED - Speed readout
+ * @property {HTMLElement} rateLED - Cursor frequency as a multiple of the rate
+ * @property {DopplerLEDs} dopplerLEDs - Doppler f₀ / CPA time / CPA range readouts
+ * @property {RulerLEDs} rulerLEDs - Ruler Δt / Δf / df/dt readouts
+ * @property {TraceLEDs} traceLEDs - Trace mean / spread / drift readouts
  * @property {HTMLElement} colorPicker - Style panel (colour, symbol, size, pin)
  */
 
@@ -589,6 +954,24 @@
  * @property {DopplerState} doppler - Doppler state
  */
 
+/**
+ * Ruler mode initial state object
+ * @typedef {Object} RulerInitialState
+ * @property {RulerState} ruler - Ruler state
+ */
+
+/**
+ * Trace mode initial state object
+ * @typedef {Object} TraceInitialState
+ * @property {TraceState} trace - Trace state
+ */
+
+/**
+ * Box mode initial state object
+ * @typedef {Object} BoxInitialState
+ * @property {BoxState} box - Box state
+ */
+
 /**
  * Harmonics mode initial state object
  * @typedef {Object} HarmonicsInitialState
@@ -611,8 +994,8 @@
  * @property {function(StateListener): boolean} removeStateListener - Remove state listener
  * @property {function(): boolean} [getExpandState] - Get current expand state (first instance)
  * @property {function(boolean): void} [setExpandState] - Expand/collapse landscape instances
- * @property {function(HTMLTableElement, string): void} _addErrorIndicator - Add error indicator to table
- * @property {function(HTMLTableElement, Node|null, Node|null): void} _restoreConfigTable - Put a config table back after a failed init
+ * @property {function(HTMLElement, string): void} _addErrorIndicator - Add error indicator to a config element
+ * @property {function(HTMLElement, Node|null, Node|null): void} _restoreConfigElement - Put a config element back after a failed init
  * @property {function(): GramFrame[]} _getInstances - The API's single instance registry
  * @property {function(): void} [__test__flushDispatches] - Deliver every instance's pending notification (debug pages only)
  * @property {GramFrame[]} [_instances] - Internal instances array
@@ -0,0 +1,73 @@
+/**
+ * Time–frequency box geometry
+ *
+ * The arithmetic behind Box mode: turning two dragged corners into a box's
+ * extents, and finding which part of a box the pointer is on. A box is held
+ * normalised — start before end, low below high — whichever way it was
+ * dragged, so nothing downstream has to sort its corners. Kept pure — no DOM,
+ * no state — as the ruler and trace arithmetic are.
+ */
+
+/// <reference path="../types.js" />
+
+/** @typedef {import('./tolerance.js').DataTolerance} DataTolerance */
+
+/**
+ * Extents of the box spanned by two opposite corners, in either order.
+ * @param {DataCoordinates} a - One corner
+ * @param {DataCoordinates} b - The opposite corner
+ * @returns {BoxExtents} Normalised extents
+ */
+export function boxFromCorners(a, b) {
+  return {
+    timeStart: Math.min(a.time, b.time),
+    timeEnd: Math.max(a.time, b.time),
+    freqLow: Math.min(a.freq, b.freq),
+    freqHigh: Math.max(a.freq, b.freq)
+  }
+}
+
+/**
+ * A box's four corners, each paired with the corner opposite it — the anchor
+ * a corner drag resizes about.
+ * @param {BoxExtents} box - Box extents
+ * @returns {Array<{corner: DataCoordinates, opposite: DataCoordinates}>} Corners with their opposites
+ */
+export function boxCorners(box) {
+  const { timeStart, timeEnd, freqLow, freqHigh } = box
+  return [
+    { corner: { time: timeStart, freq: freqLow }, opposite: { time: timeEnd, freq: freqHigh } },
+    { corner: { time: timeStart, freq: freqHigh }, opposite: { time: timeEnd, freq: freqLow } },
+    { corner: { time: timeEnd, freq: freqLow }, opposite: { time: timeStart, freq: freqHigh } },
+    { corner: { time: timeEnd, freq: freqHigh }, opposite: { time: timeStart, freq: freqLow } }
+  ]
+}
+
+/**
+ * Whether a position lies on a box's outline, within tolerance.
+ *
+ * Only the outline counts, not the interior: a box marking a broadband event
+ * can cover most of the gram, and a grab anywhere inside it would leave no
+ * room to draw another box over it.
+ * @param {BoxExtents} box - Box extents
+ * @param {DataCoordinates} position - Position to check
+ * @param {DataTolerance} tolerance - Tolerance object with time and freq properties
+ * @returns {boolean} True if the position is on an edge
+ */
+export function isOnBoxEdge(box, position, tolerance) {
+  const { time, freq } = position
+  const withinTime = time >= box.timeStart - tolerance.time && time <= box.timeEnd + tolerance.time
+  const withinFreq = freq >= box.freqLow - tolerance.freq && freq <= box.freqHigh + tolerance.freq
+  const nearTimeEdge = Math.abs(time - box.timeStart) <= tolerance.time || Math.abs(time - box.timeEnd) <= tolerance.time
+  const nearFreqEdge = Math.abs(freq - box.freqLow) <= tolerance.freq || Math.abs(freq - box.freqHigh) <= tolerance.freq
+  return (nearTimeEdge && withinFreq) || (nearFreqEdge && withinTime)
+}
+
+/**
+ * Whether a box has no area — the result of a click that never dragged.
+ * @param {BoxExtents} box - Box extents
+ * @returns {boolean} True if the box spans no time or no frequency
+ */
+export function isEmptyBox(box) {
+  return box.timeEnd === box.timeStart || box.freqHigh === box.freqLow
+}
@@ -28,7 +28,10 @@ export function getModeDisplayName(mode) {
     'analysis': 'Cross Cursor',
     'harmonics': 'Harmonics', 
     'doppler': 'Doppler',
-    'pan': 'Pan'
+    'pan': 'Pan',
+    'ruler': 'Ruler',
+    'trace': 'Trace',
+    'box': 'Box'
   }
   
   return displayNames[mode] || capitalizeFirstLetter(mode)
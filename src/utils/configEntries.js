@@ -0,0 +1,89 @@
+/**
+ * Config entries
+ *
+ * A gram's config can be written as the rows of a `<table class="gram-config">`,
+ * as `data-gram-*` attributes on an `<img>` or `<figure>`, or as an inline
+ * `<script type="application/json" class="gram-config">`. Each comes down to
+ * the same list of parameter/value pairs, which `core/configuration.js`
+ * validates in one place whichever way they were written. This module turns
+ * the attributes and the JSON into that list; finding the element and reading
+ * the table is `core/configSource.js`'s business.
+ */
+
+/**
+ * One parameter of a gram's config, as written.
+ * @typedef {Object} ConfigEntry
+ * @property {string} param - Parameter name, such as `time-start`
+ * @property {string} value - Its value as text, trimmed
+ * @property {string} where - Where it was written, for warnings: `row 3`,
+ *   `data-gram-time-start` or `key "time-start"`
+ */
+
+/**
+ * Prefix marking an attribute as a config parameter
+ * @type {string}
+ */
+const ATTRIBUTE_PREFIX = 'data-gram-'
+
+/**
+ * JSON key naming the spectrogram image rather than a parameter
+ * @type {string}
+ */
+const IMAGE_KEY = 'image'
+
+/**
+ * The config written as `data-gram-*` attributes, in the order written.
+ * Other attributes are left out.
+ * @param {ArrayLike<{name: string, value: string}>} attributes - An element's attributes
+ * @returns {ConfigEntry[]} One entry per `data-gram-*` attribute
+ */
+export function attributeConfigEntries(attributes) {
+  return Array.from(attributes)
+    .filter(({ name }) => name.toLowerCase().startsWith(ATTRIBUTE_PREFIX))
+    .map(({ name, value }) => ({
+      param: name.toLowerCase().slice(ATTRIBUTE_PREFIX.length),
+      value: value.trim(),
+      where: name.toLowerCase()
+    }))
+}
+
+/**
+ * The config written as inline JSON: an object whose `image` key gives the
+ * spectrogram's URL and whose other keys are the parameters.
+ *
+ * Numbers and booleans are taken as the text they would be in a table cell.
+ * A nested object, array or `null` is passed on as its JSON, which fails
+ * validation the way a bad table cell does, with a warning naming the key.
+ * @param {string} text - The script's text
+ * @returns {{image: string|null, entries: ConfigEntry[]}} The image URL as
+ *   written, or null if there is none, and one entry per other key
+ * @throws {Error} If the text is not JSON, or is JSON but not an object
+ */
+export function jsonConfigEntries(text) {
+  /** @type {unknown} */
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Inline JSON config is not valid JSON: ${error instanceof Error ? error.message : String(error)}`)
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error('Inline JSON config must be an object of parameter names and values')
+  }
+
+  /** @type {string|null} */
+  let image = null
+  /** @type {ConfigEntry[]} */
+  const entries = []
+  Object.entries(parsed).forEach(([key, raw]) => {
+    const value = typeof raw === 'string' ? raw.trim()
+      : typeof raw === 'number' || typeof raw === 'boolean' ? String(raw)
+        : JSON.stringify(raw)
+    if (key === IMAGE_KEY) {
+      image = value
+    } else {
+      entries.push({ param: key, value, where: `key "${key}"` })
+    }
+  })
+  return { image, entries }
+}
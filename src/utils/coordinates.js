@@ -16,7 +16,15 @@
  * - **Image** — render-pixel space, relative to the image's top-left. Always
  *   expressed against `imageDetails.renderWidth/renderHeight`, so a point keeps
  *   the same image coordinates whatever the element is currently scaled to.
- * - **Data** — time in seconds and frequency in Hz.
+ * - **Data** — time in seconds and frequency in Hz. Always Hz: the analyst's
+ *   rate divisor (`state.rate`) is a readout concern and never enters this
+ *   module, so a feature draws where it was placed whatever the rate (BH-26).
+ *   Frequency runs across the image linearly, or logarithmically for a gram
+ *   whose config says `freq-scale: log`; {@link freqToFraction} and
+ *   {@link fractionToFreq} are the only places that difference is made.
+ *   Time runs up the image unless the config turns it (`time-direction`):
+ *   down it, or across it with frequency running up; {@link dataToImageFraction}
+ *   and {@link imageFractionToData} are the only places that is applied.
  *
  * Two invariants are worth stating because they are easy to get wrong:
  *
@@ -39,10 +47,120 @@
  * @property {AxesMargins} margins - Axes margins
  * @property {ImageDetails} imageDetails - Image dimensions
  * @property {Config} config - Time/frequency configuration
- * @property {number} rate - Frequency divider
  * @property {ZoomState} zoom - Current zoom state
  */
 
+/**
+ * How far across a frequency axis a frequency lies.
+ *
+ * Linear unless the axis says `log`, when equal ratios of frequency take equal
+ * widths. A log axis needs `freqMin` above zero, which configuration ensures.
+ * @param {number} freq - Frequency in Hz
+ * @param {FrequencyAxis} axis - The axis's limits and scale
+ * @returns {number} 0 at `freqMin`, 1 at `freqMax`; beyond them outside the axis
+ */
+export function freqToFraction(freq, axis) {
+  const { freqMin, freqMax } = axis
+  if (axis.freqScale === 'log') {
+    return Math.log(freq / freqMin) / Math.log(freqMax / freqMin)
+  }
+  return (freq - freqMin) / (freqMax - freqMin)
+}
+
+/**
+ * The frequency a fraction of the way across a frequency axis. The inverse of
+ * {@link freqToFraction}.
+ * @param {number} fraction - 0 at `freqMin`, 1 at `freqMax`
+ * @param {FrequencyAxis} axis - The axis's limits and scale
+ * @returns {number} Frequency in Hz
+ */
+export function fractionToFreq(fraction, axis) {
+  const { freqMin, freqMax } = axis
+  if (axis.freqScale === 'log') {
+    return freqMin * Math.pow(freqMax / freqMin, fraction)
+  }
+  return freqMin + fraction * (freqMax - freqMin)
+}
+
+/**
+ * The directions time can increase in across the image.
+ * @type {TimeDirection[]}
+ */
+export const TIME_DIRECTIONS = ['up', 'down', 'right', 'left']
+
+/**
+ * Whether a value names a time direction.
+ * @param {unknown} value - Candidate direction
+ * @returns {value is TimeDirection} True for one of {@link TIME_DIRECTIONS}
+ */
+export function isTimeDirection(value) {
+  return TIME_DIRECTIONS.includes(/** @type {TimeDirection} */ (value))
+}
+
+/**
+ * Whether a gram runs time along its horizontal axis, and so frequency up its
+ * vertical one.
+ * @param {Config} config - The gram's configuration
+ * @returns {boolean} True when time runs right or left
+ */
+export function isTimeHorizontal(config) {
+  return config.timeDirection === 'right' || config.timeDirection === 'left'
+}
+
+/**
+ * Where a point falls on the image, as fractions of its width and height from
+ * its top-left corner.
+ * @param {DataCoordinates} point - Time and frequency
+ * @param {Config} config - The gram's ranges, scale and orientation
+ * @returns {{x: number, y: number}} 0 to 1 across and down the image; beyond them off it
+ */
+export function dataToImageFraction(point, config) {
+  const { timeMin, timeMax } = config
+  const freqFraction = freqToFraction(point.freq, config)
+  const timeFraction = (point.time - timeMin) / (timeMax - timeMin)
+  switch (config.timeDirection) {
+    case 'down':
+      return { x: freqFraction, y: timeFraction }
+    case 'right':
+      return { x: timeFraction, y: 1 - freqFraction }
+    case 'left':
+      return { x: 1 - timeFraction, y: 1 - freqFraction }
+    default:
+      return { x: freqFraction, y: 1 - timeFraction }
+  }
+}
+
+/**
+ * The point at fractions of the image's width and height from its top-left
+ * corner. The inverse of {@link dataToImageFraction}.
+ * @param {number} x - Fraction across the image
+ * @param {number} y - Fraction down the image
+ * @param {Config} config - The gram's ranges, scale and orientation
+ * @returns {DataCoordinates} Time and frequency
+ */
+function imageFractionToData(x, y, config) {
+  const { timeMin, timeMax } = config
+  let freqFraction = x
+  let timeFraction = 1 - y
+  switch (config.timeDirection) {
+    case 'down':
+      timeFraction = y
+      break
+    case 'right':
+      freqFraction = 1 - y
+      timeFraction = x
+      break
+    case 'left':
+      freqFraction = 1 - y
+      timeFraction = 1 - x
+      break
+  }
+  return {
+    freq: fractionToFreq(freqFraction, config),
+    time: timeMin + timeFraction * (timeMax - timeMin)
+  }
+}
+
 /**
  * Base render size, falling back to the image's natural size.
  * @param {ImageDetails} imageDetails - Image dimensions
@@ -111,7 +229,8 @@ export function getRenderDimensions(viewport) {
  * @returns {DataRange} Visible data range
  */
 export function calculateVisibleDataRange(viewport, spectrogramImage = null) {
-  const { timeMin, timeMax, freqMin, freqMax } = viewport.config
+  const { config } = viewport
+  const { timeMin, timeMax, freqMin, freqMax } = config
   const margins = viewport.margins
   const zoomLevel = viewport.zoom.level
   // Base render size (defaults to natural; grows when expanded)
@@ -137,20 +256,16 @@ export function calculateVisibleDataRange(viewport, spectrogramImage = null) {
   const visibleTop = Math.max(0, margins.top - imageTop)
   const visibleBottom = Math.min(imageHeight, margins.top + renderHeight - imageTop)
 
-  // Convert to data coordinates
-  const freqRange = freqMax - freqMin
-  const timeRange = timeMax - timeMin
-
-  const visibleFreqMin = freqMin + (visibleLeft / imageWidth) * freqRange
-  const visibleFreqMax = freqMin + (visibleRight / imageWidth) * freqRange
-  const visibleTimeMax = timeMax - (visibleTop / imageHeight) * timeRange
-  const visibleTimeMin = timeMax - (visibleBottom / imageHeight) * timeRange
+  // Convert the visible corners to data coordinates. Which corner holds which
+  // end of each range depends on the gram's orientation, so take the extremes.
+  const corner = imageFractionToData(visibleLeft / imageWidth, visibleTop / imageHeight, config)
+  const opposite = imageFractionToData(visibleRight / imageWidth, visibleBottom / imageHeight, config)
 
   return {
-    freqMin: visibleFreqMin,
-    freqMax: visibleFreqMax,
-    timeMin: visibleTimeMin,
-    timeMax: visibleTimeMax
+    freqMin: Math.min(corner.freq, opposite.freq),
+    freqMax: Math.max(corner.freq, opposite.freq),
+    timeMin: Math.min(corner.time, opposite.time),
+    timeMax: Math.max(corner.time, opposite.time)
   }
 }
 
@@ -200,36 +315,19 @@ export function svgToImage(svgX, svgY, viewport, spectrogramImage = null) {
 /**
  * Convert image-relative coordinates to data coordinates.
  *
- * `rate` is applied here and only here — it divides frequency, so SVG and image
- * space stay rate-free.
- *
  * @param {number} imageX - Image X coordinate, in render pixels
  * @param {number} imageY - Image Y coordinate, in render pixels
  * @param {Viewport} viewport - Current viewport
  * @returns {DataCoordinates} Data coordinates
  */
 export function imageToData(imageX, imageY, viewport) {
-  const { config, imageDetails, rate } = viewport
-  const { freqMin, freqMax, timeMin, timeMax } = config
-  const { width, height } = renderSize(imageDetails)
-
-  // X-axis = frequency (horizontal)
-  const rawFreq = freqMin + (imageX / width) * (freqMax - freqMin)
-  // Y-axis = time (vertical), increasing upward with Y=0 at the top
-  const time = timeMax - (imageY / height) * (timeMax - timeMin)
-
-  return { freq: rawFreq / rate, time }
+  const { width, height } = renderSize(viewport.imageDetails)
+  return imageFractionToData(imageX / width, imageY / height, viewport.config)
 }
 
 /**
- * Convert data coordinates to SVG coordinates.
- *
- * Note the deliberate asymmetry with {@link imageToData}: this takes frequency
- * in the raw configured scale and does not re-apply `rate`. That matches every
- * caller — features store the frequency they were created with — and matches
- * the behaviour pinned before consolidation. With the rate control removed from
- * the UI, `rate` is 1 in practice; the asymmetry is recorded here rather than
- * silently "fixed", because changing it would move rendered features.
+ * Convert data coordinates to SVG coordinates. The inverse of
+ * {@link imageToData} composed with the image → SVG step.
  *
  * @param {DataCoordinates} dataPoint - Data point with time and frequency
  * @param {Viewport} viewport - Current viewport
@@ -237,16 +335,12 @@ export function imageToData(imageX, imageY, viewport) {
  * @returns {SVGCoordinates} SVG coordinates
  */
 export function dataToSVG(dataPoint, viewport, spectrogramImage = null) {
-  const { config } = viewport
-  const { timeMin, timeMax, freqMin, freqMax } = config
   const bounds = getImageBounds(viewport, spectrogramImage)
-
-  const freqRatio = (dataPoint.freq - freqMin) / (freqMax - freqMin)
-  const timeRatio = (dataPoint.time - timeMin) / (timeMax - timeMin)
+  const fraction = dataToImageFraction(dataPoint, viewport.config)
 
   return {
-    x: bounds.left + freqRatio * bounds.width,
-    y: bounds.top + (1 - timeRatio) * bounds.height // Invert Y
+    x: bounds.left + fraction.x * bounds.width,
+    y: bounds.top + fraction.y * bounds.height
   }
 }
 
@@ -10,6 +10,84 @@
  */
 export const MS_TO_KNOTS = 1.94384
 
+/**
+ * Speed of sound in sea water used when neither the gram's config nor the
+ * analyst supplies one, in m/s.
+ * @type {number}
+ */
+export const DEFAULT_SOUND_SPEED = 1481
+
+/**
+ * How far each control point of the drawn S-curve reaches from its end marker
+ * towards f₀ in time, as a fraction of the way. It fixes the curve's shape
+ * whatever the gram shows, so nothing is measured from the drawn curve — see
+ * {@link calculateCurveCpa}.
+ * @type {number}
+ */
+export const S_CURVE_TENSION = 0.7
+
+/**
+ * Plausible bounds for a speed of sound in water, in m/s. Fresh water near
+ * freezing is ~1400 and deep warm sea water ~1560; anything outside these is a
+ * typo (a missing digit, knots for m/s), not a water mass.
+ */
+const MIN_SOUND_SPEED = 1300
+const MAX_SOUND_SPEED = 1700
+
+/**
+ * Whether a value is usable as a speed of sound.
+ * @param {unknown} value - Candidate speed, in m/s
+ * @returns {boolean} True for a finite number within the plausible bounds
+ */
+export function isValidSoundSpeed(value) {
+  return typeof value === 'number' && Number.isFinite(value) &&
+    value >= MIN_SOUND_SPEED && value <= MAX_SOUND_SPEED
+}
+
+/**
+ * The speed of sound a Doppler calculation should use: the analyst's
+ * override, else the gram's configured value, else the default.
+ * @param {number|null} override - Per-instance override from the Doppler UI
+ * @param {number|null} configured - `sound-speed` from the config table
+ * @returns {number} Speed of sound in m/s
+ */
+export function resolveSoundSpeed(override, configured) {
+  if (override !== null && isValidSoundSpeed(override)) {
+    return override
+  }
+  if (configured !== null && isValidSoundSpeed(configured)) {
+    return configured
+  }
+  return DEFAULT_SOUND_SPEED
+}
+
+/**
+ * Estimate the speed of sound in sea water from temperature, salinity and
+ * depth, by Mackenzie's nine-term equation (J. Acoust. Soc. Am. 70, 1981).
+ *
+ * Stated valid for 2–30 °C, 25–40 ppt and 0–8000 m, to about 0.07 m/s; it is
+ * still returned outside those ranges, so check the inputs if the result is to
+ * be trusted.
+ * @param {number} temperature - Temperature in °C
+ * @param {number} salinity - Salinity in parts per thousand
+ * @param {number} depth - Depth in metres
+ * @returns {number} Speed of sound in m/s
+ */
+export function calculateSoundSpeed(temperature, salinity, depth) {
+  const t = temperature
+  const s = salinity - 35
+  const d = depth
+  return 1448.96 +
+    4.591 * t -
+    5.304e-2 * t * t +
+    2.374e-4 * t * t * t +
+    1.340 * s +
+    1.630e-2 * d +
+    1.675e-7 * d * d -
+    1.025e-2 * t * s -
+    7.139e-13 * t * d * d * d
+}
+
 /**
  * Calculate the midpoint between two Doppler points
  * @param {DataCoordinates} fPlus - f+ point with time and frequency
@@ -28,10 +106,10 @@ export function calculateMidpoint(fPlus, fMinus) {
  * @param {DataCoordinates} fPlus - f+ point with time and frequency
  * @param {DataCoordinates} fMinus - f- point with time and frequency
  * @param {DataCoordinates|null} [fZero] - f₀ point with time and frequency (optional, uses midpoint if not provided)
- * @param {number} speedOfSound - Speed of sound in water (default: 1500 m/s)
+ * @param {number} [speedOfSound] - Speed of sound in water, m/s (default {@link DEFAULT_SOUND_SPEED})
  * @returns {number} Calculated speed in m/s
  */
-export function calculateDopplerSpeed(fPlus, fMinus, fZero = null, speedOfSound = 1481) {
+export function calculateDopplerSpeed(fPlus, fMinus, fZero = null, speedOfSound = DEFAULT_SOUND_SPEED) {
   // Use provided fZero or calculate midpoint
   const f0 = fZero ? fZero.freq : calculateMidpoint(fPlus, fMinus).freq
   
@@ -44,3 +122,48 @@ export function calculateDopplerSpeed(fPlus, fMinus, fZero = null, speedOfSound
   return Math.abs(speed) // Return absolute value for speed
 }
 
+
+/**
+ * The speed a Doppler curve measures, or null when it has none to measure.
+ *
+ * A curve needs all three markers for a speed. With freq-start = 0, f₀ on the
+ * exact left edge divides to Infinity (BH-8); a non-finite speed is
+ * meaningless, so it is reported as null and never reaches an LED as
+ * "Infinity" knots.
+ * @param {Pick<DopplerCurve, 'fPlus'|'fMinus'|'fZero'>} curve - Curve markers
+ * @param {number} speedOfSound - Speed of sound in water, m/s
+ * @returns {number|null} Speed in m/s, or null
+ */
+export function calculateCurveSpeed(curve, speedOfSound) {
+  const { fPlus, fMinus, fZero } = curve
+  if (!fPlus || !fMinus || !fZero) {
+    return null
+  }
+  const speed = calculateDopplerSpeed(fPlus, fMinus, fZero, speedOfSound)
+  return Number.isFinite(speed) ? speed : null
+}
+
+/**
+ * Closest point of approach for a curve: when it happened and, where the
+ * curve says, how far off the source passed.
+ *
+ * For a fitted curve both come straight from the fit. For a marker curve, f₀
+ * marks the inflection, so CPA is its time. Three markers say nothing about
+ * range: that is set by how sharply the trace turns over at CPA, which the
+ * markers do not sample, and the drawn S-curve's shape is fixed by
+ * {@link S_CURVE_TENSION} rather than read from the gram. So a marker curve
+ * reports no range; fitting points along the trace gives one.
+ * @param {Pick<DopplerCurve, 'fPlus'|'fMinus'|'fZero'|'fit'>} curve - Curve to read
+ * @returns {DopplerCpa|null} CPA, or null before the curve has one
+ */
+export function calculateCurveCpa(curve) {
+  const { fit } = curve
+  if (fit) {
+    return { time: fit.cpaTime, timeConstant: fit.timeConstant, range: fit.speed * fit.timeConstant }
+  }
+  const { fPlus, fMinus, fZero } = curve
+  if (!fPlus || !fMinus || !fZero) {
+    return null
+  }
+  return { time: fZero.time, timeConstant: null, range: null }
+}
@@ -0,0 +1,272 @@
+/**
+ * Least-squares Doppler curve fit
+ *
+ * Fits the passing-target model to any number of points clicked along a
+ * Doppler trace. A source moving in a straight line at constant speed v,
+ * passing closest at time t_cpa, is heard at
+ *
+ *   f(t) = f₀ · (1 − (v/c) · u / √(τ² + u²)),   u = t − t_cpa
+ *
+ * where τ = R / v is the time constant: the CPA range R expressed as the time
+ * the source takes to cover it. τ sets how sharply the curve turns over at
+ * CPA. The speed term is the first-order Doppler shift, the same
+ * approximation `calculateDopplerSpeed` makes from three markers, so the two
+ * methods agree on a clean curve.
+ *
+ * Three hand-placed markers put all the click error into three numbers; a fit
+ * averages it over every point, and the residuals show how well the model
+ * holds.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * Points needed before a fit is attempted: one per unknown (f₀, v, t_cpa, τ)
+ * plus one, so the residuals say something about the fit.
+ * @type {number}
+ */
+export const MIN_FIT_POINTS = 5
+
+/** Iteration cap for the Levenberg–Marquardt loop */
+const MAX_ITERATIONS = 200
+
+/** Relative drop in the sum of squares below which the fit has converged */
+const CONVERGENCE = 1e-12
+
+/**
+ * Model parameters, in the order the solver treats them: f₀ (Hz), the
+ * fractional shift k = v/c, t_cpa (s) and τ (s). Fitting k rather than v
+ * leaves the fit independent of the speed of sound, which only scales the
+ * speed read from it.
+ * @typedef {[number, number, number, number]} FitParameters
+ */
+
+/**
+ * Model frequency and its partial derivatives at one time.
+ * @param {FitParameters} p - Model parameters
+ * @param {number} time - Time in seconds
+ * @returns {{freq: number, gradient: FitParameters}} Frequency and ∂f/∂p
+ */
+function evaluateModel(p, time) {
+  const [f0, k, tCpa, tau] = p
+  const u = time - tCpa
+  const s = Math.sqrt(tau * tau + u * u)
+  const g = u / s
+  const s3 = s * s * s
+  return {
+    freq: f0 * (1 - k * g),
+    gradient: [
+      1 - k * g,
+      -f0 * g,
+      f0 * k * tau * tau / s3,
+      f0 * k * u * tau / s3
+    ]
+  }
+}
+
+/**
+ * Sum of squared residuals for a parameter set.
+ * @param {FitParameters} p - Model parameters
+ * @param {Array<DataCoordinates>} points - Points being fitted
+ * @returns {number} Sum of squares
+ */
+function sumOfSquares(p, points) {
+  let total = 0
+  for (const point of points) {
+    const r = point.freq - evaluateModel(p, point.time).freq
+    total += r * r
+  }
+  return total
+}
+
+/**
+ * Solve a small dense linear system by Gaussian elimination with partial
+ * pivoting.
+ * @param {number[][]} a - Square matrix (modified in place)
+ * @param {number[]} b - Right-hand side (modified in place)
+ * @returns {number[]|null} Solution, or null when the matrix is singular
+ */
+function solveLinearSystem(a, b) {
+  const n = b.length
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+        pivot = row
+      }
+    }
+    if (Math.abs(a[pivot][col]) < 1e-300) {
+      return null
+    }
+    const pivotRow = a[pivot]
+    a[pivot] = a[col]
+    a[col] = pivotRow
+    const pivotValue = b[pivot]
+    b[pivot] = b[col]
+    b[col] = pivotValue
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col]
+      for (let c = col; c < n; c++) {
+        a[row][c] -= factor * a[col][c]
+      }
+      b[row] -= factor * b[col]
+    }
+  }
+  const x = new Array(n).fill(0)
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row]
+    for (let c = row + 1; c < n; c++) {
+      sum -= a[row][c] * x[c]
+    }
+    x[row] = sum / a[row][row]
+  }
+  return x
+}
+
+/**
+ * Refine a starting guess by Levenberg–Marquardt, with Marquardt's diagonal
+ * scaling so f₀ in hundreds of Hz and k in thousandths share one damping.
+ * @param {FitParameters} start - Starting parameters
+ * @param {Array<DataCoordinates>} points - Points being fitted
+ * @param {number} minTau - Floor for τ, keeping the model finite at CPA
+ * @returns {{params: FitParameters, ss: number}} Refined parameters and their sum of squares
+ */
+function refine(start, points, minTau) {
+  /** @type {FitParameters} */
+  let p = [...start]
+  let ss = sumOfSquares(p, points)
+  let lambda = 1e-3
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    // Normal equations JᵀJ·δ = Jᵀr
+    const jtj = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]]
+    const jtr = [0, 0, 0, 0]
+    for (const point of points) {
+      const { freq, gradient } = evaluateModel(p, point.time)
+      const r = point.freq - freq
+      for (let i = 0; i < 4; i++) {
+        jtr[i] += gradient[i] * r
+        for (let j = 0; j < 4; j++) {
+          jtj[i][j] += gradient[i] * gradient[j]
+        }
+      }
+    }
+
+    let improved = false
+    while (lambda < 1e12) {
+      const damped = jtj.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) : v)))
+      const step = solveLinearSystem(damped, [...jtr])
+      if (!step) {
+        lambda *= 10
+        continue
+      }
+      /** @type {FitParameters} */
+      const candidate = [p[0] + step[0], p[1] + step[1], p[2] + step[2], Math.max(minTau, Math.abs(p[3] + step[3]))]
+      const candidateSS = sumOfSquares(candidate, points)
+      if (Number.isFinite(candidateSS) && candidateSS < ss) {
+        const drop = (ss - candidateSS) / Math.max(ss, Number.MIN_VALUE)
+        p = candidate
+        ss = candidateSS
+        lambda = Math.max(lambda / 10, 1e-12)
+        improved = drop > CONVERGENCE
+        break
+      }
+      lambda *= 10
+    }
+    if (!improved) {
+      break
+    }
+  }
+
+  return { params: p, ss }
+}
+
+/**
+ * Fit the passing-target model to points along a Doppler trace.
+ *
+ * Starts from a few guesses at τ (a fraction of the points' time span) and
+ * keeps the best, since a trace clicked only near CPA or only on its tails
+ * pins τ poorly and a single start can settle on the wrong bend.
+ *
+ * @param {Array<DataCoordinates>} points - Clicked points, in any order
+ * @param {number} speedOfSound - Speed of sound in water, m/s
+ * @returns {DopplerFit|null} The fit, or null with too few points, too little
+ *   time spread, or no finite solution
+ */
+export function fitDopplerCurve(points, speedOfSound) {
+  if (points.length < MIN_FIT_POINTS) {
+    return null
+  }
+  const sorted = [...points].sort((a, b) => a.time - b.time)
+  const span = sorted[sorted.length - 1].time - sorted[0].time
+  if (!(span > 0)) {
+    return null
+  }
+
+  const freqs = sorted.map(point => point.freq)
+  const maxFreq = Math.max(...freqs)
+  const minFreq = Math.min(...freqs)
+  const f0Guess = (maxFreq + minFreq) / 2
+  if (!(f0Guess > 0)) {
+    return null
+  }
+
+  // A passing source falls in frequency, but the sign of k is taken from the
+  // clicks rather than assumed: a fit that has to flip it starts far off.
+  const half = Math.floor(sorted.length / 2)
+  const earlyMean = freqs.slice(0, half).reduce((a, b) => a + b, 0) / half
+  const lateMean = freqs.slice(half).reduce((a, b) => a + b, 0) / (freqs.length - half)
+  const kGuess = (earlyMean >= lateMean ? 1 : -1) * Math.max((maxFreq - minFreq) / (2 * f0Guess), 1e-6)
+
+  // CPA where the trace crosses f₀
+  let cpaGuess = (sorted[0].time + sorted[sorted.length - 1].time) / 2
+  for (let i = 1; i < sorted.length; i++) {
+    const a = sorted[i - 1]
+    const b = sorted[i]
+    if ((a.freq - f0Guess) * (b.freq - f0Guess) <= 0 && a.freq !== b.freq) {
+      cpaGuess = a.time + (f0Guess - a.freq) * (b.time - a.time) / (b.freq - a.freq)
+      break
+    }
+  }
+
+  const minTau = span * 1e-6
+  /** @type {{params: FitParameters, ss: number}|null} */
+  let best = null
+  for (const fraction of [0.05, 0.15, 0.4, 1]) {
+    const result = refine([f0Guess, kGuess, cpaGuess, span * fraction], sorted, minTau)
+    if (Number.isFinite(result.ss) && (!best || result.ss < best.ss)) {
+      best = result
+    }
+  }
+  if (!best) {
+    return null
+  }
+
+  const params = best.params
+  const [f0, k, cpaTime, timeConstant] = params
+  const speed = Math.abs(k) * speedOfSound
+  if (![f0, speed, cpaTime, timeConstant].every(Number.isFinite) || f0 <= 0) {
+    return null
+  }
+
+  return {
+    f0,
+    speed,
+    cpaTime,
+    timeConstant,
+    shift: k,
+    residuals: points.map(point => point.freq - evaluateModel(params, point.time).freq),
+    rms: Math.sqrt(best.ss / points.length)
+  }
+}
+
+/**
+ * Frequency a fitted curve predicts at a time, for drawing the curve and its
+ * residuals.
+ * @param {DopplerFit} fit - A fit from {@link fitDopplerCurve}
+ * @param {number} time - Time in seconds
+ * @returns {number} Frequency in Hz
+ */
+export function fittedFrequency(fit, time) {
+  return evaluateModel([fit.f0, fit.shift, fit.cpaTime, fit.timeConstant], time).freq
+}
@@ -0,0 +1,112 @@
+/**
+ * Fitted Doppler curve points
+ *
+ * Everything Doppler mode needs to handle a curve fitted to clicked points,
+ * short of the fit itself (`utils/dopplerFit.js`): a new curve to collect
+ * points in, the drag target for each point, and the fitted model sampled
+ * along the points' time span for drawing, with the residual from each point
+ * to it. A marker curve is handled by its f+, f- and f₀ instead, and never
+ * comes here.
+ */
+
+/// <reference path="../types.js" />
+
+import { fittedFrequency } from './dopplerFit.js'
+import { isWithinDataTolerance } from './tolerance.js'
+
+/** @typedef {import('./tolerance.js').DataTolerance} DataTolerance */
+
+/**
+ * Marker type a fitted curve's point carries in its drag target, beside the
+ * `fPlus`/`fMinus`/`fZero` of a marker curve.
+ * @type {string}
+ */
+export const FIT_POINT = 'fitPoint'
+
+/** Samples along a fitted curve's drawn path */
+const FIT_PATH_SAMPLES = 96
+
+/**
+ * A fitted curve with no points yet, in the style its first point was
+ * placed in.
+ * @param {string} id - Curve id
+ * @param {Pick<DopplerCurve, 'color'|'symbol'|'largeSymbols'>} style - Colour and symbol to draw it in
+ * @returns {DopplerCurve} The curve
+ */
+export function createFittedCurve(id, style) {
+  return {
+    id,
+    fPlus: null,
+    fMinus: null,
+    fZero: null,
+    fitPoints: [],
+    fit: null,
+    speed: null,
+    cpa: null,
+    color: style.color,
+    symbol: style.symbol,
+    largeSymbols: style.largeSymbols
+  }
+}
+
+/**
+ * The move target for one of a fitted curve's points.
+ * @param {DopplerCurve} curve - Fitted curve
+ * @param {number} pointIndex - Index into the curve's `fitPoints`
+ * @returns {DragTarget & {id: string, position: DataCoordinates}} The target; its point index rides in `data`
+ */
+export function fitPointTarget(curve, pointIndex) {
+  const points = /** @type {Array<DataCoordinates>} */ (curve.fitPoints)
+  return {
+    kind: 'move',
+    id: curve.id,
+    type: 'dopplerMarker',
+    position: points[pointIndex],
+    data: { markerType: FIT_POINT, pointIndex }
+  }
+}
+
+/**
+ * Move targets for each of a fitted curve's points within tolerance of a
+ * position, in `fitPoints` order.
+ * @param {DopplerCurve} curve - Fitted curve
+ * @param {DataCoordinates} position - Pointer position
+ * @param {DataTolerance} tolerance - Grab tolerance about each point
+ * @returns {Array<DragTarget & {id: string, position: DataCoordinates}>} Targets, empty when none is in reach
+ */
+export function fitPointTargetsNear(curve, position, tolerance) {
+  const points = curve.fitPoints || []
+  return points
+    .map((_, pointIndex) => fitPointTarget(curve, pointIndex))
+    .filter(target => isWithinDataTolerance(position, target.position, tolerance))
+}
+
+/**
+ * The fitted model across a curve's points, for drawing: the model sampled
+ * from the earliest point's time to the latest's, a residual from each point
+ * to the model at its time, and the CPA the fit found. All are in data
+ * coordinates, so they turn with the gram's orientation once placed.
+ * @param {DopplerCurve} curve - Fitted curve
+ * @returns {{path: DataCoordinates[], residuals: Array<{from: DataCoordinates, to: DataCoordinates}>, cpa: DataCoordinates}|null} The model's path, residuals and CPA, or null until the curve has a fit
+ */
+export function fittedCurveTrace(curve) {
+  const { fit } = curve
+  const points = curve.fitPoints || []
+  if (!fit || points.length === 0) {
+    return null
+  }
+  const times = points.map(point => point.time)
+  const start = Math.min(...times)
+  const end = Math.max(...times)
+  /** @type {DataCoordinates[]} */
+  const path = []
+  for (let i = 0; i <= FIT_PATH_SAMPLES; i++) {
+    const time = start + (end - start) * i / FIT_PATH_SAMPLES
+    path.push({ time, freq: fittedFrequency(fit, time) })
+  }
+  const residuals = points.map(point => ({
+    from: point,
+    to: { time: point.time, freq: fittedFrequency(fit, point.time) }
+  }))
+  return { path, residuals, cpa: { time: fit.cpaTime, freq: fit.f0 } }
+}
@@ -0,0 +1,85 @@
+/**
+ * Fundamental inference
+ *
+ * Given the frequencies of several tonals, find the spacings whose integer
+ * multiples explain them all — the fundamental a trainee would otherwise work
+ * out on paper. Any sub-multiple of a fitting spacing fits too (half of it puts
+ * a harmonic on every other line), so the largest fitting spacing is the
+ * answer, and the smaller ones are offered as alternatives with how well each
+ * fits. Cross Cursor mode hands in its markers' frequencies, and
+ * `modes/analysis/FundamentalModal.js` offers what comes back.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * The highest harmonic the lowest tonal is tried as. Beyond this the spacing
+ * is small enough for almost any set of tonals to fit within tolerance, which
+ * says nothing about them.
+ * @type {number}
+ */
+const MAX_FUNDAMENTAL_ORDER = 16
+
+/**
+ * How many candidates are offered, largest spacing first.
+ * @type {number}
+ */
+const MAX_CANDIDATES = 5
+
+/**
+ * Fit one spacing to the tonals: give each the nearest harmonic number, then
+ * refine the spacing by least squares over those numbers.
+ * @param {number[]} freqs - Tonal frequencies in Hz
+ * @param {number} trial - Trial spacing in Hz
+ * @returns {{spacing: number, orders: number[], errors: number[]}} Refined spacing, each tonal's harmonic number and its distance from that harmonic
+ */
+function fitSpacing(freqs, trial) {
+  const orders = freqs.map(freq => Math.max(1, Math.round(freq / trial)))
+  const sumOrderFreq = freqs.reduce((sum, freq, i) => sum + orders[i] * freq, 0)
+  const sumOrderSquared = orders.reduce((sum, order) => sum + order * order, 0)
+  const spacing = sumOrderFreq / sumOrderSquared
+  return { spacing, orders, errors: freqs.map((freq, i) => Math.abs(freq - orders[i] * spacing)) }
+}
+
+/**
+ * Candidate fundamentals for a set of tonals, largest spacing first.
+ *
+ * Each candidate explains every tonal to within `tolerance`: the lowest tonal
+ * is tried as its 1st, 2nd, … harmonic, the spacing refined to fit them all,
+ * and the candidate kept if none is further than `tolerance` from its
+ * harmonic. A spacing no wider than twice the tolerance is not tried, since
+ * every frequency then lies within tolerance of some harmonic.
+ *
+ * The fit score runs from 1, every tonal exactly on a harmonic, down to 0, the
+ * tonals on average a full tolerance away.
+ * @param {number[]} freqs - Tonal frequencies in Hz; at least two, all positive
+ * @param {number} tolerance - Largest distance in Hz a tonal may lie from its harmonic
+ * @returns {FundamentalCandidate[]} Up to five candidates, or none if the tonals do not fit any
+ */
+export function findFundamentalCandidates(freqs, tolerance) {
+  const tonals = freqs.filter(freq => Number.isFinite(freq) && freq > 0)
+  if (tonals.length < 2 || !(tolerance > 0)) {
+    return []
+  }
+  const lowest = Math.min(...tonals)
+
+  /** @type {FundamentalCandidate[]} */
+  const candidates = []
+  for (let order = 1; order <= MAX_FUNDAMENTAL_ORDER && candidates.length < MAX_CANDIDATES; order++) {
+    const trial = lowest / order
+    if (trial <= 2 * tolerance) {
+      break
+    }
+    const { spacing, orders, errors } = fitSpacing(tonals, trial)
+    if (errors.some(error => error > tolerance)) {
+      continue
+    }
+    // Two trials can settle on the same refined spacing; keep the first
+    if (candidates.some(candidate => Math.abs(candidate.spacing - spacing) <= tolerance / Math.max(...orders))) {
+      continue
+    }
+    const rms = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length)
+    candidates.push({ spacing, orders, fit: Math.max(0, 1 - rms / tolerance) })
+  }
+  return candidates
+}
@@ -0,0 +1,110 @@
+/**
+ * Harmonic set time bounds
+ *
+ * A harmonic set normally marks one moment: its pins are a fixed pixel height
+ * centred on its anchor time. A time-bounded set instead covers an explicit
+ * interval — its lines run from its start time to its end time — to show
+ * exactly when a machinery state was present. Its anchor time is kept at the
+ * middle of the interval, so everything that positions a set by its anchor
+ * (the arrow keys, the label stack of an unbounded set) still reads sensibly.
+ *
+ * A bounded set may also drift: its spacing at the end of the interval
+ * differs from its spacing at the start, and changes linearly between them,
+ * as every harmonic fans out proportionally through a speed change. Each line
+ * is then drawn sloped. Kept pure — no DOM, no state — as the series
+ * arithmetic is.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * Whether a harmonic set covers an explicit time interval.
+ * @param {{timeStart?: number, timeEnd?: number}} harmonicSet - Harmonic set
+ * @returns {boolean} True when the set has both bounds
+ */
+export function isTimeBoundedSet(harmonicSet) {
+  return typeof harmonicSet.timeStart === 'number' && typeof harmonicSet.timeEnd === 'number'
+}
+
+/**
+ * Bounds spanning two times, in either order, with the anchor at their middle.
+ * @param {number} a - One end, in seconds
+ * @param {number} b - The other end, in seconds
+ * @returns {{timeStart: number, timeEnd: number, anchorTime: number}} Normalised bounds
+ */
+export function timeBoundsBetween(a, b) {
+  const timeStart = Math.min(a, b)
+  const timeEnd = Math.max(a, b)
+  return { timeStart, timeEnd, anchorTime: (timeStart + timeEnd) / 2 }
+}
+
+/**
+ * Bounds moved bodily by a time offset, holding their length. The offset is
+ * limited so the interval stays within the gram rather than being squashed
+ * against its edge.
+ * @param {{timeStart: number, timeEnd: number}} bounds - Bounds before the move
+ * @param {number} delta - Offset in seconds
+ * @param {number} timeMin - Earliest time on the gram
+ * @param {number} timeMax - Latest time on the gram
+ * @returns {{timeStart: number, timeEnd: number, anchorTime: number}} Moved bounds
+ */
+export function shiftTimeBounds(bounds, delta, timeMin, timeMax) {
+  const limited = Math.max(timeMin - bounds.timeStart, Math.min(timeMax - bounds.timeEnd, delta))
+  return timeBoundsBetween(bounds.timeStart + limited, bounds.timeEnd + limited)
+}
+
+/**
+ * Whether a harmonic set's spacing changes over its interval. Only a
+ * time-bounded set can drift: the change is spread across its interval.
+ * @param {{timeStart?: number, timeEnd?: number, spacingEnd?: number}} harmonicSet - Harmonic set
+ * @returns {boolean} True when the set has an end spacing and an interval to reach it over
+ */
+export function isDriftingSet(harmonicSet) {
+  return isTimeBoundedSet(harmonicSet) && typeof harmonicSet.spacingEnd === 'number'
+}
+
+/**
+ * A set's spacing at a time. A drifting set interpolates between its start
+ * and end spacings, holding them beyond either end of its interval; any other
+ * set has the one spacing throughout.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} time - Time in seconds
+ * @returns {number} Spacing in Hz
+ */
+export function spacingAt(harmonicSet, time) {
+  if (!isDriftingSet(harmonicSet)) {
+    return harmonicSet.spacing
+  }
+  const timeStart = /** @type {number} */ (harmonicSet.timeStart)
+  const timeEnd = /** @type {number} */ (harmonicSet.timeEnd)
+  const spacingEnd = /** @type {number} */ (harmonicSet.spacingEnd)
+  if (timeEnd === timeStart) {
+    return harmonicSet.spacing
+  }
+  const fraction = Math.max(0, Math.min(1, (time - timeStart) / (timeEnd - timeStart)))
+  return harmonicSet.spacing + (spacingEnd - harmonicSet.spacing) * fraction
+}
+
+/**
+ * The lowest and highest spacing a set takes anywhere in its interval.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @returns {{low: number, high: number}} Spacing range in Hz
+ */
+export function spacingRange(harmonicSet) {
+  const spacingEnd = isDriftingSet(harmonicSet) ? /** @type {number} */ (harmonicSet.spacingEnd) : harmonicSet.spacing
+  return { low: Math.min(harmonicSet.spacing, spacingEnd), high: Math.max(harmonicSet.spacing, spacingEnd) }
+}
+
+/**
+ * How fast a drifting set's spacing changes, in Hz per second; 0 for a set
+ * that does not drift or has no time extent.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @returns {number} Rate of change of the spacing
+ */
+export function spacingDriftRate(harmonicSet) {
+  if (!isDriftingSet(harmonicSet)) {
+    return 0
+  }
+  const duration = /** @type {number} */ (harmonicSet.timeEnd) - /** @type {number} */ (harmonicSet.timeStart)
+  return duration > 0 ? (/** @type {number} */ (harmonicSet.spacingEnd) - harmonicSet.spacing) / duration : 0
+}
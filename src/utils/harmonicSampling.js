@@ -11,6 +11,10 @@
  * is trivially unit-testable in isolation. `HarmonicsMode` supplies the visible
  * harmonic range and renders whatever these functions return.
  *
+ * The arithmetic holds for any integer range, so a sideband family passes its
+ * signed sideband orders straight through: the multiples of the step still
+ * include 0, and the carrier keeps its label at every sampling.
+ *
  * MAX_VISIBLE_PINS, NICE_STEPS and chooseSamplingStep have no importer in
  * src/ (HarmonicsMode calls sampleHarmonics): they are test-only seams for the
  * unit lane, and are excluded from the unused-export ratchet on that basis.
@@ -41,7 +45,7 @@ export const NICE_STEPS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]
 
 /**
  * Count the multiples of `step` in the inclusive range [minHarmonic, maxHarmonic].
- * @param {number} minHarmonic - Lowest harmonic number in view (>= 1)
+ * @param {number} minHarmonic - Lowest harmonic number in view (may be negative for sidebands)
  * @param {number} maxHarmonic - Highest harmonic number in view
  * @param {number} step - Candidate step
  * @returns {number} Number of multiples of `step` within the range
@@ -58,7 +62,7 @@ function countMultiples(minHarmonic, maxHarmonic, step) {
  * - Returns the largest NICE_STEPS member if none brings the count <= max
  *   (the renderer still hard-caps the emitted length).
  *
- * @param {number} minHarmonic - Lowest harmonic number in view (>= 1)
+ * @param {number} minHarmonic - Lowest harmonic number in view (may be negative for sidebands)
  * @param {number} maxHarmonic - Highest harmonic number in view
  * @param {number} [max=MAX_VISIBLE_PINS] - Maximum pins allowed
  * @returns {number} A member of NICE_STEPS
@@ -80,7 +84,7 @@ export function chooseSamplingStep(minHarmonic, maxHarmonic, max = MAX_VISIBLE_P
  * stay stable while panning). Generates directly (<= max iterations) and never
  * materialises the full range.
  *
- * @param {number} minHarmonic - Lowest harmonic number in view (>= 1)
+ * @param {number} minHarmonic - Lowest harmonic number in view (may be negative for sidebands)
  * @param {number} maxHarmonic - Highest harmonic number in view
  * @param {number} [max=MAX_VISIBLE_PINS] - Maximum pins allowed
  * @returns {SamplingResult} The chosen step and the harmonic numbers to draw
@@ -0,0 +1,243 @@
+/**
+ * Harmonic series arithmetic
+ *
+ * Which frequencies a harmonic set draws its lines at, and what each line is
+ * called. A plain set draws multiples of its spacing, from the first harmonic
+ * up. A sideband family — a set with a carrier — draws the carrier and the
+ * lines stepped out from it either side, `carrier ± n·spacing`, which is how
+ * modulation shows up on a gram. Both are indexed by an integer order: the
+ * harmonic number for a plain set, the signed sideband number (0 is the
+ * carrier) for a family. Kept pure — no DOM, no state — so the renderer, the
+ * hit-test and the drag all read the same series.
+ *
+ * A set's series type picks which orders it draws: all of them, the odd or
+ * even ones, or an explicit list. A family applies the choice to its sideband
+ * numbers on both sides and always keeps its carrier, the handle that moves
+ * it. The members are counted by an integer index — the k-th member above the
+ * carrier or zero is index k, and in a family the k-th below is index −k — so
+ * a thinned subset of members can be sampled by index exactly as the plain
+ * series has always been sampled by harmonic number.
+ *
+ * A drifting set's spacing depends on time, so the frequency of a line, and
+ * the line nearest a point, are asked at a time; the anchor time when none is
+ * given, which for any set that does not drift is all the same.
+ */
+
+/// <reference path="../types.js" />
+
+import { spacingAt, spacingRange } from './harmonicBounds.js'
+
+/**
+ * Series types, in the order the manual dialog offers them.
+ * @type {Array<HarmonicSeriesType>}
+ */
+export const SERIES_TYPES = ['all', 'odd', 'even', 'custom']
+
+/** @type {Record<HarmonicSeriesType, string>} */
+const SERIES_NAMES = {
+  all: 'All',
+  odd: 'Odd',
+  even: 'Even',
+  custom: 'Custom'
+}
+
+/**
+ * Whether a harmonic set is a sideband family rather than a plain series.
+ * @param {{carrier?: number}} harmonicSet - Harmonic set
+ * @returns {boolean} True when the set is anchored on a carrier
+ */
+export function isSidebandSet(harmonicSet) {
+  return typeof harmonicSet.carrier === 'number'
+}
+
+/**
+ * Frequency of one line of a set.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} order - Harmonic number, or signed sideband number
+ * @param {number} [time] - Time in seconds; the set's anchor time when omitted
+ * @returns {number} Frequency in Hz
+ */
+export function seriesFrequency(harmonicSet, order, time = harmonicSet.anchorTime) {
+  const base = isSidebandSet(harmonicSet) ? /** @type {number} */ (harmonicSet.carrier) : 0
+  return base + order * spacingAt(harmonicSet, time)
+}
+
+/**
+ * Inclusive range of orders whose lines would fall within a frequency span,
+ * before the series type picks among them. A plain set starts at its first
+ * harmonic; a family reaches below its carrier to whatever sidebands the span
+ * holds. A drifting set counts a line that enters the span at any time in its
+ * interval. Empty when `maxOrder < minOrder`.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} freqMin - Low edge of the span in Hz
+ * @param {number} freqMax - High edge of the span in Hz
+ * @returns {{minOrder: number, maxOrder: number}} Inclusive order range
+ */
+export function seriesOrderRange(harmonicSet, freqMin, freqMax) {
+  const base = isSidebandSet(harmonicSet) ? /** @type {number} */ (harmonicSet.carrier) : 0
+  const { low, high } = spacingRange(harmonicSet)
+  // Order n reaches offset n·s for every spacing s the set takes, so the
+  // widest reach either way comes from one end of the spacing range.
+  const minOrder = Math.ceil(Math.min((freqMin - base) / low, (freqMin - base) / high))
+  const maxOrder = Math.floor(Math.max((freqMax - base) / low, (freqMax - base) / high))
+  if (isSidebandSet(harmonicSet)) {
+    return { minOrder, maxOrder }
+  }
+  return { minOrder: Math.max(1, minOrder), maxOrder }
+}
+
+/**
+ * The k-th positive order the series type admits, counting from 1.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} k - Member number (>= 1)
+ * @returns {number} The order
+ */
+function positiveMember(harmonicSet, k) {
+  switch (harmonicSet.series) {
+  case 'odd': return 2 * k - 1
+  case 'even': return 2 * k
+  case 'custom': return /** @type {number[]} */ (harmonicSet.orders)[k - 1]
+  default: return k
+  }
+}
+
+/**
+ * How many positive orders the series type admits at or below `order`.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} order - Integer order
+ * @returns {number} Member count (0 below the first member)
+ */
+function countMembersUpTo(harmonicSet, order) {
+  if (order < 1) {
+    return 0
+  }
+  switch (harmonicSet.series) {
+  case 'odd': return Math.floor((order + 1) / 2)
+  case 'even': return Math.floor(order / 2)
+  case 'custom': return /** @type {number[]} */ (harmonicSet.orders).filter(member => member <= order).length
+  default: return order
+  }
+}
+
+/**
+ * Order of the member at an index: positive indices count up from the first
+ * harmonic or sideband, negative ones count down a family's lower sidebands,
+ * and index 0 is a family's carrier.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} index - Member index
+ * @returns {number} The order
+ */
+export function seriesOrderAt(harmonicSet, index) {
+  if (index === 0) {
+    return 0
+  }
+  return Math.sign(index) * positiveMember(harmonicSet, Math.abs(index))
+}
+
+/**
+ * Inclusive index range of the series members whose orders lie within
+ * `[minOrder, maxOrder]`. Members are ascending in index, so the range is
+ * contiguous. Empty when `maxIndex < minIndex`.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} minOrder - Lowest integer order in range
+ * @param {number} maxOrder - Highest integer order in range
+ * @returns {{minIndex: number, maxIndex: number}} Inclusive index range
+ */
+export function seriesIndexRange(harmonicSet, minOrder, maxOrder) {
+  const minIndex = minOrder > 0
+    ? countMembersUpTo(harmonicSet, minOrder - 1) + 1
+    : -countMembersUpTo(harmonicSet, -minOrder)
+  const maxIndex = maxOrder >= 0
+    ? countMembersUpTo(harmonicSet, maxOrder)
+    : -(countMembersUpTo(harmonicSet, -maxOrder - 1) + 1)
+  if (!isSidebandSet(harmonicSet)) {
+    return { minIndex: Math.max(1, minIndex), maxIndex }
+  }
+  return { minIndex, maxIndex }
+}
+
+/**
+ * Order of the series member nearest a frequency — never below the first
+ * harmonic for a plain set, since it draws nothing at or below zero.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} freq - Frequency in Hz
+ * @param {number} [time] - Time in seconds; the set's anchor time when omitted
+ * @returns {number} Nearest member order
+ */
+export function nearestSeriesOrder(harmonicSet, freq, time = harmonicSet.anchorTime) {
+  const base = isSidebandSet(harmonicSet) ? /** @type {number} */ (harmonicSet.carrier) : 0
+  const exact = (freq - base) / spacingAt(harmonicSet, time)
+  const limit = harmonicSet.series === 'custom' ? /** @type {number[]} */ (harmonicSet.orders).length : Infinity
+  const minIndex = isSidebandSet(harmonicSet) ? -limit : 1
+
+  // The nearest member is the last one at or below the frequency or the first
+  // one above it, whichever is closer and exists. A plain set has nothing
+  // below zero to be nearest to.
+  const floor = isSidebandSet(harmonicSet) ? Math.floor(exact) : Math.max(0, Math.floor(exact))
+  const { maxIndex: below } = seriesIndexRange(harmonicSet, -Infinity, floor)
+  const candidates = [below, below + 1].filter(index => index >= minIndex && index <= limit)
+  let nearest = seriesOrderAt(harmonicSet, candidates[0])
+  for (const index of candidates) {
+    const order = seriesOrderAt(harmonicSet, index)
+    if (Math.abs(order - exact) < Math.abs(nearest - exact)) {
+      nearest = order
+    }
+  }
+  return nearest
+}
+
+/**
+ * Label drawn over a line: the harmonic number for a plain set; for a family,
+ * `C` on the carrier and a signed number on each sideband.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @param {number} order - Harmonic number, or signed sideband number
+ * @returns {string} Label text
+ */
+export function seriesLabel(harmonicSet, order) {
+  if (!isSidebandSet(harmonicSet)) {
+    return String(order)
+  }
+  if (order === 0) {
+    return 'C'
+  }
+  return order > 0 ? `+${order}` : String(order)
+}
+
+/**
+ * Read a custom order list as typed into the manual dialog: positive whole
+ * numbers separated by commas or spaces, in any order.
+ * @param {string} text - Typed list, e.g. "2, 4, 6"
+ * @returns {number[]|null} Ascending distinct orders, or null if the list is empty or holds anything else
+ */
+export function parseSeriesOrders(text) {
+  const parts = text.split(/[\s,]+/).filter(part => part !== '')
+  if (parts.length === 0 || !parts.every(part => /^\d+$/.test(part))) {
+    return null
+  }
+  const orders = parts.map(Number).sort((a, b) => a - b).filter((order, i, sorted) => i === 0 || order !== sorted[i - 1])
+  return orders[0] >= 1 ? orders : null
+}
+
+/**
+ * Whether a stored order list is usable by a custom series: non-empty,
+ * ascending, distinct, positive whole numbers.
+ * @param {unknown} orders - Candidate list
+ * @returns {boolean} True for a valid list
+ */
+export function isValidSeriesOrders(orders) {
+  return Array.isArray(orders) && orders.length > 0 &&
+    orders.every((order, i) => Number.isInteger(order) && order >= 1 && (i === 0 || order > orders[i - 1]))
+}
+
+/**
+ * A set's series type as the harmonics table shows it: the type's name, or
+ * the orders themselves for a custom list.
+ * @param {HarmonicSet} harmonicSet - Harmonic set
+ * @returns {string} Series description
+ */
+export function formatSeries(harmonicSet) {
+  if (harmonicSet.series === 'custom') {
+    return /** @type {number[]} */ (harmonicSet.orders).join(', ')
+  }
+  return SERIES_NAMES[harmonicSet.series || 'all']
+}
@@ -0,0 +1,49 @@
+/**
+ * Image adjustment transfer
+ *
+ * Brightness, contrast, gamma and invert all map each colour channel through
+ * one curve, `amplitude · value^exponent + offset`, which is the form an SVG
+ * `feComponentTransfer` of type `gamma` takes. Gamma is applied first, then
+ * contrast about mid-grey, then brightness, then inversion.
+ * `components/ImageAdjustPanel.js` writes the curve into the filter, and
+ * drops the filter altogether while {@link isNeutral} says it would change
+ * nothing.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * The adjustments that leave the image as it is.
+ * @type {Readonly<ImageAdjustments>}
+ */
+export const NEUTRAL_ADJUSTMENTS = Object.freeze({ brightness: 0, contrast: 1, gamma: 1, invert: false })
+
+/**
+ * Whether a set of adjustments leaves the image as it is, so the filter can be
+ * dropped rather than run to no effect.
+ * @param {ImageAdjustments} adjustments - Current adjustments
+ * @returns {boolean} True if every adjustment is at its neutral value
+ */
+export function isNeutral(adjustments) {
+  return adjustments.brightness === NEUTRAL_ADJUSTMENTS.brightness
+      && adjustments.contrast === NEUTRAL_ADJUSTMENTS.contrast
+      && adjustments.gamma === NEUTRAL_ADJUSTMENTS.gamma
+      && adjustments.invert === NEUTRAL_ADJUSTMENTS.invert
+}
+
+/**
+ * The per-channel transfer curve for a set of adjustments.
+ *
+ * A gamma above 1 lifts the mid-tones, as an image editor's levels gamma does.
+ * @param {ImageAdjustments} adjustments - Current adjustments
+ * @returns {{amplitude: number, exponent: number, offset: number}} Curve parameters, on values from 0 to 1
+ */
+export function transferCurve(adjustments) {
+  const { brightness, contrast, gamma, invert } = adjustments
+  const offset = 0.5 - 0.5 * contrast + brightness
+  return {
+    amplitude: invert ? -contrast : contrast,
+    exponent: 1 / gamma,
+    offset: invert ? 1 - offset : offset
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Reading the gram's pixels
+ *
+ * Which pixel of the image shows a point, how bright a pixel is, and how that
+ * brightness reads. Every intensity readout, snap, auto-spacing estimate and
+ * slice profile goes through {@link imagePixelAt}, so a point is read from the
+ * pixel the gram draws it on whatever its orientation. Reading the pixels
+ * themselves is `components/spectrogramImage.js`'s business.
+ */
+
+/// <reference path="../types.js" />
+
+import { dataToImageFraction, isTimeHorizontal } from './coordinates.js'
+
+/**
+ * The pixel of an image that shows a point. Frequency is binned across the
+ * pixels along its axis; time is spread along its axis so the first and last
+ * pixels sit on its limits. A point off the image reads the nearest pixel on
+ * its edge.
+ * @param {DataCoordinates} point - Time and frequency
+ * @param {Config} config - The gram's axis ranges and orientation
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {{x: number, y: number}} Column and row indices, clamped to the image
+ */
+export function imagePixelAt(point, config, width, height) {
+  const fraction = dataToImageFraction(point, config)
+  /**
+   * @param {number} f - Fraction along the frequency axis's side
+   * @param {number} size - Pixels along that side
+   * @returns {number} Pixel index
+   */
+  const freqPixel = (f, size) => Math.min(size - 1, Math.max(0, Math.floor(f * size)))
+  /**
+   * @param {number} f - Fraction along the time axis's side
+   * @param {number} size - Pixels along that side
+   * @returns {number} Pixel index
+   */
+  const timePixel = (f, size) => Math.round(Math.min(1, Math.max(0, f)) * (size - 1))
+  return isTimeHorizontal(config)
+    ? { x: timePixel(fraction.x, width), y: freqPixel(fraction.y, height) }
+    : { x: freqPixel(fraction.x, width), y: timePixel(fraction.y, height) }
+}
+
+/**
+ * Luminance of a pixel, from 0 (black) to 1 (white).
+ * @param {ArrayLike<number>} pixels - RGBA data
+ * @param {number} offset - Index of the pixel's red byte
+ * @returns {number} Luminance
+ */
+export function luminance(pixels, offset) {
+  return (0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2]) / 255
+}
+
+/**
+ * An intensity as the readouts show it: a whole percentage of full
+ * brightness, or a dash when the pixels could not be read.
+ * @param {number|null} intensity - Luminance from 0 to 1, or null
+ * @returns {string} Display text
+ */
+export function formatIntensity(intensity) {
+  return intensity === null ? '—' : String(Math.round(intensity * 100))
+}
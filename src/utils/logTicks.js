@@ -0,0 +1,56 @@
+/**
+ * Log frequency axis ticks
+ *
+ * A gram plotted on a log frequency scale (`freq-scale: log`) is ticked the
+ * way log paper is: a labelled tick at each decade, and unlabelled ones at
+ * 2–9 times it between. Zoomed in to less than a decade there may be no
+ * decade left in view, so the minor ticks are labelled too. Where each tick
+ * falls along the axis is `utils/coordinates.js`'s business; this module only
+ * says which frequencies to tick.
+ */
+
+/**
+ * One tick of a log frequency axis.
+ * @typedef {Object} LogTick
+ * @property {number} freq - Frequency in Hz
+ * @property {boolean} major - Whether it is a decade
+ * @property {boolean} labelled - Whether it carries a label
+ */
+
+/**
+ * Relative slack on the range's ends, so a decade sitting exactly on an end
+ * is not lost to rounding.
+ * @type {number}
+ */
+const EDGE_SLACK = 1e-9
+
+/**
+ * The ticks of a log frequency axis over a range, lowest first.
+ * @param {number} freqMin - Lowest frequency in view, in Hz (above zero)
+ * @param {number} freqMax - Highest frequency in view, in Hz
+ * @returns {LogTick[]} Decades and the 2–9 multiples between them, empty for
+ *   a range that is not positive and increasing
+ */
+export function logFrequencyTicks(freqMin, freqMax) {
+  if (!(freqMin > 0) || !(freqMax > freqMin)) {
+    return []
+  }
+  const low = freqMin * (1 - EDGE_SLACK)
+  const high = freqMax * (1 + EDGE_SLACK)
+  const labelMinors = Math.log10(freqMax / freqMin) < 1
+
+  /** @type {LogTick[]} */
+  const ticks = []
+  for (let exponent = Math.floor(Math.log10(low)); exponent <= Math.ceil(Math.log10(high)); exponent++) {
+    const decade = Math.pow(10, exponent)
+    for (let multiple = 1; multiple <= 9; multiple++) {
+      // 3 × 0.1 comes out as 0.30000000000000004; round back to one figure
+      const freq = Number((multiple * decade).toPrecision(1))
+      if (freq >= low && freq <= high) {
+        const major = multiple === 1
+        ticks.push({ freq, major, labelled: major || labelMinors })
+      }
+    }
+  }
+  return ticks
+}
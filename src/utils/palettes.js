@@ -0,0 +1,84 @@
+/**
+ * False-colour palettes
+ *
+ * A greyscale gram's brightness mapped through a colour scale, so faint
+ * levels that are hard to tell apart in grey land in visibly different hues.
+ * Each palette is a handful of colour stops, evenly spaced from black to
+ * white, expanded into a 256-entry lookup table the image copy is remapped
+ * through by `components/spectrogramImage.js`; the image panel's colour bar
+ * is drawn from the same stops by {@link paletteGradient}.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * Palettes the display panel offers, in menu order. Grey, the image as it
+ * came, is first and the default.
+ * @type {Array<PaletteName>}
+ */
+export const PALETTE_NAMES = ['grey', 'viridis', 'hot', 'jet', 'green-phosphor']
+
+/**
+ * Evenly spaced colour stops of each palette, darkest level first.
+ * @type {Record<PaletteName, Array<[number, number, number]>>}
+ */
+const PALETTE_STOPS = {
+  grey: [[0, 0, 0], [255, 255, 255]],
+  viridis: [
+    [68, 1, 84], [72, 40, 120], [62, 74, 137], [49, 104, 142], [38, 130, 142],
+    [31, 158, 137], [53, 183, 121], [110, 206, 88], [181, 222, 43], [253, 231, 37]
+  ],
+  hot: [[0, 0, 0], [230, 0, 0], [255, 210, 0], [255, 255, 255]],
+  jet: [[0, 0, 128], [0, 0, 255], [0, 255, 255], [255, 255, 0], [255, 0, 0], [128, 0, 0]],
+  'green-phosphor': [[0, 0, 0], [0, 90, 0], [0, 255, 0], [200, 255, 200]]
+}
+
+/**
+ * Whether a value names a palette, for reading one from the config table.
+ * @param {unknown} value - Candidate name
+ * @returns {value is PaletteName} True for one of {@link PALETTE_NAMES}
+ */
+export function isPaletteName(value) {
+  return PALETTE_NAMES.includes(/** @type {PaletteName} */ (value))
+}
+
+/**
+ * A palette's colour at a level.
+ * @param {PaletteName} name - Palette
+ * @param {number} level - Brightness from 0 to 1
+ * @returns {number[]} Red, green and blue from 0 to 255
+ */
+function colourAt(name, level) {
+  const stops = PALETTE_STOPS[name]
+  const position = Math.min(1, Math.max(0, level)) * (stops.length - 1)
+  const index = Math.min(stops.length - 2, Math.floor(position))
+  const fraction = position - index
+  const from = stops[index]
+  const to = stops[index + 1]
+  return [0, 1, 2].map(channel => Math.round(from[channel] + (to[channel] - from[channel]) * fraction))
+}
+
+/**
+ * A palette expanded into a lookup table, one colour per grey level.
+ * @param {PaletteName} name - Palette
+ * @returns {Uint8ClampedArray} 256 red, green, blue triples, black's first
+ */
+export function buildLookupTable(name) {
+  const table = new Uint8ClampedArray(256 * 3)
+  for (let level = 0; level < 256; level++) {
+    table.set(colourAt(name, level / 255), level * 3)
+  }
+  return table
+}
+
+/**
+ * A palette as a left-to-right CSS gradient, black's end first, for its
+ * colour bar.
+ * @param {PaletteName} name - Palette
+ * @returns {string} A `linear-gradient` value
+ */
+export function paletteGradient(name) {
+  const stops = PALETTE_STOPS[name]
+  const colours = stops.map(([r, g, b], index) => `rgb(${r}, ${g}, ${b}) ${Math.round(index / (stops.length - 1) * 100)}%`)
+  return `linear-gradient(to right, ${colours.join(', ')})`
+}
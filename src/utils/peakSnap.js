@@ -0,0 +1,67 @@
+/**
+ * Snap-to-peak
+ *
+ * A thin tonal is a line one or two image columns wide, narrower than the
+ * pointer can be placed on at low zoom. Snapping moves a frequency to the
+ * brightest column of the gram's row within a small window either side of it,
+ * refined between columns, so a marker dropped near a tonal lands on it.
+ * `BaseMode.snapToPeak` snaps features placed on the gram, and the slice
+ * plot snaps a click on its spectrum the same way.
+ */
+
+/// <reference path="../types.js" />
+
+import { freqToFraction, fractionToFreq } from './coordinates.js'
+
+/**
+ * The frequency of the brightest point of a row within a window about a
+ * frequency.
+ *
+ * Columns are taken at their centres, on whichever scale the profile's
+ * frequency runs. The brightest column in the window is refined by fitting a
+ * parabola through it and its neighbours, and the result kept within the
+ * window. A window with nothing brighter than anywhere else in
+ * it — flat, or off the image — leaves the frequency where it was.
+ * @param {IntensityProfile} profile - The gram's intensity along the row
+ * @param {number} freq - Frequency to snap, in Hz
+ * @param {number} halfWidth - How far either side of it to look, in Hz
+ * @returns {number} The snapped frequency in Hz
+ */
+export function findPeakFrequency(profile, freq, halfWidth) {
+  const { values, freqMin, freqMax } = profile
+  if (!(freqMax > freqMin) || values.length === 0 || !(halfWidth > 0)) {
+    return freq
+  }
+
+  /**
+   * Column whose centre is nearest a frequency, clamped to the row.
+   * @param {number} f - Frequency in Hz
+   * @returns {number} Column index
+   */
+  const columnAt = (f) => Math.min(values.length - 1, Math.max(0, Math.round(freqToFraction(f, profile) * values.length - 0.5)))
+  // Kept to the row's own range: below the bottom of a log axis there is no column at all
+  const first = columnAt(Math.max(freqMin, freq - halfWidth))
+  const last = columnAt(Math.min(freqMax, freq + halfWidth))
+
+  let peak = first
+  let lowest = values[first]
+  for (let x = first + 1; x <= last; x++) {
+    if (values[x] > values[peak]) {
+      peak = x
+    }
+    lowest = Math.min(lowest, values[x])
+  }
+  if (values[peak] <= lowest) {
+    return freq
+  }
+
+  let offset = 0
+  if (peak > 0 && peak < values.length - 1) {
+    const before = values[peak - 1]
+    const after = values[peak + 1]
+    const curvature = before - 2 * values[peak] + after
+    offset = curvature < 0 ? 0.5 * (before - after) / curvature : 0
+  }
+  const snapped = fractionToFreq((peak + 0.5 + offset) / values.length, profile)
+  return Math.min(freq + halfWidth, Math.max(freq - halfWidth, snapped))
+}
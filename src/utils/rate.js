@@ -0,0 +1,53 @@
+/**
+ * Rate divisor utilities
+ *
+ * The analyst may enter a rate — typically a shaft rate — and read frequencies
+ * as multiples of it: a tonal at 3.00× the shaft rate is a third shaft
+ * harmonic, one at 7.00× may be a blade rate. The rate divides *readouts*
+ * only. Features are placed, stored and drawn in Hz whatever the rate, so
+ * changing it never moves anything on the gram (BH-26).
+ *
+ * No rate is `null`: it is the default, and readouts that would only repeat
+ * the Hz value show a dash instead. Any positive rate counts, 1 Hz — a 60 rpm
+ * shaft — included.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * Whether a usable rate is set.
+ * @param {number|null} rate - Rate from state
+ * @returns {rate is number} True when readouts should show multiples of it
+ */
+export function isRateSet(rate) {
+  return rate !== null && Number.isFinite(rate) && rate > 0
+}
+
+/**
+ * Parse the rate input's text. Blank clears the rate; anything that is not a
+ * positive finite number is rejected rather than coerced.
+ * @param {string} text - Raw input text
+ * @returns {{rate: number|null}|null} The rate entered, null within it for
+ *   blank, or null if the text is invalid
+ */
+export function parseRate(text) {
+  const trimmed = text.trim()
+  if (trimmed === '') {
+    return { rate: null }
+  }
+  const rate = Number(trimmed)
+  return Number.isFinite(rate) && rate > 0 ? { rate } : null
+}
+
+/**
+ * Format a frequency as a multiple of the rate, e.g. `×3.00`.
+ * @param {number} freq - Frequency in Hz
+ * @param {number|null} rate - Rate from state
+ * @returns {string|null} The multiple, or null when no rate is set
+ */
+export function formatRateMultiple(freq, rate) {
+  if (!isRateSet(rate) || !Number.isFinite(freq)) {
+    return null
+  }
+  return `×${(freq / rate).toFixed(2)}`
+}
@@ -0,0 +1,51 @@
+/**
+ * Ruler measurement utilities
+ *
+ * The arithmetic behind Ruler mode: what separates two points on the gram in
+ * time, in frequency, and as a rate of frequency change. Ruler mode reads out
+ * what {@link calculateRulerMeasurement} returns, and Trace mode signs its
+ * drift rate with the same formatter the ruler's readouts use.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * Measure the span between a ruler's two ends.
+ *
+ * Deltas are signed and taken end − start, so a ruler drawn up-and-right reads
+ * positive on both axes. The slope is Δf / Δt in Hz/s, and is `null` when the
+ * two ends share a time: a vertical-in-time ruler has no finite rate, and a
+ * reading of "Infinity" would be worse than a blank.
+ * @param {DataCoordinates} start - Where the ruler was started
+ * @param {DataCoordinates} end - Where the ruler was released
+ * @returns {RulerMeasurement} Δt (s), Δf (Hz) and df/dt (Hz/s, or null)
+ */
+export function calculateRulerMeasurement(start, end) {
+  const deltaTime = end.time - start.time
+  const deltaFreq = end.freq - start.freq
+  const slope = deltaTime === 0 ? null : deltaFreq / deltaTime
+  return {
+    deltaTime,
+    deltaFreq,
+    slope: slope !== null && Number.isFinite(slope) ? slope : null
+  }
+}
+
+/**
+ * Format a signed measurement for an LED, always showing its sign so a
+ * falling tone can be told from a rising one at a glance.
+ * @param {number|null} value - Value to format; null renders as a dash
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted text, e.g. `+12.50`, `-0.30` or `—`
+ */
+export function formatSignedReading(value, digits) {
+  if (value === null || !Number.isFinite(value)) {
+    return '—'
+  }
+  const text = Math.abs(value).toFixed(digits)
+  // -0.00 reads as a measurement; show an unsigned zero instead.
+  if (Number(text) === 0) {
+    return text
+  }
+  return `${value < 0 ? '-' : '+'}${text}`
+}
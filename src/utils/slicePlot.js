@@ -0,0 +1,111 @@
+/**
+ * Slice plot geometry
+ *
+ * Lays the slice plots out under the gram and turns an intensity slice into
+ * the points of a line plot. Whichever quantity runs across the gram — the
+ * spectrum's frequency, unless the gram is rotated to run time across — is
+ * placed through `utils/coordinates.js`, so each peak sits under the feature
+ * it comes from at any zoom and pan, and a click on the spectrum finds the
+ * frequency the gram shows above it. Drawing the plots and following the
+ * pointer over them is `components/SliceProfile.js`'s business.
+ */
+
+/// <reference path="../types.js" />
+
+import { dataToSVG, freqToFraction, fractionToFreq, svgToImage, imageToData, getRenderDimensions, calculateVisibleDataRange, isTimeHorizontal } from './coordinates.js'
+import { findPeakFrequency } from './peakSnap.js'
+
+/** @typedef {import('./coordinates.js').Viewport} Viewport */
+
+/**
+ * Where frequencies and times fall across the plots, in SVG units.
+ * @typedef {Object} PlotLayout
+ * @property {PlotBounds} bounds - Drawing area
+ * @property {number} totalWidth - Width of each plot, the same as the gram's SVG
+ * @property {DataRange} visible - Data range in view on the gram
+ * @property {function(number): number} freqX - Where a frequency falls across the spectrum
+ * @property {function(number): number} freqAt - The frequency at a point across the spectrum
+ * @property {function(number): number} timeX - Where a time falls across the history
+ */
+
+/**
+ * Lay the plots out for the gram as drawn. Whichever quantity runs across the
+ * gram follows it through the canonical transforms; the other is spread over
+ * the visible range.
+ * @param {Viewport} viewport - The viewport the gram is drawn with
+ * @param {SVGImageElement|null} image - The gram's image element, whose attributes carry zoom and pan
+ * @param {number} top - Where full brightness plots
+ * @param {number} bottom - Where black plots
+ * @returns {PlotLayout} The layout
+ */
+export function sliceLayout(viewport, image, top, bottom) {
+  const { margins, config } = viewport
+  const { renderWidth } = getRenderDimensions(viewport)
+  const bounds = { left: margins.left, right: margins.left + renderWidth, top, bottom }
+  const totalWidth = margins.left + renderWidth + margins.right
+  const visible = calculateVisibleDataRange(viewport, image)
+  /** @type {FrequencyAxis} */
+  const visibleFreqs = { freqMin: visible.freqMin, freqMax: visible.freqMax, freqScale: config.freqScale }
+
+  if (isTimeHorizontal(config)) {
+    return {
+      bounds,
+      totalWidth,
+      visible,
+      freqX: (freq) => bounds.left + freqToFraction(freq, visibleFreqs) * renderWidth,
+      freqAt: (x) => fractionToFreq((x - bounds.left) / renderWidth, visibleFreqs),
+      timeX: (time) => dataToSVG({ freq: config.freqMin, time }, viewport, image).x
+    }
+  }
+  return {
+    bounds,
+    totalWidth,
+    visible,
+    freqX: (freq) => dataToSVG({ freq, time: config.timeMin }, viewport, image).x,
+    freqAt: (x) => imageToData(svgToImage(x, 0, viewport, image).x, 0, viewport).freq,
+    timeX: (time) => bounds.left + (time - visible.timeMin) / (visible.timeMax - visible.timeMin) * renderWidth
+  }
+}
+
+/**
+ * Where a click on the spectrum places a marker: at the slice's time, and at
+ * the frequency under the click, moved onto the brightest point of the row
+ * near it unless it is to be placed exactly.
+ * @param {PlotLayout} layout - The plots' layout
+ * @param {number} x - Where the click fell across the spectrum, in SVG units
+ * @param {number} time - Time the slice was taken at
+ * @param {IntensityProfile|null} row - The gram's row at that time, or null if its pixels cannot be read
+ * @param {function(number): number} [snapWindow] - How far either side of a
+ *   frequency to look for a peak, in Hz; left out to place the marker exactly
+ * @returns {DataCoordinates} Where the marker goes
+ */
+export function spectrumClickPosition(layout, x, time, row, snapWindow) {
+  const freq = layout.freqAt(x)
+  if (!row || !snapWindow) {
+    return { time, freq }
+  }
+  return { time, freq: findPeakFrequency(row, freq, snapWindow(freq)) }
+}
+
+/**
+ * The `points` of a polyline plotting a slice.
+ *
+ * Values whose position falls outside the plot, as most do when the gram is
+ * zoomed in, are left out rather than clamped to its edge.
+ * @param {number[]} xs - Position of each value along the plot
+ * @param {number[]} values - Intensity from 0 to 1, one per position
+ * @param {PlotBounds} bounds - Drawing area
+ * @returns {string} Space-separated `x,y` pairs, empty if none fall inside
+ */
+export function slicePolyline(xs, values, bounds) {
+  const { left, right, top, bottom } = bounds
+  /** @type {string[]} */
+  const points = []
+  xs.forEach((x, index) => {
+    if (x >= left && x <= right) {
+      const value = Math.min(1, Math.max(0, values[index]))
+      points.push(`${x.toFixed(1)},${(bottom - value * (bottom - top)).toFixed(1)}`)
+    }
+  })
+  return points.join(' ')
+}
@@ -0,0 +1,157 @@
+/**
+ * Harmonic spacing estimation
+ *
+ * Reads the dominant spacing of a harmonic series off one row of the
+ * spectrogram: a comb of tonals repeats every spacing along the frequency
+ * axis, so the row's intensity correlates with itself shifted by that much.
+ * The autocorrelation of the row peaks at the spacing and at each multiple of
+ * it; the shortest shift that repeats about as well as the best one is the
+ * spacing, and the longer ones are its multiples. That holds only where the
+ * row's columns are evenly spaced in frequency, so a row read off a log gram
+ * goes through {@link linearProfile} first.
+ */
+
+/// <reference path="../types.js" />
+
+import { freqToFraction } from './coordinates.js'
+
+/**
+ * The narrowest spacing, in image columns, that can be told apart from
+ * speckle.
+ * @type {number}
+ */
+const MIN_SPACING_COLUMNS = 3
+
+/**
+ * How far the correlation at a spacing may fall short of the strongest one
+ * and still be preferred to it as the shorter shift — at its multiples the
+ * correlation is only ever a little stronger, through noise.
+ * @type {number}
+ */
+const MULTIPLE_PREFERENCE = 0.8
+
+/**
+ * The weakest correlation reported as a spacing rather than as none.
+ * @type {number}
+ */
+const MIN_CONFIDENCE = 0.2
+
+/**
+ * The least root-mean-square variation about the trend, in luminance, that is
+ * taken for structure rather than rounding — a fraction of one grey level.
+ * @type {number}
+ */
+const MIN_VARIATION = 1e-3
+
+/**
+ * Remove the straight-line trend from a profile, so the background sloping
+ * from low to high frequencies does not read as one long repeat.
+ * @param {number[]} values - Profile values
+ * @returns {number[]} Residuals about the fitted line
+ */
+function detrend(values) {
+  const n = values.length
+  const meanX = (n - 1) / 2
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n
+  let sxy = 0
+  let sxx = 0
+  values.forEach((value, x) => {
+    sxy += (x - meanX) * (value - meanY)
+    sxx += (x - meanX) * (x - meanX)
+  })
+  const slope = sxx > 0 ? sxy / sxx : 0
+  return values.map((value, x) => value - meanY - slope * (x - meanX))
+}
+
+/**
+ * Normalised autocorrelation up to a largest shift. Each shift is averaged
+ * over the columns it overlaps, so long shifts are not penalised for having
+ * fewer of them.
+ * @param {number[]} values - Detrended profile
+ * @param {number} maxLag - Largest shift in columns
+ * @returns {number[]} Correlation at each shift, 1 at shift 0
+ */
+function autocorrelate(values, maxLag) {
+  const n = values.length
+  const energy = values.reduce((sum, value) => sum + value * value, 0) / n
+  const correlation = []
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let sum = 0
+    for (let x = 0; x + lag < n; x++) {
+      sum += values[x] * values[x + lag]
+    }
+    correlation.push(sum / (n - lag) / energy)
+  }
+  return correlation
+}
+
+/**
+ * Estimate the dominant harmonic spacing in an intensity profile.
+ *
+ * Only shifts up to half the profile are tried, so a spacing is seen to repeat
+ * at least twice. The chosen shift is refined between columns by fitting a
+ * parabola through it and its neighbours.
+ * @param {number[]} values - Intensity along one time row, one value per column
+ * @param {number} hzPerColumn - Frequency span of one column in Hz
+ * @returns {SpacingEstimate|null} The spacing, or null if nothing repeats clearly
+ */
+export function estimateSpacing(values, hzPerColumn) {
+  const maxLag = Math.floor(values.length / 2)
+  if (maxLag <= MIN_SPACING_COLUMNS || !(hzPerColumn > 0)) {
+    return null
+  }
+  const residuals = detrend(values)
+  const variation = Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / residuals.length)
+  if (variation < MIN_VARIATION) {
+    return null
+  }
+  const correlation = autocorrelate(residuals, maxLag)
+
+  /** @type {number[]} */
+  const peaks = []
+  for (let lag = MIN_SPACING_COLUMNS; lag < maxLag; lag++) {
+    if (correlation[lag] > 0 && correlation[lag] >= correlation[lag - 1] && correlation[lag] > correlation[lag + 1]) {
+      peaks.push(lag)
+    }
+  }
+  if (peaks.length === 0) {
+    return null
+  }
+
+  const strongest = Math.max(...peaks.map(lag => correlation[lag]))
+  const lag = /** @type {number} */ (peaks.find(peak => correlation[peak] >= MULTIPLE_PREFERENCE * strongest))
+  const confidence = Math.min(1, correlation[lag])
+  if (confidence < MIN_CONFIDENCE) {
+    return null
+  }
+
+  const before = correlation[lag - 1]
+  const after = correlation[lag + 1]
+  const curvature = before - 2 * correlation[lag] + after
+  const offset = curvature < 0 ? 0.5 * (before - after) / curvature : 0
+  return { spacing: (lag + offset) * hzPerColumn, confidence }
+}
+
+/**
+ * A row's intensity at evenly spaced frequencies, as the estimate needs it.
+ *
+ * A row read off a linear gram already is, and comes back as it is. One read
+ * off a log gram is resampled at as many evenly spaced frequencies as it has
+ * columns, each taking the column it falls in: its low columns are repeated
+ * and its high ones thinned, but a comb of harmonics is evenly spaced again.
+ * @param {IntensityProfile} profile - The gram's intensity along the row
+ * @returns {{values: number[], hzPerColumn: number}} Values at evenly spaced frequencies, and their spacing in Hz
+ */
+export function linearProfile(profile) {
+  const { values, freqMin, freqMax } = profile
+  const hzPerColumn = (freqMax - freqMin) / values.length
+  if (profile.freqScale !== 'log') {
+    return { values, hzPerColumn }
+  }
+  const resampled = values.map((_, x) => {
+    const freq = freqMin + (x + 0.5) * hzPerColumn
+    const column = Math.min(values.length - 1, Math.max(0, Math.floor(freqToFraction(freq, profile) * values.length)))
+    return values[column]
+  })
+  return { values: resampled, hzPerColumn }
+}
@@ -2,6 +2,8 @@
  * @fileoverview Time formatting utilities for GramFrame
  */
 
+/// <reference path="../types.js" />
+
 /**
  * Formats elapsed time in seconds to mm:ss format
  * @param {number} seconds - The elapsed time in seconds
@@ -18,3 +20,167 @@ export function formatTime(seconds) {
   return `${paddedMinutes}:${paddedSeconds}`;
 }
 
+/**
+ * Units a page can show elapsed times in, from its `time-units` row.
+ * @type {Array<TimeUnit>}
+ */
+export const TIME_UNITS = ['mm:ss', 's', 'ms', 'min'];
+
+/** @type {Record<Exclude<TimeUnit, 'mm:ss'>, number>} */
+const SECONDS_PER_UNIT = {
+  s: 1,
+  ms: 0.001,
+  min: 60
+};
+
+/**
+ * Decimal places decimal times show without a `time-precision` row
+ * @type {Record<Exclude<TimeUnit, 'mm:ss'>, number>}
+ */
+const DEFAULT_TIME_PLACES = {
+  s: 2,
+  ms: 0,
+  min: 3
+};
+
+/**
+ * Seconds in a day, the period clock time wraps at
+ * @type {number}
+ */
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * A `time-origin` value: a time of day, optionally preceded by an ISO date and
+ * followed by a zone, e.g. `14:30`, `14:30:05` or `2024-03-01T14:30:05Z`.
+ */
+const TIME_ORIGIN_PATTERN = /^(?:\d{4}-\d{2}-\d{2}[T ])?(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?(?:Z|([+-])(\d{2}):?(\d{2}))?$/i;
+
+/**
+ * Parses a `time-origin` config value to the time of day it names.
+ *
+ * A date is accepted and dropped. A time without a zone, or with `Z`, is read
+ * as written; one with an offset such as `+05:00` is converted to UTC, the
+ * clock a `Z` timestamp is on, wrapping past midnight.
+ * @param {string} text - The value as written in the config table
+ * @returns {number|null} Seconds after midnight, or null if it is not a time of day
+ */
+export function parseTimeOrigin(text) {
+  const match = TIME_ORIGIN_PATTERN.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = match[3] ? parseFloat(match[3]) : 0;
+  if (hours > 23 || minutes > 59 || seconds >= 60) {
+    return null;
+  }
+  let offset = 0;
+  if (match[4]) {
+    const offsetHours = parseInt(match[5], 10);
+    const offsetMinutes = parseInt(match[6], 10);
+    if (offsetHours > 23 || offsetMinutes > 59) {
+      return null;
+    }
+    offset = (match[4] === '-' ? -1 : 1) * (offsetHours * 3600 + offsetMinutes * 60);
+  }
+  const local = hours * 3600 + minutes * 60 + seconds;
+  return ((local - offset) % SECONDS_PER_DAY + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+}
+
+/**
+ * Formats a time of day as hh:mm:ss, wrapping past midnight
+ * @param {number} seconds - Seconds after midnight
+ * @returns {string} Time formatted as hh:mm:ss
+ */
+function formatClockTime(seconds) {
+  const ofDay = ((Math.floor(seconds) % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+  const hours = Math.floor(ofDay / 3600).toString().padStart(2, '0');
+  const minutes = Math.floor((ofDay % 3600) / 60).toString().padStart(2, '0');
+  const remainingSeconds = (ofDay % 60).toString().padStart(2, '0');
+  return `${hours}:${minutes}:${remainingSeconds}`;
+}
+
+/**
+ * Whether times on the gram are shown as clock time: it has a `time-origin`
+ * and the analyst has not switched back to elapsed time.
+ * @param {Pick<GramFrameState, 'config'|'timeDisplay'>} state - Gram state
+ * @returns {boolean} True for clock time, false for elapsed time
+ */
+export function showsClockTime(state) {
+  return state.timeDisplay === 'clock' && typeof state.config.timeOrigin === 'number';
+}
+
+/**
+ * Whether a value names a time unit, for reading one from the config table
+ * @param {unknown} value - Candidate unit
+ * @returns {value is TimeUnit} True for one of {@link TIME_UNITS}
+ */
+export function isTimeUnit(value) {
+  return TIME_UNITS.includes(/** @type {TimeUnit} */ (value));
+}
+
+/**
+ * A time as decimal readouts show it — durations, and extents in tables too
+ * narrow for two mm:ss values. A gram whose times read mm:ss gives seconds.
+ * @param {number} seconds - Time in seconds
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {{value: number, places: number, unit: Exclude<TimeUnit, 'mm:ss'>}} The value, its decimal places and its units
+ */
+export function timeReading(seconds, format) {
+  const unit = format.timeUnits && format.timeUnits !== 'mm:ss' ? format.timeUnits : 's';
+  return { value: seconds / SECONDS_PER_UNIT[unit], places: format.timePrecision ?? DEFAULT_TIME_PLACES[unit], unit };
+}
+
+/**
+ * Formats a time as decimal readouts show it, for a cell or LED whose label
+ * carries the units
+ * @param {number} seconds - Time in seconds
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {string} Formatted time, without units
+ */
+export function formatTimeReading(seconds, format) {
+  const { value, places } = timeReading(seconds, format);
+  return value.toFixed(places);
+}
+
+/**
+ * Formats a time on the gram the way the gram is showing times. The origin is
+ * the clock time at `time-start`, so clock time counts on from there.
+ * @param {number} seconds - Time on the gram's time axis, in seconds
+ * @param {Pick<GramFrameState, 'config'|'timeDisplay'>} state - Gram state
+ * @returns {string} Clock time as hh:mm:ss, or elapsed time in the gram's `time-units`
+ */
+export function formatGramTime(seconds, state) {
+  const { config } = state;
+  const origin = config.timeOrigin;
+  if (showsClockTime(state) && typeof origin === 'number') {
+    return formatClockTime(origin + seconds - config.timeMin);
+  }
+  if (!config.timeUnits || config.timeUnits === 'mm:ss') {
+    return formatTime(seconds);
+  }
+  return formatTimeReading(seconds, config);
+}
+
+/**
+ * Formats a time axis label: as {@link formatGramTime} does, with the units
+ * appended to a decimal time, as they are to a frequency
+ * @param {number} seconds - Time on the gram's time axis, in seconds
+ * @param {Pick<GramFrameState, 'config'|'timeDisplay'>} state - Gram state
+ * @returns {string} Label, e.g. `01:30`, `14:31:30` or `90.00s`
+ */
+export function formatGramTimeTick(seconds, state) {
+  const label = timeFormatLabel(state);
+  const text = formatGramTime(seconds, state);
+  return label.includes(':') ? text : `${text}${label}`;
+}
+
+/**
+ * The format times on the gram are shown in, for labels and headings
+ * @param {Pick<GramFrameState, 'config'|'timeDisplay'>} state - Gram state
+ * @returns {string} `hh:mm:ss` for clock time, else the gram's `time-units`, `mm:ss` by default
+ */
+export function timeFormatLabel(state) {
+  return showsClockTime(state) ? 'hh:mm:ss' : state.config.timeUnits ?? 'mm:ss';
+}
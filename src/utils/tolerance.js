@@ -7,6 +7,8 @@
 
 /// <reference path="../types.js" />
 
+import { freqToFraction, fractionToFreq, isTimeHorizontal } from './coordinates.js'
+
 /** @typedef {import('./coordinates.js').Viewport} Viewport */
 
 /**
@@ -47,13 +49,19 @@ const DEFAULT_TOLERANCE = {
 }
 
 /**
- * Calculate tolerance in data coordinates based on current viewport and zoom
+ * Calculate tolerance in data coordinates based on current viewport and zoom.
+ *
+ * On a log frequency axis a pixel spans more hertz the higher it sits, so the
+ * frequency tolerance is the pixel radius's span about `atFreq`, and is not
+ * capped: a fixed ceiling in hertz would shrink the grab region to nothing at
+ * the top of the axis.
  * @param {Viewport} viewport - Viewport configuration
  * @param {HTMLElement|SVGImageElement} spectrogramImage - Spectrogram image element for scaling
  * @param {Partial<ToleranceConfig>} [customTolerance] - Custom tolerance overrides
+ * @param {number} [atFreq] - Frequency the tolerance is wanted about, in Hz; the axis's middle if not given
  * @returns {DataTolerance} Tolerance object with time and freq properties
  */
-function calculateDataTolerance(viewport, spectrogramImage, customTolerance = {}) {
+function calculateDataTolerance(viewport, spectrogramImage, customTolerance = {}, atFreq) {
   const config = { ...DEFAULT_TOLERANCE, ...customTolerance }
   
   if (!viewport || !spectrogramImage) {
@@ -73,14 +81,21 @@ function calculateDataTolerance(viewport, spectrogramImage, customTolerance = {}
 
   // Calculate pixel-to-data conversion factors
   const timeRange = dataConfig.timeMax - dataConfig.timeMin
-  const freqRange = dataConfig.freqMax - dataConfig.freqMin
 
   // Account for zoom level - higher zoom means smaller pixel tolerance in data space
   const effectiveZoom = zoom?.level || 1.0
 
-  // Convert pixel tolerance to data space (relative to the rendered image size)
-  const timeToleranceFromPixels = (config.pixelRadius / renderHeight) * timeRange / effectiveZoom
-  const freqToleranceFromPixels = (config.pixelRadius / renderWidth) * freqRange / effectiveZoom
+  // Convert pixel tolerance to data space (relative to the rendered image
+  // size), along whichever side of the image each axis runs
+  const timeHorizontal = isTimeHorizontal(dataConfig)
+  const timeLength = timeHorizontal ? renderWidth : renderHeight
+  const freqLength = timeHorizontal ? renderHeight : renderWidth
+  const timeToleranceFromPixels = (config.pixelRadius / timeLength) * timeRange / effectiveZoom
+  const radiusFraction = config.pixelRadius / freqLength / effectiveZoom
+  const centre = atFreq === undefined ? 0.5 : freqToFraction(atFreq, dataConfig)
+  const freqToleranceFromPixels =
+    (fractionToFreq(centre + radiusFraction, dataConfig) - fractionToFreq(centre - radiusFraction, dataConfig)) / 2
+  const freqCeiling = dataConfig.freqScale === 'log' ? Infinity : config.maxDataTolerance.freq
   
   // Apply min/max constraints
   const timeTolerance = Math.max(
@@ -90,7 +105,7 @@ function calculateDataTolerance(viewport, spectrogramImage, customTolerance = {}
   
   const freqTolerance = Math.max(
     config.minDataTolerance.freq,
-    Math.min(config.maxDataTolerance.freq, freqToleranceFromPixels)
+    Math.min(freqCeiling, freqToleranceFromPixels)
   )
   
   return {
@@ -167,8 +182,9 @@ export function findClosestTarget(position, targets, tolerance) {
  * Get uniform tolerance calculation for all modes
  * @param {Viewport} viewport - Viewport configuration
  * @param {HTMLElement|SVGImageElement} spectrogramImage - Spectrogram image element
+ * @param {number} [atFreq] - Frequency the tolerance is wanted about, in Hz, which matters on a log axis
  * @returns {DataTolerance} Tolerance object with time and freq properties
  */
-export function getUniformTolerance(viewport, spectrogramImage) {
-  return calculateDataTolerance(viewport, spectrogramImage, DEFAULT_TOLERANCE)
+export function getUniformTolerance(viewport, spectrogramImage, atFreq) {
+  return calculateDataTolerance(viewport, spectrogramImage, DEFAULT_TOLERANCE, atFreq)
 }
\ No newline at end of file
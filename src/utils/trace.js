@@ -0,0 +1,64 @@
+/**
+ * Tonal trace statistics
+ *
+ * The arithmetic behind Trace mode: what a line clicked along a wandering
+ * tonal says about it. A harmonic set holds one spacing at one time, so it
+ * cannot follow a line that drifts; a trace keeps every clicked point and
+ * summarises them here. Kept pure — no DOM, no state — as the ruler and
+ * Doppler arithmetic are.
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * Summarise a trace's points: mean frequency, spread and drift rate.
+ *
+ * The mean is taken along the polyline, weighting each stretch by the time it
+ * covers, so a burst of clicks on one part of the line does not pull the mean
+ * towards it. A trace with no time extent falls back to the plain mean of its
+ * points. The spread is the highest frequency minus the lowest.
+ *
+ * The drift rate is the least-squares slope of frequency on time, in Hz/s,
+ * which averages click error over every point rather than trusting the two
+ * ends. It is `null` until the points cover more than one time: a rate needs
+ * a time span, and "Infinity" would be worse than a blank.
+ * @param {Array<DataCoordinates>} points - Trace points, in any order
+ * @returns {TraceStatistics|null} The statistics, or null for a trace with no points
+ */
+export function calculateTraceStatistics(points) {
+  if (points.length === 0) {
+    return null
+  }
+  const sorted = [...points].sort((a, b) => a.time - b.time)
+  const freqs = sorted.map(point => point.freq)
+  const duration = sorted[sorted.length - 1].time - sorted[0].time
+
+  let meanFreq = freqs.reduce((sum, freq) => sum + freq, 0) / freqs.length
+  if (duration > 0) {
+    let area = 0
+    for (let i = 1; i < sorted.length; i++) {
+      area += (sorted[i].time - sorted[i - 1].time) * (sorted[i].freq + sorted[i - 1].freq) / 2
+    }
+    meanFreq = area / duration
+  }
+
+  let driftRate = null
+  if (duration > 0) {
+    const meanTime = sorted.reduce((sum, point) => sum + point.time, 0) / sorted.length
+    const pointMean = freqs.reduce((sum, freq) => sum + freq, 0) / freqs.length
+    let covariance = 0
+    let variance = 0
+    for (const point of sorted) {
+      covariance += (point.time - meanTime) * (point.freq - pointMean)
+      variance += (point.time - meanTime) ** 2
+    }
+    driftRate = covariance / variance
+  }
+
+  return {
+    meanFreq,
+    spread: Math.max(...freqs) - Math.min(...freqs),
+    driftRate: driftRate !== null && Number.isFinite(driftRate) ? driftRate : null,
+    duration
+  }
+}
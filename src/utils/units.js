@@ -0,0 +1,212 @@
+/**
+ * Display units for the readouts
+ *
+ * Values are held in SI throughout — metres, seconds, metres per second,
+ * hertz — and converted only for display, so changing a unit never changes a
+ * stored or broadcast number. The analyst steps through a Doppler readout's
+ * units by clicking its LED; the units and places frequencies are shown in
+ * are the page's, from its config table.
+ */
+
+/// <reference path="../types.js" />
+
+import { formatTime } from './timeFormatter.js'
+import { MS_TO_KNOTS } from './doppler.js'
+
+/**
+ * Units the speed LED steps through, in click order. Knots come first: the
+ * default, as the LED has always read.
+ * @type {Array<SpeedUnit>}
+ */
+export const SPEED_UNITS = ['kts', 'm/s', 'km/h']
+
+/**
+ * Units the CPA range LED steps through, in click order.
+ * @type {Array<RangeUnit>}
+ */
+export const RANGE_UNITS = ['m', 'km', 'kyd', 'nmi']
+
+/**
+ * Units the CPA time LED steps through, in click order.
+ * @type {Array<CpaTimeUnit>}
+ */
+export const CPA_TIME_UNITS = ['s', 'mm:ss']
+
+/**
+ * Units a page can show frequencies in.
+ * @type {Array<FreqUnit>}
+ */
+export const FREQ_UNITS = ['Hz', 'kHz']
+
+/** @type {Record<FreqUnit, number>} */
+const HZ_PER_UNIT = {
+  Hz: 1,
+  kHz: 1000
+}
+
+/**
+ * Decimal places frequency readouts show without a `freq-precision` row: a
+ * hundredth of a hertz, as they always have, or a whole hertz in kHz.
+ * @type {Record<FreqUnit, number>}
+ */
+const DEFAULT_FREQ_PLACES = {
+  Hz: 2,
+  kHz: 3
+}
+
+/**
+ * Decimal places an axis label can show without a `freq-precision` row:
+ * whole hertz either way.
+ * @type {Record<FreqUnit, number>}
+ */
+const DEFAULT_TICK_PLACES = {
+  Hz: 0,
+  kHz: 3
+}
+
+/**
+ * Decimal places drift rates show: a thousandth of a hertz per second in
+ * either unit, so a slow drift does not read as zeros in kHz.
+ * @type {Record<FreqUnit, number>}
+ */
+const DRIFT_PLACES = {
+  Hz: 3,
+  kHz: 6
+}
+
+/** @type {Record<SpeedUnit, number>} */
+const UNITS_PER_MS = {
+  kts: MS_TO_KNOTS,
+  'm/s': 1,
+  'km/h': 3.6
+}
+
+/** @type {Record<RangeUnit, number>} */
+const METRES_PER_UNIT = {
+  m: 1,
+  km: 1000,
+  kyd: 914.4,
+  nmi: 1852
+}
+
+/**
+ * The unit after `current` in `units`, wrapping round; the first unit when
+ * `current` is not in the list.
+ * @template {string} T
+ * @param {Array<T>} units - Units in click order
+ * @param {T} current - Unit now shown
+ * @returns {T} Unit to show next
+ */
+export function nextUnit(units, current) {
+  return units[(units.indexOf(current) + 1) % units.length]
+}
+
+/**
+ * Whether a value names a speed unit, for reading one from the config table
+ * or session storage.
+ * @param {unknown} value - Candidate unit
+ * @returns {value is SpeedUnit} True for one of {@link SPEED_UNITS}
+ */
+export function isSpeedUnit(value) {
+  return SPEED_UNITS.includes(/** @type {SpeedUnit} */ (value))
+}
+
+/**
+ * Format a speed for its LED, to one place in any unit.
+ * @param {number} metresPerSecond - Speed in m/s
+ * @param {SpeedUnit} unit - Unit to show
+ * @returns {string} Formatted speed
+ */
+export function formatSpeed(metresPerSecond, unit) {
+  return (metresPerSecond * UNITS_PER_MS[unit]).toFixed(1)
+}
+
+/**
+ * Format a range for its LED: whole metres, or two places in the larger units.
+ * @param {number} metres - Range in metres
+ * @param {RangeUnit} unit - Unit to show
+ * @returns {string} Formatted range
+ */
+export function formatRange(metres, unit) {
+  const value = metres / METRES_PER_UNIT[unit]
+  return value.toFixed(unit === 'm' ? 0 : 2)
+}
+
+/**
+ * Format a CPA time for its LED: seconds to two places, or mm:ss as the time
+ * LED reads.
+ * @param {number} seconds - Time in seconds
+ * @param {CpaTimeUnit} unit - Unit to show
+ * @returns {string} Formatted time
+ */
+export function formatCpaTime(seconds, unit) {
+  return unit === 'mm:ss' ? formatTime(seconds) : seconds.toFixed(2)
+}
+
+/**
+ * The units a gram's frequencies are shown in.
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {FreqUnit} Its `freq-units`, else Hz
+ */
+export function frequencyUnit(format) {
+  return format.freqUnits ?? 'Hz'
+}
+
+/**
+ * A frequency as its readouts show it: in the gram's units, and to how many
+ * places. For callers that format the number themselves, such as signed
+ * readings.
+ * @param {number} hz - Frequency in Hz
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {{value: number, places: number}} The value in the gram's units and its decimal places
+ */
+export function frequencyReading(hz, format) {
+  const unit = frequencyUnit(format)
+  return { value: hz / HZ_PER_UNIT[unit], places: format.freqPrecision ?? DEFAULT_FREQ_PLACES[unit] }
+}
+
+/**
+ * The units a gram's drift rates — df/dt, trace drift, a drifting set's
+ * spacing — are shown in: its frequency units per second.
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {string} `Hz/s` or `kHz/s`
+ */
+export function driftUnit(format) {
+  return `${frequencyUnit(format)}/s`
+}
+
+/**
+ * A drift rate as its readouts show it, in the gram's frequency units per
+ * second. For signed readings, which callers format themselves.
+ * @param {number} hzPerSecond - Drift rate in Hz/s
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {{value: number, places: number}} The value in the gram's units per second and its decimal places
+ */
+export function driftReading(hzPerSecond, format) {
+  const unit = frequencyUnit(format)
+  return { value: hzPerSecond / HZ_PER_UNIT[unit], places: DRIFT_PLACES[unit] }
+}
+
+/**
+ * Format a frequency for an LED or table cell, whose label carries the units.
+ * @param {number} hz - Frequency in Hz
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {string} Formatted frequency, without units
+ */
+export function formatFrequency(hz, format) {
+  const { value, places } = frequencyReading(hz, format)
+  return value.toFixed(places)
+}
+
+/**
+ * Format a frequency axis label: rounded to the `freq-precision` places, or
+ * to whole hertz, with trailing zeros dropped and the units appended.
+ * @param {number} hz - Frequency in Hz
+ * @param {ReadoutFormat} format - The gram's config
+ * @returns {string} Label, e.g. `500Hz` or `12.5kHz`
+ */
+export function formatFrequencyTick(hz, format) {
+  const unit = frequencyUnit(format)
+  const places = format.freqPrecision ?? DEFAULT_TICK_PLACES[unit]
+  return `${Number((hz / HZ_PER_UNIT[unit]).toFixed(places))}${unit}`
+}
@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview Auto spacing on a gram whose pixels cannot be read.
+ *
+ * A canvas holding an image from another origin — including, in most
+ * browsers, one opened from disk on a `file://` page (ADR-013) — is tainted,
+ * and reading it back throws. The dev server serves the gram same-origin, so
+ * the taint is simulated by making `getImageData` throw as a tainted canvas
+ * does. The gram must then say so rather than fail: the `+ Auto` dialog
+ * explains why it has no spacing, the readouts show a dash, the warning is
+ * logged once however often the pixels are asked for, and nothing escapes as
+ * an uncaught error. On a gram that can be read, the dialog names the time it
+ * read as the gram shows times.
+ */
+
+test.describe('Auto spacing when the gram\'s pixels cannot be read', () => {
+  test('shows the fallback, warns once and throws nothing', async ({ page }) => {
+    await page.addInitScript(() => {
+      CanvasRenderingContext2D.prototype.getImageData = function () {
+        throw new DOMException('The canvas has been tainted by cross-origin data.', 'SecurityError')
+      }
+    })
+    /** @type {string[]} */
+    const warnings = []
+    /** @type {string[]} */
+    const pageErrors = []
+    page.on('console', msg => {
+      if (msg.type() === 'warning' && msg.text().includes('Spectrogram pixels cannot be read')) {
+        warnings.push(msg.text())
+      }
+    })
+    page.on('pageerror', error => pageErrors.push(error.message))
+
+    const gramFramePage = new GramFramePage(page)
+    await gramFramePage.goto()
+    await gramFramePage.waitForImageDimensions()
+    await gramFramePage.clickMode('Harmonics')
+
+    // Each move reads the intensity under the cursor
+    for (const [fx, fy] of [[0.3, 0.3], [0.5, 0.5], [0.7, 0.6]]) {
+      const p = await gramFramePage.imageSVGPoint(fx, fy)
+      await gramFramePage.moveMouse(p.x, p.y)
+    }
+    expect(await gramFramePage.getLEDValue('Intensity (%)')).toBe('—')
+
+    const modal = page.locator('.gram-frame-auto-spacing-modal')
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await page.locator('.gram-frame-auto-spacing-button').click()
+      await expect(modal).toHaveCount(1)
+      await expect(modal.locator('.gram-frame-modal-hint')).toContainText('will not let the gram\'s pixels be read')
+      await expect(modal.locator('#harmonic-auto-spacing-input')).toHaveCount(0)
+      await expect(modal.locator('.gram-frame-modal-add')).toHaveCount(0)
+      await modal.locator('.gram-frame-modal-cancel', { hasText: 'Close' }).click()
+      await expect(modal).toHaveCount(0)
+    }
+
+    expect(warnings).toHaveLength(1)
+    expect(pageErrors).toEqual([])
+    const state = await gramFramePage.getState()
+    expect(state.harmonics.harmonicSets).toHaveLength(0)
+  })
+})
+
+test.describe('Auto spacing on a readable gram', () => {
+  test('names the time it read as the gram shows times', async ({ page }) => {
+    const gramFramePage = new GramFramePage(page)
+    await gramFramePage.goto()
+    await gramFramePage.waitForImageDimensions()
+    await gramFramePage.clickMode('Harmonics')
+
+    const p = await gramFramePage.imageSVGPoint(0.5, 0.5)
+    await gramFramePage.moveMouse(p.x, p.y)
+
+    // The debug gram shows elapsed time as mm:ss, not decimal seconds
+    const modal = page.locator('.gram-frame-auto-spacing-modal')
+    await page.locator('.gram-frame-auto-spacing-button').click()
+    await expect(modal.locator('.gram-frame-modal-hint')).toHaveText(/ at \d{2}:\d{2}[ .]/)
+  })
+})
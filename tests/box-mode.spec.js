@@ -0,0 +1,194 @@
+import { test, expect } from './helpers/fixtures.js'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for Box mode: drawing a box by dragging, a click
+ * drawing nothing, resizing from a corner and moving by an edge, removing a
+ * box by right-clicking its outline, labelling it from the boxes panel, and
+ * boxes surviving a reload.
+ */
+
+/**
+ * Drag between two points on the image, each given as fractions across and
+ * down it, in steps so the drag engine sees movement.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {[number, number]} from - Where to press
+ * @param {[number, number]} to - Where to release
+ * @returns {Promise<void>}
+ */
+async function dragOnImage(gfp, from, to) {
+  const svgBox = await gfp.svg.boundingBox()
+  if (!svgBox) throw new Error('SVG not found')
+  const start = await gfp.imageSVGPoint(...from)
+  const end = await gfp.imageSVGPoint(...to)
+  await gfp.page.mouse.move(svgBox.x + start.x, svgBox.y + start.y)
+  await gfp.page.mouse.down()
+  await gfp.page.mouse.move(svgBox.x + end.x, svgBox.y + end.y, { steps: 5 })
+  await gfp.page.mouse.up()
+}
+
+/**
+ * Draw a box from 30% to 60% across the image and 30% to 70% down it.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @returns {Promise<import('../src/types.js').TimeFrequencyBox>} The box drawn
+ */
+async function drawBox(gfp) {
+  const before = (await gfp.getState()).box.boxes.length
+  await dragOnImage(gfp, [0.3, 0.7], [0.6, 0.3])
+  await gfp.waitForState(s => s.box.boxes.length === before + 1, { message: 'a box to be drawn' })
+  const state = await gfp.getState()
+  return state.box.boxes[state.box.boxes.length - 1]
+}
+
+/**
+ * Locator for a box's row in the boxes panel.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {string} boxId - Box id
+ * @returns {import('@playwright/test').Locator} The row
+ */
+function boxRow(gfp, boxId) {
+  return gfp.page.locator(`tr[data-box-id="${boxId}"]`)
+}
+
+test.describe('Box mode', () => {
+  test.beforeEach(async ({ gramFramePage }) => {
+    await gramFramePage.clickMode('Box')
+  })
+
+  test('dragging on the image draws a box over the span dragged', async ({ gramFramePage }) => {
+    const box = await drawBox(gramFramePage)
+
+    // Extents are normalised whichever way the drag went
+    expect(box.timeEnd).toBeGreaterThan(box.timeStart)
+    expect(box.freqHigh).toBeGreaterThan(box.freqLow)
+    expect(box.color).toBeTruthy()
+
+    await expect(gramFramePage.page.locator('.gram-frame-box')).toHaveCount(1)
+    await expect(boxRow(gramFramePage, box.id)).toHaveCount(1)
+  })
+
+  test('a click that never drags draws no box', async ({ gramFramePage }) => {
+    const point = await gramFramePage.imageSVGPoint(0.5, 0.5)
+    await gramFramePage.clickSVG(point.x, point.y)
+
+    const state = await gramFramePage.getState()
+    expect(state.box.boxes).toHaveLength(0)
+    await expect(gramFramePage.page.locator('.gram-frame-box')).toHaveCount(0)
+    await expect(gramFramePage.page.locator('tr[data-box-id]')).toHaveCount(0)
+  })
+
+  test('dragging a corner resizes the box about the opposite corner', async ({ gramFramePage }) => {
+    const box = await drawBox(gramFramePage)
+
+    // Top-right is the latest time at the highest frequency
+    await dragOnImage(gramFramePage, [0.6, 0.3], [0.7, 0.2])
+    await gramFramePage.waitForState(s => s.box.boxes[0].freqHigh > box.freqHigh,
+      { message: 'the box to be resized' })
+
+    const [resized] = (await gramFramePage.getState()).box.boxes
+    expect(resized.id).toBe(box.id)
+    expect(resized.timeEnd).toBeGreaterThan(box.timeEnd)
+    expect(resized.timeStart).toBeCloseTo(box.timeStart, 6)
+    expect(resized.freqLow).toBeCloseTo(box.freqLow, 6)
+  })
+
+  test('dragging an edge moves the whole box', async ({ gramFramePage }) => {
+    const box = await drawBox(gramFramePage)
+
+    // Middle of the low-frequency edge, dragged down in frequency
+    await dragOnImage(gramFramePage, [0.3, 0.5], [0.2, 0.5])
+    await gramFramePage.waitForState(s => s.box.boxes[0].freqLow < box.freqLow,
+      { message: 'the box to be moved' })
+
+    const [moved] = (await gramFramePage.getState()).box.boxes
+    const shift = moved.freqLow - box.freqLow
+    expect(shift).toBeLessThan(0)
+    expect(moved.freqHigh - box.freqHigh).toBeCloseTo(shift, 6)
+    expect(moved.timeStart).toBeCloseTo(box.timeStart, 6)
+    expect(moved.timeEnd).toBeCloseTo(box.timeEnd, 6)
+  })
+
+  test('right-clicking the outline removes the box; inside it does not', async ({ gramFramePage }) => {
+    await drawBox(gramFramePage)
+
+    const inside = await gramFramePage.imageSVGPoint(0.45, 0.5)
+    await gramFramePage.svg.click({ button: 'right', position: inside })
+    expect((await gramFramePage.getState()).box.boxes).toHaveLength(1)
+
+    const edge = await gramFramePage.imageSVGPoint(0.3, 0.5)
+    await gramFramePage.svg.click({ button: 'right', position: edge })
+    await gramFramePage.waitForState(s => s.box.boxes.length === 0, { message: 'the box to be removed' })
+    await expect(gramFramePage.page.locator('.gram-frame-box')).toHaveCount(0)
+    await expect(gramFramePage.page.locator('tr[data-box-id]')).toHaveCount(0)
+  })
+
+  test('the boxes panel labels a box, and shows the label on the gram', async ({ gramFramePage }) => {
+    const box = await drawBox(gramFramePage)
+
+    await boxRow(gramFramePage, box.id).locator('.gram-frame-marker-label-btn').click()
+    const input = gramFramePage.page.locator('.gram-frame-marker-label-input')
+    await expect(input).toBeVisible()
+    await input.fill('  Transient  ')
+    await gramFramePage.page.locator('.gram-frame-modal-save').click()
+
+    await gramFramePage.waitForState(s => s.box.boxes[0].label === 'Transient',
+      { message: 'the box to carry its label' })
+    await expect(boxRow(gramFramePage, box.id).locator('.gram-frame-marker-label-cell')).toHaveText('Transient')
+    await expect(gramFramePage.page.locator(`.gram-frame-box[data-box-id="${box.id}"] .gram-frame-marker-label`))
+      .toHaveText('Transient')
+
+    // An empty label removes it
+    await boxRow(gramFramePage, box.id).locator('.gram-frame-marker-label-btn').click()
+    await input.fill('')
+    await gramFramePage.page.locator('.gram-frame-modal-save').click()
+    await gramFramePage.waitForState(s => s.box.boxes[0].label === undefined,
+      { message: 'the box label to be removed' })
+  })
+
+  test('the boxes panel selects and deletes a box', async ({ gramFramePage }) => {
+    const box = await drawBox(gramFramePage)
+
+    await boxRow(gramFramePage, box.id).locator('td').first().click()
+    await gramFramePage.waitForState(s => s.selection.selectedType === 'box' && s.selection.selectedId === box.id,
+      { message: 'the box to be selected' })
+    await expect(boxRow(gramFramePage, box.id)).toHaveClass(/gram-frame-selected-row/)
+
+    await boxRow(gramFramePage, box.id).locator('.gram-frame-box-delete-btn').click()
+    await gramFramePage.waitForState(s => s.box.boxes.length === 0 && s.selection.selectedType === null,
+      { message: 'the box and its selection to go' })
+  })
+})
+
+test.describe('Box persistence', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/tests/fixtures/trainer-page.html')
+    await page.evaluate(() => localStorage.clear())
+  })
+
+  test('a trainer page saves boxes, with their labels, and restores them on reload', async ({ page }) => {
+    const gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/trainer-page.html')
+    await gfp.waitForComponentLoad()
+    await gfp.clickMode('Box')
+    const box = await drawBox(gfp)
+
+    await boxRow(gfp, box.id).locator('.gram-frame-marker-label-btn').click()
+    await page.locator('.gram-frame-marker-label-input').fill('Event A')
+    await page.locator('.gram-frame-modal-save').click()
+    await gfp.waitForState(s => s.box.boxes[0].label === 'Event A', { message: 'the box to carry its label' })
+
+    await page.reload()
+    await gfp.waitForComponentLoad()
+
+    await gfp.waitForState(s => s.box.boxes.length === 1, { message: 'the box to be restored' })
+    const [restored] = (await gfp.getState()).box.boxes
+    expect(restored.id).toBe(box.id)
+    expect(restored.label).toBe('Event A')
+    expect(restored.color).toBe(box.color)
+    expect(restored.timeStart).toBeCloseTo(box.timeStart, 3)
+    expect(restored.timeEnd).toBeCloseTo(box.timeEnd, 3)
+    expect(restored.freqLow).toBeCloseTo(box.freqLow, 3)
+    expect(restored.freqHigh).toBeCloseTo(box.freqHigh, 3)
+    await expect(page.locator('.gram-frame-box')).toHaveCount(1)
+  })
+})
@@ -0,0 +1,96 @@
+import { test, expect } from './helpers/fixtures.js'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for clock time (`time-origin`): a gram recorded from
+ * a known time of day shows its times as clock time — on the time axis, the
+ * Time readout and the markers table — and clicking the Time readout switches
+ * them all to elapsed time and back. The fixture gram runs 0–60 s from 14:30.
+ */
+
+/** The fixture's `time-origin`, in seconds after midnight */
+const ORIGIN = 14 * 3600 + 30 * 60
+
+/**
+ * The time axis's labels, top to bottom.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<string[]>} Label texts
+ */
+async function timeAxisLabels(page) {
+  return page.evaluate(() => Array.from(document.querySelectorAll('.gram-frame-axes text'))
+    .filter(label => label.getAttribute('text-anchor') === 'end')
+    .map(label => label.textContent || ''))
+}
+
+/**
+ * Locator for the Time LED, whatever format its label names.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {import('@playwright/test').Locator} The LED
+ */
+function timeLED(page) {
+  return page.locator('.gram-frame-led')
+    .filter({ has: page.locator('.gram-frame-led-label', { hasText: /^Time \(/ }) })
+}
+
+test.describe('Clock time', () => {
+  /** @type {GramFramePage} */
+  let gfp
+
+  test.beforeEach(async ({ page }) => {
+    gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/clock-time-page.html')
+    await gfp.waitForComponentLoad()
+    await gfp.waitForImageDimensions()
+  })
+
+  test('a gram with a time origin opens in clock time', async ({ page }) => {
+    const state = await gfp.getState()
+    expect(state.config.timeOrigin).toBe(ORIGIN)
+    expect(state.timeDisplay).toBe('clock')
+
+    await expect(timeLED(page).locator('.gram-frame-led-label')).toHaveText('Time (hh:mm:ss)')
+    await expect.poll(() => timeAxisLabels(page)).toContain('14:30:00')
+    expect((await timeAxisLabels(page)).every(text => /^14:3\d:\d{2}$/.test(text))).toBe(true)
+  })
+
+  test('the Time readout shows the clock time under the cursor', async ({ page }) => {
+    const point = await gfp.imageSVGPoint(0.5, 0.5)
+    const reading = await gfp.readDataAtPixel(point.x, point.y)
+    expect(reading).not.toBeNull()
+    await expect(timeLED(page).locator('.gram-frame-led-value')).toHaveText(/^14:30:\d{2}$/)
+  })
+
+  test('clicking the Time readout switches between clock and elapsed time', async ({ page }) => {
+    await gfp.clickMode('Cross Cursor')
+    const id = await gfp.addMarker(30, 50)
+    const row = page.locator(`tr[data-marker-id="${id}"]`)
+    await expect(row).toContainText('14:30:30')
+
+    await timeLED(page).click()
+    await gfp.waitForState(s => s.timeDisplay === 'elapsed', { message: 'elapsed time to be shown' })
+    await expect(timeLED(page).locator('.gram-frame-led-label')).toHaveText('Time (mm:ss)')
+    await expect.poll(() => timeAxisLabels(page)).toContain('00:00')
+    expect((await timeAxisLabels(page)).every(text => /^\d{2}:\d{2}$/.test(text))).toBe(true)
+    await expect(row).toContainText('00:30')
+    await expect(row).not.toContainText('14:30:30')
+
+    // And back
+    await timeLED(page).click()
+    await gfp.waitForState(s => s.timeDisplay === 'clock', { message: 'clock time to be shown again' })
+    await expect(timeLED(page).locator('.gram-frame-led-label')).toHaveText('Time (hh:mm:ss)')
+    await expect(row).toContainText('14:30:30')
+  })
+})
+
+test.describe('Elapsed time', () => {
+  test('a gram without a time origin shows elapsed time, and its Time readout does not switch', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    expect((await gramFramePage.getState()).config.timeOrigin).toBeFalsy()
+
+    const led = timeLED(page)
+    await expect(led.locator('.gram-frame-led-label')).toHaveText('Time (mm:ss)')
+    await expect(led).not.toHaveClass(/gram-frame-led-cycle/)
+    await led.click()
+    await expect(led.locator('.gram-frame-led-label')).toHaveText('Time (mm:ss)')
+  })
+})
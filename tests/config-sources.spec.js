@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test'
+
+/**
+ * @fileoverview Finding a gram's config wherever the page writes it.
+ *
+ * Runs against `tests/fixtures/config-sources-page.html`, which configures a
+ * gram each way a table-less page can: `data-gram-*` attributes on an `<img>`,
+ * the same on a `<figure>` whose own image carries attributes too, inline JSON
+ * naming its image relative to the page, inline JSON that does not parse, and
+ * inline JSON in `<head>`. Each must come out as one gram, one error
+ * indicator, or — for the one in `<head>`, which has nowhere to appear — a
+ * warning and nothing else.
+ */
+
+test.describe('Config written as attributes or inline JSON', () => {
+  /** @type {string[]} */
+  let warnings
+
+  test.beforeEach(async ({ page }) => {
+    warnings = []
+    page.on('console', msg => {
+      if (msg.type() === 'warning') warnings.push(msg.text())
+    })
+    await page.goto('/tests/fixtures/config-sources-page.html')
+    await page.locator('.gram-frame-container').first().waitFor()
+  })
+
+  test('each element becomes one gram, in document order', async ({ page }) => {
+    await expect(page.locator('.gram-frame-container')).toHaveCount(3)
+
+    const grams = await page.evaluate(() => window.GramFrame.__test__getInstances().map(instance => ({
+      timeMax: instance.state.config.timeMax,
+      freqMax: instance.state.config.freqMax
+    })))
+    // The figure's attributes, not those of the image inside it
+    expect(grams).toEqual([
+      { timeMax: 10, freqMax: 100 },
+      { timeMax: 20, freqMax: 200 },
+      { timeMax: 30, freqMax: 300 }
+    ])
+
+    // Each was replaced where it stood
+    await expect(page.locator('#attribute-img')).toHaveCount(0)
+    await expect(page.locator('#attribute-figure')).toHaveCount(0)
+    await expect(page.locator('#body-json')).toHaveCount(0)
+  })
+
+  test('a figure shows its own image, and inline JSON its image resolved against the page', async ({ page }) => {
+    const urls = await page.evaluate(() => window.GramFrame.__test__getInstances().map(instance => instance.state.imageDetails.url))
+    const origin = new URL(page.url()).origin
+    expect(urls[1]).toBe(`${origin}/sample/mock-gram-2.png`)
+    expect(urls[2]).toBe(`${origin}/sample/mock-gram-3.png`)
+  })
+
+  test('inline JSON that does not parse shows an error indicator beside it', async ({ page }) => {
+    const indicator = page.locator('.gramframe-error-indicator')
+    await expect(indicator).toHaveCount(1)
+    await expect(indicator).toContainText('not valid JSON')
+    // The indicator sits where the gram would have been, after its script
+    const besideScript = await page.evaluate(() => {
+      const script = document.getElementById('bad-json')
+      return !!script && !!script.nextElementSibling && script.nextElementSibling.classList.contains('gramframe-error-indicator')
+    })
+    expect(besideScript).toBe(true)
+  })
+
+  test('inline JSON in <head> is passed over with a warning', async ({ page }) => {
+    await expect(page.locator('head #head-json')).toHaveCount(1)
+    await expect(page.locator('head .gram-frame-container, head .gramframe-error-indicator')).toHaveCount(0)
+    expect(warnings.some(text => text.includes('Ignoring gram config in <head>'))).toBe(true)
+  })
+})
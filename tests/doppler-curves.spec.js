@@ -0,0 +1,159 @@
+import { test, expect } from './helpers/fixtures.js'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for several Doppler curves on one gram: each drag
+ * on empty image places another curve, the LEDs report the selected curve,
+ * clicking a marker selects its curve, right-clicking one removes that curve
+ * alone, and a record saved before multiple curves restores as one curve.
+ */
+
+/** Knots per metre per second, as the speed LED converts */
+const KNOTS_PER_MS = 1.94384
+
+/**
+ * Drag out a Doppler curve between two points on the image, each given as
+ * fractions across and down it.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {[number, number]} from - Where to press
+ * @param {[number, number]} to - Where to release
+ * @returns {Promise<void>}
+ */
+async function placeCurve(gfp, from, to) {
+  const before = (await gfp.getState()).doppler.curves.length
+  const svgBox = await gfp.svg.boundingBox()
+  if (!svgBox) throw new Error('SVG not found')
+  const start = await gfp.imageSVGPoint(...from)
+  const end = await gfp.imageSVGPoint(...to)
+  await gfp.dragSVG(svgBox.x + start.x, svgBox.y + start.y, svgBox.x + end.x, svgBox.y + end.y)
+  await gfp.waitForDopplerCurveCount(before + 1)
+}
+
+/**
+ * Page coordinates of the centre of one of a curve's markers.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {string} curveId - Curve id
+ * @param {'fPlus'|'fMinus'} marker - Which end marker
+ * @returns {Promise<{x: number, y: number}>} Page coordinates
+ */
+async function markerCentre(gfp, curveId, marker) {
+  const box = await gfp.page.locator(`.gram-frame-doppler-${marker}[data-curve-id="${curveId}"]`).boundingBox()
+  if (!box) throw new Error(`${marker} marker of ${curveId} not found`)
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 }
+}
+
+/**
+ * The speed LED's text for a speed, in its default knots.
+ * @param {number} speed - Speed in m/s
+ * @returns {string} Expected LED text
+ */
+function knots(speed) {
+  return (speed * KNOTS_PER_MS).toFixed(1)
+}
+
+test.describe('Several Doppler curves', () => {
+  test.beforeEach(async ({ gramFramePage }) => {
+    await gramFramePage.clickMode('Doppler')
+    await placeCurve(gramFramePage, [0.2, 0.3], [0.3, 0.6])
+    await placeCurve(gramFramePage, [0.6, 0.3], [0.75, 0.7])
+  })
+
+  test('each drag places another curve, which becomes the selected one', async ({ gramFramePage }) => {
+    const state = await gramFramePage.getState()
+    const [first, second] = state.doppler.curves
+    expect(first.id).not.toBe(second.id)
+    expect(first.speed).not.toBeCloseTo(second.speed, 3)
+
+    expect(state.selection.selectedType).toBe('dopplerCurve')
+    expect(state.selection.selectedId).toBe(second.id)
+    expect(await gramFramePage.getLEDValue('Doppler Speed (kts)')).toBe(knots(second.speed))
+    await expect(gramFramePage.page.locator('.gram-frame-doppler-curve')).toHaveCount(2)
+  })
+
+  test('clicking a marker selects its curve, and the LEDs report it', async ({ gramFramePage }) => {
+    const [first] = (await gramFramePage.getState()).doppler.curves
+
+    const centre = await markerCentre(gramFramePage, first.id, 'fPlus')
+    await gramFramePage.page.mouse.click(centre.x, centre.y)
+    await gramFramePage.waitForState(s => s.selection.selectedId === first.id,
+      { message: 'the first curve to be selected' })
+
+    expect(await gramFramePage.getLEDValue('Doppler Speed (kts)')).toBe(knots(first.speed))
+    expect(await gramFramePage.getLEDValue('CPA (s)')).toBe(first.cpa.time.toFixed(2))
+  })
+
+  test('right-clicking a marker removes that curve alone', async ({ gramFramePage }) => {
+    const [first, second] = (await gramFramePage.getState()).doppler.curves
+
+    const centre = await markerCentre(gramFramePage, first.id, 'fMinus')
+    await gramFramePage.page.mouse.click(centre.x, centre.y, { button: 'right' })
+    await gramFramePage.waitForDopplerCurveCount(1)
+
+    const state = await gramFramePage.getState()
+    expect(state.doppler.curves[0].id).toBe(second.id)
+    await expect(gramFramePage.page.locator(`[data-curve-id="${first.id}"]`)).toHaveCount(0)
+    expect(await gramFramePage.getLEDValue('Doppler Speed (kts)')).toBe(knots(second.speed))
+  })
+
+  test('dragging one curve\'s marker leaves the other curve where it was', async ({ gramFramePage }) => {
+    const [first, second] = (await gramFramePage.getState()).doppler.curves
+
+    const centre = await markerCentre(gramFramePage, first.id, 'fPlus')
+    await gramFramePage.dragSVG(centre.x, centre.y, centre.x - 20, centre.y)
+    await gramFramePage.waitForState(s => s.doppler.curves[0].fPlus.freq < first.fPlus.freq,
+      { message: 'the first curve\'s f+ to move' })
+
+    const state = await gramFramePage.getState()
+    expect(state.doppler.curves[1].fPlus).toEqual(second.fPlus)
+    expect(state.doppler.curves[1].fMinus).toEqual(second.fMinus)
+    expect(state.doppler.curves[1].speed).toBeCloseTo(second.speed, 6)
+  })
+})
+
+test.describe('Doppler records saved before multiple curves', () => {
+  test('a single-curve record restores as one curve and saves back as a list', async ({ page }) => {
+    const gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/trainer-page.html')
+    await page.evaluate(() => {
+      localStorage.clear()
+      // The old shape: one curve's markers directly on `doppler`
+      localStorage.setItem('gramframe::' + window.location.pathname, JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        analysis: { markers: [] },
+        harmonics: { harmonicSets: [] },
+        doppler: {
+          fPlus: { time: 40, freq: 55 },
+          fMinus: { time: 20, freq: 45 },
+          fZero: { time: 30, freq: 50 },
+          color: '#00aa00'
+        }
+      }))
+    })
+
+    await page.reload()
+    await gfp.waitForComponentLoad()
+    await gfp.waitForDopplerCurveCount(1)
+
+    const [curve] = (await gfp.getState()).doppler.curves
+    expect(curve.id).toBe('doppler-legacy')
+    expect(curve.color).toBe('#00aa00')
+    expect(curve.fPlus).toEqual({ time: 40, freq: 55 })
+    expect(curve.fMinus).toEqual({ time: 20, freq: 45 })
+    expect(curve.fZero).toEqual({ time: 30, freq: 50 })
+    // Its speed is worked out on load, not left at nothing
+    expect(curve.speed).toBeGreaterThan(0)
+
+    // The next save writes the new shape
+    await gfp.clickMode('Cross Cursor')
+    const point = await gfp.imageSVGPoint(0.5, 0.5)
+    await gfp.clickSVG(point.x, point.y)
+    await gfp.waitForMarkerCount(1)
+    await expect.poll(async () => {
+      const record = await gfp.getStorageEntry(`gramframe::${new URL(page.url()).pathname}`)
+      return record && record.doppler
+    }).toEqual({
+      curves: [expect.objectContaining({ id: 'doppler-legacy', color: '#00aa00', fPlus: { time: 40, freq: 55 } })]
+    })
+  })
+})
@@ -3,7 +3,8 @@ import {
   expectValidMetadata, 
   expectValidMode,
   expectValidConfig,
-  expectValidImageDetails 
+  expectValidImageDetails,
+  firstDopplerCurve
 } from './helpers/state-assertions.js'
 
 /**
@@ -65,21 +66,20 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       expect(state.doppler).toBeDefined()
       
       // Check if markers were created
-      if (state.doppler.fPlus && state.doppler.fMinus) {
+      if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
         // Verify marker properties
-        expect(state.doppler.fPlus).toHaveProperty('time')
-        expect(state.doppler.fPlus).toHaveProperty('frequency')
-        expect(state.doppler.fMinus).toHaveProperty('time')
-        expect(state.doppler.fMinus).toHaveProperty('frequency')
+        expect(firstDopplerCurve(state).fPlus).toHaveProperty('time')
+        expect(firstDopplerCurve(state).fPlus).toHaveProperty('frequency')
+        expect(firstDopplerCurve(state).fMinus).toHaveProperty('time')
+        expect(firstDopplerCurve(state).fMinus).toHaveProperty('frequency')
         
-        expect(state.doppler.fPlus.time).toBeGreaterThan(0)
-        expect(state.doppler.fPlus.freq).toBeGreaterThan(0)
-        expect(state.doppler.fMinus.time).toBeGreaterThan(0)
-        expect(state.doppler.fMinus.freq).toBeGreaterThan(0)
+        expect(firstDopplerCurve(state).fPlus.time).toBeGreaterThan(0)
+        expect(firstDopplerCurve(state).fPlus.freq).toBeGreaterThan(0)
+        expect(firstDopplerCurve(state).fMinus.time).toBeGreaterThan(0)
+        expect(firstDopplerCurve(state).fMinus.freq).toBeGreaterThan(0)
       } else {
         // If no markers created, at least verify doppler state exists
-        expect(state.doppler).toHaveProperty('fPlus')
-        expect(state.doppler).toHaveProperty('fMinus')
+        expect(Array.isArray(state.doppler.curves)).toBe(true)
       }
     })
     
@@ -100,17 +100,17 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       /** @type {import('../src/types.js').GramFrameState} */
       const state = await gramFramePage.getState()
       
-      if (state.doppler.fPlus && state.doppler.fMinus && state.doppler.fZero) {
-        expect(state.doppler.fZero).toHaveProperty('time')
-        expect(state.doppler.fZero).toHaveProperty('frequency')
+      if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus && firstDopplerCurve(state).fZero) {
+        expect(firstDopplerCurve(state).fZero).toHaveProperty('time')
+        expect(firstDopplerCurve(state).fZero).toHaveProperty('frequency')
         
         // f₀ should be approximately between f+ and f-
         /** @type {number} */
-        const fPlusFreq = state.doppler.fPlus.freq
+        const fPlusFreq = firstDopplerCurve(state).fPlus.freq
         /** @type {number} */
-        const fMinusFreq = state.doppler.fMinus.freq
+        const fMinusFreq = firstDopplerCurve(state).fMinus.freq
         /** @type {number} */
-        const fZeroFreq = state.doppler.fZero.freq
+        const fZeroFreq = firstDopplerCurve(state).fZero.freq
         
         /** @type {number} */
         const minFreq = Math.min(fPlusFreq, fMinusFreq)
@@ -121,7 +121,7 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
         expect(fZeroFreq).toBeLessThanOrEqual(maxFreq + 10)
       } else {
         // If markers weren't created, verify state structure exists
-        expect(state.doppler).toHaveProperty('fZero')
+        expect(Array.isArray(state.doppler.curves)).toBe(true)
       }
     })
     
@@ -148,7 +148,7 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       let state = await gramFramePage.getState()
       
       // Skip test if markers weren't created
-      if (!state.doppler.fZero) {
+      if (!firstDopplerCurve(state).fZero) {
         return
       }
       
@@ -166,8 +166,8 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       
       // Verify f₀ marker was moved or drag was attempted
       state = await gramFramePage.getState()
-      if (state.doppler.fZero) {
-        expect(state.doppler.fZero.time).toBeDefined()
+      if (firstDopplerCurve(state).fZero) {
+        expect(firstDopplerCurve(state).fZero.time).toBeDefined()
       }
     })
     
@@ -223,18 +223,18 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       const state = await gramFramePage.getState()
       
       // Skip if markers weren't created
-      if (!state.doppler.fPlus || !state.doppler.fMinus) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus) {
         return
       }
       
       // Check if speed calculation fields exist
-      if (state.doppler.calculatedSpeed !== undefined) {
-        expect(state.doppler.calculatedSpeed).toBeGreaterThanOrEqual(0)
+      if (firstDopplerCurve(state).calculatedSpeed !== undefined) {
+        expect(firstDopplerCurve(state).calculatedSpeed).toBeGreaterThanOrEqual(0)
       }
       
       // Verify frequency difference is calculated
       /** @type {number} */
-      const freqDiff = Math.abs(state.doppler.fPlus.freq - state.doppler.fMinus.freq)
+      const freqDiff = Math.abs(firstDopplerCurve(state).fPlus.freq - firstDopplerCurve(state).fMinus.freq)
       expect(freqDiff).toBeGreaterThanOrEqual(0)
     })
     
@@ -256,7 +256,7 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       let state = await gramFramePage.getState()
       
       // Skip if markers weren't created
-      if (!state.doppler.fPlus || !state.doppler.fMinus) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus) {
         return
       }
       
@@ -268,9 +268,9 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       
       // Verify calculation updated or drag was attempted
       state = await gramFramePage.getState()
-      if (state.doppler.fPlus && state.doppler.fMinus) {
+      if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
         /** @type {number} */
-        const newFreqDiff = Math.abs(state.doppler.fPlus.freq - state.doppler.fMinus.freq)
+        const newFreqDiff = Math.abs(firstDopplerCurve(state).fPlus.freq - firstDopplerCurve(state).fMinus.freq)
         // Frequency difference may or may not have changed
         expect(newFreqDiff).toBeGreaterThanOrEqual(0)
       }
@@ -294,18 +294,18 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       const state = await gramFramePage.getState()
       
       // Skip if markers weren't created
-      if (!state.doppler.fPlus || !state.doppler.fMinus) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus) {
         return
       }
       
-      if (state.doppler.calculatedSpeed !== undefined) {
+      if (firstDopplerCurve(state).calculatedSpeed !== undefined) {
         // Speed should be zero or very close to zero
-        expect(state.doppler.calculatedSpeed).toBeLessThanOrEqual(1)
+        expect(firstDopplerCurve(state).calculatedSpeed).toBeLessThanOrEqual(1)
       }
       
       // Should not cause errors
-      expect(state.doppler.fPlus).toBeDefined()
-      expect(state.doppler.fMinus).toBeDefined()
+      expect(firstDopplerCurve(state).fPlus).toBeDefined()
+      expect(firstDopplerCurve(state).fMinus).toBeDefined()
     })
   })
 
@@ -337,16 +337,16 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       const state = await gramFramePage.getState()
       
       // Skip if markers weren't created
-      if (!state.doppler.fPlus || !state.doppler.fMinus) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus) {
         return
       }
       
-      expect(state.doppler.fPlus.time).toBeGreaterThan(0)
-      expect(state.doppler.fMinus.time).toBeGreaterThan(0)
+      expect(firstDopplerCurve(state).fPlus.time).toBeGreaterThan(0)
+      expect(firstDopplerCurve(state).fMinus.time).toBeGreaterThan(0)
       
       // Times should be different (unless vertically aligned)
       /** @type {number} */
-      const timeDiff = Math.abs(state.doppler.fPlus.time - state.doppler.fMinus.time)
+      const timeDiff = Math.abs(firstDopplerCurve(state).fPlus.time - firstDopplerCurve(state).fMinus.time)
       expect(timeDiff).toBeGreaterThanOrEqual(0)
     })
     
@@ -367,21 +367,21 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       const state = await gramFramePage.getState()
       
       // Skip if markers weren't created
-      if (!state.doppler.fPlus || !state.doppler.fMinus) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus) {
         return
       }
       
       /** @type {number} */
-      const timeDiff = Math.abs(state.doppler.fPlus.time - state.doppler.fMinus.time)
+      const timeDiff = Math.abs(firstDopplerCurve(state).fPlus.time - firstDopplerCurve(state).fMinus.time)
       
       // Verify time difference was captured
       expect(timeDiff).toBeGreaterThanOrEqual(0)
       
       // Time values should be within reasonable range
-      expect(state.doppler.fPlus.time).toBeGreaterThanOrEqual(state.config.timeMin)
-      expect(state.doppler.fPlus.time).toBeLessThanOrEqual(state.config.timeMax)
-      expect(state.doppler.fMinus.time).toBeGreaterThanOrEqual(state.config.timeMin)
-      expect(state.doppler.fMinus.time).toBeLessThanOrEqual(state.config.timeMax)
+      expect(firstDopplerCurve(state).fPlus.time).toBeGreaterThanOrEqual(state.config.timeMin)
+      expect(firstDopplerCurve(state).fPlus.time).toBeLessThanOrEqual(state.config.timeMax)
+      expect(firstDopplerCurve(state).fMinus.time).toBeGreaterThanOrEqual(state.config.timeMin)
+      expect(firstDopplerCurve(state).fMinus.time).toBeLessThanOrEqual(state.config.timeMax)
     })
   })
 
@@ -444,8 +444,8 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       
       /** @type {import('../src/types.js').GramFrameState} */
       let state = await gramFramePage.getState()
-      /** @type {import('../src/types.js').DopplerState} */
-      const originalDopplerState = { ...state.doppler }
+      /** @type {import('../src/types.js').DopplerCurve} */
+      const originalDopplerState = { ...firstDopplerCurve(state) }
       
       // Switch to Cross Cursor mode
       await gramFramePage.clickMode('Cross Cursor')
@@ -453,10 +453,10 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       // Verify Doppler state persists (if markers were created)
       state = await gramFramePage.getState()
       if (originalDopplerState.fPlus && originalDopplerState.fMinus) {
-        expect(state.doppler.fPlus).toEqual(originalDopplerState.fPlus)
-        expect(state.doppler.fMinus).toEqual(originalDopplerState.fMinus)
+        expect(firstDopplerCurve(state).fPlus).toEqual(originalDopplerState.fPlus)
+        expect(firstDopplerCurve(state).fMinus).toEqual(originalDopplerState.fMinus)
         if (originalDopplerState.fZero) {
-          expect(state.doppler.fZero).toEqual(originalDopplerState.fZero)
+          expect(firstDopplerCurve(state).fZero).toEqual(originalDopplerState.fZero)
         }
       }
       
@@ -466,7 +466,7 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       // Verify markers are still functional
       state = await gramFramePage.getState()
       if (originalDopplerState.fPlus) {
-        expect(state.doppler.fPlus).toEqual(originalDopplerState.fPlus)
+        expect(firstDopplerCurve(state).fPlus).toEqual(originalDopplerState.fPlus)
       }
       
       // Check for Doppler markers in SVG (may not exist)
@@ -509,9 +509,9 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       expect(state.analysis?.markers).toHaveLength(1)
       
       // Check if Doppler markers were created
-      if (state.doppler.fPlus && state.doppler.fMinus) {
-        expect(state.doppler.fPlus).toBeDefined()
-        expect(state.doppler.fMinus).toBeDefined()
+      if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
+        expect(firstDopplerCurve(state).fPlus).toBeDefined()
+        expect(firstDopplerCurve(state).fMinus).toBeDefined()
       }
       
       // Check for markers in SVG (may not exist)
@@ -554,14 +554,14 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       /** @type {import('../src/types.js').GramFrameState} */
       let state = await gramFramePage.getState()
       /** @type {boolean} */
-      const hasMarkers = state.doppler.fPlus && state.doppler.fMinus
+      const hasMarkers = firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus
       
       if (!hasMarkers) {
         return // Skip test if no markers were created
       }
       
-      expect(state.doppler.fPlus).toBeDefined()
-      expect(state.doppler.fMinus).toBeDefined()
+      expect(firstDopplerCurve(state).fPlus).toBeDefined()
+      expect(firstDopplerCurve(state).fMinus).toBeDefined()
       
       // Right-click to reset (if implemented)
       await gramFramePage.page.mouse.click(250, 175, { button: 'right' })
@@ -601,15 +601,15 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
         /** @type {import('../src/types.js').GramFrameState} */
         const state = await gramFramePage.getState()
         
-        if (state.doppler.fPlus && state.doppler.fMinus) {
-          expect(state.doppler.fPlus).toBeDefined()
-          expect(state.doppler.fMinus).toBeDefined()
+        if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
+          expect(firstDopplerCurve(state).fPlus).toBeDefined()
+          expect(firstDopplerCurve(state).fMinus).toBeDefined()
           
           // Coordinates should be within valid ranges
-          expect(state.doppler.fPlus.time).toBeGreaterThanOrEqual(state.config.timeMin)
-          expect(state.doppler.fPlus.time).toBeLessThanOrEqual(state.config.timeMax)
-          expect(state.doppler.fMinus.time).toBeGreaterThanOrEqual(state.config.timeMin)
-          expect(state.doppler.fMinus.time).toBeLessThanOrEqual(state.config.timeMax)
+          expect(firstDopplerCurve(state).fPlus.time).toBeGreaterThanOrEqual(state.config.timeMin)
+          expect(firstDopplerCurve(state).fPlus.time).toBeLessThanOrEqual(state.config.timeMax)
+          expect(firstDopplerCurve(state).fMinus.time).toBeGreaterThanOrEqual(state.config.timeMin)
+          expect(firstDopplerCurve(state).fMinus.time).toBeLessThanOrEqual(state.config.timeMax)
         }
       }
     })
@@ -639,11 +639,11 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       const state = await gramFramePage.getState()
       
       // Check marker state (may or may not exist)
-      if (state.doppler.fPlus && state.doppler.fMinus) {
-        expect(state.doppler.fPlus).toBeDefined()
-        expect(state.doppler.fMinus).toBeDefined()
-        if (state.doppler.fZero) {
-          expect(state.doppler.fZero).toBeDefined()
+      if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
+        expect(firstDopplerCurve(state).fPlus).toBeDefined()
+        expect(firstDopplerCurve(state).fMinus).toBeDefined()
+        if (firstDopplerCurve(state).fZero) {
+          expect(firstDopplerCurve(state).fZero).toBeDefined()
         }
       }
       
@@ -698,16 +698,16 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       /** @type {import('../src/types.js').GramFrameState} */
       const state = await gramFramePage.getState()
       
-      if (state.doppler.fPlus && state.doppler.fMinus) {
+      if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
         // Should have valid but potentially similar positions
-        expect(state.doppler.fPlus).toHaveProperty('time')
-        expect(state.doppler.fPlus).toHaveProperty('frequency')
-        expect(state.doppler.fMinus).toHaveProperty('time')
-        expect(state.doppler.fMinus).toHaveProperty('frequency')
+        expect(firstDopplerCurve(state).fPlus).toHaveProperty('time')
+        expect(firstDopplerCurve(state).fPlus).toHaveProperty('frequency')
+        expect(firstDopplerCurve(state).fMinus).toHaveProperty('time')
+        expect(firstDopplerCurve(state).fMinus).toHaveProperty('frequency')
         
         // Frequency difference should be minimal
         /** @type {number} */
-        const freqDiff = Math.abs(state.doppler.fPlus.freq - state.doppler.fMinus.freq)
+        const freqDiff = Math.abs(firstDopplerCurve(state).fPlus.freq - firstDopplerCurve(state).fMinus.freq)
         expect(freqDiff).toBeLessThan(100) // Small difference for overlapping positions
       }
     })
@@ -743,20 +743,168 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       const state = await gramFramePage.getState()
       
       // Skip if markers weren't created
-      if (!state.doppler.fPlus || !state.doppler.fMinus) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus) {
         return
       }
       
       // Verify coordinates are within expected ranges
-      expect(state.doppler.fPlus.time).toBeGreaterThanOrEqual(state.config.timeMin)
-      expect(state.doppler.fPlus.time).toBeLessThanOrEqual(state.config.timeMax)
-      expect(state.doppler.fPlus.freq).toBeGreaterThanOrEqual(state.config.freqMin)
-      expect(state.doppler.fPlus.freq).toBeLessThanOrEqual(state.config.freqMax)
-      
-      expect(state.doppler.fMinus.time).toBeGreaterThanOrEqual(state.config.timeMin)
-      expect(state.doppler.fMinus.time).toBeLessThanOrEqual(state.config.timeMax)
-      expect(state.doppler.fMinus.freq).toBeGreaterThanOrEqual(state.config.freqMin)
-      expect(state.doppler.fMinus.freq).toBeLessThanOrEqual(state.config.freqMax)
+      expect(firstDopplerCurve(state).fPlus.time).toBeGreaterThanOrEqual(state.config.timeMin)
+      expect(firstDopplerCurve(state).fPlus.time).toBeLessThanOrEqual(state.config.timeMax)
+      expect(firstDopplerCurve(state).fPlus.freq).toBeGreaterThanOrEqual(state.config.freqMin)
+      expect(firstDopplerCurve(state).fPlus.freq).toBeLessThanOrEqual(state.config.freqMax)
+      
+      expect(firstDopplerCurve(state).fMinus.time).toBeGreaterThanOrEqual(state.config.timeMin)
+      expect(firstDopplerCurve(state).fMinus.time).toBeLessThanOrEqual(state.config.timeMax)
+      expect(firstDopplerCurve(state).fMinus.freq).toBeGreaterThanOrEqual(state.config.freqMin)
+      expect(firstDopplerCurve(state).fMinus.freq).toBeLessThanOrEqual(state.config.freqMax)
+    })
+  })
+
+  test.describe('Fitted curves', () => {
+    test('fits a curve to points clicked along the trace', async ({ gramFramePage }) => {
+      await gramFramePage.page.locator('.gram-frame-command-btn:text-is("fit")').click()
+      await gramFramePage.waitForState(s => s.doppler.fittingId !== null)
+
+      // An S-shaped trace across the image: high early, low late
+      for (const [fx, fy] of [[0.3, 0.1], [0.32, 0.25], [0.38, 0.4], [0.5, 0.5], [0.62, 0.6], [0.68, 0.75], [0.7, 0.9]]) {
+        const p = await gramFramePage.imageSVGPoint(fx, fy)
+        await gramFramePage.clickSVG(p.x, p.y)
+      }
+      await gramFramePage.waitForState(s => s.doppler.curves.length === 1 && s.doppler.curves[0].fitPoints.length === 7)
+
+      const state = await gramFramePage.getState()
+      const curve = state.doppler.curves[0]
+      expect(curve.fit).not.toBeNull()
+      expect(curve.speed).toBeCloseTo(curve.fit.speed, 6)
+      expect(curve.fit.residuals).toHaveLength(7)
+      await expect(gramFramePage.page.locator('.gram-frame-doppler-residual')).toHaveCount(7)
+      expect(await gramFramePage.getLEDValue('CPA (s)')).toBe(curve.fit.cpaTime.toFixed(2))
+      expect(curve.cpa.range).toBeCloseTo(curve.fit.speed * curve.fit.timeConstant, 6)
+      expect(await gramFramePage.getLEDValue('Range (m)')).toBe(curve.cpa.range.toFixed(0))
+
+      // Pressing fit again finishes: the next drag places a marker curve
+      await gramFramePage.page.locator('.gram-frame-command-btn:text-is("fit")').click()
+      await gramFramePage.waitForState(s => s.doppler.fittingId === null)
+      const start = await gramFramePage.imageSVGPoint(0.2, 0.3)
+      const end = await gramFramePage.imageSVGPoint(0.3, 0.6)
+      const svgBox = await gramFramePage.svg.boundingBox()
+      if (!svgBox) throw new Error('SVG not found')
+      await gramFramePage.dragSVG(svgBox.x + start.x, svgBox.y + start.y, svgBox.x + end.x, svgBox.y + end.y)
+      await gramFramePage.waitForDopplerCurveCount(2)
+      const after = await gramFramePage.getState()
+      expect(after.doppler.curves[1].fitPoints).toBeNull()
+    })
+  })
+
+  test.describe('CPA readouts', () => {
+    test('a marker curve reports its CPA time but no range, and clicking an LED changes its units', async ({ gramFramePage }) => {
+      const start = await gramFramePage.imageSVGPoint(0.4, 0.3)
+      const end = await gramFramePage.imageSVGPoint(0.6, 0.7)
+      const svgBox = await gramFramePage.svg.boundingBox()
+      if (!svgBox) throw new Error('SVG not found')
+      await gramFramePage.dragSVG(svgBox.x + start.x, svgBox.y + start.y, svgBox.x + end.x, svgBox.y + end.y)
+      await gramFramePage.waitForDopplerCurveCount(1)
+
+      const state = await gramFramePage.getState()
+      const { cpa, fZero } = firstDopplerCurve(state)
+      expect(cpa.time).toBe(fZero.time)
+      expect(cpa.range).toBeNull()
+      expect(await gramFramePage.getLEDValue('CPA (s)')).toBe(cpa.time.toFixed(2))
+      expect(await gramFramePage.getLEDValue('Range (m)')).toBe('—')
+
+      await gramFramePage.page.locator('.gram-frame-led:has(.gram-frame-led-label:text-is("Range (m)"))').click()
+      await gramFramePage.waitForState(s => s.doppler.units.range === 'km')
+      expect(await gramFramePage.getLEDValue('Range (km)')).toBe('—')
+
+      await gramFramePage.page.locator('.gram-frame-led:has(.gram-frame-led-label:text-is("CPA (s)"))').click()
+      await gramFramePage.waitForState(s => s.doppler.units.cpaTime === 'mm:ss')
+      expect(await gramFramePage.getLEDValue('CPA (mm:ss)')).toMatch(/^\d{2}:\d{2}$/)
+    })
+
+    test('a curve fitted to a known pass reports its CPA time and range', async ({ gramFramePage }) => {
+      const { config } = await gramFramePage.getState()
+      const timeSpan = config.timeMax - config.timeMin
+      const freqSpan = config.freqMax - config.freqMin
+      // A pass centred on the gram: CPA mid-way up, τ a tenth of the time span,
+      // and a shift of a tenth of the frequency span either side of f₀
+      const f0 = config.freqMin + 0.5 * freqSpan
+      const cpaTime = config.timeMin + 0.5 * timeSpan
+      const tau = 0.1 * timeSpan
+      const shift = 0.1 * freqSpan / f0
+
+      await gramFramePage.page.locator('.gram-frame-command-btn:text-is("fit")').click()
+      await gramFramePage.waitForState(s => s.doppler.fittingId !== null)
+      const offsets = [-4, -2, -1, -0.5, 0, 0.5, 1, 2, 4]
+      for (const offset of offsets) {
+        const u = offset * tau
+        const freq = f0 * (1 - shift * u / Math.sqrt(tau * tau + u * u))
+        const time = cpaTime + u
+        const p = await gramFramePage.imageSVGPoint((freq - config.freqMin) / freqSpan, 1 - (time - config.timeMin) / timeSpan)
+        await gramFramePage.clickSVG(p.x, p.y)
+      }
+      await gramFramePage.waitForState(s => s.doppler.curves.length === 1 && s.doppler.curves[0].fitPoints.length === offsets.length)
+
+      const curve = firstDopplerCurve(await gramFramePage.getState())
+      // Clicks land on whole pixels, so allow a few per cent
+      expect(Math.abs(curve.cpa.time - cpaTime)).toBeLessThan(0.01 * timeSpan)
+      expect(Math.abs(curve.cpa.timeConstant - tau) / tau).toBeLessThan(0.05)
+      expect(Math.abs(Math.abs(curve.fit.shift) - shift) / shift).toBeLessThan(0.05)
+      const expectedRange = curve.fit.speed * tau
+      expect(Math.abs(curve.cpa.range - expectedRange) / expectedRange).toBeLessThan(0.05)
+      expect(await gramFramePage.getLEDValue('Range (m)')).toBe(curve.cpa.range.toFixed(0))
+    })
+  })
+
+  test.describe('Speed units', () => {
+    /** The speed LED, whatever its units: the only label-beside-value LED */
+    const SPEED_LED = '.gram-frame-led-inline'
+
+    test('clicking the speed LED cycles its units, and the choice survives a reload', async ({ gramFramePage }) => {
+      const start = await gramFramePage.imageSVGPoint(0.4, 0.3)
+      const end = await gramFramePage.imageSVGPoint(0.6, 0.7)
+      const svgBox = await gramFramePage.svg.boundingBox()
+      if (!svgBox) throw new Error('SVG not found')
+      await gramFramePage.dragSVG(svgBox.x + start.x, svgBox.y + start.y, svgBox.x + end.x, svgBox.y + end.y)
+      await gramFramePage.waitForDopplerCurveCount(1)
+      const { speed } = firstDopplerCurve(await gramFramePage.getState())
+      expect(await gramFramePage.getLEDValue('Doppler Speed (kts)')).toBe((speed * 1.94384).toFixed(1))
+
+      await gramFramePage.page.locator(SPEED_LED).click()
+      await gramFramePage.waitForState(s => s.doppler.units.speed === 'm/s')
+      expect(await gramFramePage.getLEDValue('Doppler Speed (m/s)')).toBe(speed.toFixed(1))
+
+      await gramFramePage.page.locator(SPEED_LED).click()
+      await gramFramePage.waitForState(s => s.doppler.units.speed === 'km/h')
+      expect(await gramFramePage.getLEDValue('Doppler Speed (km/h)')).toBe((speed * 3.6).toFixed(1))
+
+      // The state's speed is still m/s: only the display changed
+      expect(firstDopplerCurve(await gramFramePage.getState()).speed).toBe(speed)
+
+      await gramFramePage.page.reload()
+      await gramFramePage.waitForComponentLoad()
+      await gramFramePage.waitForState(s => s.doppler.units.speed === 'km/h')
+      await expect(gramFramePage.page.locator(SPEED_LED)).toContainText('(km/h)')
+    })
+
+    test('a speed-units config row sets the starting units', async ({ gramFramePage }) => {
+      const { page } = gramFramePage
+      await page.evaluate(() => {
+        const table = document.createElement('table')
+        table.className = 'gram-config'
+        table.innerHTML =
+          '<tr><td colspan="2"><img src="/sample/mock-gram.png"></td></tr>' +
+          '<tr><td>time-start</td><td>0</td></tr>' +
+          '<tr><td>time-end</td><td>60</td></tr>' +
+          '<tr><td>freq-start</td><td>0</td></tr>' +
+          '<tr><td>freq-end</td><td>100</td></tr>' +
+          '<tr><td>speed-units</td><td>m/s</td></tr>'
+        document.body.appendChild(table)
+        window.GramFrame.detectAndReplaceConfigTables()
+      })
+      const added = page.locator('.gram-frame-container').nth(1)
+      await expect(added.locator(SPEED_LED)).toContainText('(m/s)')
+      // The first gram has no row, so it keeps the default
+      await expect(page.locator('.gram-frame-container').first().locator(SPEED_LED)).toContainText('(kts)')
     })
   })
 
@@ -772,13 +920,13 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       let state = await gramFramePage.getState()
       
       // Skip test if markers weren't created (separate issue)
-      if (!state.doppler.fPlus || !state.doppler.fMinus || !state.doppler.fZero) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus || !firstDopplerCurve(state).fZero) {
         console.log('Doppler markers not created - skipping drag test')
         return
       }
       
-      const originalFPlusFreq = state.doppler.fPlus.freq
-      const originalFMinusFreq = state.doppler.fMinus.freq
+      const originalFPlusFreq = firstDopplerCurve(state).fPlus.freq
+      const originalFMinusFreq = firstDopplerCurve(state).fMinus.freq
       
       // Try to drag the f+ marker to a new position  
       // First, click on the approximate location of f+ marker
@@ -789,7 +937,7 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       
       // Check if the marker position actually changed
       state = await gramFramePage.getState()
-      const fPlusChanged = state.doppler.fPlus.freq !== originalFPlusFreq
+      const fPlusChanged = firstDopplerCurve(state).fPlus.freq !== originalFPlusFreq
       
       // Try dragging f- marker as well
       await gramFramePage.page.mouse.move(500, 300)
@@ -798,28 +946,28 @@ test.describe('Doppler Mode - Comprehensive E2E Tests', () => {
       await gramFramePage.page.mouse.up()
       
       const finalState = await gramFramePage.getState()
-      const fMinusChanged = finalState.doppler.fMinus.freq !== originalFMinusFreq
+      const fMinusChanged = firstDopplerCurve(finalState).fMinus.freq !== originalFMinusFreq
       
       // Verify that markers can actually be dragged (Issue #136)
       // The test should demonstrate that dragging works properly
       console.log('F+ changed:', fPlusChanged, 'F- changed:', fMinusChanged)
-      console.log('Original f+ freq:', originalFPlusFreq, 'New f+ freq:', state.doppler.fPlus.freq)
-      console.log('Original f- freq:', originalFMinusFreq, 'New f- freq:', finalState.doppler.fMinus.freq)
+      console.log('Original f+ freq:', originalFPlusFreq, 'New f+ freq:', firstDopplerCurve(state).fPlus.freq)
+      console.log('Original f- freq:', originalFMinusFreq, 'New f- freq:', firstDopplerCurve(finalState).fMinus.freq)
       
       // This test confirms that doppler marker dragging is working correctly
       // If this test passes consistently, then Issue #136 has been resolved
       expect(fPlusChanged || fMinusChanged).toBe(true)
       
       // Ensure markers are still within bounds
-      expect(finalState.doppler.fPlus.time).toBeGreaterThanOrEqual(finalState.config.timeMin)
-      expect(finalState.doppler.fPlus.time).toBeLessThanOrEqual(finalState.config.timeMax)
-      expect(finalState.doppler.fPlus.freq).toBeGreaterThanOrEqual(finalState.config.freqMin)
-      expect(finalState.doppler.fPlus.freq).toBeLessThanOrEqual(finalState.config.freqMax)
-      
-      expect(finalState.doppler.fMinus.time).toBeGreaterThanOrEqual(finalState.config.timeMin)
-      expect(finalState.doppler.fMinus.time).toBeLessThanOrEqual(finalState.config.timeMax)
-      expect(finalState.doppler.fMinus.freq).toBeGreaterThanOrEqual(finalState.config.freqMin)
-      expect(finalState.doppler.fMinus.freq).toBeLessThanOrEqual(finalState.config.freqMax)
+      expect(firstDopplerCurve(finalState).fPlus.time).toBeGreaterThanOrEqual(finalState.config.timeMin)
+      expect(firstDopplerCurve(finalState).fPlus.time).toBeLessThanOrEqual(finalState.config.timeMax)
+      expect(firstDopplerCurve(finalState).fPlus.freq).toBeGreaterThanOrEqual(finalState.config.freqMin)
+      expect(firstDopplerCurve(finalState).fPlus.freq).toBeLessThanOrEqual(finalState.config.freqMax)
+      
+      expect(firstDopplerCurve(finalState).fMinus.time).toBeGreaterThanOrEqual(finalState.config.timeMin)
+      expect(firstDopplerCurve(finalState).fMinus.time).toBeLessThanOrEqual(finalState.config.timeMax)
+      expect(firstDopplerCurve(finalState).fMinus.freq).toBeGreaterThanOrEqual(finalState.config.freqMin)
+      expect(firstDopplerCurve(finalState).fMinus.freq).toBeLessThanOrEqual(finalState.config.freqMax)
     })
   })
 })
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { test, expect } from './helpers/fixtures.js'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for frequency units (`freq-units: kHz`): the
+ * frequency axis is labelled in kHz, and the readouts and the markers table
+ * show kHz to a whole hertz, with their labels saying so. The fixture gram
+ * runs 0–20 kHz; the debug gram, without the row, stays in Hz.
+ */
+
+/**
+ * The frequency axis's labels, left to right.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<string[]>} Label texts
+ */
+async function frequencyAxisLabels(page) {
+  return page.evaluate(() => Array.from(document.querySelectorAll('.gram-frame-axes text'))
+    .filter(label => label.getAttribute('text-anchor') === 'middle')
+    .sort((a, b) => parseFloat(a.getAttribute('x') || '0') - parseFloat(b.getAttribute('x') || '0'))
+    .map(label => label.textContent || ''))
+}
+
+test.describe('Frequencies in kHz', () => {
+  /** @type {GramFramePage} */
+  let gfp
+
+  test.beforeEach(async ({ page }) => {
+    gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/khz-page.html')
+    await gfp.waitForComponentLoad()
+    await gfp.waitForImageDimensions()
+  })
+
+  test('the frequency axis is labelled in kHz', async ({ page }) => {
+    expect((await gfp.getState()).config.freqUnits).toBe('kHz')
+    await expect.poll(async () => (await frequencyAxisLabels(page)).length).toBeGreaterThan(1)
+
+    const labels = await frequencyAxisLabels(page)
+    expect(labels[0]).toBe('0kHz')
+    // Trailing zeros are dropped: `5kHz`, not `5.000kHz`
+    expect(labels.every(text => /^\d+(\.\d{1,3})?kHz$/.test(text))).toBe(true)
+    const values = labels.map(text => parseFloat(text))
+    expect(Math.max(...values)).toBeLessThanOrEqual(20)
+    expect(Math.max(...values)).toBeGreaterThan(10)
+  })
+
+  test('the readouts are labelled and shown in kHz', async ({ page }) => {
+    await expect(page.locator('.gram-frame-led-label:text-is("Frequency (kHz)")')).toHaveCount(1)
+    await expect(page.locator('.gram-frame-led-label:text-is("Δf (kHz)")')).toHaveCount(1)
+    await expect(page.locator('.gram-frame-led-label:text-is("df/dt (kHz/s)")')).toHaveCount(1)
+
+    // Half-way across 0–20 kHz, to three places
+    const point = await gfp.imageSVGPoint(0.5, 0.5)
+    const reading = await gfp.readDataAtPixel(point.x, point.y)
+    expect(reading).not.toBeNull()
+    const text = /** @type {string} */ (await gfp.getLEDValue('Frequency (kHz)'))
+    expect(text).toMatch(/^\d+\.\d{3}$/)
+    expect(parseFloat(text)).toBeCloseTo(/** @type {{freq: number}} */ (reading).freq / 1000, 3)
+    expect(parseFloat(text)).toBeCloseTo(10, 0)
+  })
+
+  test('the markers table shows kHz', async ({ page }) => {
+    await gfp.clickMode('Cross Cursor')
+    const id = await gfp.addMarker(30, 12345)
+
+    await expect(page.locator('th:text-is("Freq (kHz)")')).toHaveCount(1)
+    await expect(page.locator(`tr[data-marker-id="${id}"]`)).toContainText('12.345')
+  })
+})
+
+test.describe('Frequencies in Hz', () => {
+  test('a gram without a freq-units row is labelled in Hz', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    await expect(page.locator('.gram-frame-led-label:text-is("Frequency (Hz)")')).toHaveCount(1)
+    await expect.poll(async () => (await frequencyAxisLabels(page)).length).toBeGreaterThan(1)
+    expect((await frequencyAxisLabels(page)).every(text => /^\d+Hz$/.test(text))).toBe(true)
+  })
+})
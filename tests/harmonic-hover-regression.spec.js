@@ -1,4 +1,5 @@
 import { test, expect } from './helpers/fixtures.js'
+import { firstDopplerCurve } from './helpers/state-assertions.js'
 
 /**
  * @fileoverview Regression tests for the harmonic-hover bug.
@@ -114,8 +115,8 @@ test.describe('Harmonic hover regression', () => {
     }
 
     const state = await gramFramePage.getState()
-    expect(state.doppler.fPlus).toBeNull()
-    expect(state.doppler.fMinus).toBeNull()
-    expect(state.doppler.fZero).toBeNull()
+    expect(firstDopplerCurve(state).fPlus).toBeNull()
+    expect(firstDopplerCurve(state).fMinus).toBeNull()
+    expect(firstDopplerCurve(state).fZero).toBeNull()
   })
 })
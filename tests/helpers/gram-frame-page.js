@@ -386,6 +386,19 @@ class GramFramePage {
     )
   }
 
+  /**
+   * Wait until the doppler state holds exactly `n` curves.
+   * @param {number} n - Expected curve count
+   * @param {{timeout?: number}} [opts] - Optional timeout override
+   * @returns {Promise<void>}
+   */
+  async waitForDopplerCurveCount(n, opts = {}) {
+    await this.waitForState(
+      (state) => (state.doppler?.curves?.length ?? 0) === n,
+      { ...opts, message: `${n} doppler curve(s)` }
+    )
+  }
+
   /**
    * Wait until the component reports the given mode.
    * @param {string} mode - Mode identifier ('pan', 'analysis', 'harmonics', 'doppler')
@@ -168,7 +168,19 @@ function expectValidRate(state, expectedRate) {
   }
 }
 
+/**
+ * The first Doppler curve on the gram, or an empty curve when none has been
+ * placed — so a spec written against one curve can read its markers without
+ * first checking the list.
+ * @param {any} state - The GramFrame state object
+ * @returns {any} The first curve, or one with every marker null
+ */
+function firstDopplerCurve(state) {
+  return state.doppler.curves[0] || { fPlus: null, fMinus: null, fZero: null, speed: null, color: null }
+}
+
 export {
+  firstDopplerCurve,
   expectValidMetadata,
   expectValidImageDetails,
   expectValidDisplayDimensions,
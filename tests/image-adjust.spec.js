@@ -0,0 +1,121 @@
+import { test, expect } from './helpers/fixtures.js'
+
+/**
+ * @fileoverview E2E tests for the image panel's adjustments: the panel opens
+ * from its toggle, the brightness, contrast, gamma and invert controls drive
+ * an SVG filter on the spectrogram image, Reset drops the filter and puts the
+ * controls back to neutral, and none of it changes the pixels read back for
+ * the Intensity readout.
+ */
+
+/**
+ * Read the transfer curve the image's filter applies, or null when the image
+ * has no filter.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<{amplitude: number, exponent: number, offset: number}|null>} The red channel's curve
+ */
+async function filterCurve(page) {
+  return page.evaluate(() => {
+    const image = document.querySelector('.gram-frame-svg image')
+    const filter = image && image.getAttribute('filter')
+    if (!filter) return null
+    const id = filter.replace(/^url\(#(.*)\)$/, '$1')
+    const channel = document.querySelector(`#${id} feFuncR`)
+    if (!channel) return null
+    return {
+      amplitude: parseFloat(channel.getAttribute('amplitude') || 'NaN'),
+      exponent: parseFloat(channel.getAttribute('exponent') || 'NaN'),
+      offset: parseFloat(channel.getAttribute('offset') || 'NaN')
+    }
+  })
+}
+
+test.describe('Image adjustments', () => {
+  test.beforeEach(async ({ gramFramePage }) => {
+    const toggle = gramFramePage.page.locator('.gram-frame-image-toggle')
+    await expect(toggle).toHaveAttribute('aria-expanded', 'false')
+    await expect(gramFramePage.page.locator('.gram-frame-image-brightness')).toBeHidden()
+
+    await toggle.click()
+    await expect(toggle).toHaveAttribute('aria-expanded', 'true')
+    await expect(gramFramePage.page.locator('.gram-frame-image-brightness')).toBeVisible()
+  })
+
+  test('the image starts unfiltered, with every control neutral', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    expect(await filterCurve(page)).toBeNull()
+    await expect(page.locator('.gram-frame-image-brightness')).toHaveValue('0')
+    await expect(page.locator('.gram-frame-image-contrast')).toHaveValue('1')
+    await expect(page.locator('.gram-frame-image-gamma')).toHaveValue('1')
+    await expect(page.locator('.gram-frame-image-invert')).not.toBeChecked()
+  })
+
+  test('each control reshapes the filter\'s transfer curve', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    const values = page.locator('.gram-frame-image-value')
+
+    await page.locator('.gram-frame-image-brightness').fill('0.2')
+    await expect(values.nth(0)).toHaveText('+20%')
+    let curve = await filterCurve(page)
+    expect(curve).not.toBeNull()
+    expect(curve.amplitude).toBeCloseTo(1, 6)
+    expect(curve.offset).toBeCloseTo(0.2, 6)
+
+    await page.locator('.gram-frame-image-contrast').fill('2')
+    await expect(values.nth(1)).toHaveText('×2.00')
+    curve = await filterCurve(page)
+    // Contrast stretches about mid-grey: 0.5 − 0.5·2 + 0.2
+    expect(curve.amplitude).toBeCloseTo(2, 6)
+    expect(curve.offset).toBeCloseTo(-0.3, 6)
+
+    await page.locator('.gram-frame-image-gamma').fill('2')
+    await expect(values.nth(2)).toHaveText('2.00')
+    expect((await filterCurve(page)).exponent).toBeCloseTo(0.5, 6)
+
+    await page.locator('.gram-frame-image-invert').check()
+    curve = await filterCurve(page)
+    expect(curve.amplitude).toBeCloseTo(-2, 6)
+    expect(curve.offset).toBeCloseTo(1.3, 6)
+  })
+
+  test('Reset drops the filter and puts every control back', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    await page.locator('.gram-frame-image-brightness').fill('-0.3')
+    await page.locator('.gram-frame-image-contrast').fill('3')
+    await page.locator('.gram-frame-image-invert').check()
+    expect(await filterCurve(page)).not.toBeNull()
+
+    await page.locator('.gram-frame-image-reset').click()
+    expect(await filterCurve(page)).toBeNull()
+    await expect(page.locator('.gram-frame-image-brightness')).toHaveValue('0')
+    await expect(page.locator('.gram-frame-image-contrast')).toHaveValue('1')
+    await expect(page.locator('.gram-frame-image-gamma')).toHaveValue('1')
+    await expect(page.locator('.gram-frame-image-invert')).not.toBeChecked()
+    await expect(page.locator('.gram-frame-image-value').nth(0)).toHaveText('0%')
+    await expect(page.locator('.gram-frame-image-value').nth(1)).toHaveText('×1.00')
+  })
+
+  test('a filter that ends neutral is dropped rather than run', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    await page.locator('.gram-frame-image-gamma').fill('1.5')
+    expect(await filterCurve(page)).not.toBeNull()
+    await page.locator('.gram-frame-image-gamma').fill('1')
+    expect(await filterCurve(page)).toBeNull()
+  })
+
+  test('adjustments change how the gram looks, not the intensity read from it', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    const point = await gramFramePage.imageSVGPoint(0.4, 0.4)
+    await gramFramePage.moveMouse(point.x, point.y)
+    const before = await gramFramePage.getLEDValue('Intensity (%)')
+    expect(before).not.toBe('—')
+
+    await page.locator('.gram-frame-image-brightness').fill('0.5')
+    await page.locator('.gram-frame-image-invert').check()
+
+    // Move off and back so the readout is taken afresh
+    await gramFramePage.moveMouse(point.x + 10, point.y)
+    await gramFramePage.moveMouse(point.x, point.y)
+    await gramFramePage.verifyLEDValue('Intensity (%)', /** @type {string} */ (before))
+  })
+})
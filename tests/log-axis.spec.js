@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for a log frequency axis (`freq-scale: log`): the
+ * axis is ticked by decade with unlabelled ticks between, decades sit equal
+ * distances apart, the readout follows the log scale, and zoomed in to less
+ * than a decade the ticks between are labelled instead. The fixture gram runs
+ * from 10 Hz to 10 kHz, three decades.
+ */
+
+/**
+ * The frequency axis's labels, left to right, with where each sits.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<Array<{text: string, x: number, major: boolean}>>} Labels along the bottom axis
+ */
+async function frequencyLabels(page) {
+  return page.evaluate(() => {
+    const labels = Array.from(document.querySelectorAll('.gram-frame-axes text'))
+      .filter(label => label.getAttribute('text-anchor') === 'middle')
+    return labels
+      .map(label => ({
+        text: label.textContent || '',
+        x: parseFloat(label.getAttribute('x') || 'NaN'),
+        major: label.classList.contains('gram-frame-axis-label-major')
+      }))
+      .sort((a, b) => a.x - b.x)
+  })
+}
+
+test.describe('Log frequency axis', () => {
+  /** @type {GramFramePage} */
+  let gfp
+
+  test.beforeEach(async ({ page }) => {
+    gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/log-axis-page.html')
+    await gfp.waitForComponentLoad()
+    await gfp.waitForImageDimensions()
+  })
+
+  test('the config asks for a log scale', async () => {
+    const { config } = await gfp.getState()
+    expect(config.freqScale).toBe('log')
+  })
+
+  test('each decade is labelled, with unlabelled ticks between', async ({ page }) => {
+    await expect.poll(async () => (await frequencyLabels(page)).map(label => label.text))
+      .toEqual(['10Hz', '100Hz', '1000Hz', '10000Hz'])
+    expect((await frequencyLabels(page)).every(label => label.major)).toBe(true)
+
+    // 2–9 times each of the three decades
+    await expect(page.locator('.gram-frame-axes .gram-frame-axis-tick-minor')).toHaveCount(24)
+    await expect(page.locator('.gram-frame-axes .gram-frame-axis-tick-major')).toHaveCount(4)
+  })
+
+  test('decades sit equal distances apart', async ({ page }) => {
+    await expect.poll(async () => (await frequencyLabels(page)).length).toBe(4)
+    const [ten, hundred, thousand, tenThousand] = (await frequencyLabels(page)).map(label => label.x)
+    const decade = hundred - ten
+    expect(decade).toBeGreaterThan(0)
+    expect(thousand - hundred).toBeCloseTo(decade, 3)
+    expect(tenThousand - thousand).toBeCloseTo(decade, 3)
+  })
+
+  test('the readout follows the log scale', async () => {
+    // Half-way across three decades from 10 Hz is 10^2.5 Hz
+    const point = await gfp.imageSVGPoint(0.5, 0.5)
+    const reading = await gfp.readDataAtPixel(point.x, point.y)
+    expect(reading).not.toBeNull()
+    expect(Math.log10(/** @type {{freq: number}} */ (reading).freq)).toBeCloseTo(2.5, 1)
+  })
+
+  test('zoomed in to less than a decade, the ticks between are labelled', async ({ page }) => {
+    // An eighth of the three decades, centred on 10^2.5 Hz: about 205–487 Hz
+    await gfp.setZoom(8, 0.5, 0.5)
+
+    await expect.poll(async () => (await frequencyLabels(page)).map(label => label.text))
+      .toEqual(['300Hz', '400Hz'])
+    expect((await frequencyLabels(page)).every(label => !label.major)).toBe(true)
+  })
+})
@@ -1,7 +1,8 @@
 import { test, expect } from './helpers/fixtures.js'
 import {
   expectValidMetadata,
-  expectValidMode
+  expectValidMode,
+  firstDopplerCurve
 } from './helpers/state-assertions.js'
 
 /**
@@ -79,15 +80,15 @@ test.describe('Cross-Mode Integration - Comprehensive E2E Tests', () => {
       let state = await gramFramePage.getState()
       
       // Skip if no Doppler markers were created
-      if (!state.doppler?.fPlus || !state.doppler?.fMinus) {
+      if (!firstDopplerCurve(state).fPlus || !firstDopplerCurve(state).fMinus) {
         return
       }
       
       /** @type {{fPlus: import('../src/types.js').DataCoordinates, fMinus: import('../src/types.js').DataCoordinates, fZero: import('../src/types.js').DataCoordinates | null}} */
       const originalDoppler = {
-        fPlus: { ...state.doppler.fPlus },
-        fMinus: { ...state.doppler.fMinus },
-        fZero: state.doppler.fZero ? { ...state.doppler.fZero } : null
+        fPlus: { ...firstDopplerCurve(state).fPlus },
+        fMinus: { ...firstDopplerCurve(state).fMinus },
+        fZero: firstDopplerCurve(state).fZero ? { ...firstDopplerCurve(state).fZero } : null
       }
       
       // Switch modes and verify persistence
@@ -98,10 +99,10 @@ test.describe('Cross-Mode Integration - Comprehensive E2E Tests', () => {
         await gramFramePage.clickMode(mode)
         
         state = await gramFramePage.getState()
-        expect(state.doppler?.fPlus).toEqual(originalDoppler.fPlus)
-        expect(state.doppler?.fMinus).toEqual(originalDoppler.fMinus)
+        expect(firstDopplerCurve(state).fPlus).toEqual(originalDoppler.fPlus)
+        expect(firstDopplerCurve(state).fMinus).toEqual(originalDoppler.fMinus)
         if (originalDoppler.fZero) {
-          expect(state.doppler?.fZero).toEqual(originalDoppler.fZero)
+          expect(firstDopplerCurve(state).fZero).toEqual(originalDoppler.fZero)
         }
       }
     })
@@ -147,9 +148,9 @@ test.describe('Cross-Mode Integration - Comprehensive E2E Tests', () => {
       }
       
       // Check Doppler markers (may or may not exist)
-      if (state.doppler?.fPlus && state.doppler?.fMinus) {
-        expect(state.doppler.fPlus).toBeDefined()
-        expect(state.doppler.fMinus).toBeDefined()
+      if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
+        expect(firstDopplerCurve(state).fPlus).toBeDefined()
+        expect(firstDopplerCurve(state).fMinus).toBeDefined()
       }
       
       // Switch through all modes and verify all features persist
@@ -170,9 +171,9 @@ test.describe('Cross-Mode Integration - Comprehensive E2E Tests', () => {
           expect(currentState.harmonics?.harmonicSets?.length).toBe(state.harmonics.harmonicSets.length)
         }
         
-        if (state.doppler?.fPlus && state.doppler?.fMinus) {
-          expect(currentState.doppler?.fPlus).toBeDefined()
-          expect(currentState.doppler?.fMinus).toBeDefined()
+        if (firstDopplerCurve(state).fPlus && firstDopplerCurve(state).fMinus) {
+          expect(firstDopplerCurve(currentState).fPlus).toBeDefined()
+          expect(firstDopplerCurve(currentState).fMinus).toBeDefined()
         }
       }
     })
@@ -0,0 +1,138 @@
+import { test, expect } from './helpers/fixtures.js'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for the false-colour palette: the image panel's
+ * menu shows the gram through a palette and keys it in a colour bar, grey
+ * puts the original image back, the table's `palette` row chooses the one the
+ * gram opens in, and a gram whose pixels cannot be read stays grey and says
+ * why.
+ */
+
+/**
+ * The href the spectrogram image is drawn from.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<string|null>} The href
+ */
+async function imageHref(page) {
+  return page.evaluate(() => {
+    const image = document.querySelector('.gram-frame-svg image')
+    return image && image.getAttributeNS('http://www.w3.org/1999/xlink', 'href')
+  })
+}
+
+/**
+ * Open the image panel so its palette menu can be used.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<void>}
+ */
+async function openImagePanel(page) {
+  await page.locator('.gram-frame-image-toggle').click()
+  await expect(page.locator('.gram-frame-image-palette')).toBeVisible()
+}
+
+test.describe('Palette menu', () => {
+  test('the gram starts grey, with no colour bar', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    await openImagePanel(page)
+    await expect(page.locator('.gram-frame-image-palette')).toHaveValue('grey')
+    await expect(page.locator('.gram-frame-palette-legend')).toBeHidden()
+    expect(await imageHref(page)).not.toMatch(/^data:/)
+  })
+
+  test('a palette recolours the gram and keys it in the colour bar', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    const original = await imageHref(page)
+    await openImagePanel(page)
+
+    await page.locator('.gram-frame-image-palette').selectOption('hot')
+    await expect.poll(() => imageHref(page)).toMatch(/^data:image\/png/)
+    await expect(page.locator('.gram-frame-palette-legend')).toBeVisible()
+    const background = await page.locator('.gram-frame-palette-bar').evaluate(bar => bar.style.background)
+    expect(background).toContain('linear-gradient')
+
+    // Grey puts the original image back and hides the bar
+    await page.locator('.gram-frame-image-palette').selectOption('grey')
+    await expect.poll(() => imageHref(page)).toBe(original)
+    await expect(page.locator('.gram-frame-palette-legend')).toBeHidden()
+  })
+
+  test('the colour bar follows the palette chosen', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    await openImagePanel(page)
+    const bar = page.locator('.gram-frame-palette-bar')
+
+    await page.locator('.gram-frame-image-palette').selectOption('viridis')
+    const viridis = await bar.evaluate(element => element.style.background)
+    await page.locator('.gram-frame-image-palette').selectOption('jet')
+    const jet = await bar.evaluate(element => element.style.background)
+    expect(jet).not.toBe(viridis)
+  })
+
+  test('a palette changes how the gram looks, not the intensity read from it', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    const point = await gramFramePage.imageSVGPoint(0.4, 0.4)
+    await gramFramePage.moveMouse(point.x, point.y)
+    const before = await gramFramePage.getLEDValue('Intensity (%)')
+    expect(before).not.toBe('—')
+
+    await openImagePanel(page)
+    await page.locator('.gram-frame-image-palette').selectOption('green-phosphor')
+    await expect.poll(() => imageHref(page)).toMatch(/^data:/)
+
+    // Move off and back so the readout is taken afresh
+    await gramFramePage.moveMouse(point.x + 10, point.y)
+    await gramFramePage.moveMouse(point.x, point.y)
+    await gramFramePage.verifyLEDValue('Intensity (%)', /** @type {string} */ (before))
+  })
+
+  test('Reset puts the adjustments back but keeps the palette', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    await openImagePanel(page)
+    await page.locator('.gram-frame-image-palette').selectOption('viridis')
+    await page.locator('.gram-frame-image-brightness').fill('0.3')
+
+    await page.locator('.gram-frame-image-reset').click()
+    await expect(page.locator('.gram-frame-image-brightness')).toHaveValue('0')
+    await expect(page.locator('.gram-frame-image-palette')).toHaveValue('viridis')
+    await expect(page.locator('.gram-frame-palette-legend')).toBeVisible()
+    expect(await imageHref(page)).toMatch(/^data:/)
+  })
+})
+
+test.describe('Palette row', () => {
+  test('the gram opens in the palette its table names', async ({ page }) => {
+    const gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/palette-page.html')
+    await gfp.waitForComponentLoad()
+
+    await expect.poll(() => imageHref(page)).toMatch(/^data:image\/png/)
+    await expect(page.locator('.gram-frame-palette-legend')).toBeVisible()
+    await openImagePanel(page)
+    await expect(page.locator('.gram-frame-image-palette')).toHaveValue('viridis')
+  })
+})
+
+test.describe('Palette on a gram whose pixels cannot be read', () => {
+  test('the menu goes back to grey and says why', async ({ page }) => {
+    await page.addInitScript(() => {
+      CanvasRenderingContext2D.prototype.getImageData = function () {
+        throw new DOMException('The canvas has been tainted by cross-origin data.', 'SecurityError')
+      }
+    })
+    /** @type {string[]} */
+    const pageErrors = []
+    page.on('pageerror', error => pageErrors.push(error.message))
+
+    const gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/palette-page.html')
+    await gfp.waitForComponentLoad()
+    await openImagePanel(page)
+
+    await expect(page.locator('.gram-frame-image-palette')).toHaveValue('grey')
+    await expect(page.locator('.gram-frame-image-note')).toBeVisible()
+    await expect(page.locator('.gram-frame-palette-legend')).toBeHidden()
+    expect(await imageHref(page)).not.toMatch(/^data:/)
+    expect(pageErrors).toEqual([])
+  })
+})
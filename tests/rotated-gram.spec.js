@@ -0,0 +1,126 @@
+import { test, expect } from '@playwright/test'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for a gram rotated to run time across
+ * (`time-direction: right`): time is labelled along the bottom axis and
+ * frequency up the left, the readout follows the turned axes, the arrow keys
+ * nudge a marker in time left and right and in frequency up and down, and
+ * Harmonics mode is not offered. The fixture gram runs 0–60 s left to right
+ * and 0–100 Hz bottom to top.
+ */
+
+/**
+ * The axes' labels, split by the side they hang from.
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<{bottom: Array<{text: string, x: number}>, left: Array<{text: string, y: number}>}>} Labels on each axis
+ */
+async function axisLabels(page) {
+  return page.evaluate(() => {
+    const labels = Array.from(document.querySelectorAll('.gram-frame-axes text'))
+    const read = (/** @type {Element} */ label) => ({
+      text: label.textContent || '',
+      x: parseFloat(label.getAttribute('x') || 'NaN'),
+      y: parseFloat(label.getAttribute('y') || 'NaN')
+    })
+    return {
+      bottom: labels.filter(label => label.getAttribute('text-anchor') === 'middle').map(read),
+      left: labels.filter(label => label.getAttribute('text-anchor') === 'end').map(read)
+    }
+  })
+}
+
+/**
+ * The data change one rendered pixel of movement represents on a gram with
+ * time across and frequency up.
+ * @param {any} state - Broadcast GramFrame state
+ * @returns {{perPixelFreq: number, perPixelTime: number}} Data units per pixel
+ */
+function dataPerPixel(state) {
+  const { config, imageDetails } = state
+  const renderWidth = imageDetails.renderWidth || imageDetails.naturalWidth
+  const renderHeight = imageDetails.renderHeight || imageDetails.naturalHeight
+  return {
+    perPixelFreq: (config.freqMax - config.freqMin) / renderHeight,
+    perPixelTime: (config.timeMax - config.timeMin) / renderWidth
+  }
+}
+
+test.describe('Gram with time running across', () => {
+  /** @type {GramFramePage} */
+  let gfp
+
+  test.beforeEach(async ({ page }) => {
+    gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/rotated-page.html')
+    await gfp.waitForComponentLoad()
+    await gfp.waitForImageDimensions()
+  })
+
+  test('time is labelled along the bottom and frequency up the left', async ({ page }) => {
+    expect((await gfp.getState()).config.timeDirection).toBe('right')
+    await expect.poll(async () => (await axisLabels(page)).left.length).toBeGreaterThan(1)
+
+    const { bottom, left } = await axisLabels(page)
+    expect(bottom.length).toBeGreaterThan(1)
+    expect(bottom.every(label => !label.text.endsWith('Hz'))).toBe(true)
+    expect(left.every(label => label.text.endsWith('Hz'))).toBe(true)
+
+    // Frequency rises up the left axis
+    const byFreq = [...left].sort((a, b) => parseFloat(a.text) - parseFloat(b.text))
+    const heights = byFreq.map(label => label.y)
+    expect(heights).toEqual([...heights].sort((a, b) => b - a))
+  })
+
+  test('the readout follows the turned axes', async () => {
+    // A quarter across is a quarter of the way through time; a quarter down
+    // is three quarters of the way up in frequency
+    const point = await gfp.imageSVGPoint(0.25, 0.25)
+    const reading = await gfp.readDataAtPixel(point.x, point.y)
+    expect(reading).not.toBeNull()
+    const { time, freq } = /** @type {{time: number, freq: number}} */ (reading)
+    expect(time).toBeCloseTo(15, 0)
+    expect(freq).toBeCloseTo(75, 0)
+  })
+
+  test('Harmonics mode is not offered', async ({ page }) => {
+    await expect(page.locator('.gram-frame-mode-btn:text("Harmonics")')).toBeHidden()
+    await expect(page.locator('.gram-frame-mode-btn:text("Cross Cursor")')).toBeVisible()
+  })
+
+  test('the arrow keys nudge a marker along the axis they point along', async () => {
+    await gfp.clickMode('Cross Cursor')
+    const id = await gfp.addMarker(30, 50)
+    const selection = (await gfp.getState()).selection
+    if (selection.selectedType !== 'marker' || selection.selectedId !== id) {
+      await gfp.clickTableRow('markers', id)
+    }
+    await gfp.waitForState(s => s.selection.selectedType === 'marker' && s.selection.selectedId === id,
+      { message: `marker ${id} to be selected` })
+
+    const { perPixelFreq, perPixelTime } = dataPerPixel(await gfp.getState())
+    /** @returns {Promise<{time: number, freq: number}>} The marker's position */
+    const position = async () => {
+      const marker = (await gfp.getState()).analysis.markers.find(m => m.id === id)
+      return { time: marker.time, freq: marker.freq }
+    }
+
+    // Right: later in time, the same frequency
+    let before = await position()
+    await gfp.page.keyboard.press('ArrowRight')
+    await gfp.waitForState(s => s.analysis.markers.find(m => m.id === id).time !== before.time,
+      { message: 'the marker to move in time' })
+    let after = await position()
+    expect(after.time - before.time).toBeCloseTo(perPixelTime, 6)
+    expect(after.freq).toBeCloseTo(before.freq, 9)
+
+    // Up: higher in frequency, the same time
+    before = after
+    await gfp.page.keyboard.press('ArrowUp')
+    await gfp.waitForState(s => s.analysis.markers.find(m => m.id === id).freq !== before.freq,
+      { message: 'the marker to move in frequency' })
+    after = await position()
+    expect(after.freq - before.freq).toBeCloseTo(perPixelFreq, 6)
+    expect(after.time).toBeCloseTo(before.time, 9)
+  })
+})
@@ -0,0 +1,210 @@
+import { test, expect } from './helpers/fixtures.js'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for Ruler mode: laying a ruler down by dragging,
+ * moving either end, the Δt / Δf / df/dt LEDs following it, and the ruler
+ * staying put across a mode switch and a reload.
+ */
+
+/**
+ * Drag between two SVG-relative points, in steps so the drag engine sees
+ * movement between the press and the release.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {{x: number, y: number}} from - Where to press
+ * @param {{x: number, y: number}} to - Where to release
+ * @returns {Promise<void>}
+ */
+async function dragOnSVG(gfp, from, to) {
+  const svgBox = await gfp.svg.boundingBox()
+  if (!svgBox) throw new Error('SVG not found')
+  await gfp.page.mouse.move(svgBox.x + from.x, svgBox.y + from.y)
+  await gfp.page.mouse.down()
+  await gfp.page.mouse.move(svgBox.x + to.x, svgBox.y + to.y, { steps: 5 })
+  await gfp.page.mouse.up()
+}
+
+/**
+ * Drag one of the ruler's end handles to an SVG-relative point.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {'start'|'end'} endId - Which end to grab
+ * @param {{x: number, y: number}} to - Where to release
+ * @returns {Promise<void>}
+ */
+async function dragRulerEnd(gfp, endId, to) {
+  const handle = await gfp.page.locator(`.gram-frame-ruler-end[data-ruler-end="${endId}"]`).boundingBox()
+  const svgBox = await gfp.svg.boundingBox()
+  if (!handle || !svgBox) throw new Error(`Ruler ${endId} handle not found`)
+  await dragOnSVG(gfp,
+    { x: handle.x + handle.width / 2 - svgBox.x, y: handle.y + handle.height / 2 - svgBox.y },
+    to)
+}
+
+/**
+ * Lay down a ruler across the image and wait for state to hold it.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @returns {Promise<import('../src/types.js').GramFrameState>} State with the ruler placed
+ */
+async function placeRuler(gfp) {
+  const from = await gfp.imageSVGPoint(0.3, 0.7)
+  const to = await gfp.imageSVGPoint(0.6, 0.3)
+  await dragOnSVG(gfp, from, to)
+  await gfp.waitForState(s => !!(s.ruler.start && s.ruler.end && !s.ruler.placing &&
+    s.ruler.start.time !== s.ruler.end.time), { message: 'a ruler to be placed' })
+  return gfp.getState()
+}
+
+/**
+ * The text each ruler LED should show for a ruler, on the debug page's
+ * seconds-and-hertz gram.
+ * @param {import('../src/types.js').GramFrameState} state - State holding a ruler
+ * @returns {{deltaTime: string, deltaFreq: string, slope: string}} Expected LED text
+ */
+function expectedReadings(state) {
+  const { start, end } = state.ruler
+  /** @param {number} value @param {number} digits */
+  const signed = (value, digits) => `${value < 0 ? '-' : '+'}${Math.abs(value).toFixed(digits)}`
+  const deltaTime = end.time - start.time
+  const deltaFreq = end.freq - start.freq
+  return {
+    deltaTime: signed(deltaTime, 2),
+    deltaFreq: signed(deltaFreq, 2),
+    slope: signed(deltaFreq / deltaTime, 3)
+  }
+}
+
+test.describe('Ruler mode', () => {
+  test.beforeEach(async ({ gramFramePage }) => {
+    await gramFramePage.clickMode('Ruler')
+  })
+
+  test('dragging on the image lays down a ruler between press and release', async ({ gramFramePage }) => {
+    const state = await placeRuler(gramFramePage)
+
+    // Time runs up the debug gram and frequency across it
+    expect(state.ruler.end.time).toBeGreaterThan(state.ruler.start.time)
+    expect(state.ruler.end.freq).toBeGreaterThan(state.ruler.start.freq)
+    expect(state.ruler.color).toBeTruthy()
+
+    await expect(gramFramePage.page.locator('.gram-frame-ruler-line')).toHaveCount(1)
+    await expect(gramFramePage.page.locator('.gram-frame-ruler-end')).toHaveCount(2)
+  })
+
+  test('a click that never drags leaves no ruler', async ({ gramFramePage }) => {
+    const point = await gramFramePage.imageSVGPoint(0.5, 0.5)
+    await gramFramePage.clickSVG(point.x, point.y)
+
+    const state = await gramFramePage.getState()
+    expect(state.ruler.start).toBeNull()
+    expect(state.ruler.end).toBeNull()
+    await expect(gramFramePage.page.locator('.gram-frame-ruler-line')).toHaveCount(0)
+  })
+
+  test('the LEDs show Δt, Δf and df/dt, and follow a drag', async ({ gramFramePage }) => {
+    await gramFramePage.verifyLEDValue('Δt (s)', '—')
+    await gramFramePage.verifyLEDValue('Δf (Hz)', '—')
+    await gramFramePage.verifyLEDValue('df/dt (Hz/s)', '—')
+
+    const placed = await placeRuler(gramFramePage)
+    let expected = expectedReadings(placed)
+    await gramFramePage.verifyLEDValue('Δt (s)', expected.deltaTime)
+    await gramFramePage.verifyLEDValue('Δf (Hz)', expected.deltaFreq)
+    await gramFramePage.verifyLEDValue('df/dt (Hz/s)', expected.slope)
+
+    // Drag the end below the start: time and slope change sign
+    await dragRulerEnd(gramFramePage, 'end', await gramFramePage.imageSVGPoint(0.6, 0.9))
+    await gramFramePage.waitForState(s => s.ruler.end.time < s.ruler.start.time,
+      { message: 'the ruler end to move below its start' })
+    expected = expectedReadings(await gramFramePage.getState())
+    expect(expected.deltaTime.startsWith('-')).toBe(true)
+    await gramFramePage.verifyLEDValue('Δt (s)', expected.deltaTime)
+    await gramFramePage.verifyLEDValue('Δf (Hz)', expected.deltaFreq)
+    await gramFramePage.verifyLEDValue('df/dt (Hz/s)', expected.slope)
+  })
+
+  test('dragging either end moves that end alone', async ({ gramFramePage }) => {
+    const placed = await placeRuler(gramFramePage)
+
+    await dragRulerEnd(gramFramePage, 'start', await gramFramePage.imageSVGPoint(0.1, 0.8))
+    await gramFramePage.waitForState(s => s.ruler.start.freq < placed.ruler.start.freq,
+      { message: 'the ruler start to move' })
+    let state = await gramFramePage.getState()
+    expect(state.ruler.end).toEqual(placed.ruler.end)
+    expect(state.ruler.start.time).toBeLessThan(placed.ruler.start.time)
+
+    const movedStart = state.ruler.start
+    await dragRulerEnd(gramFramePage, 'end', await gramFramePage.imageSVGPoint(0.9, 0.2))
+    await gramFramePage.waitForState(s => s.ruler.end.freq > placed.ruler.end.freq,
+      { message: 'the ruler end to move' })
+    state = await gramFramePage.getState()
+    expect(state.ruler.start).toEqual(movedStart)
+    expect(state.ruler.end.time).toBeGreaterThan(placed.ruler.end.time)
+  })
+
+  test('dragging on empty image replaces the ruler', async ({ gramFramePage }) => {
+    const first = await placeRuler(gramFramePage)
+
+    await dragOnSVG(gramFramePage,
+      await gramFramePage.imageSVGPoint(0.8, 0.8),
+      await gramFramePage.imageSVGPoint(0.9, 0.6))
+    await gramFramePage.waitForState(s => s.ruler.start.freq > first.ruler.end.freq,
+      { message: 'a second ruler to replace the first' })
+    await expect(gramFramePage.page.locator('.gram-frame-ruler-line')).toHaveCount(1)
+  })
+
+  test('right-click removes the ruler and blanks the LEDs', async ({ gramFramePage }) => {
+    await placeRuler(gramFramePage)
+
+    const point = await gramFramePage.imageSVGPoint(0.1, 0.1)
+    await gramFramePage.svg.click({ button: 'right', position: point })
+    await gramFramePage.waitForState(s => s.ruler.start === null && s.ruler.end === null,
+      { message: 'the ruler to be removed' })
+
+    await expect(gramFramePage.page.locator('.gram-frame-ruler-line')).toHaveCount(0)
+    await gramFramePage.verifyLEDValue('Δt (s)', '—')
+  })
+
+  test('the ruler stays on the gram across a mode switch', async ({ gramFramePage }) => {
+    const placed = await placeRuler(gramFramePage)
+    const expected = expectedReadings(placed)
+
+    await gramFramePage.clickMode('Cross Cursor')
+    let state = await gramFramePage.getState()
+    expect(state.ruler.start).toEqual(placed.ruler.start)
+    expect(state.ruler.end).toEqual(placed.ruler.end)
+    await expect(gramFramePage.page.locator('.gram-frame-ruler-line')).toHaveCount(1)
+
+    await gramFramePage.clickMode('Ruler')
+    state = await gramFramePage.getState()
+    expect(state.ruler.end).toEqual(placed.ruler.end)
+    await gramFramePage.verifyLEDValue('Δt (s)', expected.deltaTime)
+    await gramFramePage.verifyLEDValue('df/dt (Hz/s)', expected.slope)
+  })
+})
+
+test.describe('Ruler persistence', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/tests/fixtures/trainer-page.html')
+    await page.evaluate(() => localStorage.clear())
+  })
+
+  test('a trainer page saves the ruler and restores it on reload', async ({ page }) => {
+    const gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/trainer-page.html')
+    await gfp.waitForComponentLoad()
+    await gfp.clickMode('Ruler')
+    const placed = await placeRuler(gfp)
+
+    await page.reload()
+    await gfp.waitForComponentLoad()
+
+    await gfp.waitForState(s => !!(s.ruler.start && s.ruler.end), { message: 'the ruler to be restored' })
+    const state = await gfp.getState()
+    expect(state.ruler.start.time).toBeCloseTo(placed.ruler.start.time, 3)
+    expect(state.ruler.start.freq).toBeCloseTo(placed.ruler.start.freq, 3)
+    expect(state.ruler.end.time).toBeCloseTo(placed.ruler.end.time, 3)
+    expect(state.ruler.end.freq).toBeCloseTo(placed.ruler.end.freq, 3)
+    expect(state.ruler.color).toBe(placed.ruler.color)
+    await expect(page.locator('.gram-frame-ruler-line')).toHaveCount(1)
+  })
+})
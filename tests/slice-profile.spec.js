@@ -0,0 +1,64 @@
+import { test, expect } from './helpers/fixtures.js'
+
+/**
+ * @fileoverview Slice profiles under the gram.
+ *
+ * Clicking the spectrum places an Analysis marker at the slice's time and the
+ * frequency under the click. The spectrum is laid out through the same
+ * transforms as the gram, so under zoom and pan a click must land the marker
+ * on the frequency the gram shows directly above it. Shift places it exactly,
+ * so the check is not blurred by snapping.
+ */
+
+test.describe('Slice profiles', () => {
+  test('a click on the zoomed spectrum places a marker under the gram\'s frequency above it', async ({ gramFramePage }) => {
+    const { page } = gramFramePage
+    await gramFramePage.waitForImageDimensions()
+    await gramFramePage.setZoom(2, 0.4, 0.5)
+    await page.locator('.gram-frame-slice-toggle').click()
+    const spectrum = page.locator('.gram-frame-slice-spectrum')
+    await expect(spectrum).toBeVisible()
+
+    // Take the slice from a point on the gram
+    const over = await gramFramePage.imageSVGPoint(0.5, 0.5)
+    await gramFramePage.moveMouse(over.x, over.y)
+    await gramFramePage.waitForState(s => s.cursorPosition !== null)
+    const { cursorPosition, config } = await gramFramePage.getState()
+    const sliceTime = cursorPosition.time
+
+    // A frequency in view, and where the spectrum shows it: straight below
+    // where the gram draws it, in the shared SVG units
+    const target = await page.evaluate(({ freqMin, freqMax }) => {
+      const image = /** @type {SVGImageElement} */ (document.querySelector('.gram-frame-svg image'))
+      const plot = /** @type {SVGSVGElement} */ (document.querySelector('.gram-frame-slice-spectrum'))
+      const imageX = parseFloat(image.getAttribute('x') || '0')
+      const imageWidth = parseFloat(image.getAttribute('width') || '0')
+      const svg = /** @type {SVGSVGElement} */ (document.querySelector('.gram-frame-svg'))
+      // Two fifths of the way across the gram's SVG, inside its visible window
+      const x = svg.viewBox.baseVal.width * 0.4
+      const freq = freqMin + (x - imageX) / imageWidth * (freqMax - freqMin)
+      const plotRect = plot.getBoundingClientRect()
+      const unitsPerPixel = plot.viewBox.baseVal.width / plotRect.width
+      return {
+        freq,
+        // How far apart in frequency two screen pixels of the plot are
+        freqPerPixel: unitsPerPixel * (freqMax - freqMin) / imageWidth,
+        clientX: plotRect.left + x / unitsPerPixel,
+        clientY: plotRect.top + plotRect.height / 2
+      }
+    }, { freqMin: config.freqMin, freqMax: config.freqMax })
+
+    // Shift holds the slice while the pointer comes down off the gram, and
+    // places the marker exactly
+    await page.keyboard.down('Shift')
+    await page.mouse.move(target.clientX, target.clientY, { steps: 8 })
+    await page.mouse.click(target.clientX, target.clientY)
+    await page.keyboard.up('Shift')
+
+    await gramFramePage.waitForMarkerCount(1)
+    const marker = (await gramFramePage.getState()).analysis.markers[0]
+    expect(marker.time).toBeCloseTo(sliceTime, 6)
+    // Within a pixel of the gram's frequency above the click
+    expect(Math.abs(marker.freq - target.freq)).toBeLessThanOrEqual(target.freqPerPixel)
+  })
+})
@@ -0,0 +1,111 @@
+import { test, expect } from './helpers/fixtures.js'
+
+/**
+ * @fileoverview E2E tests for snap-to-peak: with the style panel's Snap box
+ * ticked, a marker placed near a tonal lands on its brightest pixel; with it
+ * clear, or with Shift held, the marker lands where it was clicked.
+ *
+ * The gram's pixels are replaced, as they are read, by a single bright column
+ * half-way across a black image — the same stand-in for the image that
+ * auto-spacing.spec.js uses for a tainted canvas — so the peak is known
+ * exactly whatever the sample image holds.
+ */
+
+/** Screen pixels to the right of the bright column that each click lands */
+const CLICK_OFFSET = 5
+
+test.describe('Snap to peak', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.addInitScript(() => {
+      const original = CanvasRenderingContext2D.prototype.getImageData
+      CanvasRenderingContext2D.prototype.getImageData = function (sx, sy, sw, sh, settings) {
+        const data = original.call(this, sx, sy, sw, sh, settings)
+        const peakColumn = Math.floor(this.canvas.width / 2)
+        // @ts-ignore - test-only global
+        window.__peak = { column: peakColumn, width: this.canvas.width }
+        for (let i = 0; i < data.data.length; i += 4) {
+          const value = sx + (i / 4) % sw === peakColumn ? 255 : 0
+          data.data[i] = data.data[i + 1] = data.data[i + 2] = value
+        }
+        return data
+      }
+    })
+  })
+
+  /**
+   * Click in Cross Cursor mode a few pixels right of the bright column, at a
+   * fraction down the image, and return the marker it placed.
+   * @param {import('./helpers/gram-frame-page.js').GramFramePage} gfp - GramFrame page object
+   * @param {number} fracY - Fraction down the image
+   * @param {boolean} [shift=false] - Whether to hold Shift
+   * @returns {Promise<{marker: import('../src/types.js').AnalysisMarker, clickedFreq: number}>} The marker and the frequency under the click
+   */
+  async function clickNearPeak(gfp, fracY, shift = false) {
+    const centre = await gfp.imageSVGPoint(0.5, fracY)
+    const position = { x: centre.x + CLICK_OFFSET, y: centre.y }
+    const under = await gfp.readDataAtPixel(position.x, position.y)
+    if (!under) throw new Error('No readout under the click')
+
+    const before = (await gfp.getState()).analysis.markers.length
+    await gfp.svg.click({ position, modifiers: shift ? ['Shift'] : [] })
+    await gfp.waitForMarkerCount(before + 1)
+    const markers = (await gfp.getState()).analysis.markers
+    return { marker: markers[markers.length - 1], clickedFreq: under.freq }
+  }
+
+  /**
+   * The frequency at the centre of the bright column, and one column's width in Hz.
+   * @param {import('./helpers/gram-frame-page.js').GramFramePage} gfp - GramFrame page object
+   * @returns {Promise<{freq: number, hzPerColumn: number}>} The peak
+   */
+  async function peak(gfp) {
+    // @ts-ignore - test-only global
+    const { column, width } = await gfp.page.evaluate(() => window.__peak)
+    const { config } = await gfp.getState()
+    const hzPerColumn = (config.freqMax - config.freqMin) / width
+    return { freq: config.freqMin + (column + 0.5) * hzPerColumn, hzPerColumn }
+  }
+
+  test('snap is off by default: a marker lands where it is clicked', async ({ gramFramePage }) => {
+    await expect(gramFramePage.page.locator('.gram-frame-snap-toggle-input')).not.toBeChecked()
+    await gramFramePage.clickMode('Cross Cursor')
+
+    const { marker, clickedFreq } = await clickNearPeak(gramFramePage, 0.3)
+    expect(marker.freq).toBeCloseTo(clickedFreq, 6)
+  })
+
+  test('with snap on, a marker lands on the brightest pixel nearby', async ({ gramFramePage }) => {
+    await gramFramePage.page.locator('.gram-frame-snap-toggle-input').check()
+    await gramFramePage.waitForState(s => s.snapToPeak === true, { message: 'snap to be turned on' })
+    await gramFramePage.clickMode('Cross Cursor')
+
+    const { marker, clickedFreq } = await clickNearPeak(gramFramePage, 0.4)
+    const { freq, hzPerColumn } = await peak(gramFramePage)
+    expect(Math.abs(marker.freq - freq)).toBeLessThanOrEqual(hzPerColumn / 2)
+    expect(Math.abs(clickedFreq - freq)).toBeGreaterThan(hzPerColumn / 2)
+  })
+
+  test('Shift places a marker exactly, with snap on', async ({ gramFramePage }) => {
+    await gramFramePage.page.locator('.gram-frame-snap-toggle-input').check()
+    await gramFramePage.waitForState(s => s.snapToPeak === true, { message: 'snap to be turned on' })
+    await gramFramePage.clickMode('Cross Cursor')
+
+    const { marker, clickedFreq } = await clickNearPeak(gramFramePage, 0.6, true)
+    expect(marker.freq).toBeCloseTo(clickedFreq, 6)
+
+    // Shift lasts one gesture: the next click snaps again
+    const next = await clickNearPeak(gramFramePage, 0.7)
+    const { freq, hzPerColumn } = await peak(gramFramePage)
+    expect(Math.abs(next.marker.freq - freq)).toBeLessThanOrEqual(hzPerColumn / 2)
+  })
+
+  test('the snap choice lasts for the session', async ({ gramFramePage }) => {
+    await gramFramePage.page.locator('.gram-frame-snap-toggle-input').check()
+    await gramFramePage.waitForState(s => s.snapToPeak === true, { message: 'snap to be turned on' })
+
+    await gramFramePage.page.reload()
+    await gramFramePage.waitForComponentLoad()
+    await expect(gramFramePage.page.locator('.gram-frame-snap-toggle-input')).toBeChecked()
+    expect((await gramFramePage.getState()).snapToPeak).toBe(true)
+  })
+})
@@ -0,0 +1,108 @@
+import { test, expect } from './helpers/fixtures.js'
+import { firstDopplerCurve } from './helpers/state-assertions.js'
+
+/**
+ * @fileoverview E2E tests for the speed-of-sound dialog: Doppler mode's `c`
+ * button overrides the speed of sound, by typing it or deriving it from the
+ * water mass, and the override rescales the curves' speeds. The debug gram
+ * has no `sound-speed` row, so the dialog starts from the default.
+ */
+
+/** Default speed of sound, m/s, for a gram without a `sound-speed` row */
+const DEFAULT_SOUND_SPEED = 1481
+
+test.describe('Speed of sound', () => {
+  test.beforeEach(async ({ gramFramePage }) => {
+    await gramFramePage.clickMode('Doppler')
+
+    // A curve whose speed the override should rescale
+    const svgBox = await gramFramePage.svg.boundingBox()
+    if (!svgBox) throw new Error('SVG not found')
+    await gramFramePage.page.mouse.move(svgBox.x + 200, svgBox.y + 100)
+    await gramFramePage.page.mouse.down()
+    await gramFramePage.page.mouse.move(svgBox.x + 260, svgBox.y + 200, { steps: 5 })
+    await gramFramePage.page.mouse.up()
+    await gramFramePage.waitForState(s => {
+      const curve = firstDopplerCurve(s)
+      return !!curve && typeof curve.speed === 'number'
+    }, { message: 'a Doppler curve with a speed' })
+  })
+
+  /**
+   * Open the dialog from the `c` command button.
+   * @param {import('./helpers/gram-frame-page.js').GramFramePage} gfp - GramFrame page object
+   * @returns {Promise<import('@playwright/test').Locator>} The dialog
+   */
+  async function openDialog(gfp) {
+    await gfp.page.locator('.gram-frame-command-btn:text-is("c")').click()
+    const modal = gfp.page.locator('.gram-frame-sound-speed-modal')
+    await expect(modal).toHaveCount(1)
+    return modal
+  }
+
+  test('opens on the speed in use, saying where it comes from', async ({ gramFramePage }) => {
+    const modal = await openDialog(gramFramePage)
+    await expect(modal.locator('#gram-frame-sound-speed-input')).toHaveValue(String(DEFAULT_SOUND_SPEED))
+    await expect(modal.locator('.gram-frame-modal-hint')).toContainText(`the default is ${DEFAULT_SOUND_SPEED} m/s`)
+  })
+
+  test('a typed speed overrides the default and rescales the curve', async ({ gramFramePage }) => {
+    const before = firstDopplerCurve(await gramFramePage.getState()).speed
+
+    const modal = await openDialog(gramFramePage)
+    await modal.locator('#gram-frame-sound-speed-input').fill('1500')
+    await modal.locator('.gram-frame-modal-save').click()
+    await expect(modal).toHaveCount(0)
+
+    await gramFramePage.waitForState(s => s.doppler.soundSpeed === 1500, { message: 'the override to be saved' })
+    const after = firstDopplerCurve(await gramFramePage.getState()).speed
+    // Speed is proportional to the speed of sound
+    expect(after / before).toBeCloseTo(1500 / DEFAULT_SOUND_SPEED, 6)
+    await expect(gramFramePage.page.locator('.gram-frame-guidance')).toContainText('Speed of sound: 1500 m/s')
+  })
+
+  test('Calculate derives the speed from temperature, salinity and depth', async ({ gramFramePage }) => {
+    const modal = await openDialog(gramFramePage)
+    await modal.locator('#gram-frame-sound-speed-temperature').fill('10')
+    await modal.locator('.gram-frame-sound-speed-derive').click()
+
+    // Mackenzie at 10 °C, 35 ppt, the surface
+    await expect(modal.locator('#gram-frame-sound-speed-input')).toHaveValue('1489.8')
+    await expect(modal).toHaveCount(1)
+
+    await modal.locator('.gram-frame-modal-save').click()
+    await gramFramePage.waitForState(s => s.doppler.soundSpeed === 1489.8, { message: 'the derived speed to be saved' })
+  })
+
+  test('an implausible speed is refused with a message', async ({ gramFramePage }) => {
+    const modal = await openDialog(gramFramePage)
+    await modal.locator('#gram-frame-sound-speed-input').fill('150')
+    await modal.locator('.gram-frame-modal-save').click()
+
+    await expect(modal).toHaveCount(1)
+    await expect(modal.locator('.gram-frame-modal-error')).toBeVisible()
+    expect((await gramFramePage.getState()).doppler.soundSpeed).toBeNull()
+  })
+
+  test('Use configured drops the override', async ({ gramFramePage }) => {
+    let modal = await openDialog(gramFramePage)
+    await modal.locator('#gram-frame-sound-speed-input').fill('1520')
+    await modal.locator('.gram-frame-modal-save').click()
+    await gramFramePage.waitForState(s => s.doppler.soundSpeed === 1520, { message: 'the override to be saved' })
+
+    modal = await openDialog(gramFramePage)
+    await expect(modal.locator('#gram-frame-sound-speed-input')).toHaveValue('1520')
+    await modal.locator('.gram-frame-sound-speed-reset').click()
+    await gramFramePage.waitForState(s => s.doppler.soundSpeed === null, { message: 'the override to be dropped' })
+    await expect(gramFramePage.page.locator('.gram-frame-guidance')).toContainText(`Speed of sound: ${DEFAULT_SOUND_SPEED} m/s`)
+  })
+
+  test('Cancel leaves the speed as it was', async ({ gramFramePage }) => {
+    const modal = await openDialog(gramFramePage)
+    await modal.locator('#gram-frame-sound-speed-input').fill('1550')
+    await modal.locator('.gram-frame-modal-cancel', { hasText: 'Cancel' }).click()
+
+    await expect(modal).toHaveCount(0)
+    expect((await gramFramePage.getState()).doppler.soundSpeed).toBeNull()
+  })
+})
@@ -1,4 +1,5 @@
 import { test, expect } from './helpers/fixtures.js'
+import { firstDopplerCurve } from './helpers/state-assertions.js'
 
 /**
  * @fileoverview Mechanical consistency fixes (spec 165, User Story 4).
@@ -49,7 +50,7 @@ test.describe('Clear gram rebuilds state from the initial-state builders (GF-12)
     )
     expect(before.analysis.markers.length).toBeGreaterThan(0)
     expect(before.harmonics.harmonicSets.length).toBeGreaterThan(0)
-    expect(before.doppler.fPlus).not.toBeNull()
+    expect(firstDopplerCurve(before).fPlus).not.toBeNull()
 
     await page.locator('.gram-frame-clear-btn').click()
 
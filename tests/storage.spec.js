@@ -1,5 +1,6 @@
 import { test, expect } from '@playwright/test'
 import { GramFramePage } from './helpers/gram-frame-page.js'
+import { firstDopplerCurve } from './helpers/state-assertions.js'
 
 /**
  * Helper: get current state from the page via evaluate
@@ -189,30 +190,34 @@ test.describe('US1: Trainer annotations persist across reloads', () => {
     await gfp.page.locator('.gram-frame-mode-btn:text("Doppler")').click()
     await waitForPageState(page, (s) => s.mode === 'doppler', 'doppler mode')
 
-    // Place two points for doppler curve
-    await gfp.svg.click({ position: { x: 200, y: 100 } })
-    await gfp.svg.click({ position: { x: 200, y: 200 } })
+    // Drag out a doppler curve: a click without a drag places nothing
+    const svgBox = await gfp.svg.boundingBox()
+    if (!svgBox) throw new Error('SVG not found')
+    await page.mouse.move(svgBox.x + 200, svgBox.y + 100)
+    await page.mouse.down()
+    await page.mouse.move(svgBox.x + 200, svgBox.y + 200, { steps: 5 })
+    await page.mouse.up()
     await waitForPageState(
       page,
-      (s) => s.doppler.fPlus !== null || s.doppler.fMinus !== null,
+      (s) => firstDopplerCurve(s).fPlus !== null || firstDopplerCurve(s).fMinus !== null,
       'a doppler marker to be placed'
     )
 
     const stateBefore = await getStateFromPage(page)
-    const hasDopplerData = stateBefore.doppler.fPlus !== null || stateBefore.doppler.fMinus !== null
+    const hasDopplerData = firstDopplerCurve(stateBefore).fPlus !== null || firstDopplerCurve(stateBefore).fMinus !== null
 
     if (hasDopplerData) {
       // Reload
       await reloadAndWait(page)
 
       const stateAfter = await getStateFromPage(page)
-      if (stateBefore.doppler.fPlus) {
-        expect(stateAfter.doppler.fPlus).not.toBeNull()
-        expect(stateAfter.doppler.fPlus.time).toBeCloseTo(stateBefore.doppler.fPlus.time, 1)
-        expect(stateAfter.doppler.fPlus.freq).toBeCloseTo(stateBefore.doppler.fPlus.freq, 1)
+      if (firstDopplerCurve(stateBefore).fPlus) {
+        expect(firstDopplerCurve(stateAfter).fPlus).not.toBeNull()
+        expect(firstDopplerCurve(stateAfter).fPlus.time).toBeCloseTo(firstDopplerCurve(stateBefore).fPlus.time, 1)
+        expect(firstDopplerCurve(stateAfter).fPlus.freq).toBeCloseTo(firstDopplerCurve(stateBefore).fPlus.freq, 1)
       }
-      if (stateBefore.doppler.fMinus) {
-        expect(stateAfter.doppler.fMinus).not.toBeNull()
+      if (firstDopplerCurve(stateBefore).fMinus) {
+        expect(firstDopplerCurve(stateAfter).fMinus).not.toBeNull()
       }
     }
   })
@@ -527,8 +532,8 @@ test.describe('Feature 157: student 24-hour expiry', () => {
     const stateAfter = await getStateFromPage(page)
     expect(stateAfter.analysis.markers.length).toBe(0)
     expect(stateAfter.harmonics.harmonicSets.length).toBe(0)
-    expect(stateAfter.doppler.fPlus).toBeNull()
-    expect(stateAfter.doppler.fMinus).toBeNull()
+    expect(firstDopplerCurve(stateAfter).fPlus).toBeNull()
+    expect(firstDopplerCurve(stateAfter).fMinus).toBeNull()
 
     // ...and the stale key must be removed
     const keysAfter = await gfp.getStorageKeys('session')
@@ -730,7 +735,7 @@ test.describe('Edge cases', () => {
         savedAt: new Date().toISOString(),
         analysis: { markers: [{ id: 'old', color: '#ff0000', time: 10, freq: 50 }] },
         harmonics: { harmonicSets: [] },
-        doppler: { fPlus: null, fMinus: null, fZero: null, color: null }
+        doppler: { curves: [] }
       }))
     })
 
@@ -787,7 +792,7 @@ test.describe('Bug-hunt regressions: restore validation and save hygiene', () =>
         savedAt: new Date().toISOString(),
         analysis: { markers: [{ id: 'ok', color: '#ff0000', time: 10, freq: 50 }] },
         harmonics: { harmonicSets: [{ id: 'brick', color: '#00ff00', anchorTime: 30, spacing: 0 }] },
-        doppler: { fPlus: null, fMinus: null, fZero: null, color: null }
+        doppler: { curves: [] }
       }))
     })
 
@@ -891,17 +896,17 @@ test.describe('Bug-hunt regressions: restore validation and save hygiene', () =>
     await page.mouse.up()
     await waitForPageState(
       page,
-      (s) => s.doppler.fPlus !== null && s.doppler.fMinus !== null && s.doppler.fZero !== null,
+      (s) => firstDopplerCurve(s).fPlus !== null && firstDopplerCurve(s).fMinus !== null && firstDopplerCurve(s).fZero !== null,
       'a complete doppler curve'
     )
 
     const stateBefore = await getStateFromPage(page)
-    expect(typeof stateBefore.doppler.speed).toBe('number')
+    expect(typeof firstDopplerCurve(stateBefore).speed).toBe('number')
 
     await reloadAndWait(page)
 
     const stateAfter = await getStateFromPage(page)
-    expect(typeof stateAfter.doppler.speed).toBe('number')
-    expect(stateAfter.doppler.speed).toBeCloseTo(stateBefore.doppler.speed, 3)
+    expect(typeof firstDopplerCurve(stateAfter).speed).toBe('number')
+    expect(firstDopplerCurve(stateAfter).speed).toBeCloseTo(firstDopplerCurve(stateBefore).speed, 3)
   })
 })
@@ -0,0 +1,225 @@
+import { test, expect } from './helpers/fixtures.js'
+import { GramFramePage } from './helpers/gram-frame-page.js'
+
+/**
+ * @fileoverview E2E tests for Trace mode: clicking a trace out point by point
+ * and finishing it with `end`, right-clicking points away, selecting and
+ * deleting traces from the traces panel, the LEDs following the selection,
+ * and traces surviving a reload.
+ */
+
+/**
+ * Click successive points on the image, each given as fractions across and
+ * down it, waiting for each to land before the next.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {Array<[number, number]>} fractions - Points to click
+ * @returns {Promise<void>}
+ */
+async function clickPoints(gfp, fractions) {
+  for (const [fracX, fracY] of fractions) {
+    const before = await countPoints(gfp)
+    const point = await gfp.imageSVGPoint(fracX, fracY)
+    await gfp.clickSVG(point.x, point.y)
+    await gfp.waitForState(s => s.trace.traces.reduce((n, t) => n + t.points.length, 0) > before,
+      { message: `a trace point at (${fracX}, ${fracY})` })
+  }
+}
+
+/**
+ * Count the points across every trace.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @returns {Promise<number>} Total points
+ */
+async function countPoints(gfp) {
+  const state = await gfp.getState()
+  return state.trace.traces.reduce((n, t) => n + t.points.length, 0)
+}
+
+/**
+ * Right-click at a point on the image.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {number} fracX - Fraction across the image
+ * @param {number} fracY - Fraction down the image
+ * @returns {Promise<void>}
+ */
+async function rightClickAt(gfp, fracX, fracY) {
+  const point = await gfp.imageSVGPoint(fracX, fracY)
+  await gfp.svg.click({ button: 'right', position: point })
+}
+
+/**
+ * Press the trace's `end` command button.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @returns {Promise<void>}
+ */
+async function endTrace(gfp) {
+  await gfp.page.locator('.gram-frame-command-btn:text-is("end")').click()
+  await gfp.waitForState(s => s.trace.drawingId === null, { message: 'the trace to be finished' })
+}
+
+/**
+ * The text the Mean LED should show for a trace, on the debug page's hertz gram.
+ * @param {import('../src/types.js').TonalTrace} trace - Trace to report
+ * @returns {string} Expected LED text
+ */
+function expectedMean(trace) {
+  return trace.stats.meanFreq.toFixed(2)
+}
+
+/**
+ * Locator for a trace's row in the traces panel.
+ * @param {GramFramePage} gfp - GramFrame page object
+ * @param {string} traceId - Trace id
+ * @returns {import('@playwright/test').Locator} The row
+ */
+function traceRow(gfp, traceId) {
+  return gfp.page.locator(`tr[data-trace-id="${traceId}"]`)
+}
+
+test.describe('Trace mode', () => {
+  test.beforeEach(async ({ gramFramePage }) => {
+    await gramFramePage.clickMode('Trace')
+  })
+
+  test('each click extends the trace being drawn', async ({ gramFramePage }) => {
+    await clickPoints(gramFramePage, [[0.3, 0.8], [0.4, 0.5], [0.5, 0.2]])
+
+    const state = await gramFramePage.getState()
+    expect(state.trace.traces).toHaveLength(1)
+    const [trace] = state.trace.traces
+    expect(trace.points).toHaveLength(3)
+    expect(state.trace.drawingId).toBe(trace.id)
+
+    // Time runs up the debug gram: the later points sit higher, at higher freq
+    expect(trace.stats.driftRate).toBeGreaterThan(0)
+    await expect(gramFramePage.page.locator('.gram-frame-trace-line')).toHaveCount(1)
+    await expect(gramFramePage.page.locator('.gram-frame-trace-point')).toHaveCount(3)
+  })
+
+  test('end finishes the trace, and the next click starts another', async ({ gramFramePage }) => {
+    await clickPoints(gramFramePage, [[0.3, 0.8], [0.4, 0.5]])
+    await endTrace(gramFramePage)
+
+    await clickPoints(gramFramePage, [[0.7, 0.7]])
+    const state = await gramFramePage.getState()
+    expect(state.trace.traces).toHaveLength(2)
+    expect(state.trace.traces[0].points).toHaveLength(2)
+    expect(state.trace.traces[1].points).toHaveLength(1)
+    expect(state.trace.drawingId).toBe(state.trace.traces[1].id)
+    await expect(gramFramePage.page.locator('tr[data-trace-id]')).toHaveCount(2)
+  })
+
+  test('right-click removes the point under the pointer', async ({ gramFramePage }) => {
+    await clickPoints(gramFramePage, [[0.3, 0.8], [0.4, 0.5], [0.5, 0.2]])
+
+    await rightClickAt(gramFramePage, 0.4, 0.5)
+    await gramFramePage.waitForState(s => s.trace.traces[0].points.length === 2,
+      { message: 'the middle point to be removed' })
+    const [trace] = (await gramFramePage.getState()).trace.traces
+    // The outer two remain
+    const times = trace.points.map(p => p.time).sort((a, b) => a - b)
+    expect(times[1] - times[0]).toBeGreaterThan(0)
+    await expect(gramFramePage.page.locator('.gram-frame-trace-point')).toHaveCount(2)
+  })
+
+  test('right-clicking a trace\'s last point removes the trace', async ({ gramFramePage }) => {
+    await clickPoints(gramFramePage, [[0.6, 0.6]])
+
+    await rightClickAt(gramFramePage, 0.6, 0.6)
+    await gramFramePage.waitForState(s => s.trace.traces.length === 0 && s.trace.drawingId === null,
+      { message: 'the trace to be removed' })
+    await expect(gramFramePage.page.locator('tr[data-trace-id]')).toHaveCount(0)
+    await gramFramePage.verifyLEDValue('Mean (Hz)', '—')
+  })
+
+  test('the LEDs report the newest trace, then follow the selection', async ({ gramFramePage }) => {
+    await clickPoints(gramFramePage, [[0.2, 0.8], [0.3, 0.2]])
+    await endTrace(gramFramePage)
+    await clickPoints(gramFramePage, [[0.7, 0.8], [0.6, 0.2]])
+
+    let state = await gramFramePage.getState()
+    const [first, second] = state.trace.traces
+    await gramFramePage.verifyLEDValue('Mean (Hz)', expectedMean(second))
+    // One trace rises and the other falls
+    await gramFramePage.verifyLEDValue('Drift (Hz/s)', /^-/)
+
+    await traceRow(gramFramePage, first.id).locator('td').first().click()
+    await gramFramePage.waitForState(s => s.selection.selectedType === 'trace' && s.selection.selectedId === first.id,
+      { message: 'the first trace to be selected' })
+    await expect(traceRow(gramFramePage, first.id)).toHaveClass(/gram-frame-selected-row/)
+    await gramFramePage.verifyLEDValue('Mean (Hz)', expectedMean(first))
+    await gramFramePage.verifyLEDValue('Drift (Hz/s)', /^\+/)
+
+    // Clicking the selected row again clears the selection
+    await traceRow(gramFramePage, first.id).locator('td').first().click()
+    await gramFramePage.waitForState(s => s.selection.selectedType === null,
+      { message: 'the selection to be cleared' })
+    state = await gramFramePage.getState()
+    await gramFramePage.verifyLEDValue('Mean (Hz)', expectedMean(state.trace.traces[1]))
+  })
+
+  test('the delete button in the traces panel removes that trace', async ({ gramFramePage }) => {
+    await clickPoints(gramFramePage, [[0.2, 0.8], [0.3, 0.2]])
+    await endTrace(gramFramePage)
+    await clickPoints(gramFramePage, [[0.7, 0.8], [0.6, 0.2]])
+    const [first, second] = (await gramFramePage.getState()).trace.traces
+
+    await traceRow(gramFramePage, first.id).locator('td').first().click()
+    await gramFramePage.waitForState(s => s.selection.selectedId === first.id,
+      { message: 'the first trace to be selected' })
+
+    await traceRow(gramFramePage, first.id).locator('.gram-frame-trace-delete-btn').click()
+    await gramFramePage.waitForState(s => s.trace.traces.length === 1,
+      { message: 'the first trace to be deleted' })
+
+    const state = await gramFramePage.getState()
+    expect(state.trace.traces[0].id).toBe(second.id)
+    // Deleting the selected trace drops the selection with it
+    expect(state.selection.selectedType).toBeNull()
+    await expect(gramFramePage.page.locator('tr[data-trace-id]')).toHaveCount(1)
+    await gramFramePage.verifyLEDValue('Mean (Hz)', expectedMean(second))
+  })
+
+  test('traces stay on the gram across a mode switch', async ({ gramFramePage }) => {
+    await clickPoints(gramFramePage, [[0.3, 0.8], [0.4, 0.5]])
+
+    await gramFramePage.clickMode('Cross Cursor')
+    const state = await gramFramePage.getState()
+    expect(state.trace.traces).toHaveLength(1)
+    // Leaving the mode finishes the trace
+    expect(state.trace.drawingId).toBeNull()
+    await expect(gramFramePage.page.locator('.gram-frame-trace-line')).toHaveCount(1)
+    await expect(gramFramePage.page.locator('tr[data-trace-id]')).toHaveCount(1)
+  })
+})
+
+test.describe('Trace persistence', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/tests/fixtures/trainer-page.html')
+    await page.evaluate(() => localStorage.clear())
+  })
+
+  test('a trainer page saves traces and restores them on reload', async ({ page }) => {
+    const gfp = new GramFramePage(page)
+    await page.goto('/tests/fixtures/trainer-page.html')
+    await gfp.waitForComponentLoad()
+    await gfp.clickMode('Trace')
+    await clickPoints(gfp, [[0.3, 0.8], [0.4, 0.5], [0.5, 0.2]])
+    const [saved] = (await gfp.getState()).trace.traces
+
+    await page.reload()
+    await gfp.waitForComponentLoad()
+
+    await gfp.waitForState(s => s.trace.traces.length === 1, { message: 'the trace to be restored' })
+    const [restored] = (await gfp.getState()).trace.traces
+    expect(restored.id).toBe(saved.id)
+    expect(restored.color).toBe(saved.color)
+    expect(restored.points).toHaveLength(3)
+    restored.points.forEach((point, i) => {
+      expect(point.time).toBeCloseTo(saved.points[i].time, 3)
+      expect(point.freq).toBeCloseTo(saved.points[i].freq, 3)
+    })
+    expect(restored.stats.meanFreq).toBeCloseTo(saved.stats.meanFreq, 3)
+    await expect(page.locator('tr[data-trace-id]')).toHaveCount(1)
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, test, expect } from 'vitest'
+import { boxFromCorners, boxCorners, isOnBoxEdge, isEmptyBox } from '../../src/utils/box.js'
+
+/**
+ * @fileoverview Unit tests for the Box mode geometry. Pins that a box is
+ * normalised whichever way it was dragged, that each corner pairs with its
+ * opposite, and that only the outline — not the interior — is grabbable.
+ */
+
+const BOX = { timeStart: 10, timeEnd: 20, freqLow: 100, freqHigh: 200 }
+const TOLERANCE = { time: 0.5, freq: 5 }
+
+describe('boxFromCorners', () => {
+  test('normalises corners given in any order', () => {
+    expect(boxFromCorners({ time: 20, freq: 100 }, { time: 10, freq: 200 })).toEqual(BOX)
+    expect(boxFromCorners({ time: 10, freq: 200 }, { time: 20, freq: 100 })).toEqual(BOX)
+    expect(boxFromCorners({ time: 20, freq: 200 }, { time: 10, freq: 100 })).toEqual(BOX)
+  })
+})
+
+describe('boxCorners', () => {
+  test('pairs each corner with the one diagonally opposite', () => {
+    const corners = boxCorners(BOX)
+    expect(corners).toHaveLength(4)
+    for (const { corner, opposite } of corners) {
+      expect(boxFromCorners(corner, opposite)).toEqual(BOX)
+    }
+  })
+})
+
+describe('isOnBoxEdge', () => {
+  test('finds every edge, within tolerance', () => {
+    expect(isOnBoxEdge(BOX, { time: 10.3, freq: 150 }, TOLERANCE)).toBe(true)
+    expect(isOnBoxEdge(BOX, { time: 19.8, freq: 150 }, TOLERANCE)).toBe(true)
+    expect(isOnBoxEdge(BOX, { time: 15, freq: 97 }, TOLERANCE)).toBe(true)
+    expect(isOnBoxEdge(BOX, { time: 15, freq: 204 }, TOLERANCE)).toBe(true)
+  })
+
+  test('ignores the interior and anything beyond the ends of an edge', () => {
+    expect(isOnBoxEdge(BOX, { time: 15, freq: 150 }, TOLERANCE)).toBe(false)
+    expect(isOnBoxEdge(BOX, { time: 10, freq: 300 }, TOLERANCE)).toBe(false)
+    expect(isOnBoxEdge(BOX, { time: 30, freq: 100 }, TOLERANCE)).toBe(false)
+  })
+})
+
+describe('isEmptyBox', () => {
+  test('is true for a box with no time or no frequency extent', () => {
+    expect(isEmptyBox(BOX)).toBe(false)
+    expect(isEmptyBox({ ...BOX, timeEnd: 10 })).toBe(true)
+    expect(isEmptyBox({ ...BOX, freqHigh: 100 })).toBe(true)
+  })
+})
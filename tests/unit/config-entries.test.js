@@ -0,0 +1,59 @@
+import { describe, test, expect } from 'vitest'
+import { attributeConfigEntries, jsonConfigEntries } from '../../src/utils/configEntries.js'
+
+/**
+ * @fileoverview Unit tests for reading a gram's config from `data-gram-*`
+ * attributes and inline JSON. Pins that both come down to the parameter names
+ * a config table uses, with values as the text a table cell would hold, that
+ * other attributes and the JSON's `image` key are kept out of the parameters,
+ * and that JSON which is not an object stops the gram with a clear error.
+ */
+
+describe('attributeConfigEntries', () => {
+  test('takes data-gram-* attributes as parameters, in order', () => {
+    const attributes = [
+      { name: 'src', value: 'gram.png' },
+      { name: 'data-gram-time-start', value: '0' },
+      { name: 'data-gram-freq-units', value: ' kHz ' },
+      { name: 'data-other', value: '1' }
+    ]
+    expect(attributeConfigEntries(attributes)).toEqual([
+      { param: 'time-start', value: '0', where: 'data-gram-time-start' },
+      { param: 'freq-units', value: 'kHz', where: 'data-gram-freq-units' }
+    ])
+  })
+
+  test('reads nothing from an element without them', () => {
+    expect(attributeConfigEntries([{ name: 'alt', value: 'A gram' }])).toEqual([])
+  })
+})
+
+describe('jsonConfigEntries', () => {
+  test('takes the image apart from the parameters', () => {
+    const { image, entries } = jsonConfigEntries('{"image": "gram.png", "time-start": 0, "time-end": 12.5, "palette": "hot"}')
+    expect(image).toBe('gram.png')
+    expect(entries).toEqual([
+      { param: 'time-start', value: '0', where: 'key "time-start"' },
+      { param: 'time-end', value: '12.5', where: 'key "time-end"' },
+      { param: 'palette', value: 'hot', where: 'key "palette"' }
+    ])
+  })
+
+  test('gives no image when the object names none', () => {
+    expect(jsonConfigEntries('{"freq-start": 0}').image).toBeNull()
+  })
+
+  test('passes nested values on as JSON, for validation to reject', () => {
+    const { entries } = jsonConfigEntries('{"freq-end": [2000], "sound-speed": null}')
+    expect(entries.map(entry => entry.value)).toEqual(['[2000]', 'null'])
+  })
+
+  test('rejects text that is not JSON', () => {
+    expect(() => jsonConfigEntries('{"time-start": 0,}')).toThrow(/not valid JSON/)
+  })
+
+  test('rejects JSON that is not an object', () => {
+    expect(() => jsonConfigEntries('[0, 10]')).toThrow(/must be an object/)
+    expect(() => jsonConfigEntries('null')).toThrow(/must be an object/)
+  })
+})
@@ -7,8 +7,15 @@ import {
   screenToData,
   getImageBounds,
   isWithinImage,
-  clampToImage
+  clampToImage,
+  freqToFraction,
+  fractionToFreq,
+  calculateVisibleDataRange,
+  dataToImageFraction,
+  TIME_DIRECTIONS
 } from '../../src/utils/coordinates.js'
+import { getUniformTolerance } from '../../src/utils/tolerance.js'
+import { logFrequencyTicks } from '../../src/utils/logTicks.js'
 
 /**
  * @fileoverview Coordinate-pipeline equivalence grid (spec 166, US2).
@@ -35,6 +42,20 @@ import {
  * terms of the canonical module: a reference that called the code under test
  * would assert nothing. The grid walks every cell of research.md §R2 and checks
  * E1-E6 from contracts/coordinates.md at 1e-9 relative tolerance.
+ *
+ * The references took a `rate` that divided frequency on the data side (I4).
+ * Rate has since left the pipeline — it divides readouts only (BH-26) — so the
+ * references are evaluated at rate 1, and the grid's rate axis now pins that a
+ * state carrying any other rate transforms identically.
+ *
+ * The references all assume a linear frequency axis. A gram configured with
+ * `freq-scale: log` postdates them, so a later block walks the same grid on a
+ * log axis and pins the transforms against the log mapping itself, along with
+ * the tolerances and axis ticks that follow it.
+ *
+ * They also assume time runs up the image. The last block walks the grid with
+ * time running down and across (`time-direction`), pinning each orientation's
+ * corners, round trip, visible range and tolerances.
  */
 
 // ──────────────────────────────────────────────────────────────
@@ -260,7 +281,7 @@ function referenceEventsScreenToData(instance, event) {
     imageX, imageY,
     instance.state.config,
     instance.state.imageDetails,
-    instance.state.rate
+    1 // see the file note: rate no longer enters the pipeline
   )
 
   return { svgCoords, imageX, imageY, dataCoords }
@@ -301,12 +322,18 @@ const MARGIN_VARIANTS = {
   asymmetric: { left: 90, bottom: 20, right: 40, top: 35 }
 }
 
-/** Rate values — a frequency divider applied on the data side only (I4) */
+/**
+ * Rate values carried on the state. The transforms read the state as their
+ * viewport, so each must ignore this — rate divides readouts only (BH-26).
+ */
 const RATES = [1, 2]
 
 /** Time/frequency configuration */
 const CONFIG = { timeMin: 0, timeMax: 60, freqMin: 100, freqMax: 2100 }
 
+/** The same gram on a log frequency axis, three decades wide */
+const LOG_CONFIG = { timeMin: 0, timeMax: 60, freqMin: 10, freqMax: 10000, freqScale: 'log' }
+
 /** Relative tolerance for float comparisons */
 const TOL = 1e-9
 
@@ -314,9 +341,10 @@ const TOL = 1e-9
  * Build one grid cell: the viewport bundle plus the element and SVG stubs the
  * implementations read.
  * @param {{zoom: number, renderVariant: string, hasElement: boolean, marginVariant: string, rate: number}} axes
+ * @param {any} [config] - Time/frequency configuration
  * @returns {any} Cell fixtures
  */
-function buildCell({ zoom, renderVariant, hasElement, marginVariant, rate }) {
+function buildCell({ zoom, renderVariant, hasElement, marginVariant, rate }, config = CONFIG) {
   const margins = MARGIN_VARIANTS[marginVariant]
   const { renderWidth, renderHeight } = RENDER_VARIANTS[renderVariant]
   const imageDetails = {
@@ -356,7 +384,7 @@ function buildCell({ zoom, renderVariant, hasElement, marginVariant, rate }) {
     viewBox: { baseVal: { x: 0, y: 0, width: viewBoxWidth, height: viewBoxHeight } }
   }
 
-  const viewport = { margins, imageDetails, config: CONFIG, rate, zoom: { level: zoom } }
+  const viewport = { margins, imageDetails, config, rate, zoom: { level: zoom } }
   const instance = { state: viewport, svg, spectrogramImage }
 
   return {
@@ -495,7 +523,7 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
         if (!point.inBounds) continue
         const actual = imageToData(point.imageX, point.imageY, cell.viewport)
         const expected = referenceImageToData(
-          point.imageX, point.imageY, CONFIG, cell.imageDetails, cell.axes.rate
+          point.imageX, point.imageY, CONFIG, cell.imageDetails, 1
         )
         expectClose(actual.freq, expected.freq, `${label(cell)} ${point.name} freq`)
         expectClose(actual.time, expected.time, `${label(cell)} ${point.name} time`)
@@ -513,7 +541,7 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
         const clamped = clampToImage(point.imageX, point.imageY, cell.viewport)
         const viaSplit = imageToData(clamped.x, clamped.y, cell.viewport)
         const expected = referenceImageToData(
-          point.imageX, point.imageY, CONFIG, cell.imageDetails, cell.axes.rate
+          point.imageX, point.imageY, CONFIG, cell.imageDetails, 1
         )
         expectClose(viaSplit.freq, expected.freq, `${label(cell)} ${point.name} clamped freq`)
         expectClose(viaSplit.time, expected.time, `${label(cell)} ${point.name} clamped time`)
@@ -559,10 +587,8 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
     for (const cell of CELLS) {
       for (const point of imageSamplePoints(cell)) {
         const data = imageToData(point.imageX, point.imageY, cell.viewport)
-        const rawData = { freq: data.freq * cell.axes.rate, time: data.time }
-
-        const actual = dataToSVG(rawData, cell.viewport, cell.spectrogramImage)
-        const expected = referenceDataToSVG(rawData, cell.viewport, cell.spectrogramImage)
+        const actual = dataToSVG(data, cell.viewport, cell.spectrogramImage)
+        const expected = referenceDataToSVG(data, cell.viewport, cell.spectrogramImage)
 
         expectClose(actual.x, expected.x, `${label(cell)} ${point.name} x`)
         expectClose(actual.y, expected.y, `${label(cell)} ${point.name} y`)
@@ -578,11 +604,9 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
     for (const cell of cells) {
       for (const point of imageSamplePoints(cell)) {
         const data = imageToData(point.imageX, point.imageY, cell.viewport)
-        const rawData = { freq: data.freq * cell.axes.rate, time: data.time }
-
-        const actual = dataToSVG(rawData, cell.viewport, cell.spectrogramImage)
+        const actual = dataToSVG(data, cell.viewport, cell.spectrogramImage)
         const expected = referenceKeyboardDataToSVG(
-          data.freq, data.time, CONFIG, cell.imageDetails, cell.axes.rate, cell.margins
+          data.freq, data.time, CONFIG, cell.imageDetails, 1, cell.margins
         )
 
         expectClose(actual.x, expected.x, `${label(cell)} ${point.name} x`)
@@ -608,7 +632,7 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
         canonicalOrigin.x + step, canonicalOrigin.y, cell.viewport, cell.spectrogramImage
       )
       const canonicalMoved = dataToSVG(
-        { freq: imageToData(canonicalMovedImage.x, canonicalMovedImage.y, cell.viewport).freq * cell.axes.rate,
+        { freq: imageToData(canonicalMovedImage.x, canonicalMovedImage.y, cell.viewport).freq,
           time: origin.time },
         cell.viewport,
         cell.spectrogramImage
@@ -619,13 +643,13 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
       // divided by the zoom level, as the deleted code did.
       const compensated = step / cell.axes.zoom
       const refOrigin = referenceKeyboardDataToSVG(
-        origin.freq / cell.axes.rate, origin.time, CONFIG, cell.imageDetails, cell.axes.rate, cell.margins
+        origin.freq, origin.time, CONFIG, cell.imageDetails, 1, cell.margins
       )
       const refMovedData = referenceKeyboardSVGToData(
-        refOrigin.x + compensated, refOrigin.y, CONFIG, cell.imageDetails, cell.axes.rate, cell.margins
+        refOrigin.x + compensated, refOrigin.y, CONFIG, cell.imageDetails, 1, cell.margins
       )
       const refMoved = referenceDataToSVG(
-        { freq: refMovedData.freq * cell.axes.rate, time: refMovedData.time },
+        { freq: refMovedData.freq, time: refMovedData.time },
         cell.viewport,
         cell.spectrogramImage
       )
@@ -640,8 +664,7 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
         if (!point.inBounds) continue
 
         const data = imageToData(point.imageX, point.imageY, cell.viewport)
-        const rawData = { freq: data.freq * cell.axes.rate, time: data.time }
-        const svgPoint = dataToSVG(rawData, cell.viewport, cell.spectrogramImage)
+        const svgPoint = dataToSVG(data, cell.viewport, cell.spectrogramImage)
         const back = svgToImage(svgPoint.x, svgPoint.y, cell.viewport, cell.spectrogramImage)
 
         expectClose(back.x, point.imageX, `${label(cell)} ${point.name} round-trip x`)
@@ -669,16 +692,16 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
     }
   })
 
-  test('rate is applied on the data side only — SVG and image space are rate-free (I4)', () => {
+  test('rate never enters the pipeline — data stays in Hz whatever the rate (BH-26)', () => {
     for (const cell of CELLS.filter((c) => c.axes.rate === 2)) {
       const rateOne = buildCell({ ...cell.axes, rate: 1 })
       for (const point of imageSamplePoints(cell)) {
         const withRate = imageToData(point.imageX, point.imageY, cell.viewport)
         const withoutRate = imageToData(point.imageX, point.imageY, rateOne.viewport)
-        expectClose(withRate.freq * 2, withoutRate.freq, `${label(cell)} ${point.name} freq scales with rate`)
+        expectClose(withRate.freq, withoutRate.freq, `${label(cell)} ${point.name} freq ignores rate`)
         expectClose(withRate.time, withoutRate.time, `${label(cell)} ${point.name} time ignores rate`)
 
-        // Image space itself is untouched by rate
+        // ...and so does SVG space
         const svgWith = dataToSVG({ freq: 1000, time: 30 }, cell.viewport, cell.spectrogramImage)
         const svgWithout = dataToSVG({ freq: 1000, time: 30 }, rateOne.viewport, rateOne.spectrogramImage)
         expectClose(svgWith.x, svgWithout.x, `${label(cell)} ${point.name} SVG x is rate-free`)
@@ -687,3 +710,211 @@ describe('canonical coordinate module vs the pre-consolidation reference', () =>
     }
   })
 })
+
+describe('log frequency axis (freq-scale: log)', () => {
+  const LOG_CELLS = CELLS.map((cell) => buildCell(cell.axes, LOG_CONFIG))
+
+  test('freqToFraction spaces decades evenly and fractionToFreq inverts it', () => {
+    expect(freqToFraction(10, LOG_CONFIG)).toBeCloseTo(0)
+    expect(freqToFraction(100, LOG_CONFIG)).toBeCloseTo(1 / 3)
+    expect(freqToFraction(1000, LOG_CONFIG)).toBeCloseTo(2 / 3)
+    expect(freqToFraction(10000, LOG_CONFIG)).toBeCloseTo(1)
+    expect(fractionToFreq(0.5, LOG_CONFIG)).toBeCloseTo(Math.sqrt(10 * 10000))
+    for (const freq of [12, 440, 3333, 9999]) {
+      expectClose(fractionToFreq(freqToFraction(freq, LOG_CONFIG), LOG_CONFIG), freq, `${freq} Hz round-trip`)
+    }
+  })
+
+  test('a config without freqScale stays linear', () => {
+    expect(freqToFraction(1100, CONFIG)).toBeCloseTo(0.5)
+    expect(fractionToFreq(0.25, CONFIG)).toBeCloseTo(600)
+  })
+
+  test('imageToData reads the log mapping in every cell', () => {
+    for (const cell of LOG_CELLS) {
+      for (const point of imageSamplePoints(cell)) {
+        if (!point.inBounds) continue
+        const data = imageToData(point.imageX, point.imageY, cell.viewport)
+        const expected = fractionToFreq(point.imageX / cell.renderWidth, LOG_CONFIG)
+        expectClose(data.freq, expected, `${label(cell)} ${point.name} log freq`)
+      }
+    }
+  })
+
+  test('dataToSVG(imageToData(p)) round-trips back to p in every cell', () => {
+    for (const cell of LOG_CELLS) {
+      for (const point of imageSamplePoints(cell)) {
+        if (!point.inBounds) continue
+        const data = imageToData(point.imageX, point.imageY, cell.viewport)
+        const svgPoint = dataToSVG(data, cell.viewport, cell.spectrogramImage)
+        const back = svgToImage(svgPoint.x, svgPoint.y, cell.viewport, cell.spectrogramImage)
+        expectClose(back.x, point.imageX, `${label(cell)} ${point.name} round-trip x`)
+        expectClose(back.y, point.imageY, `${label(cell)} ${point.name} round-trip y`)
+      }
+    }
+  })
+
+  test('each decade takes the same width on screen at every zoom', () => {
+    for (const cell of LOG_CELLS) {
+      const [x10, x100, x1000, x10000] = [10, 100, 1000, 10000]
+        .map((freq) => dataToSVG({ freq, time: 30 }, cell.viewport, cell.spectrogramImage).x)
+      const decade = x100 - x10
+      expect(decade, label(cell)).toBeGreaterThan(0)
+      expectClose(x1000 - x100, decade, `${label(cell)} second decade`)
+      expectClose(x10000 - x1000, decade, `${label(cell)} third decade`)
+    }
+  })
+
+  test('the visible range under zoom is read off the log mapping', () => {
+    const cell = LOG_CELLS.find((c) =>
+      c.axes.zoom === 2 && c.axes.hasElement && c.axes.renderVariant === 'natural' && c.axes.marginVariant === 'default' && c.axes.rate === 1)
+    const visible = calculateVisibleDataRange(cell.viewport, cell.spectrogramImage)
+    // Zoomed ×2 about the centre, the middle half of the axis is in view
+    expectClose(visible.freqMin, fractionToFreq(0.25, LOG_CONFIG), 'visible freqMin')
+    expectClose(visible.freqMax, fractionToFreq(0.75, LOG_CONFIG), 'visible freqMax')
+  })
+
+  test('the frequency tolerance grows with frequency, and is uncapped', () => {
+    const cell = LOG_CELLS.find((c) =>
+      c.axes.zoom === 1 && c.axes.hasElement && c.axes.renderVariant === 'natural' && c.axes.marginVariant === 'default' && c.axes.rate === 1)
+    const low = getUniformTolerance(cell.viewport, cell.spectrogramImage, 50).freq
+    const high = getUniformTolerance(cell.viewport, cell.spectrogramImage, 5000).freq
+    // The same pixel radius spans a hundred times the hertz two decades up
+    expect(high / low).toBeCloseTo(100, 0)
+    expect(high).toBeGreaterThan(50)
+  })
+
+  test('on a linear axis the tolerance is the same wherever it is taken', () => {
+    const cell = CELLS.find((c) =>
+      c.axes.zoom === 1 && c.axes.hasElement && c.axes.renderVariant === 'natural' && c.axes.marginVariant === 'default' && c.axes.rate === 1)
+    const low = getUniformTolerance(cell.viewport, cell.spectrogramImage, 200)
+    const high = getUniformTolerance(cell.viewport, cell.spectrogramImage, 2000)
+    expect(high).toEqual(low)
+    expect(getUniformTolerance(cell.viewport, cell.spectrogramImage)).toEqual(low)
+  })
+
+  test('axis ticks fall on decades, with 2–9 minor ticks between', () => {
+    const ticks = logFrequencyTicks(10, 10000)
+    expect(ticks.filter((t) => t.major).map((t) => t.freq)).toEqual([10, 100, 1000, 10000])
+    expect(ticks.filter((t) => t.labelled).map((t) => t.freq)).toEqual([10, 100, 1000, 10000])
+    expect(ticks.filter((t) => !t.major && t.freq > 100 && t.freq < 1000).map((t) => t.freq))
+      .toEqual([200, 300, 400, 500, 600, 700, 800, 900])
+    expect(ticks).toHaveLength(4 + 3 * 8)
+  })
+
+  test('zoomed in to under a decade, the minor ticks are labelled too', () => {
+    const ticks = logFrequencyTicks(250, 1800)
+    expect(ticks.map((t) => t.freq)).toEqual([300, 400, 500, 600, 700, 800, 900, 1000])
+    expect(ticks.every((t) => t.labelled)).toBe(true)
+  })
+
+  test('ticks below 1 Hz come out as round numbers', () => {
+    expect(logFrequencyTicks(0.1, 1).map((t) => t.freq)).toEqual([0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1])
+    expect(logFrequencyTicks(0, 100)).toEqual([])
+  })
+})
+
+describe('time direction and orientation (time-axis, time-direction)', () => {
+  /**
+   * The grid again, on a gram whose time runs a given way.
+   * @param {string} timeDirection
+   * @returns {any[]} Cells
+   */
+  const cellsRunning = (timeDirection) => CELLS.map((cell) => buildCell(cell.axes, { ...CONFIG, timeDirection }))
+
+  /**
+   * The natural-size, unzoomed cell with the element present, at a zoom.
+   * @param {any[]} cells
+   * @param {number} zoom
+   * @returns {any} Cell
+   */
+  const plainCell = (cells, zoom) => cells.find((c) =>
+    c.axes.zoom === zoom && c.axes.hasElement && c.axes.renderVariant === 'natural' && c.axes.marginVariant === 'default' && c.axes.rate === 1)
+
+  test('up is the orientation every other block assumes', () => {
+    const upCells = cellsRunning('up')
+    CELLS.forEach((cell, index) => {
+      for (const point of imageSamplePoints(cell)) {
+        const expected = imageToData(point.imageX, point.imageY, cell.viewport)
+        const actual = imageToData(point.imageX, point.imageY, upCells[index].viewport)
+        expectClose(actual.freq, expected.freq, `${label(cell)} ${point.name} freq`)
+        expectClose(actual.time, expected.time, `${label(cell)} ${point.name} time`)
+      }
+    })
+  })
+
+  test('the image\'s top-left corner shows the expected end of each axis', () => {
+    const { timeMin, timeMax, freqMin, freqMax } = CONFIG
+    const topLeft = {
+      up: { freq: freqMin, time: timeMax },
+      down: { freq: freqMin, time: timeMin },
+      right: { freq: freqMax, time: timeMin },
+      left: { freq: freqMax, time: timeMax }
+    }
+    for (const timeDirection of TIME_DIRECTIONS) {
+      const data = imageToData(0, 0, plainCell(cellsRunning(timeDirection), 1).viewport)
+      expectClose(data.freq, topLeft[timeDirection].freq, `${timeDirection} freq`)
+      expectClose(data.time, topLeft[timeDirection].time, `${timeDirection} time`)
+    }
+  })
+
+  test('time runs along the named side, and frequency along the other', () => {
+    const later = { freq: 1100, time: 45 }
+    const higher = { freq: 1600, time: 30 }
+    const centre = { freq: 1100, time: 30 }
+    const moves = {
+      up: { time: { x: 0, y: -1 }, freq: { x: 1, y: 0 } },
+      down: { time: { x: 0, y: 1 }, freq: { x: 1, y: 0 } },
+      right: { time: { x: 1, y: 0 }, freq: { x: 0, y: -1 } },
+      left: { time: { x: -1, y: 0 }, freq: { x: 0, y: -1 } }
+    }
+    for (const timeDirection of TIME_DIRECTIONS) {
+      const config = { ...CONFIG, timeDirection }
+      const from = dataToImageFraction(centre, config)
+      const byTime = dataToImageFraction(later, config)
+      const byFreq = dataToImageFraction(higher, config)
+      expect(Math.sign(byTime.x - from.x), `${timeDirection} time x`).toBe(moves[timeDirection].time.x)
+      expect(Math.sign(byTime.y - from.y), `${timeDirection} time y`).toBe(moves[timeDirection].time.y)
+      expect(Math.sign(byFreq.x - from.x), `${timeDirection} freq x`).toBe(moves[timeDirection].freq.x)
+      expect(Math.sign(byFreq.y - from.y), `${timeDirection} freq y`).toBe(moves[timeDirection].freq.y)
+    }
+  })
+
+  test('dataToSVG(imageToData(p)) round-trips back to p in every cell and orientation', () => {
+    for (const timeDirection of TIME_DIRECTIONS) {
+      for (const cell of cellsRunning(timeDirection)) {
+        for (const point of imageSamplePoints(cell)) {
+          const data = imageToData(point.imageX, point.imageY, cell.viewport)
+          const svgPoint = dataToSVG(data, cell.viewport, cell.spectrogramImage)
+          const back = svgToImage(svgPoint.x, svgPoint.y, cell.viewport, cell.spectrogramImage)
+          expectClose(back.x, point.imageX, `${timeDirection} ${label(cell)} ${point.name} round-trip x`)
+          expectClose(back.y, point.imageY, `${timeDirection} ${label(cell)} ${point.name} round-trip y`)
+        }
+      }
+    }
+  })
+
+  test('the visible range under zoom comes out low-to-high whichever way the gram runs', () => {
+    for (const timeDirection of TIME_DIRECTIONS) {
+      const cell = plainCell(cellsRunning(timeDirection), 2)
+      const visible = calculateVisibleDataRange(cell.viewport, cell.spectrogramImage)
+      // Zoomed ×2 about the centre, the middle half of each axis is in view
+      expectClose(visible.freqMin, 600, `${timeDirection} visible freqMin`)
+      expectClose(visible.freqMax, 1600, `${timeDirection} visible freqMax`)
+      expectClose(visible.timeMin, 15, `${timeDirection} visible timeMin`)
+      expectClose(visible.timeMax, 45, `${timeDirection} visible timeMax`)
+    }
+  })
+
+  test('tolerances follow the side of the image each axis runs along', () => {
+    // The image is 1000 × 400: a pixel is finer in time across it than down it
+    const upright = plainCell(cellsRunning('down'), 1)
+    const rotated = plainCell(cellsRunning('left'), 1)
+    const down = getUniformTolerance(upright.viewport, upright.spectrogramImage)
+    const left = getUniformTolerance(rotated.viewport, rotated.spectrogramImage)
+    expect(down.freq).toBeCloseTo(8 / 1000 * 2000)
+    expect(left.freq).toBeCloseTo(8 / 400 * 2000)
+    expect(left.time).toBeCloseTo(8 / 1000 * 60)
+    expect(down.time).toBe(0.5)
+  })
+})
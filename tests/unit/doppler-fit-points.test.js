@@ -0,0 +1,117 @@
+import { describe, test, expect } from 'vitest'
+import { FIT_POINT, createFittedCurve, fitPointTarget, fitPointTargetsNear, fittedCurveTrace } from '../../src/utils/dopplerFitPoints.js'
+import { fittedFrequency } from '../../src/utils/dopplerFit.js'
+
+/**
+ * @fileoverview Unit tests for fitted Doppler curve points. Pins the empty
+ * curve a fit starts from, the drag targets for its points and which are in
+ * reach, and the sampled model, residuals and CPA drawn for a fitted curve.
+ */
+
+const STYLE = { color: '#00aa00', symbol: /** @type {SymbolType} */ ('circle'), largeSymbols: false }
+
+/**
+ * A fitted curve through the given points, with a fit whose rest frequency is
+ * 300 Hz and CPA at 60 s.
+ * @param {Array<DataCoordinates>} points - Clicked points
+ * @returns {DopplerCurve} The curve
+ */
+function fittedCurve(points) {
+  const curve = createFittedCurve('doppler-fit', STYLE)
+  curve.fitPoints = points
+  curve.fit = { f0: 300, speed: 8, cpaTime: 60, timeConstant: 15, shift: 8 / 1500, residuals: [], rms: 0 }
+  return curve
+}
+
+describe('createFittedCurve', () => {
+  test('starts with no points, no markers and nothing derived', () => {
+    const curve = createFittedCurve('doppler-1', STYLE)
+    expect(curve).toEqual({
+      id: 'doppler-1',
+      fPlus: null,
+      fMinus: null,
+      fZero: null,
+      fitPoints: [],
+      fit: null,
+      speed: null,
+      cpa: null,
+      color: '#00aa00',
+      symbol: 'circle',
+      largeSymbols: false
+    })
+  })
+
+  test('gives each curve its own list of points', () => {
+    const first = createFittedCurve('a', STYLE)
+    const second = createFittedCurve('b', STYLE)
+    first.fitPoints?.push({ time: 1, freq: 2 })
+    expect(second.fitPoints).toEqual([])
+  })
+})
+
+describe('fitPointTarget', () => {
+  test('names the curve and carries the point index', () => {
+    const curve = fittedCurve([{ time: 10, freq: 301 }, { time: 20, freq: 300 }])
+    expect(fitPointTarget(curve, 1)).toEqual({
+      kind: 'move',
+      id: 'doppler-fit',
+      type: 'dopplerMarker',
+      position: { time: 20, freq: 300 },
+      data: { markerType: FIT_POINT, pointIndex: 1 }
+    })
+  })
+})
+
+describe('fitPointTargetsNear', () => {
+  const curve = fittedCurve([
+    { time: 10, freq: 302 },
+    { time: 11, freq: 302.5 },
+    { time: 40, freq: 301 }
+  ])
+
+  test('finds every point in reach, in point order', () => {
+    const targets = fitPointTargetsNear(curve, { time: 10.5, freq: 302.2 }, { time: 1, freq: 1 })
+    expect(targets.map(target => target.data.pointIndex)).toEqual([0, 1])
+  })
+
+  test('finds nothing away from the points', () => {
+    expect(fitPointTargetsNear(curve, { time: 25, freq: 302 }, { time: 1, freq: 1 })).toEqual([])
+  })
+
+  test('finds nothing on a marker curve', () => {
+    const markerCurve = { ...curve, fitPoints: null }
+    expect(fitPointTargetsNear(markerCurve, { time: 10, freq: 302 }, { time: 1, freq: 1 })).toEqual([])
+  })
+})
+
+describe('fittedCurveTrace', () => {
+  test('is null until the curve has a fit', () => {
+    const curve = createFittedCurve('doppler-2', STYLE)
+    curve.fitPoints = [{ time: 10, freq: 301 }]
+    expect(fittedCurveTrace(curve)).toBeNull()
+  })
+
+  test('samples the model across the points\' time span, wherever the points were clicked in order', () => {
+    const curve = fittedCurve([{ time: 80, freq: 299 }, { time: 20, freq: 301 }, { time: 50, freq: 300.5 }])
+    const trace = fittedCurveTrace(curve)
+    expect(trace).not.toBeNull()
+    const { path } = /** @type {NonNullable<ReturnType<typeof fittedCurveTrace>>} */ (trace)
+    expect(path[0].time).toBe(20)
+    expect(path[path.length - 1].time).toBe(80)
+    path.forEach(point => {
+      expect(point.freq).toBeCloseTo(fittedFrequency(/** @type {DopplerFit} */ (curve.fit), point.time), 10)
+    })
+  })
+
+  test('runs a residual from each point to the model at its time, and marks the CPA', () => {
+    const points = [{ time: 20, freq: 301 }, { time: 80, freq: 299 }]
+    const curve = fittedCurve(points)
+    const { residuals, cpa } = /** @type {NonNullable<ReturnType<typeof fittedCurveTrace>>} */ (fittedCurveTrace(curve))
+    expect(residuals.map(residual => residual.from)).toEqual(points)
+    residuals.forEach(({ from, to }) => {
+      expect(to.time).toBe(from.time)
+      expect(to.freq).toBeCloseTo(fittedFrequency(/** @type {DopplerFit} */ (curve.fit), from.time), 10)
+    })
+    expect(cpa).toEqual({ time: 60, freq: 300 })
+  })
+})
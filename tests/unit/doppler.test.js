@@ -1,5 +1,14 @@
 import { describe, test, expect } from 'vitest'
-import { calculateMidpoint, calculateDopplerSpeed } from '../../src/utils/doppler.js'
+import {
+  calculateMidpoint,
+  calculateDopplerSpeed,
+  calculateCurveSpeed,
+  calculateCurveCpa,
+  calculateSoundSpeed,
+  resolveSoundSpeed,
+  isValidSoundSpeed,
+  DEFAULT_SOUND_SPEED
+} from '../../src/utils/doppler.js'
 
 /**
  * @fileoverview Unit tests for the Doppler speed math (docs/Doppler-Calc.md).
@@ -26,7 +35,6 @@ describe('calculateDopplerSpeed', () => {
 
   test('known value: Δf=1 around f₀=100 at the default c gives c/100', () => {
     // Δf = (101-99)/2 = 1, f₀ = midpoint = 100, default c = 1481 m/s
-    // (the JSDoc default of 1500 is stale — the code uses 1481).
     expect(calculateDopplerSpeed(fPlus, fMinus)).toBeCloseTo(14.81, 10)
   })
 
@@ -60,3 +68,82 @@ describe('calculateDopplerSpeed', () => {
     expect(Number.isFinite(speed)).toBe(false)
   })
 })
+
+describe('calculateCurveSpeed', () => {
+  const curve = {
+    fPlus: { time: 20, freq: 99 },
+    fMinus: { time: 10, freq: 101 },
+    fZero: { time: 15, freq: 100 }
+  }
+
+  test('measures a complete curve at the given speed of sound', () => {
+    expect(calculateCurveSpeed(curve, 1500)).toBeCloseTo(15, 10)
+  })
+
+  test('a curve missing a marker has no speed', () => {
+    expect(calculateCurveSpeed({ ...curve, fZero: null }, 1500)).toBeNull()
+    expect(calculateCurveSpeed({ ...curve, fMinus: null }, 1500)).toBeNull()
+  })
+
+  test('f₀ = 0 gives null rather than Infinity (BH-8)', () => {
+    expect(calculateCurveSpeed({ ...curve, fZero: { time: 15, freq: 0 } }, 1500)).toBeNull()
+  })
+})
+
+describe('calculateCurveCpa', () => {
+  const curve = {
+    fPlus: { time: 20, freq: 99 },
+    fMinus: { time: 10, freq: 101 },
+    fZero: { time: 15, freq: 100 },
+    fit: null
+  }
+
+  test('a marker curve passes at f₀, but says nothing of range', () => {
+    // Where the asymptotes were clicked fixes the drawn curve's slope, so
+    // nothing about the pass can be read from it
+    expect(calculateCurveCpa(curve)).toEqual({ time: 15, timeConstant: null, range: null })
+    const fartherApart = { ...curve, fPlus: { time: 40, freq: 99 }, fMinus: { time: -10, freq: 101 } }
+    expect(calculateCurveCpa(fartherApart)).toEqual({ time: 15, timeConstant: null, range: null })
+  })
+
+  test('an incomplete curve has no CPA', () => {
+    expect(calculateCurveCpa({ ...curve, fZero: null })).toBeNull()
+  })
+
+  test('a fitted curve reads its CPA off the fit', () => {
+    const fit = { f0: 300, speed: 8, cpaTime: 60, timeConstant: 15, shift: 8 / 1500, residuals: [], rms: 0 }
+    const cpa = calculateCurveCpa({ fPlus: null, fMinus: null, fZero: null, fit })
+    expect(cpa).toEqual({ time: 60, timeConstant: 15, range: 120 })
+  })
+})
+
+describe('speed of sound', () => {
+  test('the default is the 1481 m/s the calculation has always used', () => {
+    expect(DEFAULT_SOUND_SPEED).toBe(1481)
+  })
+
+  test('Mackenzie reproduces its published check value', () => {
+    // Mackenzie (1981): T = 25 °C, S = 35 ppt, D = 1000 m → 1550.744 m/s
+    expect(calculateSoundSpeed(25, 35, 1000)).toBeCloseTo(1550.744, 2)
+  })
+
+  test('warmer, saltier and deeper water are all faster', () => {
+    const base = calculateSoundSpeed(10, 35, 100)
+    expect(calculateSoundSpeed(15, 35, 100)).toBeGreaterThan(base)
+    expect(calculateSoundSpeed(10, 38, 100)).toBeGreaterThan(base)
+    expect(calculateSoundSpeed(10, 35, 1000)).toBeGreaterThan(base)
+  })
+
+  test('an override wins over the configured value, which wins over the default', () => {
+    expect(resolveSoundSpeed(1520, 1500)).toBe(1520)
+    expect(resolveSoundSpeed(null, 1500)).toBe(1500)
+    expect(resolveSoundSpeed(null, null)).toBe(DEFAULT_SOUND_SPEED)
+  })
+
+  test('an implausible value is passed over rather than used', () => {
+    expect(isValidSoundSpeed(148)).toBe(false)
+    expect(isValidSoundSpeed(NaN)).toBe(false)
+    expect(resolveSoundSpeed(148, 1500)).toBe(1500)
+    expect(resolveSoundSpeed(null, 15000)).toBe(DEFAULT_SOUND_SPEED)
+  })
+})
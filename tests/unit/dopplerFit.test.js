@@ -0,0 +1,85 @@
+import { describe, test, expect } from 'vitest'
+import { fitDopplerCurve, fittedFrequency, MIN_FIT_POINTS } from '../../src/utils/dopplerFit.js'
+
+/**
+ * @fileoverview Unit tests for the least-squares Doppler fit. Pins that clean
+ * points from the passing-target model give its parameters back, that the fit
+ * averages out click error, and when it declines to fit at all.
+ */
+
+const C = 1500
+
+/**
+ * Points on the model f₀ · (1 − (v/c) · u / √(τ² + u²)), u = t − t_cpa.
+ * @param {{f0: number, speed: number, cpaTime: number, timeConstant: number}} truth - Model parameters
+ * @param {number[]} times - Sample times
+ * @param {number[]} [noise] - Frequency error added to each point, in Hz
+ * @returns {Array<{time: number, freq: number}>} Points
+ */
+function modelPoints(truth, times, noise = []) {
+  return times.map((time, i) => {
+    const u = time - truth.cpaTime
+    const freq = truth.f0 * (1 - (truth.speed / C) * u / Math.sqrt(truth.timeConstant ** 2 + u ** 2))
+    return { time, freq: freq + (noise[i] || 0) }
+  })
+}
+
+const TRUTH = { f0: 300, speed: 8, cpaTime: 60, timeConstant: 15 }
+const TIMES = [10, 25, 40, 50, 55, 60, 65, 70, 80, 95, 110]
+
+describe('fitDopplerCurve', () => {
+  test('recovers the model parameters from clean points', () => {
+    const fit = fitDopplerCurve(modelPoints(TRUTH, TIMES), C)
+    expect(fit).not.toBeNull()
+    const { f0, speed, cpaTime, timeConstant, rms } = /** @type {DopplerFit} */ (fit)
+    expect(f0).toBeCloseTo(TRUTH.f0, 4)
+    expect(speed).toBeCloseTo(TRUTH.speed, 4)
+    expect(cpaTime).toBeCloseTo(TRUTH.cpaTime, 3)
+    expect(timeConstant).toBeCloseTo(TRUTH.timeConstant, 3)
+    expect(rms).toBeLessThan(1e-6)
+  })
+
+  test('fits points given in any order, reporting residuals in that order', () => {
+    const points = modelPoints(TRUTH, TIMES).reverse()
+    points[0] = { ...points[0], freq: points[0].freq + 0.5 }
+    const fit = /** @type {DopplerFit} */ (fitDopplerCurve(points, C))
+    expect(fit.residuals).toHaveLength(points.length)
+    // The nudged point (first in the caller's order) stands out from the rest
+    const [nudged, ...rest] = fit.residuals.map(Math.abs)
+    expect(nudged).toBeGreaterThan(Math.max(...rest))
+    expect(fit.residuals[0]).toBeGreaterThan(0)
+  })
+
+  test('averages out click error', () => {
+    const noise = [0.4, -0.3, 0.2, -0.4, 0.3, -0.2, 0.4, -0.3, 0.2, -0.4, 0.3]
+    const fit = /** @type {DopplerFit} */ (fitDopplerCurve(modelPoints(TRUTH, TIMES, noise), C))
+    expect(fit.speed).toBeCloseTo(TRUTH.speed, 0)
+    expect(fit.f0).toBeCloseTo(TRUTH.f0, 0)
+    expect(Math.abs(fit.cpaTime - TRUTH.cpaTime)).toBeLessThan(3)
+    expect(fit.rms).toBeGreaterThan(0)
+    expect(fit.rms).toBeLessThan(0.5)
+  })
+
+  test('scales the speed, and only the speed, with the speed of sound', () => {
+    const points = modelPoints(TRUTH, TIMES)
+    const at1500 = /** @type {DopplerFit} */ (fitDopplerCurve(points, C))
+    const at1450 = /** @type {DopplerFit} */ (fitDopplerCurve(points, 1450))
+    expect(at1450.speed).toBeCloseTo(at1500.speed * 1450 / 1500, 6)
+    expect(at1450.f0).toBeCloseTo(at1500.f0, 6)
+  })
+
+  test('declines with too few points or no time spread', () => {
+    expect(fitDopplerCurve(modelPoints(TRUTH, TIMES.slice(0, MIN_FIT_POINTS - 1)), C)).toBeNull()
+    const stacked = TIMES.slice(0, MIN_FIT_POINTS).map((_, i) => ({ time: 30, freq: 300 + i }))
+    expect(fitDopplerCurve(stacked, C)).toBeNull()
+  })
+})
+
+describe('fittedFrequency', () => {
+  test('is f₀ at CPA and falls through it', () => {
+    const fit = /** @type {DopplerFit} */ (fitDopplerCurve(modelPoints(TRUTH, TIMES), C))
+    expect(fittedFrequency(fit, fit.cpaTime)).toBeCloseTo(fit.f0, 6)
+    expect(fittedFrequency(fit, fit.cpaTime - 20)).toBeGreaterThan(fit.f0)
+    expect(fittedFrequency(fit, fit.cpaTime + 20)).toBeLessThan(fit.f0)
+  })
+})
@@ -0,0 +1,44 @@
+import { describe, test, expect } from 'vitest'
+import { findFundamentalCandidates } from '../../src/utils/fundamental.js'
+
+/**
+ * @fileoverview Unit tests for fundamental inference. Pins that the largest
+ * spacing explaining every tonal comes first, that its sub-multiples follow as
+ * alternatives, that the spacing is fitted to slightly-off tonals and scored
+ * by how far off they are, and that tonals no spacing explains yield nothing.
+ */
+
+describe('findFundamentalCandidates', () => {
+  test('puts the largest spacing explaining every tonal first', () => {
+    const [best] = findFundamentalCandidates([300, 450, 600], 1)
+    expect(best.spacing).toBeCloseTo(150)
+    expect(best.orders).toEqual([2, 3, 4])
+    expect(best.fit).toBeCloseTo(1)
+  })
+
+  test('offers the sub-multiples after it, largest first', () => {
+    const spacings = findFundamentalCandidates([300, 450, 600], 1).map(candidate => candidate.spacing)
+    expect(spacings.slice(0, 3).map(Math.round)).toEqual([150, 75, 50])
+    expect(spacings.length).toBeLessThanOrEqual(5)
+  })
+
+  test('fits the spacing to tonals a little off their harmonics, and scores them lower', () => {
+    const [best] = findFundamentalCandidates([101, 199, 302], 3)
+    expect(best.orders).toEqual([1, 2, 3])
+    expect(best.spacing).toBeCloseTo(100.36, 1)
+    expect(best.fit).toBeGreaterThan(0)
+    expect(best.fit).toBeLessThan(1)
+  })
+
+  test('finds nothing when no useful spacing explains the tonals', () => {
+    // √2 apart: only a 29th and 41st harmonic come close, past the lowest
+    // order a tonal is tried as
+    expect(findFundamentalCandidates([100, 141.42], 0.05)).toEqual([])
+  })
+
+  test('needs two positive tonals and a tolerance', () => {
+    expect(findFundamentalCandidates([100], 1)).toEqual([])
+    expect(findFundamentalCandidates([100, 0], 1)).toEqual([])
+    expect(findFundamentalCandidates([100, 200], 0)).toEqual([])
+  })
+})
@@ -0,0 +1,84 @@
+import { describe, test, expect } from 'vitest'
+import {
+  isTimeBoundedSet,
+  timeBoundsBetween,
+  shiftTimeBounds,
+  isDriftingSet,
+  spacingAt,
+  spacingRange,
+  spacingDriftRate
+} from '../../src/utils/harmonicBounds.js'
+
+/**
+ * @fileoverview Unit tests for harmonic set time bounds. Pins that only a set
+ * with both ends counts as bounded, that bounds are normalised with the anchor
+ * at their middle, and that moving them holds their length at the gram's edges.
+ * Then that a drifting set's spacing runs linearly from start to end.
+ */
+
+/**
+ * @param {Partial<HarmonicSet>} fields - Fields to override
+ * @returns {HarmonicSet} A harmonic set
+ */
+function makeSet(fields) {
+  return { id: 'h', color: '#ff0000', anchorTime: 15, spacing: 10, symbol: 'cross', ...fields }
+}
+
+describe('isTimeBoundedSet', () => {
+  test('needs both ends', () => {
+    expect(isTimeBoundedSet({ timeStart: 2, timeEnd: 5 })).toBe(true)
+    expect(isTimeBoundedSet({ timeStart: 0, timeEnd: 0 })).toBe(true)
+    expect(isTimeBoundedSet({ timeStart: 2 })).toBe(false)
+    expect(isTimeBoundedSet({})).toBe(false)
+  })
+})
+
+describe('timeBoundsBetween', () => {
+  test('orders the ends either way round and anchors at the middle', () => {
+    expect(timeBoundsBetween(8, 2)).toEqual({ timeStart: 2, timeEnd: 8, anchorTime: 5 })
+    expect(timeBoundsBetween(2, 8)).toEqual({ timeStart: 2, timeEnd: 8, anchorTime: 5 })
+  })
+})
+
+describe('shiftTimeBounds', () => {
+  test('moves both ends by the offset', () => {
+    expect(shiftTimeBounds({ timeStart: 10, timeEnd: 20 }, 5, 0, 60)).toEqual({ timeStart: 15, timeEnd: 25, anchorTime: 20 })
+  })
+
+  test('stops at the gram edges without squashing the interval', () => {
+    expect(shiftTimeBounds({ timeStart: 10, timeEnd: 20 }, 50, 0, 60)).toEqual({ timeStart: 50, timeEnd: 60, anchorTime: 55 })
+    expect(shiftTimeBounds({ timeStart: 10, timeEnd: 20 }, -50, 0, 60)).toEqual({ timeStart: 0, timeEnd: 10, anchorTime: 5 })
+  })
+})
+
+describe('drifting sets', () => {
+  const drifting = makeSet({ timeStart: 10, timeEnd: 20, spacingEnd: 14 })
+
+  test('need time bounds as well as an end spacing', () => {
+    expect(isDriftingSet(drifting)).toBe(true)
+    expect(isDriftingSet(makeSet({ spacingEnd: 14 }))).toBe(false)
+    expect(isDriftingSet(makeSet({ timeStart: 10, timeEnd: 20 }))).toBe(false)
+  })
+
+  test('interpolate their spacing across the interval, held beyond it', () => {
+    expect(spacingAt(drifting, 10)).toBe(10)
+    expect(spacingAt(drifting, 15)).toBe(12)
+    expect(spacingAt(drifting, 20)).toBe(14)
+    expect(spacingAt(drifting, 0)).toBe(10)
+    expect(spacingAt(drifting, 30)).toBe(14)
+  })
+
+  test('report their spacing range and rate of change', () => {
+    expect(spacingRange(drifting)).toEqual({ low: 10, high: 14 })
+    expect(spacingRange(makeSet({ timeStart: 10, timeEnd: 20, spacingEnd: 6 }))).toEqual({ low: 6, high: 10 })
+    expect(spacingDriftRate(drifting)).toBeCloseTo(0.4)
+    expect(spacingDriftRate(makeSet({ timeStart: 10, timeEnd: 10, spacingEnd: 14 }))).toBe(0)
+  })
+
+  test('leave a set that does not drift at its one spacing', () => {
+    const steady = makeSet({ spacingEnd: 14 })
+    expect(spacingAt(steady, 30)).toBe(10)
+    expect(spacingRange(steady)).toEqual({ low: 10, high: 10 })
+    expect(spacingDriftRate(steady)).toBe(0)
+  })
+})
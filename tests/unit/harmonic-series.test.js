@@ -0,0 +1,206 @@
+import { describe, test, expect } from 'vitest'
+import {
+  isSidebandSet,
+  seriesFrequency,
+  seriesOrderRange,
+  nearestSeriesOrder,
+  seriesLabel,
+  seriesIndexRange,
+  seriesOrderAt,
+  parseSeriesOrders,
+  isValidSeriesOrders,
+  formatSeries
+} from '../../src/utils/harmonicSeries.js'
+import { sampledHarmonics } from '../../src/utils/harmonicSampling.js'
+
+/**
+ * @fileoverview Unit tests for the harmonic series arithmetic. Pins that a
+ * plain set keeps its integer multiples from the first harmonic, and that a
+ * sideband family steps out either side of its carrier: its line frequencies,
+ * visible order range, nearest order and labels. Then that the odd, even and
+ * custom series types draw only their own orders, and are thinned among them.
+ * Last, that a drifting set's lines are read at a time.
+ */
+
+/**
+ * Every order a set draws within an order range, walked by member index.
+ * @param {HarmonicSet} set - Harmonic set
+ * @param {number} minOrder - Lowest order
+ * @param {number} maxOrder - Highest order
+ * @returns {number[]} Ascending orders
+ */
+function drawnOrders(set, minOrder, maxOrder) {
+  const { minIndex, maxIndex } = seriesIndexRange(set, minOrder, maxOrder)
+  const orders = []
+  for (let index = minIndex; index <= maxIndex; index++) {
+    orders.push(seriesOrderAt(set, index))
+  }
+  return orders
+}
+
+/**
+ * @param {Partial<HarmonicSet>} fields - Fields to override
+ * @returns {HarmonicSet} A harmonic set
+ */
+function makeSet(fields) {
+  return { id: 'h', color: '#ff0000', anchorTime: 1, spacing: 10, symbol: 'cross', ...fields }
+}
+
+describe('plain harmonic sets', () => {
+  const set = makeSet({})
+
+  test('are not sideband families', () => {
+    expect(isSidebandSet(set)).toBe(false)
+  })
+
+  test('draw integer multiples of the spacing from the first harmonic', () => {
+    expect(seriesFrequency(set, 3)).toBe(30)
+    expect(seriesOrderRange(set, 0, 95)).toEqual({ minOrder: 1, maxOrder: 9 })
+    expect(seriesOrderRange(set, 25, 95)).toEqual({ minOrder: 3, maxOrder: 9 })
+  })
+
+  test('never resolve a click below the first harmonic', () => {
+    expect(nearestSeriesOrder(set, 2)).toBe(1)
+    expect(nearestSeriesOrder(set, 47)).toBe(5)
+    expect(seriesLabel(set, 5)).toBe('5')
+  })
+})
+
+describe('sideband families', () => {
+  const set = makeSet({ carrier: 100, spacing: 5 })
+
+  test('are recognised by their carrier, even at 0 Hz', () => {
+    expect(isSidebandSet(set)).toBe(true)
+    expect(isSidebandSet(makeSet({ carrier: 0 }))).toBe(true)
+  })
+
+  test('step out either side of the carrier', () => {
+    expect(seriesFrequency(set, 0)).toBe(100)
+    expect(seriesFrequency(set, 2)).toBe(110)
+    expect(seriesFrequency(set, -3)).toBe(85)
+  })
+
+  test('cover the sidebands below the carrier as well as above', () => {
+    expect(seriesOrderRange(set, 88, 112)).toEqual({ minOrder: -2, maxOrder: 2 })
+    // A span wholly above the carrier holds only upper sidebands
+    expect(seriesOrderRange(set, 120, 130)).toEqual({ minOrder: 4, maxOrder: 6 })
+  })
+
+  test('resolve a click to the nearest signed order, the carrier included', () => {
+    expect(nearestSeriesOrder(set, 101)).toBe(0)
+    expect(Object.is(nearestSeriesOrder(set, 99), 0)).toBe(true)
+    expect(nearestSeriesOrder(set, 86)).toBe(-3)
+  })
+
+  test('label the carrier C and the sidebands with a sign', () => {
+    expect(seriesLabel(set, 0)).toBe('C')
+    expect(seriesLabel(set, 2)).toBe('+2')
+    expect(seriesLabel(set, -2)).toBe('-2')
+  })
+
+  test('thin their labels on orders either side of the carrier', () => {
+    const { harmonics } = sampledHarmonics(-40, 40)
+    expect(harmonics.length).toBeLessThanOrEqual(25)
+    expect(harmonics).toContain(0)
+    expect(harmonics[0]).toBeLessThan(0)
+  })
+})
+
+describe('series types', () => {
+  test('an all-orders set draws every harmonic, indexed by harmonic number', () => {
+    const set = makeSet({})
+    expect(seriesIndexRange(set, 3, 9)).toEqual({ minIndex: 3, maxIndex: 9 })
+    expect(drawnOrders(set, 3, 6)).toEqual([3, 4, 5, 6])
+  })
+
+  test('odd and even sets draw only their own harmonics', () => {
+    expect(drawnOrders(makeSet({ series: 'odd' }), 1, 10)).toEqual([1, 3, 5, 7, 9])
+    expect(drawnOrders(makeSet({ series: 'odd' }), 4, 8)).toEqual([5, 7])
+    expect(drawnOrders(makeSet({ series: 'even' }), 1, 10)).toEqual([2, 4, 6, 8, 10])
+    expect(drawnOrders(makeSet({ series: 'even' }), 3, 3)).toEqual([])
+  })
+
+  test('a custom set draws its listed harmonics within range', () => {
+    const set = makeSet({ series: 'custom', orders: [3, 5, 7] })
+    expect(drawnOrders(set, 1, 100)).toEqual([3, 5, 7])
+    expect(drawnOrders(set, 4, 6)).toEqual([5])
+    expect(drawnOrders(set, 8, 100)).toEqual([])
+  })
+
+  test('a sideband family keeps its carrier and applies the type either side', () => {
+    const odd = makeSet({ carrier: 100, series: 'odd' })
+    expect(drawnOrders(odd, -5, 5)).toEqual([-5, -3, -1, 0, 1, 3, 5])
+    expect(drawnOrders(odd, -4, -2)).toEqual([-3])
+    const custom = makeSet({ carrier: 100, series: 'custom', orders: [2, 4] })
+    expect(drawnOrders(custom, -10, 10)).toEqual([-4, -2, 0, 2, 4])
+    expect(drawnOrders(custom, -10, -5)).toEqual([])
+  })
+
+  test('resolve a click to the nearest drawn harmonic, skipping the gaps', () => {
+    const odd = makeSet({ series: 'odd' })
+    expect(nearestSeriesOrder(odd, 38)).toBe(3) // 4th is not drawn
+    expect(nearestSeriesOrder(odd, 42)).toBe(5)
+    expect(nearestSeriesOrder(odd, 2)).toBe(1)
+    const custom = makeSet({ series: 'custom', orders: [2, 9] })
+    expect(nearestSeriesOrder(custom, 3)).toBe(2)
+    expect(nearestSeriesOrder(custom, 70)).toBe(9)
+    expect(nearestSeriesOrder(custom, 500)).toBe(9)
+    const family = makeSet({ carrier: 100, series: 'custom', orders: [3] })
+    expect(nearestSeriesOrder(family, 88)).toBe(0)
+    expect(nearestSeriesOrder(family, 60)).toBe(-3)
+  })
+
+  test('thin labels among the drawn harmonics, not the gaps', () => {
+    const set = makeSet({ series: 'odd' })
+    const { minIndex, maxIndex } = seriesIndexRange(set, 1, 199)
+    const labelled = sampledHarmonics(minIndex, maxIndex).harmonics.map(index => seriesOrderAt(set, index))
+    expect(labelled.length).toBeGreaterThan(0)
+    expect(labelled.length).toBeLessThanOrEqual(25)
+    expect(labelled.every(order => order % 2 === 1)).toBe(true)
+  })
+
+  test('parse a typed custom list, sorted and without repeats', () => {
+    expect(parseSeriesOrders('6, 2 4,2')).toEqual([2, 4, 6])
+    expect(parseSeriesOrders('')).toBeNull()
+    expect(parseSeriesOrders('2, 0')).toBeNull()
+    expect(parseSeriesOrders('2, 4.5')).toBeNull()
+    expect(parseSeriesOrders('2, x')).toBeNull()
+  })
+
+  test('accept only ascending, distinct, positive whole-number lists', () => {
+    expect(isValidSeriesOrders([2, 4, 6])).toBe(true)
+    expect(isValidSeriesOrders([])).toBe(false)
+    expect(isValidSeriesOrders([4, 2])).toBe(false)
+    expect(isValidSeriesOrders([2, 2])).toBe(false)
+    expect(isValidSeriesOrders([0, 2])).toBe(false)
+    expect(isValidSeriesOrders('2,4')).toBe(false)
+  })
+
+  test('describe the type for the harmonics table', () => {
+    expect(formatSeries(makeSet({}))).toBe('All')
+    expect(formatSeries(makeSet({ series: 'odd' }))).toBe('Odd')
+    expect(formatSeries(makeSet({ series: 'custom', orders: [2, 4, 6] }))).toBe('2, 4, 6')
+  })
+})
+
+describe('drifting sets', () => {
+  const set = makeSet({ anchorTime: 15, timeStart: 10, timeEnd: 20, spacingEnd: 20 })
+
+  test('place each line by the spacing at the time asked', () => {
+    expect(seriesFrequency(set, 3, 10)).toBe(30)
+    expect(seriesFrequency(set, 3, 20)).toBe(60)
+    expect(seriesFrequency(set, 3)).toBe(45) // the anchor, mid-interval
+  })
+
+  test('resolve a click against the lines where they are at that time', () => {
+    expect(nearestSeriesOrder(set, 60, 10)).toBe(6)
+    expect(nearestSeriesOrder(set, 60, 20)).toBe(3)
+  })
+
+  test('count every line that enters the span at some time', () => {
+    // 95 Hz holds the 9th at 10 Hz spacing; 25 Hz the 2nd at 20 Hz
+    expect(seriesOrderRange(set, 25, 95)).toEqual({ minOrder: 2, maxOrder: 9 })
+    const family = makeSet({ carrier: 100, timeStart: 10, timeEnd: 20, spacingEnd: 20 })
+    expect(seriesOrderRange(family, 60, 140)).toEqual({ minOrder: -4, maxOrder: 4 })
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest'
+import { HarmonicsMode } from '../../src/modes/harmonics/HarmonicsMode.js'
+import { AnalysisMode } from '../../src/modes/analysis/AnalysisMode.js'
+
+/**
+ * @fileoverview Harmonics mode on a gram with time running across. Pins are
+ * laid out with frequency across the gram and time up it, so the mode is
+ * offered only on a vertical time axis: on a rotated gram it is disabled, its
+ * sets are not drawn, and find-fundamental has nowhere to add one.
+ */
+
+/**
+ * A bare instance holding one harmonic set, as far as the modes read it.
+ * @param {TimeDirection} timeDirection - Which way time increases
+ * @returns {any} The instance
+ */
+function gram(timeDirection) {
+  const instance = {
+    state: {
+      config: { timeMin: 0, timeMax: 10, freqMin: 0, freqMax: 1000, freqScale: 'linear', timeDirection },
+      harmonics: { harmonicSets: [{ id: 'set-1', color: '#ff0000', anchorTime: 5, spacing: 100 }] },
+      analysis: { markers: [] }
+    },
+    ui: {},
+    /** @type {Record<string, any>} */
+    modes: {}
+  }
+  instance.modes.harmonics = new HarmonicsMode(instance)
+  instance.modes.analysis = new AnalysisMode(instance)
+  return instance
+}
+
+describe('Harmonics mode', () => {
+  test('is enabled where time runs up or down the gram', () => {
+    for (const direction of /** @type {TimeDirection[]} */ (['up', 'down'])) {
+      const { modes } = gram(direction)
+      expect(modes.harmonics.isEnabled()).toBe(true)
+      expect(modes.harmonics.hasPersistentFeatures()).toBe(true)
+    }
+  })
+
+  test('is disabled, and draws no sets, where time runs across it', () => {
+    for (const direction of /** @type {TimeDirection[]} */ (['right', 'left'])) {
+      const { modes } = gram(direction)
+      expect(modes.harmonics.isEnabled()).toBe(false)
+      expect(modes.harmonics.hasPersistentFeatures()).toBe(false)
+    }
+  })
+
+  test('hosts find-fundamental\'s sets only where it is enabled', () => {
+    const waterfall = gram('up')
+    expect(waterfall.modes.analysis.harmonicSetHost()).toBe(waterfall.modes.harmonics)
+    expect(gram('right').modes.analysis.harmonicSetHost()).toBeNull()
+  })
+})
@@ -0,0 +1,60 @@
+import { describe, test, expect } from 'vitest'
+import { NEUTRAL_ADJUSTMENTS, isNeutral, transferCurve } from '../../src/utils/imageAdjust.js'
+
+/**
+ * @fileoverview Unit tests for image adjustment. Pins the transfer curve each
+ * control produces — contrast about mid-grey, brightness as an offset, gamma
+ * lifting the mid-tones, invert swapping black and white — and that only the
+ * neutral settings drop the filter.
+ */
+
+/**
+ * Apply a transfer curve to one channel value.
+ * @param {ImageAdjustments} adjustments - Adjustments to apply
+ * @param {number} value - Channel value from 0 to 1
+ * @returns {number} Adjusted value, unclamped
+ */
+function through(adjustments, value) {
+  const { amplitude, exponent, offset } = transferCurve(adjustments)
+  return amplitude * Math.pow(value, exponent) + offset
+}
+
+describe('transferCurve', () => {
+  test('leaves the image alone at neutral', () => {
+    [0, 0.25, 0.5, 1].forEach(value => {
+      expect(through(NEUTRAL_ADJUSTMENTS, value)).toBeCloseTo(value)
+    })
+  })
+
+  test('stretches contrast about mid-grey', () => {
+    const adjustments = { ...NEUTRAL_ADJUSTMENTS, contrast: 2 }
+    expect(through(adjustments, 0.5)).toBeCloseTo(0.5)
+    expect(through(adjustments, 0.6)).toBeCloseTo(0.7)
+    expect(through(adjustments, 0.4)).toBeCloseTo(0.3)
+  })
+
+  test('adds brightness to every value', () => {
+    const adjustments = { ...NEUTRAL_ADJUSTMENTS, brightness: 0.1 }
+    expect(through(adjustments, 0.2)).toBeCloseTo(0.3)
+  })
+
+  test('lifts the mid-tones for a gamma above 1, leaving black and white', () => {
+    const adjustments = { ...NEUTRAL_ADJUSTMENTS, gamma: 2 }
+    expect(through(adjustments, 0.25)).toBeCloseTo(0.5)
+    expect(through(adjustments, 0)).toBeCloseTo(0)
+    expect(through(adjustments, 1)).toBeCloseTo(1)
+  })
+
+  test('inverts after the other adjustments', () => {
+    expect(through({ ...NEUTRAL_ADJUSTMENTS, invert: true }, 0.2)).toBeCloseTo(0.8)
+    expect(through({ ...NEUTRAL_ADJUSTMENTS, contrast: 2, invert: true }, 0.6)).toBeCloseTo(0.3)
+  })
+})
+
+describe('isNeutral', () => {
+  test('is true only when every control is at rest', () => {
+    expect(isNeutral({ ...NEUTRAL_ADJUSTMENTS })).toBe(true)
+    expect(isNeutral({ ...NEUTRAL_ADJUSTMENTS, gamma: 1.05 })).toBe(false)
+    expect(isNeutral({ ...NEUTRAL_ADJUSTMENTS, invert: true })).toBe(false)
+  })
+})
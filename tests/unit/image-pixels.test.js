@@ -0,0 +1,101 @@
+import { describe, test, expect } from 'vitest'
+import { imagePixelAt, luminance, formatIntensity } from '../../src/utils/imagePixels.js'
+
+/**
+ * @fileoverview Unit tests for reading the gram's pixels. Pins which pixel
+ * every intensity, snap and slice reading takes a point from — frequency
+ * binned across its axis, time spread edge to edge along its own, in each of
+ * the four orientations — that points off the image read its edge, and that
+ * an unreadable intensity shows as a dash.
+ */
+
+/** 100 pixels wide by 50 high */
+const WIDTH = 100
+const HEIGHT = 50
+
+/**
+ * A linear gram running 0–10 s and 0–1000 Hz.
+ * @param {TimeDirection} timeDirection - Which way time increases
+ * @returns {Config} The config
+ */
+function gram(timeDirection) {
+  return /** @type {Config} */ ({ timeMin: 0, timeMax: 10, freqMin: 0, freqMax: 1000, freqScale: 'linear', timeDirection })
+}
+
+describe('imagePixelAt', () => {
+  test('time running up puts the start on the bottom row and the end on the top', () => {
+    const config = gram('up')
+    expect(imagePixelAt({ time: 0, freq: 0 }, config, WIDTH, HEIGHT)).toEqual({ x: 0, y: 49 })
+    expect(imagePixelAt({ time: 10, freq: 0 }, config, WIDTH, HEIGHT)).toEqual({ x: 0, y: 0 })
+    expect(imagePixelAt({ time: 5, freq: 505 }, config, WIDTH, HEIGHT)).toEqual({ x: 50, y: 25 })
+  })
+
+  test('frequency is binned, so its top edge falls in the last column', () => {
+    const config = gram('up')
+    expect(imagePixelAt({ time: 0, freq: 9.99 }, config, WIDTH, HEIGHT).x).toBe(0)
+    expect(imagePixelAt({ time: 0, freq: 10 }, config, WIDTH, HEIGHT).x).toBe(1)
+    expect(imagePixelAt({ time: 0, freq: 1000 }, config, WIDTH, HEIGHT).x).toBe(99)
+  })
+
+  test('time running down puts the start on the top row', () => {
+    const config = gram('down')
+    expect(imagePixelAt({ time: 0, freq: 0 }, config, WIDTH, HEIGHT)).toEqual({ x: 0, y: 0 })
+    expect(imagePixelAt({ time: 10, freq: 0 }, config, WIDTH, HEIGHT)).toEqual({ x: 0, y: 49 })
+  })
+
+  test('time running across swaps the axes, with frequency rising up the rows', () => {
+    const right = gram('right')
+    expect(imagePixelAt({ time: 0, freq: 0 }, right, WIDTH, HEIGHT)).toEqual({ x: 0, y: 49 })
+    expect(imagePixelAt({ time: 10, freq: 1000 }, right, WIDTH, HEIGHT)).toEqual({ x: 99, y: 0 })
+
+    const left = gram('left')
+    expect(imagePixelAt({ time: 0, freq: 0 }, left, WIDTH, HEIGHT)).toEqual({ x: 99, y: 49 })
+    expect(imagePixelAt({ time: 10, freq: 1000 }, left, WIDTH, HEIGHT)).toEqual({ x: 0, y: 0 })
+  })
+
+  test('a point off the image reads the nearest pixel on its edge', () => {
+    for (const direction of /** @type {TimeDirection[]} */ (['up', 'down', 'right', 'left'])) {
+      const config = gram(direction)
+      for (const point of [{ time: -3, freq: -50 }, { time: 14, freq: 2000 }, { time: 5, freq: 1e9 }]) {
+        const { x, y } = imagePixelAt(point, config, WIDTH, HEIGHT)
+        expect(x).toBeGreaterThanOrEqual(0)
+        expect(x).toBeLessThanOrEqual(WIDTH - 1)
+        expect(y).toBeGreaterThanOrEqual(0)
+        expect(y).toBeLessThanOrEqual(HEIGHT - 1)
+      }
+    }
+    expect(imagePixelAt({ time: -3, freq: -50 }, gram('up'), WIDTH, HEIGHT)).toEqual({ x: 0, y: 49 })
+    expect(imagePixelAt({ time: 14, freq: 2000 }, gram('up'), WIDTH, HEIGHT)).toEqual({ x: 99, y: 0 })
+  })
+
+  test('a log axis bins frequency by its place on the log scale', () => {
+    const config = /** @type {Config} */ ({ ...gram('up'), freqMin: 10, freqMax: 10000, freqScale: 'log' })
+    // 100 Hz is a third of the way from 10 Hz to 10 kHz
+    expect(imagePixelAt({ time: 0, freq: 100 }, config, WIDTH, HEIGHT).x).toBe(33)
+    expect(imagePixelAt({ time: 0, freq: 1000 }, config, WIDTH, HEIGHT).x).toBe(66)
+  })
+})
+
+describe('luminance', () => {
+  test('weights the channels as the eye does', () => {
+    expect(luminance([255, 255, 255, 255], 0)).toBeCloseTo(1, 10)
+    expect(luminance([0, 0, 0, 255], 0)).toBe(0)
+    expect(luminance([0, 255, 0, 255], 0)).toBeCloseTo(0.587, 10)
+  })
+
+  test('reads the pixel at the offset given', () => {
+    expect(luminance([0, 0, 0, 255, 255, 255, 255, 255], 4)).toBeCloseTo(1, 10)
+  })
+})
+
+describe('formatIntensity', () => {
+  test('shows a whole percentage of full brightness', () => {
+    expect(formatIntensity(0)).toBe('0')
+    expect(formatIntensity(0.504)).toBe('50')
+    expect(formatIntensity(1)).toBe('100')
+  })
+
+  test('shows a dash when the pixels could not be read', () => {
+    expect(formatIntensity(null)).toBe('—')
+  })
+})
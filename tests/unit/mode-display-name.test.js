@@ -14,6 +14,9 @@ describe('getModeDisplayName', () => {
     expect(getModeDisplayName('harmonics')).toBe('Harmonics')
     expect(getModeDisplayName('doppler')).toBe('Doppler')
     expect(getModeDisplayName('pan')).toBe('Pan')
+    expect(getModeDisplayName('ruler')).toBe('Ruler')
+    expect(getModeDisplayName('trace')).toBe('Trace')
+    expect(getModeDisplayName('box')).toBe('Box')
   })
 
   test('falls back to capitalising an unknown mode name', () => {
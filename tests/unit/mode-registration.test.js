@@ -41,10 +41,11 @@ const FROZEN_INITIAL_STATE = {
   instanceId: '',
   mode: 'pan',
   previousMode: null,
-  rate: 1,
+  rate: null,
   selectedColor: '#ff6b6b',
   selectedSymbol: 'cross',
   showHarmonicPin: true,
+  snapToPeak: false,
   largeSymbols: false,
   cursorPosition: null,
   cursors: [],
@@ -57,11 +58,22 @@ const FROZEN_INITIAL_STATE = {
     renderHeight: 0
   },
   imageExpanded: false,
+  timeDisplay: 'clock',
   config: {
     timeMin: 0,
     timeMax: 0,
     freqMin: 0,
-    freqMax: 0
+    freqMax: 0,
+    soundSpeed: null,
+    speedUnits: null,
+    freqScale: null,
+    timeDirection: null,
+    palette: null,
+    timeOrigin: null,
+    freqUnits: null,
+    timeUnits: null,
+    freqPrecision: null,
+    timePrecision: null
   },
   displayDimensions: {
     width: 0,
@@ -92,7 +104,7 @@ const FROZEN_INITIAL_STATE = {
     selectedIndex: null
   },
   // --- contributed by the modes, in registration order --------------------
-  // Pan contributes no slice, which is why there are three and not four.
+  // Pan contributes no slice, which is why there are four and not five.
   analysis: {
     markers: []
   },
@@ -102,13 +114,25 @@ const FROZEN_INITIAL_STATE = {
     harmonicSets: []
   },
   doppler: {
-    fPlus: null,
-    fMinus: null,
-    fZero: null,
-    speed: null,
-    color: null,
+    curves: [],
     tempFirst: null,
-    previewEnd: null
+    previewEnd: null,
+    soundSpeed: null,
+    fittingId: null,
+    units: { speed: 'kts', cpaTime: 's', range: 'm' }
+  },
+  ruler: {
+    start: null,
+    end: null,
+    color: null,
+    placing: false
+  },
+  trace: {
+    traces: [],
+    drawingId: null
+  },
+  box: {
+    boxes: []
   }
 }
 
@@ -165,13 +189,16 @@ describe('core/state.js stands alone (AS-2.2)', () => {
     expect(withoutVolatileKeys(core)).toEqual(
       Object.fromEntries(
         Object.entries(FROZEN_INITIAL_STATE)
-          .filter(([key]) => !['analysis', 'harmonics', 'doppler'].includes(key))
+          .filter(([key]) => !['analysis', 'harmonics', 'doppler', 'ruler', 'trace', 'box'].includes(key))
       )
     )
     // ...and no mode slice appears, because no mode was asked for one.
     expect(core.analysis).toBeUndefined()
     expect(core.harmonics).toBeUndefined()
     expect(core.doppler).toBeUndefined()
+    expect(core.ruler).toBeUndefined()
+    expect(core.trace).toBeUndefined()
+    expect(core.box).toBeUndefined()
   })
 
   test('imports no mode module', async () => {
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest'
+import { PALETTE_NAMES, isPaletteName, buildLookupTable, paletteGradient } from '../../src/utils/palettes.js'
+
+/**
+ * @fileoverview Unit tests for false-colour palettes. Pins that grey is the
+ * identity, that every palette's table runs from its first stop at black to
+ * its last at white, that levels between stops are interpolated, and that
+ * only the offered names are accepted from the config table.
+ */
+
+/**
+ * The colour a table gives a grey level.
+ * @param {Uint8ClampedArray} table - Lookup table
+ * @param {number} level - Grey level from 0 to 255
+ * @returns {number[]} Red, green and blue
+ */
+function colour(table, level) {
+  return Array.from(table.slice(level * 3, level * 3 + 3))
+}
+
+describe('buildLookupTable', () => {
+  test('leaves grey levels alone for the grey palette', () => {
+    const table = buildLookupTable('grey')
+    for (const level of [0, 1, 128, 254, 255]) {
+      expect(colour(table, level)).toEqual([level, level, level])
+    }
+  })
+
+  test('runs each palette from its darkest stop to its brightest', () => {
+    expect(colour(buildLookupTable('hot'), 0)).toEqual([0, 0, 0])
+    expect(colour(buildLookupTable('hot'), 255)).toEqual([255, 255, 255])
+    expect(colour(buildLookupTable('viridis'), 0)).toEqual([68, 1, 84])
+    expect(colour(buildLookupTable('viridis'), 255)).toEqual([253, 231, 37])
+    expect(colour(buildLookupTable('jet'), 0)).toEqual([0, 0, 128])
+  })
+
+  test('interpolates between stops', () => {
+    // Green phosphor's stops fall at 0, 85, 170 and 255
+    const table = buildLookupTable('green-phosphor')
+    expect(colour(table, 85)).toEqual([0, 90, 0])
+    const between = colour(table, 128)
+    expect(between[1]).toBeGreaterThan(90)
+    expect(between[1]).toBeLessThan(255)
+  })
+})
+
+describe('palette names', () => {
+  test('accepts only the palettes offered', () => {
+    PALETTE_NAMES.forEach(name => expect(isPaletteName(name)).toBe(true))
+    expect(isPaletteName('rainbow')).toBe(false)
+    expect(isPaletteName(null)).toBe(false)
+  })
+
+  test('describes each palette as a gradient from black\'s end', () => {
+    expect(paletteGradient('grey')).toBe('linear-gradient(to right, rgb(0, 0, 0) 0%, rgb(255, 255, 255) 100%)')
+  })
+})
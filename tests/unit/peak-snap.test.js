@@ -0,0 +1,62 @@
+import { describe, test, expect } from 'vitest'
+import { findPeakFrequency } from '../../src/utils/peakSnap.js'
+
+/**
+ * @fileoverview Unit tests for snap-to-peak. Pins that a frequency moves to
+ * the brightest column within its window, refined between columns, that a
+ * brighter tonal outside the window is ignored, and that a window with no peak
+ * in it leaves the frequency alone. On a log row the columns are log-spaced.
+ */
+
+/**
+ * A 100-column row over 0–1000 Hz, dark but for a tonal at each given column.
+ * @param {Array<[number, number]>} tonals - Pairs of [column, brightness]
+ * @returns {IntensityProfile} The row
+ */
+function row(tonals) {
+  const values = new Array(100).fill(0.1)
+  tonals.forEach(([column, brightness]) => {
+    values[column] = brightness
+  })
+  return { values, freqMin: 0, freqMax: 1000 }
+}
+
+describe('findPeakFrequency', () => {
+  test('moves onto the tonal within the window', () => {
+    // Column 42 is centred on 425 Hz
+    expect(findPeakFrequency(row([[42, 0.9]]), 440, 30)).toBeCloseTo(425)
+  })
+
+  test('refines the peak between columns', () => {
+    const profile = row([[42, 0.9], [43, 0.6]])
+    const snapped = findPeakFrequency(profile, 440, 30)
+    expect(snapped).toBeGreaterThan(425)
+    expect(snapped).toBeLessThan(435)
+  })
+
+  test('ignores a brighter tonal outside the window', () => {
+    expect(findPeakFrequency(row([[42, 0.5], [50, 1]]), 420, 30)).toBeCloseTo(425)
+  })
+
+  test('leaves the frequency alone when the window holds no peak', () => {
+    expect(findPeakFrequency(row([[80, 1]]), 420, 30)).toBe(420)
+    expect(findPeakFrequency(row([[42, 1]]), 420, 0)).toBe(420)
+  })
+})
+
+describe('findPeakFrequency on a log row', () => {
+  test('snaps to the column centre on the log scale', () => {
+    // 30 columns over 10–10000 Hz: ten a decade, column 15 centred on 10^2.55
+    const values = new Array(30).fill(0.1)
+    values[15] = 0.9
+    const profile = { values, freqMin: 10, freqMax: 10000, freqScale: 'log' }
+    expect(findPeakFrequency(profile, 340, 60)).toBeCloseTo(Math.pow(10, 2.55))
+  })
+
+  test('a window reaching below the bottom of the axis still snaps', () => {
+    const values = new Array(30).fill(0.1)
+    values[0] = 0.9
+    const profile = { values, freqMin: 10, freqMax: 10000, freqScale: 'log' }
+    expect(findPeakFrequency(profile, 12, 20)).toBeCloseTo(Math.pow(10, 1.05))
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest'
+import { isRateSet, parseRate, formatRateMultiple } from '../../src/utils/rate.js'
+
+/**
+ * @fileoverview Unit tests for the rate divisor helpers. Pins what counts as a
+ * rate (null is "none", and 1 Hz is a rate like any other), what the input
+ * accepts, and the `×n.nn` multiple every rate-aware readout shows.
+ */
+
+describe('isRateSet', () => {
+  test('any positive rate is set, 1 Hz included', () => {
+    expect(isRateSet(12.5)).toBe(true)
+    expect(isRateSet(0.5)).toBe(true)
+    expect(isRateSet(1)).toBe(true)
+  })
+
+  test('no rate, zero, negatives and non-finite values are not', () => {
+    for (const rate of [null, 0, -3, NaN, Infinity]) {
+      expect(isRateSet(rate)).toBe(false)
+    }
+  })
+})
+
+describe('parseRate', () => {
+  test('accepts a positive number, ignoring surrounding space', () => {
+    expect(parseRate('12.5')).toEqual({ rate: 12.5 })
+    expect(parseRate(' 7 ')).toEqual({ rate: 7 })
+  })
+
+  test('accepts 1 Hz as a rate, distinct from clearing it', () => {
+    expect(parseRate('1')).toEqual({ rate: 1 })
+  })
+
+  test('blank clears the rate', () => {
+    expect(parseRate('')).toEqual({ rate: null })
+    expect(parseRate('   ')).toEqual({ rate: null })
+  })
+
+  test('rejects zero, negatives and non-numbers rather than coercing them', () => {
+    for (const text of ['0', '-4', 'abc', '12k', 'Infinity']) {
+      expect(parseRate(text)).toBeNull()
+    }
+  })
+})
+
+describe('formatRateMultiple', () => {
+  test('divides by the rate to two places', () => {
+    expect(formatRateMultiple(37.5, 12.5)).toBe('×3.00')
+    expect(formatRateMultiple(100, 3)).toBe('×33.33')
+    expect(formatRateMultiple(60, 1)).toBe('×60.00')
+  })
+
+  test('returns null when no rate is set, so callers fall back to Hz', () => {
+    expect(formatRateMultiple(100, null)).toBeNull()
+    expect(formatRateMultiple(100, 0)).toBeNull()
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'vitest'
+import { calculateRulerMeasurement, formatSignedReading } from '../../src/utils/ruler.js'
+
+/**
+ * @fileoverview Unit tests for the Ruler mode arithmetic. Pins the sign
+ * convention (end − start on both axes), the slope's null for a ruler with no
+ * time extent, and the LED formatting that keeps a sign on every non-zero
+ * reading.
+ */
+
+describe('calculateRulerMeasurement', () => {
+  test('takes signed deltas end − start and the slope between them', () => {
+    const m = calculateRulerMeasurement({ time: 10, freq: 100 }, { time: 20, freq: 150 })
+    expect(m).toEqual({ deltaTime: 10, deltaFreq: 50, slope: 5 })
+  })
+
+  test('a falling tone measures a negative slope', () => {
+    const m = calculateRulerMeasurement({ time: 0, freq: 200 }, { time: 4, freq: 180 })
+    expect(m.deltaFreq).toBe(-20)
+    expect(m.slope).toBe(-5)
+  })
+
+  test('reversing the ends flips the deltas but not the slope', () => {
+    const a = { time: 3, freq: 90 }
+    const b = { time: 9, freq: 120 }
+    const forward = calculateRulerMeasurement(a, b)
+    const backward = calculateRulerMeasurement(b, a)
+    expect(backward.deltaTime).toBe(-forward.deltaTime)
+    expect(backward.deltaFreq).toBe(-forward.deltaFreq)
+    expect(backward.slope).toBe(forward.slope)
+  })
+
+  test('a ruler with no time extent has no slope', () => {
+    const m = calculateRulerMeasurement({ time: 5, freq: 100 }, { time: 5, freq: 300 })
+    expect(m.deltaTime).toBe(0)
+    expect(m.deltaFreq).toBe(200)
+    expect(m.slope).toBeNull()
+  })
+})
+
+describe('formatSignedReading', () => {
+  test('signs positive and negative readings', () => {
+    expect(formatSignedReading(12.5, 2)).toBe('+12.50')
+    expect(formatSignedReading(-0.3, 2)).toBe('-0.30')
+  })
+
+  test('shows zero unsigned, including a value that rounds to it', () => {
+    expect(formatSignedReading(0, 2)).toBe('0.00')
+    expect(formatSignedReading(-0.001, 2)).toBe('0.00')
+  })
+
+  test('renders a missing or non-finite value as a dash', () => {
+    expect(formatSignedReading(null, 2)).toBe('—')
+    expect(formatSignedReading(NaN, 2)).toBe('—')
+    expect(formatSignedReading(Infinity, 2)).toBe('—')
+  })
+})
@@ -0,0 +1,116 @@
+import { describe, test, expect } from 'vitest'
+import { slicePolyline, sliceLayout, spectrumClickPosition } from '../../src/utils/slicePlot.js'
+import { dataToSVG } from '../../src/utils/coordinates.js'
+
+/**
+ * @fileoverview Unit tests for slice plot geometry. Pins that values are
+ * scaled from black at the bottom to full brightness at the top, that values
+ * placed outside the plot are dropped rather than clamped, and that an empty
+ * slice draws nothing. Then that the spectrum lines up with the gram above it
+ * under zoom and pan — a frequency plots where the gram draws it, and a click
+ * there reads it back — and where a click on the spectrum places a marker.
+ */
+
+/** @type {PlotBounds} */
+const bounds = { left: 10, right: 110, top: 4, bottom: 56 }
+
+describe('slicePolyline', () => {
+  test('scales intensity to the plot height', () => {
+    expect(slicePolyline([10, 60, 110], [0, 0.5, 1], bounds)).toBe('10.0,56.0 60.0,30.0 110.0,4.0')
+  })
+
+  test('drops values placed outside the plot', () => {
+    expect(slicePolyline([0, 50, 120], [1, 1, 1], bounds)).toBe('50.0,4.0')
+  })
+
+  test('keeps out-of-range intensity within the plot', () => {
+    expect(slicePolyline([20, 30], [-0.2, 1.5], bounds)).toBe('20.0,56.0 30.0,4.0')
+  })
+
+  test('draws nothing for a slice with no values inside', () => {
+    expect(slicePolyline([], [], bounds)).toBe('')
+    expect(slicePolyline([200], [0.5], bounds)).toBe('')
+  })
+})
+
+/** Margins of a 400 × 300 gram */
+const margins = { left: 60, right: 20, top: 15, bottom: 50 }
+const imageDetails = { url: '', naturalWidth: 400, naturalHeight: 300, renderWidth: 400, renderHeight: 300 }
+
+/**
+ * A viewport on a 0–60 s, 0–1000 Hz gram.
+ * @param {Partial<Config>} overrides - Config to change
+ * @param {number} zoomLevel - Zoom level
+ * @returns {import('../../src/utils/coordinates.js').Viewport} The viewport
+ */
+function viewportOf(overrides, zoomLevel) {
+  const config = /** @type {Config} */ ({ timeMin: 0, timeMax: 60, freqMin: 0, freqMax: 1000, freqScale: 'linear', timeDirection: 'up', ...overrides })
+  return { margins, imageDetails, config, zoom: { level: zoomLevel, centerX: 0.5, centerY: 0.5 } }
+}
+
+/**
+ * The gram's image zoomed 2× and panned so its middle half is in view, as the
+ * element's attributes carry it.
+ */
+const zoomedImage = /** @type {SVGImageElement} */ (/** @type {unknown} */ ({
+  getAttribute: (/** @type {string} */ name) => ({ x: '-140', y: '-135', width: '800', height: '600' })[name] ?? null
+}))
+
+describe('sliceLayout', () => {
+  test('zoomed, the spectrum plots each frequency under the gram\'s own', () => {
+    const viewport = viewportOf({}, 2)
+    const layout = sliceLayout(viewport, zoomedImage, 4, 56)
+    expect(layout.visible.freqMin).toBeCloseTo(250, 10)
+    expect(layout.visible.freqMax).toBeCloseTo(750, 10)
+    expect(layout.bounds).toEqual({ left: 60, right: 460, top: 4, bottom: 56 })
+    for (const freq of [250, 333.3, 500, 612.5, 750]) {
+      const x = layout.freqX(freq)
+      expect(x).toBeCloseTo(dataToSVG({ freq, time: 30 }, viewport, zoomedImage).x, 10)
+      expect(layout.freqAt(x)).toBeCloseTo(freq, 10)
+    }
+  })
+
+  test('the same holds on a log axis', () => {
+    const viewport = viewportOf({ freqMin: 10, freqMax: 10000, freqScale: 'log' }, 2)
+    const layout = sliceLayout(viewport, zoomedImage, 4, 56)
+    for (const freq of [100, 316, 1000]) {
+      const x = layout.freqX(freq)
+      expect(x).toBeCloseTo(dataToSVG({ freq, time: 30 }, viewport, zoomedImage).x, 10)
+      expect(layout.freqAt(x)).toBeCloseTo(freq, 8)
+    }
+  })
+
+  test('on a gram running time across, the history follows the gram and the spectrum spans the view', () => {
+    const viewport = viewportOf({ timeDirection: 'right' }, 2)
+    const layout = sliceLayout(viewport, zoomedImage, 4, 56)
+    for (const time of [15, 30, 45]) {
+      expect(layout.timeX(time)).toBeCloseTo(dataToSVG({ freq: 500, time }, viewport, zoomedImage).x, 10)
+    }
+    expect(layout.freqX(layout.visible.freqMin)).toBeCloseTo(60, 10)
+    expect(layout.freqX(layout.visible.freqMax)).toBeCloseTo(460, 10)
+    expect(layout.freqAt(layout.freqX(400))).toBeCloseTo(400, 10)
+  })
+})
+
+describe('spectrumClickPosition', () => {
+  const layout = sliceLayout(viewportOf({}, 1), null, 4, 56)
+  // A tonal centred on column 42 of 100, at 425 Hz
+  const values = new Array(100).fill(0.1)
+  values[41] = 0.5
+  values[42] = 0.9
+  values[43] = 0.5
+  /** @type {IntensityProfile} */
+  const row = { values, freqMin: 0, freqMax: 1000, freqScale: 'linear' }
+  const clickX = layout.freqX(410)
+
+  test('moves the marker onto the nearest peak', () => {
+    const position = spectrumClickPosition(layout, clickX, 12, row, () => 30)
+    expect(position.time).toBe(12)
+    expect(position.freq).toBeCloseTo(425, 10)
+  })
+
+  test('places it exactly when asked to, or when the pixels cannot be read', () => {
+    expect(spectrumClickPosition(layout, clickX, 12, row).freq).toBeCloseTo(410, 10)
+    expect(spectrumClickPosition(layout, clickX, 12, null, () => 30).freq).toBeCloseTo(410, 10)
+  })
+})
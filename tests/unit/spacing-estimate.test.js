@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest'
+import { estimateSpacing, linearProfile } from '../../src/utils/spacingEstimate.js'
+
+/**
+ * @fileoverview Unit tests for spacing estimation. Pins that a comb of tonals
+ * is read at its spacing rather than a multiple of it, between columns as well
+ * as on them, over a sloping background, and that a row with no repeat yields
+ * nothing. A row off a log gram is resampled evenly before it is read.
+ */
+
+/**
+ * A row of narrow tonals every `period` columns.
+ * @param {number} length - Columns
+ * @param {number} period - Spacing in columns, need not be whole
+ * @returns {number[]} Profile values
+ */
+function comb(length, period) {
+  return Array.from({ length }, (_, x) => {
+    const phase = (x / period) % 1
+    const distance = Math.min(phase, 1 - phase) * period
+    return Math.exp(-distance * distance / 2)
+  })
+}
+
+describe('estimateSpacing', () => {
+  test('reads a comb at its spacing, not a multiple of it', () => {
+    const estimate = estimateSpacing(comb(400, 20), 2)
+    expect(estimate).not.toBeNull()
+    expect(/** @type {SpacingEstimate} */ (estimate).spacing).toBeCloseTo(40, 0)
+    expect(/** @type {SpacingEstimate} */ (estimate).confidence).toBeGreaterThan(0.8)
+  })
+
+  test('refines a spacing that falls between columns', () => {
+    const estimate = /** @type {SpacingEstimate} */ (estimateSpacing(comb(500, 12.5), 1))
+    expect(Math.abs(estimate.spacing - 12.5)).toBeLessThan(0.3)
+  })
+
+  test('sees through a background sloping across the row', () => {
+    const values = comb(400, 16).map((value, x) => value + x / 100)
+    const estimate = /** @type {SpacingEstimate} */ (estimateSpacing(values, 1))
+    expect(estimate.spacing).toBeCloseTo(16, 0)
+  })
+
+  test('finds nothing in a row that does not repeat', () => {
+    expect(estimateSpacing(new Array(200).fill(0.5), 1)).toBeNull()
+    const ramp = Array.from({ length: 200 }, (_, x) => x / 200)
+    expect(estimateSpacing(ramp, 1)).toBeNull()
+  })
+
+  test('needs a row long enough to repeat and a column width', () => {
+    expect(estimateSpacing([0, 1, 0, 1, 0, 1], 1)).toBeNull()
+    expect(estimateSpacing(comb(400, 20), 0)).toBeNull()
+  })
+})
+
+describe('linearProfile', () => {
+  test('passes a linear row through unchanged', () => {
+    const values = comb(100, 10)
+    const linear = linearProfile({ values, freqMin: 0, freqMax: 1000 })
+    expect(linear.values).toBe(values)
+    expect(linear.hzPerColumn).toBe(10)
+  })
+
+  test('resamples a log row so its harmonics are evenly spaced again', () => {
+    // Harmonics of 150 Hz plotted on a log axis over 100–2000 Hz
+    const length = 800
+    const values = Array.from({ length }, (_, x) => {
+      const freq = 100 * Math.pow(20, (x + 0.5) / length)
+      const phase = (freq / 150) % 1
+      const distance = Math.min(phase, 1 - phase) * 150
+      return Math.exp(-distance * distance / 50)
+    })
+    const linear = linearProfile({ values, freqMin: 100, freqMax: 2000, freqScale: 'log' })
+    const estimate = estimateSpacing(linear.values, linear.hzPerColumn)
+    expect(estimate).not.toBeNull()
+    expect(/** @type {SpacingEstimate} */ (estimate).spacing).toBeCloseTo(150, -1)
+  })
+})
@@ -29,11 +29,42 @@ const validRecord = () => ({
     ]
   },
   doppler: {
-    fPlus: { time: 40, freq: 900 },
-    fMinus: { time: 20, freq: 880 },
-    fZero: { time: 30, freq: 890 },
-    color: '#ff0000'
-  }
+    curves: [
+      {
+        id: 'd1',
+        fPlus: { time: 40, freq: 900 },
+        fMinus: { time: 20, freq: 880 },
+        fZero: { time: 30, freq: 890 },
+        color: '#ff0000',
+        symbol: 'cross'
+      }
+    ]
+  },
+  ruler: {
+    start: { time: 5, freq: 400 },
+    end: { time: 15, freq: 450 },
+    color: '#4ecdc4'
+  },
+  traces: [
+    {
+      id: 't1',
+      points: [{ time: 10, freq: 300 }, { time: 20, freq: 302 }, { time: 30, freq: 305 }],
+      color: '#f39c12',
+      symbol: 'cross'
+    }
+  ],
+  boxes: [
+    {
+      id: 'b1',
+      timeStart: 12,
+      timeEnd: 18,
+      freqLow: 100,
+      freqHigh: 900,
+      color: '#9b59b6',
+      symbol: 'square',
+      label: 'Transient'
+    }
+  ]
 })
 
 describe('sanitizeStoredAnnotations (BH-1, BH-16)', () => {
@@ -42,7 +73,8 @@ describe('sanitizeStoredAnnotations (BH-1, BH-16)', () => {
     expect(dropped).toBe(0)
     expect(annotations.analysis.markers).toHaveLength(1)
     expect(annotations.harmonics.harmonicSets).toHaveLength(1)
-    expect(annotations.doppler.fPlus).toEqual({ time: 40, freq: 900 })
+    expect(annotations.doppler.curves).toHaveLength(1)
+    expect(annotations.doppler.curves[0].fPlus).toEqual({ time: 40, freq: 900 })
   })
 
   it('discards a harmonic set with spacing 0 — the page-brick record', () => {
@@ -63,6 +95,96 @@ describe('sanitizeStoredAnnotations (BH-1, BH-16)', () => {
     }
   })
 
+  it('keeps a sideband family with its carrier', () => {
+    const rec = validRecord()
+    // @ts-ignore additive field absent from the base record
+    rec.harmonics.harmonicSets[0].carrier = 1200
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.harmonics.harmonicSets[0].carrier).toBe(1200)
+  })
+
+  it('discards a sideband family whose carrier is not a finite number', () => {
+    for (const carrier of [NaN, Infinity, '1.2k']) {
+      const rec = validRecord()
+      // @ts-ignore deliberate corruption
+      rec.harmonics.harmonicSets[0].carrier = carrier
+      const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+      expect(annotations.harmonics.harmonicSets).toHaveLength(0)
+      expect(dropped).toBe(1)
+    }
+  })
+
+  it('keeps a harmonic set with an odd or custom series', () => {
+    const rec = validRecord()
+    rec.harmonics.harmonicSets.push(
+      // @ts-ignore additive fields absent from the base record
+      { id: 'h2', color: '#2ecc71', anchorTime: 30, spacing: 10, series: 'odd' },
+      // @ts-ignore additive fields absent from the base record
+      { id: 'h3', color: '#2ecc71', anchorTime: 30, spacing: 10, series: 'custom', orders: [2, 4, 6] }
+    )
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.harmonics.harmonicSets.map(hs => hs.series)).toEqual([undefined, 'odd', 'custom'])
+  })
+
+  it('discards a harmonic set with an unknown series or an unusable custom list', () => {
+    for (const corruption of [
+      { series: 'prime' },
+      { series: 'custom' },
+      { series: 'custom', orders: [] },
+      { series: 'custom', orders: [4, 2] },
+      { series: 'custom', orders: [0.5] }
+    ]) {
+      const rec = validRecord()
+      Object.assign(rec.harmonics.harmonicSets[0], corruption)
+      const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+      expect(annotations.harmonics.harmonicSets).toHaveLength(0)
+      expect(dropped).toBe(1)
+    }
+  })
+
+  it('keeps a time-bounded harmonic set, and a legacy set without bounds', () => {
+    const rec = validRecord()
+    // @ts-ignore additive fields absent from the base record
+    rec.harmonics.harmonicSets.push({ id: 'h2', color: '#2ecc71', anchorTime: 30, spacing: 10, timeStart: 25, timeEnd: 35 })
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.harmonics.harmonicSets.map(hs => hs.timeEnd)).toEqual([undefined, 35])
+  })
+
+  it('discards a harmonic set with half a time span or reversed bounds', () => {
+    for (const corruption of [
+      { timeStart: 25 },
+      { timeEnd: 35 },
+      { timeStart: 35, timeEnd: 25 },
+      { timeStart: 'early', timeEnd: 35 }
+    ]) {
+      const rec = validRecord()
+      Object.assign(rec.harmonics.harmonicSets[0], corruption)
+      const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+      expect(annotations.harmonics.harmonicSets).toHaveLength(0)
+      expect(dropped).toBe(1)
+    }
+  })
+
+  it('keeps a drifting harmonic set and discards one with an unusable end spacing', () => {
+    const rec = validRecord()
+    // @ts-ignore additive fields absent from the base record
+    rec.harmonics.harmonicSets.push({ id: 'h2', color: '#2ecc71', anchorTime: 30, spacing: 10, timeStart: 25, timeEnd: 35, spacingEnd: 12 })
+    const kept = sanitizeStoredAnnotations(rec)
+    expect(kept.dropped).toBe(0)
+    expect(kept.annotations.harmonics.harmonicSets[1].spacingEnd).toBe(12)
+
+    for (const spacingEnd of [0, -4, NaN, '12']) {
+      const bad = validRecord()
+      Object.assign(bad.harmonics.harmonicSets[0], { timeStart: 25, timeEnd: 35, spacingEnd })
+      const { annotations, dropped } = sanitizeStoredAnnotations(bad)
+      expect(annotations.harmonics.harmonicSets).toHaveLength(0)
+      expect(dropped).toBe(1)
+    }
+  })
+
   it('discards markers with non-finite positions or missing ids, keeping the valid rest', () => {
     const rec = validRecord()
     rec.analysis.markers.push(
@@ -89,22 +211,102 @@ describe('sanitizeStoredAnnotations (BH-1, BH-16)', () => {
     expect(dropped).toBeGreaterThan(0)
   })
 
-  it('nulls corrupt doppler points individually and keeps the valid ones', () => {
+  it('discards a doppler curve with a corrupt point or no id, keeping the valid rest', () => {
     const rec = validRecord()
-    // @ts-ignore deliberate corruption
-    rec.doppler.fPlus = { time: 'noon', freq: 900 }
+    const good = rec.doppler.curves[0]
+    rec.doppler.curves.push(
+      // @ts-ignore deliberate corruption
+      { ...good, id: 'bad1', fPlus: { time: 'noon', freq: 900 } },
+      { ...good, id: '' },
+      { ...good, id: 'empty', fPlus: null, fMinus: null, fZero: null }
+    )
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(annotations.doppler.curves.map(c => c.id)).toEqual(['d1'])
+    expect(dropped).toBe(3)
+  })
+
+  it('migrates a single-curve record to a one-curve list', () => {
+    const rec = /** @type {any} */ (validRecord())
+    rec.doppler = {
+      fPlus: { time: 40, freq: 900 },
+      fMinus: { time: 20, freq: 880 },
+      fZero: { time: 30, freq: 890 },
+      color: '#ff0000'
+    }
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.doppler.curves).toHaveLength(1)
+    const [curve] = annotations.doppler.curves
+    expect(curve.id).toBeTruthy()
+    expect(curve.fPlus).toEqual({ time: 40, freq: 900 })
+    expect(curve.fZero).toEqual({ time: 30, freq: 890 })
+    expect(curve.color).toBe('#ff0000')
+  })
+
+  it('nulls corrupt points of a single-curve record individually and keeps the valid ones', () => {
+    const rec = /** @type {any} */ (validRecord())
+    rec.doppler = {
+      fPlus: { time: 'noon', freq: 900 },
+      fMinus: { time: 20, freq: 880 },
+      fZero: null,
+      color: '#ff0000'
+    }
     const { annotations, dropped } = sanitizeStoredAnnotations(rec)
-    expect(annotations.doppler.fPlus).toBeNull()
-    expect(annotations.doppler.fMinus).toEqual({ time: 20, freq: 880 })
+    expect(annotations.doppler.curves[0].fPlus).toBeNull()
+    expect(annotations.doppler.curves[0].fMinus).toEqual({ time: 20, freq: 880 })
     expect(dropped).toBe(1)
   })
 
+  it('a single-curve record with no markers migrates to no curves', () => {
+    const rec = /** @type {any} */ (validRecord())
+    rec.doppler = { fPlus: null, fMinus: null, fZero: null, color: null }
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(annotations.doppler.curves).toEqual([])
+    expect(dropped).toBe(0)
+  })
+
+  // Fitted curves carry their points. `fitPoints` is ADDITIVE: a marker curve
+  // has none and is not a drop.
+  it('restores a fitted curve\'s points', () => {
+    const rec = /** @type {any} */ (validRecord())
+    const fitPoints = [{ time: 10, freq: 905 }, { time: 20, freq: 901 }, { time: 30, freq: 890 }]
+    rec.doppler.curves.push({ id: 'd2', fPlus: null, fMinus: null, fZero: null, color: '#00ff00', symbol: 'square', fitPoints })
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.doppler.curves[0]).not.toHaveProperty('fitPoints')
+    expect(annotations.doppler.curves[1].fitPoints).toEqual(fitPoints)
+  })
+
+  // CPA time and range are written for readers of the record but derived, so
+  // a restore recomputes them rather than trusting what was saved.
+  it('does not restore a curve\'s saved CPA values', () => {
+    const rec = /** @type {any} */ (validRecord())
+    Object.assign(rec.doppler.curves[0], { cpaTime: 12, cpaRange: 'far' })
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.doppler.curves[0]).not.toHaveProperty('cpaTime')
+    expect(annotations.doppler.curves[0]).not.toHaveProperty('cpaRange')
+  })
+
+  it('discards a fitted curve with a corrupt point, or with no points', () => {
+    const rec = /** @type {any} */ (validRecord())
+    rec.doppler.curves.push(
+      { id: 'd2', fPlus: null, fMinus: null, fZero: null, color: null, fitPoints: [{ time: 10, freq: 905 }, { time: 'x', freq: 901 }] },
+      { id: 'd3', fPlus: null, fMinus: null, fZero: null, color: null, fitPoints: [null] },
+      { id: 'd4', fPlus: null, fMinus: null, fZero: null, color: null, fitPoints: [] },
+      { id: 'd5', fPlus: null, fMinus: null, fZero: null, color: null, fitPoints: 'lots' }
+    )
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(annotations.doppler.curves.map((/** @type {any} */ c) => c.id)).toEqual(['d1'])
+    expect(dropped).toBe(4)
+  })
+
   it('survives entirely alien input without throwing', () => {
     for (const junk of [null, undefined, 42, 'garbage', [], { analysis: 7 }]) {
       const { annotations } = sanitizeStoredAnnotations(junk)
       expect(annotations.analysis.markers).toEqual([])
       expect(annotations.harmonics.harmonicSets).toEqual([])
-      expect(annotations.doppler.fPlus).toBeNull()
+      expect(annotations.doppler.curves).toEqual([])
     }
   })
 
@@ -143,6 +345,105 @@ describe('sanitizeStoredAnnotations (BH-1, BH-16)', () => {
     const { annotations } = sanitizeStoredAnnotations(rec)
     expect(annotations.analysis.markers[0].label).toHaveLength(32)
   })
+
+  // The ruler (Ruler mode) is an ADDITIVE field: a record from before it has
+  // no `ruler` key and is not a drop; half a ruler is.
+  it('restores a saved ruler unchanged', () => {
+    const { annotations, dropped } = sanitizeStoredAnnotations(validRecord())
+    expect(dropped).toBe(0)
+    expect(annotations.ruler).toEqual({
+      start: { time: 5, freq: 400 },
+      end: { time: 15, freq: 450 },
+      color: '#4ecdc4'
+    })
+  })
+
+  it('restores a legacy ruler-less record with no ruler and no drop', () => {
+    const rec = validRecord()
+    // @ts-ignore a record saved before Ruler mode
+    delete rec.ruler
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.ruler).toEqual({ start: null, end: null, color: null })
+  })
+
+  it('discards the whole ruler when either end is corrupt', () => {
+    const rec = validRecord()
+    // @ts-ignore deliberate corruption
+    rec.ruler.end = { time: 15, freq: 'high' }
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(annotations.ruler.start).toBeNull()
+    expect(annotations.ruler.end).toBeNull()
+    expect(dropped).toBe(1)
+  })
+
+  // Traces (Trace mode) are ADDITIVE likewise, and all-or-nothing per trace.
+  it('restores a saved trace unchanged', () => {
+    const { annotations, dropped } = sanitizeStoredAnnotations(validRecord())
+    expect(dropped).toBe(0)
+    expect(annotations.traces).toEqual(validRecord().traces)
+  })
+
+  it('restores a legacy trace-less record with no traces and no drop', () => {
+    const rec = validRecord()
+    // @ts-ignore a record saved before Trace mode
+    delete rec.traces
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.traces).toEqual([])
+  })
+
+  it('discards a whole trace when any point is corrupt, keeping the rest', () => {
+    const rec = validRecord()
+    rec.traces.push({ id: 't2', points: [{ time: 5, freq: 100 }], color: '#ffffff', symbol: 'cross' })
+    // @ts-ignore deliberate corruption
+    rec.traces[0].points[1] = { time: 20, freq: null }
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(annotations.traces && annotations.traces.map(t => t.id)).toEqual(['t2'])
+    expect(dropped).toBe(1)
+  })
+
+  it('discards a trace with no points', () => {
+    const rec = validRecord()
+    rec.traces[0].points = []
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(annotations.traces).toEqual([])
+    expect(dropped).toBe(1)
+  })
+
+  // Boxes (Box mode) are ADDITIVE likewise.
+  it('restores a saved box unchanged', () => {
+    const { annotations, dropped } = sanitizeStoredAnnotations(validRecord())
+    expect(dropped).toBe(0)
+    expect(annotations.boxes).toEqual(validRecord().boxes)
+  })
+
+  it('restores a legacy box-less record with no boxes and no drop', () => {
+    const rec = validRecord()
+    // @ts-ignore a record saved before Box mode
+    delete rec.boxes
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.boxes).toEqual([])
+  })
+
+  it('discards a box with a missing extent, keeping the rest', () => {
+    const rec = validRecord()
+    rec.boxes.push({ id: 'b2', timeStart: 1, timeEnd: 2, freqLow: 50, freqHigh: 60, color: '#ffffff', symbol: 'cross', label: '' })
+    // @ts-ignore deliberate corruption
+    rec.boxes[0].freqHigh = 'wide'
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(annotations.boxes && annotations.boxes.map(b => b.id)).toEqual(['b2'])
+    expect(dropped).toBe(1)
+  })
+
+  it('normalises a box stored with its corners swapped', () => {
+    const rec = validRecord()
+    Object.assign(rec.boxes[0], { timeStart: 18, timeEnd: 12, freqLow: 900, freqHigh: 100 })
+    const { annotations, dropped } = sanitizeStoredAnnotations(rec)
+    expect(dropped).toBe(0)
+    expect(annotations.boxes).toEqual(validRecord().boxes)
+  })
 })
 
 describe('buildGramFingerprint (BH-6, BH-23)', () => {
@@ -189,11 +490,41 @@ describe('isAnnotationExpired clock-skew tolerance (BH-33)', () => {
 })
 
 describe('hasPersistableAnnotations covers fZero (BH-32)', () => {
-  it('an fZero-only state is persistable, matching what renders', () => {
+  it('an fZero-only curve is persistable, matching what renders', () => {
+    const state = /** @type {any} */ ({
+      analysis: { markers: [] },
+      harmonics: { harmonicSets: [] },
+      doppler: { curves: [{ id: 'd1', fPlus: null, fMinus: null, fZero: { time: 1, freq: 2 } }] }
+    })
+    expect(hasPersistableAnnotations(state)).toBe(true)
+  })
+
+  it('a ruler-only state is persistable', () => {
+    const state = /** @type {any} */ ({
+      analysis: { markers: [] },
+      harmonics: { harmonicSets: [] },
+      doppler: { curves: [] },
+      ruler: { start: { time: 1, freq: 2 }, end: { time: 3, freq: 4 } }
+    })
+    expect(hasPersistableAnnotations(state)).toBe(true)
+  })
+
+  it('a trace-only state is persistable', () => {
+    const state = /** @type {any} */ ({
+      analysis: { markers: [] },
+      harmonics: { harmonicSets: [] },
+      doppler: { curves: [] },
+      trace: { traces: [{ id: 't1', points: [{ time: 1, freq: 2 }] }] }
+    })
+    expect(hasPersistableAnnotations(state)).toBe(true)
+  })
+
+  it('a box-only state is persistable', () => {
     const state = /** @type {any} */ ({
       analysis: { markers: [] },
       harmonics: { harmonicSets: [] },
-      doppler: { fPlus: null, fMinus: null, fZero: { time: 1, freq: 2 } }
+      doppler: { curves: [] },
+      box: { boxes: [{ id: 'b1', timeStart: 1, timeEnd: 2, freqLow: 3, freqHigh: 4 }] }
     })
     expect(hasPersistableAnnotations(state)).toBe(true)
   })
@@ -202,7 +533,7 @@ describe('hasPersistableAnnotations covers fZero (BH-32)', () => {
     const state = /** @type {any} */ ({
       analysis: { markers: [] },
       harmonics: { harmonicSets: [] },
-      doppler: { fPlus: null, fMinus: null, fZero: null }
+      doppler: { curves: [] }
     })
     expect(hasPersistableAnnotations(state)).toBe(false)
   })
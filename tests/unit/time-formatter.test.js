@@ -1,11 +1,14 @@
 import { describe, test, expect } from 'vitest'
-import { formatTime } from '../../src/utils/timeFormatter.js'
+import { formatTime, parseTimeOrigin, formatGramTime, formatGramTimeTick, formatTimeReading, timeFormatLabel } from '../../src/utils/timeFormatter.js'
 
 /**
  * @fileoverview Unit tests for mm:ss time formatting. Pins the two decisions
  * the implementation makes: fractional seconds are floored (never rounded up,
  * so a cursor at 59.9s reads 00:59, not the impossible 00:60), and minutes do
- * not roll over into hours (an hour-long gram reads 60:00).
+ * not roll over into hours (an hour-long gram reads 60:00). Clock time, for a
+ * gram with a `time-origin`, counts on from `time-start`, floors the same way
+ * and wraps at midnight; an origin with a zone offset is read in UTC. A
+ * `time-units` row other than mm:ss shows elapsed time as a decimal instead.
  */
 
 describe('formatTime', () => {
@@ -34,3 +37,101 @@ describe('formatTime', () => {
     expect(formatTime(7325)).toBe('122:05')
   })
 })
+
+describe('parseTimeOrigin', () => {
+  test('reads a time of day with or without seconds', () => {
+    expect(parseTimeOrigin('14:30')).toBe(52200)
+    expect(parseTimeOrigin('14:30:05')).toBe(52205)
+    expect(parseTimeOrigin('9:05:30.5')).toBe(32730.5)
+  })
+
+  test('reads the time from an ISO timestamp, dropping the date', () => {
+    expect(parseTimeOrigin('2024-03-01T14:30:05Z')).toBe(52205)
+    expect(parseTimeOrigin('2024-03-01 14:30:05')).toBe(52205)
+  })
+
+  test('converts a time with a zone offset to UTC, wrapping past midnight', () => {
+    expect(parseTimeOrigin('2024-03-01T14:30:05+01:00')).toBe(48605)
+    expect(parseTimeOrigin('14:30-0530')).toBe(72000)
+    expect(parseTimeOrigin('02:00+05:00')).toBe(75600)
+    expect(parseTimeOrigin('22:00-03:00')).toBe(3600)
+    expect(parseTimeOrigin('14:30+24:00')).toBeNull()
+  })
+
+  test('rejects anything that is not a time of day', () => {
+    expect(parseTimeOrigin('24:00')).toBeNull()
+    expect(parseTimeOrigin('14:60')).toBeNull()
+    expect(parseTimeOrigin('2024-03-01')).toBeNull()
+    expect(parseTimeOrigin('noon')).toBeNull()
+  })
+})
+
+describe('formatGramTime', () => {
+  const origin = parseTimeOrigin('23:59:30')
+  const clock = { config: { timeMin: 0, timeMax: 60, freqMin: 0, freqMax: 100, timeOrigin: origin }, timeDisplay: /** @type {'clock'} */ ('clock') }
+
+  test('adds the origin and wraps past midnight', () => {
+    expect(formatGramTime(0, clock)).toBe('23:59:30')
+    expect(formatGramTime(29.9, clock)).toBe('23:59:59')
+    expect(formatGramTime(45, clock)).toBe('00:00:15')
+    expect(timeFormatLabel(clock)).toBe('hh:mm:ss')
+  })
+
+  test('counts on from the origin at time-start, not at zero', () => {
+    const late = { ...clock, config: { ...clock.config, timeMin: 100, timeMax: 160, timeOrigin: parseTimeOrigin('14:30:00') } }
+    expect(formatGramTime(100, late)).toBe('14:30:00')
+    expect(formatGramTime(130.5, late)).toBe('14:30:30')
+    expect(formatGramTime(160, late)).toBe('14:31:00')
+    expect(formatGramTimeTick(130, late)).toBe('14:30:30')
+  })
+
+  test('shows elapsed time once switched back', () => {
+    const elapsed = { ...clock, timeDisplay: /** @type {'elapsed'} */ ('elapsed') }
+    expect(formatGramTime(45, elapsed)).toBe('00:45')
+    expect(timeFormatLabel(elapsed)).toBe('mm:ss')
+  })
+
+  test('shows elapsed time for a gram without an origin', () => {
+    const unset = { ...clock, config: { ...clock.config, timeOrigin: null } }
+    expect(formatGramTime(45, unset)).toBe('00:45')
+    expect(timeFormatLabel(unset)).toBe('mm:ss')
+  })
+})
+
+describe('time units', () => {
+  /**
+   * State for a gram showing elapsed time in some units.
+   * @param {Partial<Config>} rows - Readout rows
+   * @returns {Pick<GramFrameState, 'config'|'timeDisplay'>} State
+   */
+  const gram = (rows) => ({ config: { timeMin: 0, timeMax: 600, freqMin: 0, freqMax: 100, ...rows }, timeDisplay: /** @type {'clock'} */ ('clock') })
+
+  test('show elapsed time in seconds, milliseconds or minutes', () => {
+    expect(formatGramTime(90.5, gram({ timeUnits: 's' }))).toBe('90.50')
+    expect(formatGramTime(90.5, gram({ timeUnits: 'ms' }))).toBe('90500')
+    expect(formatGramTime(90.5, gram({ timeUnits: 'min' }))).toBe('1.508')
+    expect(formatGramTime(90.5, gram({ timeUnits: 'mm:ss' }))).toBe('01:30')
+  })
+
+  test('show the places the config asks for', () => {
+    expect(formatGramTime(90.5, gram({ timeUnits: 's', timePrecision: 0 }))).toBe('91')
+    expect(formatGramTime(90.5, gram({ timeUnits: 'min', timePrecision: 1 }))).toBe('1.5')
+  })
+
+  test('name themselves in labels, and on axis ticks of a decimal time', () => {
+    expect(timeFormatLabel(gram({ timeUnits: 'ms' }))).toBe('ms')
+    expect(formatGramTimeTick(90.5, gram({ timeUnits: 's' }))).toBe('90.50s')
+    expect(formatGramTimeTick(90.5, gram({}))).toBe('01:30')
+  })
+
+  test('give way to clock time where the gram has an origin', () => {
+    const clock = gram({ timeUnits: 's', timeOrigin: 3600 })
+    expect(formatGramTime(90.5, clock)).toBe('01:01:30')
+    expect(formatGramTimeTick(90.5, clock)).toBe('01:01:30')
+  })
+
+  test('read seconds for decimal readouts of a gram in mm:ss', () => {
+    expect(formatTimeReading(90.5, {})).toBe('90.50')
+    expect(formatTimeReading(90.5, { timeUnits: 'ms' })).toBe('90500')
+  })
+})
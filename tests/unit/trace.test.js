@@ -0,0 +1,80 @@
+import { describe, test, expect } from 'vitest'
+import { calculateTraceStatistics } from '../../src/utils/trace.js'
+
+/**
+ * @fileoverview Unit tests for the Trace mode arithmetic. Pins the
+ * time-weighted mean, the spread, the least-squares drift rate and its null
+ * for a trace with no time extent, and that click order does not matter.
+ */
+
+describe('calculateTraceStatistics', () => {
+  test('a straight drifting line reads its slope as the drift rate', () => {
+    const stats = calculateTraceStatistics([
+      { time: 0, freq: 100 },
+      { time: 10, freq: 105 },
+      { time: 20, freq: 110 }
+    ])
+    expect(stats).not.toBeNull()
+    const { meanFreq, spread, driftRate, duration } = /** @type {TraceStatistics} */ (stats)
+    expect(meanFreq).toBeCloseTo(105, 10)
+    expect(spread).toBeCloseTo(10, 10)
+    expect(driftRate).toBeCloseTo(0.5, 10)
+    expect(duration).toBe(20)
+  })
+
+  test('weights the mean by time, so bunched clicks do not pull it', () => {
+    // Flat at 100 Hz for 90 s, then a short step to 200 Hz clicked densely
+    const stats = /** @type {TraceStatistics} */ (calculateTraceStatistics([
+      { time: 0, freq: 100 },
+      { time: 90, freq: 100 },
+      { time: 91, freq: 200 },
+      { time: 92, freq: 200 },
+      { time: 93, freq: 200 },
+      { time: 100, freq: 200 }
+    ]))
+    // Area: 90·100 + 1·150 + 9·200 = 10950 over 100 s
+    expect(stats.meanFreq).toBeCloseTo(109.5, 10)
+    expect(stats.spread).toBe(100)
+  })
+
+  test('fits the drift rate by least squares rather than from the ends', () => {
+    const stats = /** @type {TraceStatistics} */ (calculateTraceStatistics([
+      { time: 0, freq: 100 },
+      { time: 10, freq: 102 },
+      { time: 20, freq: 100 },
+      { time: 30, freq: 102 }
+    ]))
+    // End to end is 2/30 Hz/s; the regression line is shallower
+    expect(stats.driftRate).toBeCloseTo(0.04, 10)
+  })
+
+  test('gives the same answer whatever order the points were clicked in', () => {
+    const points = [
+      { time: 12, freq: 240 },
+      { time: 3, freq: 250 },
+      { time: 30, freq: 236 },
+      { time: 18, freq: 241 }
+    ]
+    const forward = calculateTraceStatistics(points)
+    const shuffled = calculateTraceStatistics([points[2], points[0], points[3], points[1]])
+    expect(shuffled).toEqual(forward)
+    expect(/** @type {TraceStatistics} */ (forward).driftRate).toBeLessThan(0)
+  })
+
+  test('a trace with no time extent has a plain mean and no drift rate', () => {
+    const single = /** @type {TraceStatistics} */ (calculateTraceStatistics([{ time: 5, freq: 440 }]))
+    expect(single).toEqual({ meanFreq: 440, spread: 0, driftRate: null, duration: 0 })
+
+    const stacked = /** @type {TraceStatistics} */ (calculateTraceStatistics([
+      { time: 5, freq: 440 },
+      { time: 5, freq: 460 }
+    ]))
+    expect(stacked.meanFreq).toBe(450)
+    expect(stacked.spread).toBe(20)
+    expect(stacked.driftRate).toBeNull()
+  })
+
+  test('has nothing to say about an empty trace', () => {
+    expect(calculateTraceStatistics([])).toBeNull()
+  })
+})
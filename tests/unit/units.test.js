@@ -0,0 +1,113 @@
+import { describe, test, expect } from 'vitest'
+import {
+  SPEED_UNITS,
+  RANGE_UNITS,
+  CPA_TIME_UNITS,
+  nextUnit,
+  isSpeedUnit,
+  formatSpeed,
+  formatRange,
+  formatCpaTime,
+  formatFrequency,
+  formatFrequencyTick,
+  frequencyReading,
+  driftReading,
+  driftUnit
+} from '../../src/utils/units.js'
+
+/**
+ * @fileoverview Unit tests for the readout units. Pins the click order each
+ * Doppler LED steps through and the conversions every readout shows, which are
+ * display-only: the value passed in is always m/s, metres, seconds or Hz.
+ */
+
+describe('nextUnit', () => {
+  test('steps through the units in order and wraps round', () => {
+    expect(nextUnit(SPEED_UNITS, 'kts')).toBe('m/s')
+    expect(nextUnit(SPEED_UNITS, 'km/h')).toBe('kts')
+    expect(nextUnit(RANGE_UNITS, 'm')).toBe('km')
+    expect(nextUnit(RANGE_UNITS, 'nmi')).toBe('m')
+    expect(nextUnit(CPA_TIME_UNITS, 's')).toBe('mm:ss')
+    expect(nextUnit(CPA_TIME_UNITS, 'mm:ss')).toBe('s')
+  })
+
+  test('an unknown unit steps to the first', () => {
+    expect(nextUnit(RANGE_UNITS, /** @type {RangeUnit} */ ('furlong'))).toBe('m')
+  })
+})
+
+describe('isSpeedUnit', () => {
+  test('accepts the speed units and nothing else', () => {
+    for (const unit of SPEED_UNITS) {
+      expect(isSpeedUnit(unit)).toBe(true)
+    }
+    for (const junk of ['knots', 'KTS', '', null, undefined, 3]) {
+      expect(isSpeedUnit(junk)).toBe(false)
+    }
+  })
+})
+
+describe('formatSpeed', () => {
+  test('shows a speed in m/s to one place in each unit', () => {
+    expect(formatSpeed(10, 'kts')).toBe('19.4')
+    expect(formatSpeed(10, 'm/s')).toBe('10.0')
+    expect(formatSpeed(10, 'km/h')).toBe('36.0')
+  })
+})
+
+describe('formatRange', () => {
+  test('shows whole metres, and larger units to two places', () => {
+    expect(formatRange(1852.4, 'm')).toBe('1852')
+    expect(formatRange(1852, 'km')).toBe('1.85')
+    expect(formatRange(1852, 'nmi')).toBe('1.00')
+    expect(formatRange(914.4, 'kyd')).toBe('1.00')
+  })
+})
+
+describe('formatCpaTime', () => {
+  test('shows seconds to two places, or mm:ss', () => {
+    expect(formatCpaTime(75.456, 's')).toBe('75.46')
+    expect(formatCpaTime(75.456, 'mm:ss')).toBe('01:15')
+  })
+})
+
+describe('formatFrequency', () => {
+  test('shows Hz to two places by default, and kHz to a whole hertz', () => {
+    expect(formatFrequency(12345.678, {})).toBe('12345.68')
+    expect(formatFrequency(12345.678, { freqUnits: 'kHz' })).toBe('12.346')
+  })
+
+  test('shows the places the config asks for', () => {
+    expect(formatFrequency(12345.678, { freqUnits: 'kHz', freqPrecision: 1 })).toBe('12.3')
+    expect(formatFrequency(12345.678, { freqPrecision: 0 })).toBe('12346')
+  })
+
+  test('gives the value and places for callers that format it themselves', () => {
+    expect(frequencyReading(-250, { freqUnits: 'kHz' })).toEqual({ value: -0.25, places: 3 })
+  })
+})
+
+describe('driftReading', () => {
+  test('reads Hz/s to a thousandth, and kHz/s to the same thousandth of a hertz', () => {
+    expect(driftReading(0.15, {})).toEqual({ value: 0.15, places: 3 })
+    expect(driftReading(-0.15, { freqUnits: 'kHz' })).toEqual({ value: -0.00015, places: 6 })
+  })
+
+  test('names its units after the gram\'s frequency units', () => {
+    expect(driftUnit({})).toBe('Hz/s')
+    expect(driftUnit({ freqUnits: 'kHz' })).toBe('kHz/s')
+  })
+})
+
+describe('formatFrequencyTick', () => {
+  test('rounds to whole hertz, drops trailing zeros and appends the units', () => {
+    expect(formatFrequencyTick(500.4, {})).toBe('500Hz')
+    expect(formatFrequencyTick(12500, { freqUnits: 'kHz' })).toBe('12.5kHz')
+    expect(formatFrequencyTick(20000, { freqUnits: 'kHz' })).toBe('20kHz')
+  })
+
+  test('keeps the places the config asks for', () => {
+    expect(formatFrequencyTick(12.25, { freqPrecision: 2 })).toBe('12.25Hz')
+    expect(formatFrequencyTick(12345, { freqUnits: 'kHz', freqPrecision: 1 })).toBe('12.3kHz')
+  })
+})